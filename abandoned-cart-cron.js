@@ -1,187 +1,797 @@
 // Abandoned Cart Cron Job
-// Checks products_viewed table every 10 minutes for abandoned carts
-// Sends AI-generated SMS reminders via Twilio
+// Checks the carts table every 10 minutes for abandoned carts
+// Sends AI-generated SMS (via Twilio) and email reminders, following the configured reminder sequence
 
 require('dotenv').config();
 const cron = require('node-cron');
-const { createClient } = require('@supabase/supabase-js');
-const { generateReminderMessage } = require('./generate-reminder-message');
-const { sendSMS } = require('./send-sms');
+const { getSupabase } = require('./supabase-client');
+const {
+  generateReminderMessageWithFallback,
+  generateReminderEmailWithFallback
+} = require('./generate-reminder-message');
+const { getProviderEnvVars, getShopProvider } = require('./llm-providers');
+const { canSendSMS } = require('./sms-consent');
+const { isEmailUnsubscribed, getUnsubscribeUrl } = require('./email-unsubscribes');
+const { countSegments } = require('./sms-validator');
+const { createCheckoutLink, attachMessageToLink, buildCartPermalink } = require('./checkout-links');
+const { getRunningExperiment, assignVariant } = require('./experiments');
+const { getUrgencyDecision, attachMessageToDecision } = require('./urgency-bandit');
+const { getShop, listShops } = require('./shops');
+const { getFreshProducts, getStockSignals, findVariant, formatProductName, formatPrice } = require('./product-catalog');
+const { enqueueMessage, startWorker } = require('./message-queue');
+const { INSTANCE_ID, acquireLock, renewLock, keepLock, releaseLock } = require('./cron-lock');
+const {
+  DEFAULT_SEQUENCE_NAME,
+  getActiveSequence,
+  getOrCreateSequenceState,
+  claimSequenceStep,
+  releaseSequenceStep,
+  claimCart,
+  releaseCart,
+  completeSequence,
+  stopSequences
+} = require('./reminder-sequences');
 
-// Initialize Supabase client
-const supabase = createClient(
-  process.env.NEXT_PUBLIC_SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
+// Messages are only logged unless DRY_RUN is explicitly set to "false"
+const DRY_RUN = process.env.DRY_RUN !== 'false';
 
-// Initialize Twilio client
-const twilio = require('twilio');
-const accountSid = process.env.TWILIO_ACCOUNT_SID;
-const authToken = process.env.TWILIO_AUTH_TOKEN;
-const fromNumber = process.env.TWILIO_PHONE_NUMBER;
+// Only one process runs the abandoned cart check at a time
+const CHECK_LOCK_NAME = 'abandoned-cart-check';
 
-const client = twilio(accountSid, authToken);
+// Carts idle for longer than this are no longer reminded, whatever their sequence
+const ABANDONED_LOOKBACK_HOURS = parseInt(process.env.ABANDONED_LOOKBACK_HOURS || '96', 10);
+
+// Carts loaded per page while checking a shop
+const CANDIDATE_PAGE_SIZE = parseInt(process.env.CANDIDATE_PAGE_SIZE || '500', 10);
+
+// Cart columns needed to remind a cart
+const CART_SELECT = `
+  id,
+  shop_id,
+  user_id,
+  status,
+  total_price,
+  currency,
+  last_event_at,
+  users!inner(email, full_name, phone, timezone),
+  cart_items(product_id, variant_id, product_name, variant_title, quantity, price, image_url)
+`;
 
 /**
- * Check for abandoned carts and send SMS reminders
+ * Picks an urgency level for steps that don't set one, based on how long the cart has been idle
+ * Also used whenever the urgency bandit is off (URGENCY_POLICY=fixed) or fails
+ * @param {number} minutesSinceActivity - Minutes since the cart was last updated
+ * @param {Object} cart - The cart row
+ * @returns {string} 'low', 'medium', or 'high'
  */
-async function checkAbandonedCarts() {
+function getUrgencyLevel(minutesSinceActivity, cart) {
+  if (minutesSinceActivity > 6 * 60 || cart.status === 'checkout_started') return 'high';
+  if (minutesSinceActivity > 2 * 60) return 'medium';
+  return 'low';
+}
+
+/**
+ * Lists the steps a claim leaves behind unsent, so the sequence state records them
+ * @param {Object} state - The cart's sequence state
+ * @param {number[]} stepNumbers - Steps being skipped now
+ * @returns {number[]|null} The state's new skipped_steps, or null if nothing is skipped
+ */
+function addSkippedSteps(state, stepNumbers) {
+  return stepNumbers.length > 0 ? [...(state.skipped_steps || []), ...stepNumbers] : null;
+}
+
+/**
+ * Moves a cart past a step that can't be sent, so the sequence doesn't stall on it
+ * @param {Object} state - The cart's sequence state
+ * @param {Object} step - The step being skipped
+ * @param {string} reason - Why the step was skipped
+ * @param {number[]} overdueSteps - Earlier due steps skipped along with it (see remindCart)
+ */
+async function skipSequenceStep(state, step, reason, overdueSteps = []) {
+  const skippedSteps = addSkippedSteps(state, [...overdueSteps, step.step_number]);
+  if (await claimSequenceStep(state.id, step.step_number, state.current_step, skippedSteps)) {
+    console.log(`⏭️ Skipped step ${step.step_number} (${step.channel}) for cart ${state.cart_id} - ${reason}`);
+  }
+}
+
+/**
+ * Decides how a step reaches the customer
+ * SMS steps fall back to email when there's no phone number or no SMS consent, but not for customers who replied STOP
+ * No email goes to an address that unsubscribed from the shop's reminder emails (see email-unsubscribes.js)
+ * @param {Object} step - The sequence step being sent
+ * @param {Object} user - The cart's user (email, phone, timezone)
+ * @param {Object} shop - The shop the cart belongs to
+ * @returns {Promise<{ channel: string|null, reason: string|null }>} channel is null when the step can't be sent now
+ */
+async function chooseChannel(step, user, shop) {
+  if (step.channel === 'email') {
+    return chooseEmail(user, shop, null);
+  }
+
+  if (step.channel !== 'sms') {
+    return { channel: null, reason: `${step.channel} channel is not available` };
+  }
+
+  if (!user.phone) {
+    return chooseEmail(user, shop, 'no phone number');
+  }
+
+  const sendCheck = await canSendSMS(user.phone, { timezone: user.timezone, shopId: shop.id });
+  if (sendCheck.allowed) {
+    return { channel: 'sms', reason: null };
+  }
+
+  // Quiet hours only delay the SMS; it goes out on a later run
+  if (sendCheck.reason === 'quiet_hours') {
+    return { channel: null, reason: 'quiet_hours' };
+  }
+
+  // A customer who replied STOP asked for no more reminders, not for reminders by email
+  if (sendCheck.reason === 'opted_out') {
+    return { channel: null, reason: 'customer opted out of SMS' };
+  }
+
+  return chooseEmail(user, shop, `SMS not allowed (${sendCheck.reason})`);
+}
+
+/**
+ * Picks email for a step unless the customer unsubscribed from the shop's reminder emails
+ * @param {Object} user - The cart's user
+ * @param {Object} shop - The shop the cart belongs to
+ * @param {string|null} reason - Why the step goes by email (null for email steps)
+ * @returns {Promise<{ channel: string|null, reason: string|null }>} See chooseChannel
+ */
+async function chooseEmail(user, shop, reason) {
+  if (await isEmailUnsubscribed(user.email, shop.id)) {
+    return { channel: null, reason: 'customer unsubscribed from emails' };
+  }
+  return { channel: 'email', reason };
+}
+
+/**
+ * Describes a cart's products for its reminder: their names with the chosen variants, the price, an image
+ * and the stock and price changes the reminder may mention
+ * Details the storefront didn't send are taken from the products Shopify filled in (see product-catalog.js)
+ * @param {Object} cart - The cart row with its items (see CART_SELECT)
+ * @returns {Promise<{ productNames: string, price: string|null, imageUrl: string|null, signals: Object }>} price
+ *   is only given for carts of a single product, as the reminder then names one price; signals come from getStockSignals
+ */
+async function getCartProductContext(cart) {
+  const items = cart.cart_items || [];
+  const products = await getFreshProducts(items.map(item => item.product_id), cart.shop_id);
+  const productNames = [...new Set(items.map(item => formatProductName(item.product_name, item.variant_title)))];
+  const signals = getStockSignals(items, products, cart.currency);
+
+  const first = items[0];
+  const product = first ? products.get(String(first.product_id)) || null : null;
+  const variant = first ? findVariant(product, first.variant_id) : null;
+
+  let price = null;
+  if (productNames.length === 1) {
+    // After a price drop the reminder quotes the new price, not the one stored with the cart
+    const amount = first.price !== null && first.price !== undefined && !signals.priceDrop
+      ? first.price
+      : (variant && variant.price);
+    price = formatPrice(amount, cart.currency || (product && product.currency));
+  }
+
+  return {
+    productNames: productNames.join(', '),
+    price,
+    imageUrl: (first && first.image_url) || (variant && variant.image_url) || (product && product.image_url) || null,
+    signals
+  };
+}
+
+/**
+ * Generates a step's reminder without sending it
+ * If the LLM fails the step's template (or a built-in one) is used instead
+ * @param {string} channel - 'sms' or 'email'
+ * @param {Object} cart - The cart row with its user and items (see CART_SELECT)
+ * @param {Object} step - The sequence step
+ * @param {Object} options - shop, urgencyLevel, checkoutLink, and the customer's experiment variant if any
+ * @returns {Promise<{ message: string|null, email: Object|null, fallbackReason: string|null }>} message for SMS, email
+ *   (with its unsubscribeUrl) for email
+ */
+async function generateStepReminder(channel, cart, step, options) {
+  const { shop } = options;
+  const user = cart.users;
+  const variant = options.variant;
+  const instructions = variant ? variant.prompt : null;
+  const customerName = user.full_name || user.email.split('@')[0];
+  const { productNames, price, imageUrl, signals } = await getCartProductContext(cart);
+  // Written as the shop, with the shop's own LLM key and model if it has one
+  const brand = { brandName: shop.brandName, brandVoice: shop.brandVoice, provider: getShopProvider(shop) };
+
+  if (channel === 'sms') {
+    const generated = await generateReminderMessageWithFallback(
+      customerName,
+      productNames,
+      options.urgencyLevel,
+      options.checkoutLink,
+      variant && variant.template
+        // Template variants are sent as written, without the LLM
+        ? { ...brand, discountCode: step.discount_code, price, signals, template: variant.template, useLLM: false }
+        : { ...brand, discountCode: step.discount_code, price, signals, template: step.template, instructions }
+    );
+    return { message: generated.message, email: null, fallbackReason: generated.fallbackReason };
+  }
+
+  // Signed per recipient, so the link unsubscribes only this address from this shop
+  const unsubscribeUrl = getUnsubscribeUrl(user.email, shop.id);
+  const generated = await generateReminderEmailWithFallback(
+    customerName,
+    productNames,
+    options.urgencyLevel,
+    options.checkoutLink,
+    { ...brand, discountCode: step.discount_code, price, imageUrl, signals, instructions, unsubscribeUrl }
+  );
+  return { message: null, email: { ...generated.email, unsubscribeUrl }, fallbackReason: generated.fallbackReason };
+}
+
+/**
+ * Queues one step of a cart's sequence: picks the channel, claims the step, creates the checkout link,
+ * generates the reminder, records it in messages_sent and queues it for delivery (see message-queue.js)
+ * If the reminder can't be recorded or queued, the step is given back so a later run sends it
+ * @param {Object} cart - The cart row with its user and items (see CART_SELECT)
+ * @param {Object} state - The cart's sequence state
+ * @param {Object} step - The step to send
+ * @param {Object} options - shop the cart belongs to, minutesSinceActivity, the customer's experiment variant
+ *   and bandit decision if any, and overdueSteps (numbers of earlier due steps skipped in favour of this one)
+ * @returns {Promise<{ status: string, reason: string|null, message: Object|null }>} status is 'delayed', 'skipped',
+ *   'already_claimed', 'queued' or 'not_logged'; message is the messages_sent row
+ */
+async function queueSequenceStep(cart, state, step, options) {
+  const user = cart.users;
+  const userId = cart.user_id;
+  const { shop, variant, decision } = options;
+  const overdueSteps = options.overdueSteps || [];
+
+  // Wait out quiet hours until a later run; otherwise fall back to email when SMS isn't possible
+  const { channel, reason } = await chooseChannel(step, user, shop);
+  if (!channel) {
+    if (reason === 'quiet_hours') {
+      console.log(`🌙 Delaying reminder for ${user.email} - quiet hours`);
+      return { status: 'delayed', reason, message: null };
+    }
+    await skipSequenceStep(state, step, reason, overdueSteps);
+    return { status: 'skipped', reason, message: null };
+  }
+
+  if (reason) {
+    console.log(`📧 Sending step ${step.step_number} for ${user.email} by email - ${reason}`);
+  }
+
+  // Claim the step before sending so it fires at most once, even across processes
+  if (!(await claimSequenceStep(state.id, step.step_number, state.current_step, addSkippedSteps(state, overdueSteps)))) {
+    return { status: 'already_claimed', reason: 'step was already sent', message: null };
+  }
+
+  if (overdueSteps.length > 0) {
+    console.log(`⏭️ Skipped step(s) ${overdueSteps.join(', ')} for cart ${cart.id} - step ${step.step_number} is due too`);
+  }
+
+  // Until the reminder is recorded the claim is given back on any failure, so the step isn't lost
+  let link;
+  let urgencyLevel;
+  let payload;
+  let messageRecord;
+  let messageError;
   try {
-    console.log('🕐 Checking for abandoned carts...', new Date().toISOString());
-    
-    // Calculate cutoff time (30 minutes ago)
-    const cutoffTime = new Date(Date.now() - (30 * 60 * 1000));
-    
-    // Get product views from the last 30 minutes
-    const { data: recentViews, error: viewsError } = await supabase
-      .from('products_viewed')
-      .select(`
-        id,
-        user_id,
-        product_id,
-        product_name,
-        timestamp,
-        users!inner(email, full_name)
-      `)
-      .gte('timestamp', cutoffTime.toISOString())
-      .order('timestamp', { ascending: false });
-
-    if (viewsError) {
-      console.error('❌ Error fetching recent views:', viewsError);
-      return;
+    // Short signed link that restores the cart (and applies the step's discount) when clicked
+    link = await createCheckoutLink({
+      shopId: shop.id,
+      cartId: cart.id,
+      userId,
+      sequenceStepId: step.id,
+      discountCode: step.discount_code
+    });
+
+    urgencyLevel = (variant && variant.urgency_level) ||
+      (decision && decision.urgency_level) ||
+      step.urgency_level ||
+      getUrgencyLevel(options.minutesSinceActivity || 0, cart);
+
+    const generated = await generateStepReminder(channel, cart, step, {
+      shop,
+      urgencyLevel,
+      checkoutLink: link.url,
+      variant
+    });
+
+    let delivery;
+    if (channel === 'sms') {
+      console.log(`📱 Generated step ${step.step_number} message for ${user.email}:`, generated.message);
+      delivery = {
+        message_type: 'sms',
+        content: generated.message,
+        recipient: user.phone,
+        segment_count: countSegments(generated.message).segments
+      };
+      payload = { to: user.phone, body: generated.message, timezone: user.timezone };
+    } else {
+      console.log(`📧 Generated step ${step.step_number} email for ${user.email}:`, generated.email.subject);
+      delivery = {
+        message_type: 'email',
+        subject: generated.email.subject,
+        content: generated.email.text,
+        recipient: user.email
+      };
+      payload = {
+        to: user.email,
+        subject: generated.email.subject,
+        html: generated.email.html,
+        text: generated.email.text,
+        unsubscribe_url: generated.email.unsubscribeUrl
+      };
     }
 
-    if (!recentViews || recentViews.length === 0) {
-      console.log('📭 No recent product views found');
-      return;
+    const messageRow = {
+      shop_id: shop.id,
+      user_id: userId,
+      cart_id: cart.id,
+      urgency_level: urgencyLevel,
+      sequence_step_id: step.id,
+      fallback_reason: generated.fallbackReason,
+      experiment_variant_id: variant ? variant.id : null,
+      variant: variant ? variant.name : null,
+      delivery_status: 'queued',
+      ...delivery
+    };
+
+    // Log the message to messages_sent table; the queue fills in sent_at and the delivery details
+    const inserted = await getSupabase()
+      .from('messages_sent')
+      .insert(messageRow)
+      .select()
+      .single();
+    messageRecord = inserted.data;
+    messageError = inserted.error;
+  } catch (error) {
+    // No template makes an SMS that passes validation (e.g. the product names are too long), and a later run
+    // wouldn't do better, so the step stays claimed and is skipped
+    if (error.code === 'SMS_TEMPLATE_INVALID') {
+      console.log(`⏭️ Skipped step ${step.step_number} (sms) for cart ${cart.id} - ${error.message}`);
+      return { status: 'skipped', reason: error.message, message: null };
     }
 
-    console.log(`📊 Found ${recentViews.length} recent product views`);
+    await releaseSequenceStep(state, step.step_number);
+    throw error;
+  }
 
-    // Group views by user
-    const userGroups = {};
-    recentViews.forEach(view => {
-      if (!userGroups[view.user_id]) {
-        userGroups[view.user_id] = [];
-      }
-      userGroups[view.user_id].push(view);
+  if (messageError) {
+    console.error(`❌ Error logging message for user ${userId}:`, messageError);
+    await releaseSequenceStep(state, step.step_number);
+    return { status: 'not_logged', reason: messageError.message, message: null };
+  }
+
+  let job;
+  try {
+    // Clicks and orders are attributed to the message through its link
+    await attachMessageToLink(link.id, messageRecord.id);
+    if (decision) {
+      await attachMessageToDecision(decision.id, messageRecord.id);
+    }
+
+    // One job per cart and step, so the reminder can't be sent twice whatever happens to the step claim
+    job = await enqueueMessage({
+      shopId: shop.id,
+      messageId: messageRecord.id,
+      idempotencyKey: `${cart.id}:${step.id}`,
+      channel,
+      payload
     });
+  } catch (error) {
+    // Nothing was queued, so the recorded reminder is dropped and the step sent by a later run
+    await getSupabase().from('messages_sent').delete().eq('id', messageRecord.id);
+    await releaseSequenceStep(state, step.step_number);
+    throw error;
+  }
 
-    let processedCount = 0;
-    let sentCount = 0;
+  if (!job) {
+    await getSupabase().from('messages_sent').delete().eq('id', messageRecord.id);
+    return { status: 'already_claimed', reason: 'step was already queued', message: null };
+  }
+
+  console.log(`📮 ${channel === 'sms' ? 'SMS' : 'Email'} queued for user ${user.email}`);
+  return { status: 'queued', reason: null, message: messageRecord };
+}
+
+/**
+ * Sends one step of a cart's sequence, holding the cart so no other process reminds it at the same time
+ * @param {Object} cart - The cart row with its user and items (see CART_SELECT)
+ * @param {Object} state - The cart's sequence state
+ * @param {Object} step - The step to send
+ * @param {Object} options - See queueSequenceStep(); holder claims the cart (default this process)
+ * @returns {Promise<{ status: string, reason: string|null, message: Object|null }>} See queueSequenceStep()
+ */
+async function sendSequenceStep(cart, state, step, options) {
+  const holder = options.holder || INSTANCE_ID;
+  if (!(await claimCart(state.id, holder))) {
+    return { status: 'already_claimed', reason: 'cart is being reminded by another process', message: null };
+  }
+
+  try {
+    return await queueSequenceStep(cart, state, step, options);
+  } finally {
+    await releaseCart(state.id, holder);
+  }
+}
+
+/**
+ * Names a shop in log messages
+ * @param {Object} shop - The shop
+ * @returns {string} The shop's domain
+ */
+function describeShop(shop) {
+  return shop.domain || 'the default shop';
+}
+
+/**
+ * Queues the next due step of one cart's reminder sequence, if it has one
+ * @param {Object} cart - The cart row with its user and items (see CART_SELECT)
+ * @param {Object} context - shop, sequence, the shop's running experiment if any, and the run's lock
+ * @returns {Promise<Object|null>} See sendSequenceStep(); null when no step is due yet
+ */
+async function remindCart(cart, context) {
+  const { shop, sequence, experiment, lock } = context;
+  const userId = cart.user_id;
+  const user = cart.users;
+
+  // Skip if no email (anonymous user)
+  if (!user.email) {
+    console.log(`⚠️ Skipping user ${userId} - no email`);
+    return null;
+  }
+
+  // Find the cart's next step; state lives in Supabase so restarts pick up where we left off
+  const state = await getOrCreateSequenceState(cart.id, sequence.id);
+  if (state.status !== 'active') {
+    return null;
+  }
+
+  const pendingSteps = sequence.steps.filter(s => s.step_number > state.current_step);
+  if (pendingSteps.length === 0) {
+    await completeSequence(state.id);
+    console.log(`🏁 Sequence completed for cart ${cart.id}`);
+    return null;
+  }
+
+  const variant = experiment ? await assignVariant(experiment, userId) : null;
+
+  // Delays are measured from the cart's last activity; a variant can add its own delay to every step
+  const minutesSinceActivity = Math.floor((Date.now() - new Date(cart.last_event_at)) / (1000 * 60));
+  const extraDelay = variant ? variant.delay_minutes : 0;
+  const dueSteps = pendingSteps.filter(s => minutesSinceActivity >= s.delay_minutes + extraDelay);
+  if (dueSteps.length === 0) {
+    return null;
+  }
+
+  // After downtime several steps can be due at once; only the latest one is sent, and the earlier ones
+  // are recorded as skipped when it's claimed
+  const step = dueSteps[dueSteps.length - 1];
+  const overdueSteps = dueSteps.slice(0, -1).map(s => s.step_number);
+
+  // With URGENCY_POLICY set, the bandit picks the urgency and an extra wait, unless the experiment variant sets them
+  let decision = null;
+  if (!variant || (!variant.urgency_level && !variant.delay_minutes)) {
+    try {
+      decision = await getUrgencyDecision(cart, step);
+    } catch (error) {
+      console.error(`❌ Urgency bandit failed for cart ${cart.id}, using the fixed rule:`, error.message);
+    }
+  }
+
+  if (decision && minutesSinceActivity < step.delay_minutes + extraDelay + decision.delay_minutes) {
+    return null;
+  }
+
+  return sendSequenceStep(cart, state, step, {
+    shop,
+    minutesSinceActivity,
+    variant,
+    decision,
+    overdueSteps,
+    holder: lock.holder
+  });
+}
+
+/**
+ * Loads one page of a shop's carts that may be due a reminder, newest activity first
+ * Filtering happens in Postgres (see abandoned_cart_candidates in supabase_schema.sql), so busy shops
+ * only load carts with a step due and not in a finished sequence
+ * @param {Object} shop - The shop
+ * @param {Object} sequence - The shop's reminder sequence
+ * @param {Object|null} cursor - lastEventAt and id of the previous page's last cart, or null for the first page
+ * @returns {Promise<{ carts: Object[], purchasedCartIds: string[], cursor: Object|null }>} The page's carts
+ *   (see CART_SELECT), carts whose customer ordered since, and the next page's cursor (null after the last page)
+ */
+async function getCandidateCarts(shop, sequence, cursor) {
+  // Carts idle for at least the first step's delay, within the lookback window
+  const cutoffTime = new Date(Date.now() - (sequence.steps[0].delay_minutes * 60 * 1000));
+  const lookbackTime = new Date(Date.now() - (ABANDONED_LOOKBACK_HOURS * 60 * 60 * 1000));
+
+  const { data: candidates, error: candidatesError } = await getSupabase().rpc('abandoned_cart_candidates', {
+    p_shop_id: shop.id,
+    p_sequence_id: sequence.id,
+    p_idle_before: cutoffTime.toISOString(),
+    p_active_since: lookbackTime.toISOString(),
+    p_after_last_event_at: cursor ? cursor.lastEventAt : null,
+    p_after_id: cursor ? cursor.id : null,
+    p_limit: CANDIDATE_PAGE_SIZE
+  });
+
+  if (candidatesError) {
+    throw new Error(`Failed to load candidate carts: ${candidatesError.message}`);
+  }
+
+  if (!candidates || candidates.length === 0) {
+    return { carts: [], purchasedCartIds: [], cursor: null };
+  }
+
+  const purchasedCartIds = candidates.filter(candidate => candidate.purchased).map(candidate => candidate.cart_id);
+  const cartIds = candidates.filter(candidate => !candidate.purchased).map(candidate => candidate.cart_id);
+
+  let carts = [];
+  if (cartIds.length > 0) {
+    const { data: rows, error: cartsError } = await getSupabase()
+      .from('carts')
+      .select(CART_SELECT)
+      .in('id', cartIds);
+
+    if (cartsError) {
+      throw new Error(`Failed to load carts: ${cartsError.message}`);
+    }
+
+    // Keep the candidates' order
+    const cartsById = new Map((rows || []).map(cart => [cart.id, cart]));
+    carts = cartIds.map(id => cartsById.get(id)).filter(Boolean);
+  }
+
+  const last = candidates[candidates.length - 1];
+  return {
+    carts,
+    purchasedCartIds,
+    cursor: candidates.length === CANDIDATE_PAGE_SIZE ? { lastEventAt: last.last_event_at, id: last.cart_id } : null
+  };
+}
+
+/**
+ * Checks one shop's abandoned carts and queues the next due step of their reminder sequence
+ * @param {Object} shop - The shop (see shops.js)
+ * @param {Object} lock - The run's lock (see cron-lock.js); carts are claimed in its holder's name
+ * @returns {Promise<{ processed: number, queued: number }>} How many carts were processed and had a reminder queued
+ */
+async function checkShopCarts(shop, lock) {
+  const counts = { processed: 0, queued: 0 };
+
+  if (!shop.shopUrl) {
+    console.error(`❌ Skipping ${describeShop(shop)} - no storefront URL (set shop_url, or SHOP_URL for the default shop)`);
+    return counts;
+  }
+
+  const sequence = await getActiveSequence(undefined, shop.id);
+  if (!sequence || sequence.steps.length === 0) {
+    console.error(`❌ No active reminder sequence named "${DEFAULT_SEQUENCE_NAME}" with steps for ${describeShop(shop)}`);
+    return counts;
+  }
+
+  // Customers in the shop's running A/B experiment (if any) get their variant's prompt, urgency, template and delay
+  const experiment = await getRunningExperiment(shop.id);
+  if (experiment) {
+    console.log(`🧪 Experiment "${experiment.name}" is running with ${experiment.variants.length} variants`);
+  }
+
+  let cursor = null;
+  let found = 0;
+  do {
+    const page = await getCandidateCarts(shop, sequence, cursor);
+    cursor = page.cursor;
+    found += page.carts.length;
+
+    // Orders usually mark the cart recovered via webhook, this also covers other devices
+    if (page.purchasedCartIds.length > 0) {
+      await stopSequences(page.purchasedCartIds, 'purchased');
+      console.log(`⏭️ Stopped reminders for ${page.purchasedCartIds.length} carts - already purchased`);
+    }
+
+    for (const cart of page.carts) {
+      // Long runs keep the lock; stop if another process has taken it over
+      if (!(await keepLock(lock))) {
+        throw new Error('Lost the abandoned cart check lock');
+      }
 
-    // Process each user's abandoned cart
-    for (const [userId, views] of Object.entries(userGroups)) {
       try {
-        const user = views[0].users;
-        
-        // Skip if no email (anonymous user)
-        if (!user.email) {
-          console.log(`⚠️ Skipping user ${userId} - no email`);
+        const result = await remindCart(cart, { shop, sequence, experiment, lock });
+        if (!result || ['delayed', 'skipped', 'already_claimed'].includes(result.status)) {
           continue;
         }
 
-        // Check if user has made a purchase in the last 30 minutes
-        // This is a simplified check - in production you'd check actual orders
-        const { data: recentOrders, error: ordersError } = await supabase
-          .from('messages_sent')
-          .select('id')
-          .eq('user_id', userId)
-          .eq('message_type', 'sms')
-          .gte('sent_at', cutoffTime.toISOString());
-
-        if (ordersError) {
-          console.error(`❌ Error checking orders for user ${userId}:`, ordersError);
-          continue;
+        counts.processed++;
+        if (result.status === 'queued') {
+          counts.queued++;
         }
+      } catch (error) {
+        console.error(`❌ Error processing cart ${cart.id}:`, error);
+      }
+    }
+  } while (cursor);
 
-        // If user already received a reminder in the last 30 minutes, skip
-        if (recentOrders && recentOrders.length > 0) {
-          console.log(`⏭️ Skipping user ${user.email} - already sent reminder recently`);
-          continue;
-        }
+  if (found === 0) {
+    console.log(`📭 No abandoned carts due a reminder for ${describeShop(shop)}`);
+  } else {
+    console.log(`📊 Checked ${found} abandoned carts for ${describeShop(shop)}`);
+  }
 
-        processedCount++;
-
-        // Generate checkout link
-        const productIds = [...new Set(views.map(v => v.product_id))];
-        const checkoutLink = `${process.env.SHOP_URL}/checkout?products=${productIds.join(',')}&user=${userId}`;
-
-        // Determine urgency based on time since view
-        const oldestView = views.reduce((oldest, view) => 
-          new Date(view.timestamp) < new Date(oldest.timestamp) ? view : oldest
-        );
-        const minutesSinceView = Math.floor((Date.now() - new Date(oldestView.timestamp)) / (1000 * 60));
-        
-        let urgencyLevel = 'low';
-        if (minutesSinceView > 20) urgencyLevel = 'high';
-        else if (minutesSinceView > 15) urgencyLevel = 'medium';
-
-        // Generate AI message
-        const productNames = [...new Set(views.map(v => v.product_name))].join(', ');
-        const message = await generateReminderMessage(
-          user.full_name || user.email.split('@')[0],
-          productNames,
-          urgencyLevel,
-          checkoutLink
-        );
-
-        console.log(`📱 Generated message for ${user.email}:`, message);
-
-        // For testing, we'll log the message instead of sending SMS
-        // In production, you would send the actual SMS here
-        console.log(`📤 [TEST MODE] Would send SMS to ${user.email}: ${message}`);
-
-        // Log the message to messages_sent table
-        const { data: messageRecord, error: messageError } = await supabase
-          .from('messages_sent')
-          .insert({
-            user_id: userId,
-            message_type: 'sms',
-            content: message,
-            sent_at: new Date().toISOString()
-          })
-          .select()
-          .single();
-
-        if (messageError) {
-          console.error(`❌ Error logging message for user ${userId}:`, messageError);
-        } else {
-          sentCount++;
-          console.log(`✅ Message logged for user ${user.email}`);
-        }
+  return counts;
+}
 
-        // Add a small delay to avoid overwhelming the APIs
-        await new Promise(resolve => setTimeout(resolve, 1000));
+/**
+ * Check for abandoned carts and queue the next due step of their reminder sequence
+ * Each shop is checked on its own, so one shop's failure doesn't hold up the others
+ * Runs are skipped while another process (or a slow earlier run) holds the check's lock
+ */
+async function checkAbandonedCarts() {
+  let lock = null;
+  try {
+    lock = await acquireLock(CHECK_LOCK_NAME);
+    if (!lock) {
+      console.log('⏭️ Skipping abandoned cart check - another run is in progress');
+      return;
+    }
 
+    console.log('🕐 Checking for abandoned carts...', new Date().toISOString());
+
+    const shops = await listShops();
+    let processedCount = 0;
+    let queuedCount = 0;
+
+    for (const shop of shops) {
+      // Stop if the lease ran out and another process took over
+      if (!(await renewLock(lock))) {
+        console.error('❌ Lost the abandoned cart check lock, stopping this run');
+        lock = null;
+        break;
+      }
+
+      try {
+        const counts = await checkShopCarts(shop, lock);
+        processedCount += counts.processed;
+        queuedCount += counts.queued;
       } catch (error) {
-        console.error(`❌ Error processing user ${userId}:`, error);
+        console.error(`❌ Error checking abandoned carts for ${describeShop(shop)}:`, error);
       }
     }
 
-    console.log(`🎯 Processed ${processedCount} users, sent ${sentCount} reminders`);
+    console.log(`🎯 Processed ${processedCount} users, queued ${queuedCount} reminders across ${shops.length} shops`);
 
   } catch (error) {
     console.error('❌ Error in abandoned cart check:', error);
+  } finally {
+    if (lock) {
+      await releaseLock(lock).catch(error => console.error('❌ Error releasing abandoned cart check lock:', error));
+    }
   }
 }
 
 /**
- * Send actual SMS (uncomment to enable real SMS sending)
+ * Loads a cart with the columns needed to remind it
+ * @param {string} cartId - The cart's ID
+ * @returns {Promise<Object|null>} The cart, or null if not found (or it has no user)
  */
-async function sendActualSMS(phoneNumber, message) {
-  try {
-    const result = await client.messages.create({
-      body: message,
-      from: fromNumber,
-      to: phoneNumber
-    });
-    console.log('✅ SMS sent:', result.sid);
-    return result;
-  } catch (error) {
-    console.error('❌ SMS sending failed:', error);
+async function loadCart(cartId) {
+  const { data: cart, error } = await getSupabase()
+    .from('carts')
+    .select(CART_SELECT)
+    .eq('id', cartId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw new Error(`Failed to load cart: ${error.message}`);
+  }
+
+  return cart || null;
+}
+
+/**
+ * Finds a cart's next sequence step, starting the sequence if needed
+ * @param {Object} cart - The cart row
+ * @returns {Promise<{ state: Object|null, step: Object|null, reason: string|null }>} reason says why there's no step
+ */
+async function getNextStep(cart) {
+  if (!['active', 'checkout_started'].includes(cart.status)) {
+    return { state: null, step: null, reason: `cart is ${cart.status}` };
+  }
+
+  const sequence = await getActiveSequence(undefined, cart.shop_id);
+  if (!sequence || sequence.steps.length === 0) {
+    return { state: null, step: null, reason: `no active reminder sequence named "${DEFAULT_SEQUENCE_NAME}" with steps` };
+  }
+
+  const state = await getOrCreateSequenceState(cart.id, sequence.id);
+  if (state.status !== 'active') {
+    return { state, step: null, reason: `sequence is ${state.status}` };
+  }
+
+  const step = sequence.steps.find(s => s.step_number > state.current_step);
+  return { state, step: step || null, reason: step ? null : 'no steps left' };
+}
+
+/**
+ * Queues a cart's next sequence step now, without waiting for its delay (used by the admin API)
+ * Consent, quiet hours and the once-per-step claim still apply
+ * @param {string} cartId - The cart's ID
+ * @returns {Promise<{ status: string, reason: string|null, message: Object|null }>} See sendSequenceStep();
+ *   status can also be 'not_found'
+ */
+async function triggerReminder(cartId) {
+  const cart = await loadCart(cartId);
+  if (!cart) {
+    return { status: 'not_found', reason: 'cart not found', message: null };
+  }
+
+  if (!cart.users.email) {
+    return { status: 'skipped', reason: 'customer has no email', message: null };
+  }
+
+  const shop = await getShop(cart.shop_id);
+  if (!shop) {
+    return { status: 'skipped', reason: 'shop is inactive', message: null };
+  }
+
+  const { state, step, reason } = await getNextStep(cart);
+  if (!step) {
+    return { status: 'skipped', reason, message: null };
+  }
+
+  const experiment = await getRunningExperiment(shop.id);
+  const variant = experiment ? await assignVariant(experiment, cart.user_id) : null;
+  const minutesSinceActivity = Math.floor((Date.now() - new Date(cart.last_event_at)) / (1000 * 60));
+
+  console.log(`👆 Triggering step ${step.step_number} for cart ${cart.id}`);
+  return sendSequenceStep(cart, state, step, { shop, minutesSinceActivity, variant });
+}
+
+/**
+ * Generates the reminder a cart's next step would send, without sending or recording anything
+ * The preview links to a plain cart permalink, as a real checkout link is only created when sending
+ * @param {string} cartId - The cart's ID
+ * @param {Object} options - Optional channel and urgencyLevel to use instead of the step's
+ * @returns {Promise<Object|null>} channel, urgencyLevel, step_number, message or email, and fallbackReason;
+ *   null if the cart wasn't found
+ */
+async function previewReminder(cartId, options = {}) {
+  const cart = await loadCart(cartId);
+  if (!cart) {
+    return null;
+  }
+
+  const shop = await getShop(cart.shop_id);
+  if (!shop) {
+    const error = new Error('Cart belongs to an inactive shop');
+    error.code = 'NO_STEP';
+    throw error;
+  }
+
+  const { step, reason } = await getNextStep(cart);
+  if (!step) {
+    const error = new Error(`Cart has no step to preview: ${reason}`);
+    error.code = 'NO_STEP';
     throw error;
   }
+
+  const channel = options.channel || step.channel;
+  const minutesSinceActivity = Math.floor((Date.now() - new Date(cart.last_event_at)) / (1000 * 60));
+  const urgencyLevel = options.urgencyLevel || step.urgency_level || getUrgencyLevel(minutesSinceActivity, cart);
+  const checkoutLink = buildCartPermalink(cart.cart_items || [], { shopUrl: shop.shopUrl, discountCode: step.discount_code });
+
+  const generated = await generateStepReminder(channel, cart, step, { shop, urgencyLevel, checkoutLink });
+  return {
+    step_number: step.step_number,
+    channel,
+    urgency_level: urgencyLevel,
+    ...generated
+  };
 }
 
 /**
@@ -190,13 +800,22 @@ async function sendActualSMS(phoneNumber, message) {
 function startCronJob() {
   console.log('🚀 Starting abandoned cart cron job...');
   console.log('⏰ Will check every 10 minutes for abandoned carts');
-  console.log('📱 SMS sending is in TEST MODE (messages logged but not sent)');
+  if (DRY_RUN) {
+    console.log('📱 SMS and email sending is in DRY_RUN mode (messages logged but not sent)');
+  } else {
+    console.log('📱 SMS and email sending is LIVE (set DRY_RUN=true to only log messages)');
+  }
   
   // Run every 10 minutes
   cron.schedule('*/10 * * * *', checkAbandonedCarts);
   
   // Also run immediately on startup
   checkAbandonedCarts();
+
+  // Deliver the queued reminders in this process too, unless workers run separately (npm run worker)
+  if (process.env.RUN_QUEUE_WORKER !== 'false') {
+    startWorker();
+  }
 }
 
 /**
@@ -210,7 +829,8 @@ async function testAbandonedCartCheck() {
 // Export functions for testing
 module.exports = {
   checkAbandonedCarts,
-  sendActualSMS,
+  triggerReminder,
+  previewReminder,
   startCronJob,
   testAbandonedCartCheck
 };
@@ -219,14 +839,22 @@ module.exports = {
 if (require.main === module) {
   // Check required environment variables
   const requiredEnvVars = [
-    'OPENAI_API_KEY',
+    ...getProviderEnvVars(),
     'NEXT_PUBLIC_SUPABASE_URL', 
     'SUPABASE_SERVICE_ROLE_KEY',
-    'TWILIO_ACCOUNT_SID',
-    'TWILIO_AUTH_TOKEN',
-    'TWILIO_PHONE_NUMBER',
-    'SHOP_URL'
+    'LINK_SIGNING_SECRET'
   ];
+
+  // Checkout links are served by the backend in track-view-endpoint.js
+  if (!process.env.LINK_BASE_URL && !process.env.PUBLIC_BASE_URL) {
+    requiredEnvVars.push('PUBLIC_BASE_URL');
+  }
+
+  // SMTP is only needed when messages are actually sent
+  // SHOP_URL, Twilio credentials and EMAIL_FROM can be set per shop instead (see shops.js), so they're checked per send
+  if (!DRY_RUN) {
+    requiredEnvVars.push('SMTP_HOST');
+  }
   
   const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
   
@@ -0,0 +1,605 @@
+// Admin REST API
+// Authenticated routes to browse abandoned carts, preview, trigger or cancel reminders,
+// read a customer's message history, manage reminder sequences and templates, and retry dead message jobs
+// Mounted at /api/admin by track-view-endpoint.js; every request needs "Authorization: Bearer <ADMIN_API_KEY>"
+
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const { getSupabase } = require('./supabase-client');
+const { triggerReminder, previewReminder } = require('./abandoned-cart-cron');
+const { stopSequences } = require('./reminder-sequences');
+const { revokeCartLinks } = require('./checkout-links');
+const { validateTemplate, renderTemplate } = require('./message-templates');
+const { countSegments } = require('./sms-validator');
+const { getDefaultShop } = require('./shops');
+const { retryDeadJob } = require('./message-queue');
+
+// Page size for list routes, unless ?limit= asks for fewer
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const URGENCY_LEVELS = ['low', 'medium', 'high'];
+const CHANNELS = ['sms', 'email'];
+const JOB_STATUSES = ['pending', 'processing', 'sent', 'dead'];
+
+/**
+ * Checks the request's bearer token against ADMIN_API_KEY
+ * The API is disabled (503) while ADMIN_API_KEY isn't set
+ */
+function requireAdminKey(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(503).json({ error: 'Admin API is disabled: ADMIN_API_KEY is not set' });
+  }
+
+  const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+  // Hashing first gives timingSafeEqual buffers of equal length
+  const hash = value => crypto.createHash('sha256').update(value).digest();
+  if (!match || !crypto.timingSafeEqual(hash(match[1]), hash(adminKey))) {
+    return res.status(401).json({ error: 'Invalid or missing admin API key' });
+  }
+
+  next();
+}
+
+/**
+ * Reads ?limit= and ?offset= from a request
+ * @param {Object} query - req.query
+ * @returns {{ limit: number, offset: number }} Clamped page size and offset
+ */
+function getPagination(query) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+  return { limit, offset };
+}
+
+/**
+ * Escapes LIKE wildcards in a search term
+ * @param {string} term - User-supplied search text
+ * @returns {string} The pattern for a contains search
+ */
+function toContainsPattern(term) {
+  return `%${String(term).replace(/[\\%_]/g, char => `\\${char}`)}%`;
+}
+
+/**
+ * Checks the fields of a sequence step
+ * @param {Object} step - delay_minutes, channel, urgency_level, discount_code and template
+ * @returns {string[]} Problems, empty if the step is valid
+ */
+function validateStep(step) {
+  const problems = [];
+
+  if (!Number.isInteger(step.delay_minutes) || step.delay_minutes < 0) {
+    problems.push('delay_minutes must be a non-negative integer');
+  }
+  if (!CHANNELS.includes(step.channel)) {
+    problems.push(`channel must be one of ${CHANNELS.join(', ')}`);
+  }
+  if (step.urgency_level !== null && step.urgency_level !== undefined && !URGENCY_LEVELS.includes(step.urgency_level)) {
+    problems.push(`urgency_level must be one of ${URGENCY_LEVELS.join(', ')}`);
+  }
+  if (step.template) {
+    problems.push(...validateTemplate(step.template));
+  }
+
+  return problems;
+}
+
+// List and search abandoned carts (GET /carts?status=active,checkout_started&email=&idle_minutes=&shop_id=&limit=&offset=)
+const listCartsHandler = async (req, res) => {
+  try {
+    const { limit, offset } = getPagination(req.query);
+    const statuses = (req.query.status || 'active,checkout_started').split(',').map(status => status.trim());
+
+    let query = getSupabase()
+      .from('carts')
+      .select(`
+        id,
+        shop_id,
+        cart_token,
+        status,
+        item_count,
+        total_price,
+        currency,
+        last_event_at,
+        users!inner(id, email, full_name, phone),
+        cart_items(product_name, variant_id, quantity),
+        cart_sequence_state(current_step, skipped_steps, status, stop_reason, last_step_at)
+      `, { count: 'exact' })
+      .in('status', statuses)
+      .order('last_event_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (req.query.email) {
+      query = query.ilike('users.email', toContainsPattern(req.query.email));
+    }
+
+    if (req.query.shop_id) {
+      query = query.eq('shop_id', req.query.shop_id);
+    }
+
+    const idleMinutes = parseInt(req.query.idle_minutes, 10);
+    if (idleMinutes > 0) {
+      query = query.lte('last_event_at', new Date(Date.now() - idleMinutes * 60 * 1000).toISOString());
+    }
+
+    const { data: carts, count, error } = await query;
+
+    if (error) {
+      console.error('Error listing carts:', error);
+      return res.status(500).json({ error: 'Failed to list carts', details: error.message });
+    }
+
+    return res.status(200).json({ success: true, data: carts, total: count, limit, offset });
+
+  } catch (error) {
+    console.error('Error in admin list-carts handler:', error);
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+};
+
+// Preview the reminder a cart's next step would send (POST /carts/:id/preview { channel, urgency_level })
+const previewCartHandler = async (req, res) => {
+  try {
+    const { channel, urgency_level } = req.body || {};
+
+    if (channel && !CHANNELS.includes(channel)) {
+      return res.status(400).json({ error: `channel must be one of ${CHANNELS.join(', ')}` });
+    }
+    if (urgency_level && !URGENCY_LEVELS.includes(urgency_level)) {
+      return res.status(400).json({ error: `urgency_level must be one of ${URGENCY_LEVELS.join(', ')}` });
+    }
+
+    const preview = await previewReminder(req.params.id, { channel, urgencyLevel: urgency_level });
+    if (!preview) {
+      return res.status(404).json({ error: 'Cart not found' });
+    }
+
+    if (preview.message) {
+      preview.segments = countSegments(preview.message).segments;
+    }
+
+    return res.status(200).json({ success: true, data: preview });
+
+  } catch (error) {
+    if (error.code === 'NO_STEP') {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Error in admin preview handler:', error);
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+};
+
+// Queue a cart's next reminder now (POST /carts/:id/remind)
+const remindCartHandler = async (req, res) => {
+  try {
+    const result = await triggerReminder(req.params.id);
+
+    if (result.status === 'not_found') {
+      return res.status(404).json({ error: 'Cart not found' });
+    }
+
+    if (['delayed', 'skipped', 'already_claimed'].includes(result.status)) {
+      return res.status(409).json({ error: `Reminder not sent: ${result.reason}`, status: result.status });
+    }
+
+    if (result.status === 'not_logged') {
+      return res.status(500).json({ error: 'Reminder could not be recorded, so it was not queued', details: result.reason });
+    }
+
+    return res.status(200).json({
+      success: result.status === 'queued',
+      status: result.status,
+      reason: result.reason,
+      data: result.message
+    });
+
+  } catch (error) {
+    console.error('Error in admin remind handler:', error);
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+};
+
+// Stop a cart's reminders and disable its checkout links (POST /carts/:id/cancel)
+const cancelCartHandler = async (req, res) => {
+  try {
+    const sequencesStopped = await stopSequences([req.params.id], 'canceled');
+    const linksRevoked = await revokeCartLinks([req.params.id], 'canceled');
+
+    console.log(`🛑 Reminders canceled for cart ${req.params.id}`);
+    return res.status(200).json({
+      success: true,
+      sequences_stopped: sequencesStopped,
+      links_revoked: linksRevoked
+    });
+
+  } catch (error) {
+    console.error('Error in admin cancel handler:', error);
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+};
+
+// Search customers by email (GET /customers?email=&shop_id=&limit=&offset=)
+const listCustomersHandler = async (req, res) => {
+  try {
+    const { limit, offset } = getPagination(req.query);
+
+    let query = getSupabase()
+      .from('users')
+      .select('id, shop_id, email, full_name, phone, timezone, created_at', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (req.query.email) {
+      query = query.ilike('email', toContainsPattern(req.query.email));
+    }
+
+    if (req.query.shop_id) {
+      query = query.eq('shop_id', req.query.shop_id);
+    }
+
+    const { data: customers, count, error } = await query;
+
+    if (error) {
+      console.error('Error listing customers:', error);
+      return res.status(500).json({ error: 'Failed to list customers', details: error.message });
+    }
+
+    return res.status(200).json({ success: true, data: customers, total: count, limit, offset });
+
+  } catch (error) {
+    console.error('Error in admin list-customers handler:', error);
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+};
+
+// A customer's message history, newest first (GET /customers/:id/messages?limit=&offset=)
+const customerMessagesHandler = async (req, res) => {
+  try {
+    const { limit, offset } = getPagination(req.query);
+
+    const { data: messages, count, error } = await getSupabase()
+      .from('messages_sent')
+      .select(`
+        id,
+        cart_id,
+        message_type,
+        subject,
+        content,
+        recipient,
+        delivery_status,
+        error_message,
+        urgency_level,
+        variant,
+        fallback_reason,
+        sent_at,
+        clicked_at,
+        converted_at,
+        recovered_revenue
+      `, { count: 'exact' })
+      .eq('user_id', req.params.id)
+      .order('sent_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      console.error('Error loading customer messages:', error);
+      return res.status(500).json({ error: 'Failed to load messages', details: error.message });
+    }
+
+    return res.status(200).json({ success: true, data: messages, total: count, limit, offset });
+
+  } catch (error) {
+    console.error('Error in admin customer-messages handler:', error);
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+};
+
+// List reminder sequences with their steps (GET /sequences?shop_id=)
+const listSequencesHandler = async (req, res) => {
+  try {
+    let query = getSupabase()
+      .from('reminder_sequences')
+      .select(`
+        id,
+        shop_id,
+        name,
+        is_active,
+        created_at,
+        updated_at,
+        reminder_sequence_steps(id, step_number, delay_minutes, channel, urgency_level, discount_code, template)
+      `)
+      .order('name', { ascending: true });
+
+    if (req.query.shop_id) {
+      query = query.eq('shop_id', req.query.shop_id);
+    }
+
+    const { data: sequences, error } = await query;
+
+    if (error) {
+      console.error('Error listing sequences:', error);
+      return res.status(500).json({ error: 'Failed to list sequences', details: error.message });
+    }
+
+    const data = (sequences || []).map(({ reminder_sequence_steps, ...sequence }) => ({
+      ...sequence,
+      steps: (reminder_sequence_steps || []).slice().sort((a, b) => a.step_number - b.step_number)
+    }));
+
+    return res.status(200).json({ success: true, data });
+
+  } catch (error) {
+    console.error('Error in admin list-sequences handler:', error);
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+};
+
+// Create a sequence (POST /sequences { name, is_active, shop_id })
+// Sequences without a shop_id are shared by shops that don't have their own
+const createSequenceHandler = async (req, res) => {
+  try {
+    const { name, is_active, shop_id } = req.body || {};
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    const { data: sequence, error } = await getSupabase()
+      .from('reminder_sequences')
+      .insert({ name: name.trim(), is_active: is_active !== false, shop_id: shop_id || null })
+      .select()
+      .single();
+
+    if (error) {
+      // 23505: unique_violation
+      const status = error.code === '23505' ? 409 : 500;
+      return res.status(status).json({ error: 'Failed to create sequence', details: error.message });
+    }
+
+    return res.status(201).json({ success: true, data: sequence });
+
+  } catch (error) {
+    console.error('Error in admin create-sequence handler:', error);
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+};
+
+// Rename, enable or disable a sequence (PATCH /sequences/:id { name, is_active })
+const updateSequenceHandler = async (req, res) => {
+  try {
+    const { name, is_active } = req.body || {};
+    const updates = {};
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'name must be a non-empty string' });
+      }
+      updates.name = name.trim();
+    }
+    if (is_active !== undefined) {
+      if (typeof is_active !== 'boolean') {
+        return res.status(400).json({ error: 'is_active must be a boolean' });
+      }
+      updates.is_active = is_active;
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update: send name and/or is_active' });
+    }
+
+    const { data: sequence, error } = await getSupabase()
+      .from('reminder_sequences')
+      .update(updates)
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (error && error.code === 'PGRST116') {
+      return res.status(404).json({ error: 'Sequence not found' });
+    }
+    if (error) {
+      const status = error.code === '23505' ? 409 : 500;
+      return res.status(status).json({ error: 'Failed to update sequence', details: error.message });
+    }
+
+    return res.status(200).json({ success: true, data: sequence });
+
+  } catch (error) {
+    console.error('Error in admin update-sequence handler:', error);
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+};
+
+// Create or replace a step and its template (PUT /sequences/:id/steps/:stepNumber)
+const saveStepHandler = async (req, res) => {
+  try {
+    const stepNumber = parseInt(req.params.stepNumber, 10);
+    if (!(stepNumber > 0)) {
+      return res.status(400).json({ error: 'stepNumber must be a positive integer' });
+    }
+
+    const body = req.body || {};
+    const step = {
+      sequence_id: req.params.id,
+      step_number: stepNumber,
+      delay_minutes: body.delay_minutes,
+      channel: body.channel,
+      urgency_level: body.urgency_level || null,
+      discount_code: body.discount_code || null,
+      template: body.template || null
+    };
+
+    const problems = validateStep(step);
+    if (problems.length > 0) {
+      return res.status(400).json({ error: 'Invalid step', problems });
+    }
+
+    const { data: savedStep, error } = await getSupabase()
+      .from('reminder_sequence_steps')
+      .upsert(step, { onConflict: 'sequence_id,step_number' })
+      .select()
+      .single();
+
+    if (error) {
+      // 23503: foreign_key_violation, the sequence doesn't exist
+      if (error.code === '23503') {
+        return res.status(404).json({ error: 'Sequence not found' });
+      }
+      return res.status(500).json({ error: 'Failed to save step', details: error.message });
+    }
+
+    console.log(`✏️ Saved step ${stepNumber} of sequence ${req.params.id}`);
+    return res.status(200).json({ success: true, data: savedStep });
+
+  } catch (error) {
+    console.error('Error in admin save-step handler:', error);
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+};
+
+// Remove a step (DELETE /sequences/:id/steps/:stepNumber)
+const deleteStepHandler = async (req, res) => {
+  try {
+    const { data: deleted, error } = await getSupabase()
+      .from('reminder_sequence_steps')
+      .delete()
+      .eq('sequence_id', req.params.id)
+      .eq('step_number', parseInt(req.params.stepNumber, 10))
+      .select('id');
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to delete step', details: error.message });
+    }
+
+    if (!deleted || deleted.length === 0) {
+      return res.status(404).json({ error: 'Step not found' });
+    }
+
+    return res.status(200).json({ success: true });
+
+  } catch (error) {
+    console.error('Error in admin delete-step handler:', error);
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+};
+
+// Check and render a template before saving it (POST /templates/preview { template, name, product, price, link, discount })
+const previewTemplateHandler = async (req, res) => {
+  try {
+    const { template, name, product, price, link, discount } = req.body || {};
+
+    const problems = validateTemplate(template);
+    if (problems.length > 0) {
+      return res.status(400).json({ error: 'Invalid template', problems });
+    }
+
+    const message = renderTemplate(template, {
+      name: name || 'Sarah',
+      product: product || 'Wireless Headphones',
+      price: price || '$79.99',
+      link: link || `${getDefaultShop().shopUrl || 'https://your-store.myshopify.com'}/cart`,
+      discount
+    });
+    const { encoding, segments } = countSegments(message);
+
+    return res.status(200).json({ success: true, data: { message, encoding, segments } });
+
+  } catch (error) {
+    console.error('Error in admin template-preview handler:', error);
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+};
+
+// List message jobs, e.g. the dead letters (GET /jobs?status=dead&shop_id=&limit=&offset=)
+const listJobsHandler = async (req, res) => {
+  try {
+    const { limit, offset } = getPagination(req.query);
+    const statuses = (req.query.status || 'dead').split(',').map(status => status.trim());
+
+    const invalid = statuses.filter(status => !JOB_STATUSES.includes(status));
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: `status must be one of ${JOB_STATUSES.join(', ')}` });
+    }
+
+    let query = getSupabase()
+      .from('message_jobs')
+      .select(`
+        id,
+        shop_id,
+        message_id,
+        idempotency_key,
+        channel,
+        provider,
+        status,
+        attempts,
+        max_attempts,
+        run_at,
+        last_error,
+        completed_at,
+        created_at,
+        updated_at
+      `, { count: 'exact' })
+      .in('status', statuses)
+      .order('updated_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (req.query.shop_id) {
+      query = query.eq('shop_id', req.query.shop_id);
+    }
+
+    const { data: jobs, count, error } = await query;
+
+    if (error) {
+      console.error('Error listing message jobs:', error);
+      return res.status(500).json({ error: 'Failed to list message jobs', details: error.message });
+    }
+
+    return res.status(200).json({ success: true, data: jobs, total: count, limit, offset });
+
+  } catch (error) {
+    console.error('Error in admin list-jobs handler:', error);
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+};
+
+// Put a dead message job back in the queue (POST /jobs/:id/retry)
+const retryJobHandler = async (req, res) => {
+  try {
+    const job = await retryDeadJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Dead job not found' });
+    }
+
+    console.log(`🔁 Message job ${job.id} requeued`);
+    return res.status(200).json({ success: true, data: job });
+
+  } catch (error) {
+    console.error('Error in admin retry-job handler:', error);
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+};
+
+const adminRouter = express.Router();
+adminRouter.use(requireAdminKey);
+
+adminRouter.get('/carts', listCartsHandler);
+adminRouter.post('/carts/:id/preview', previewCartHandler);
+adminRouter.post('/carts/:id/remind', remindCartHandler);
+adminRouter.post('/carts/:id/cancel', cancelCartHandler);
+adminRouter.get('/customers', listCustomersHandler);
+adminRouter.get('/customers/:id/messages', customerMessagesHandler);
+adminRouter.get('/sequences', listSequencesHandler);
+adminRouter.post('/sequences', createSequenceHandler);
+adminRouter.patch('/sequences/:id', updateSequenceHandler);
+adminRouter.put('/sequences/:id/steps/:stepNumber', saveStepHandler);
+adminRouter.delete('/sequences/:id/steps/:stepNumber', deleteStepHandler);
+adminRouter.post('/templates/preview', previewTemplateHandler);
+adminRouter.get('/jobs', listJobsHandler);
+adminRouter.post('/jobs/:id/retry', retryJobHandler);
+
+module.exports = {
+  adminRouter,
+  requireAdminKey
+}; 
\ No newline at end of file
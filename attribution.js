@@ -0,0 +1,222 @@
+// Reminder attribution
+// Records clicks on reminder links and credits orders (and their revenue) to the reminder that recovered them
+
+require('dotenv').config();
+const { getSupabase } = require('./supabase-client');
+const { recordReward } = require('./urgency-bandit');
+
+// Orders placed more than this many hours after a reminder aren't credited to it
+const ATTRIBUTION_WINDOW_HOURS = parseInt(process.env.ATTRIBUTION_WINDOW_HOURS || '72', 10);
+
+// Messages that never reached the customer, or are still waiting to be sent, can't recover anything
+const UNDELIVERED_STATUSES = ['queued', 'scheduled', 'dry_run', 'failed', 'undelivered', 'canceled'];
+
+/**
+ * Marks a message as clicked (the first click is kept)
+ * @param {string|null} messageId - The messages_sent ID the link was sent in
+ * @param {string} clickedAt - ISO timestamp of the click
+ */
+async function recordMessageClick(messageId, clickedAt = new Date().toISOString()) {
+  if (!messageId) {
+    return;
+  }
+
+  const { error } = await getSupabase()
+    .from('messages_sent')
+    .update({ clicked_at: clickedAt })
+    .eq('id', messageId)
+    .is('clicked_at', null);
+
+  if (error) {
+    throw new Error(`Failed to record message click: ${error.message}`);
+  }
+}
+
+/**
+ * Finds the message sent with a checkout link token
+ * @param {string} token - Link token carried on the order
+ * @returns {Promise<string|null>} The messages_sent ID, or null
+ */
+async function findMessageIdByLinkToken(token) {
+  const { data: link, error } = await getSupabase()
+    .from('checkout_links')
+    .select('message_id')
+    .eq('token', token)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw new Error(`Failed to load checkout link: ${error.message}`);
+  }
+
+  return link ? link.message_id : null;
+}
+
+/**
+ * Finds the message sent with a checkout link token, if it can be credited with the order
+ * @param {string} token - Link token carried on the order
+ * @param {Date} windowStart - Start of the attribution window
+ * @param {Date} orderedAt - When the order was placed
+ * @returns {Promise<string|null>} The messages_sent ID, or null
+ */
+async function findLinkedMessageId(token, windowStart, orderedAt) {
+  const messageId = await findMessageIdByLinkToken(token);
+  if (!messageId) {
+    return null;
+  }
+
+  const { data: message, error } = await getSupabase()
+    .from('messages_sent')
+    .select('id, sent_at, delivery_status')
+    .eq('id', messageId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw new Error(`Failed to load linked message: ${error.message}`);
+  }
+
+  if (!message || UNDELIVERED_STATUSES.includes(message.delivery_status)) {
+    return null;
+  }
+
+  const sentAt = new Date(message.sent_at);
+  return sentAt >= windowStart && sentAt <= orderedAt ? message.id : null;
+}
+
+/**
+ * Picks the reminder that gets credit for an order (last touch)
+ * The checkout link the order came through wins if its reminder was delivered in the window,
+ * then the last clicked reminder in the window, then the last reminder delivered in the window
+ * @param {Object} details - orderedAt, cartIds, userId and optional linkToken
+ * @returns {Promise<{ messageId: string, type: string }|null>} type is 'link', 'click' or 'view'
+ */
+async function findAttributedMessage(details) {
+  const orderedAt = new Date(details.orderedAt);
+  const windowStart = new Date(orderedAt.getTime() - ATTRIBUTION_WINDOW_HOURS * 60 * 60 * 1000);
+
+  // An old or undelivered link's message falls through to the other rules like any other
+  if (details.linkToken) {
+    const messageId = await findLinkedMessageId(details.linkToken, windowStart, orderedAt);
+    if (messageId) {
+      return { messageId, type: 'link' };
+    }
+  }
+
+  let query = getSupabase()
+    .from('messages_sent')
+    .select('id, sent_at, clicked_at, delivery_status')
+    .gte('sent_at', windowStart.toISOString())
+    .lte('sent_at', details.orderedAt)
+    .order('sent_at', { ascending: false });
+
+  if (details.cartIds && details.cartIds.length > 0) {
+    query = query.in('cart_id', details.cartIds);
+  } else if (details.userId) {
+    query = query.eq('user_id', details.userId);
+  } else {
+    return null;
+  }
+
+  const { data: messages, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to load messages for attribution: ${error.message}`);
+  }
+
+  const delivered = (messages || []).filter(message => !UNDELIVERED_STATUSES.includes(message.delivery_status));
+
+  const clicked = delivered.find(message => message.clicked_at && new Date(message.clicked_at) <= orderedAt);
+  if (clicked) {
+    return { messageId: clicked.id, type: 'click' };
+  }
+
+  if (delivered.length > 0) {
+    return { messageId: delivered[0].id, type: 'view' };
+  }
+
+  return null;
+}
+
+/**
+ * Recalculates a message's recovered revenue from the orders credited to it
+ * Recomputing (rather than adding) keeps Shopify's webhook retries from double counting
+ * @param {string} messageId - The messages_sent ID
+ */
+async function updateRecoveredRevenue(messageId) {
+  const { data: orders, error: ordersError } = await getSupabase()
+    .from('orders')
+    .select('total_price, ordered_at')
+    .eq('attributed_message_id', messageId);
+
+  if (ordersError) {
+    throw new Error(`Failed to load attributed orders: ${ordersError.message}`);
+  }
+
+  const revenue = (orders || []).reduce((sum, order) => sum + (Number(order.total_price) || 0), 0);
+  const firstOrderAt = (orders || [])
+    .map(order => order.ordered_at)
+    .sort()[0] || null;
+
+  const { error: updateError } = await getSupabase()
+    .from('messages_sent')
+    .update({
+      recovered_revenue: Math.round(revenue * 100) / 100,
+      converted_at: firstOrderAt
+    })
+    .eq('id', messageId);
+
+  if (updateError) {
+    throw new Error(`Failed to update recovered revenue: ${updateError.message}`);
+  }
+
+  // A conversion is the reward for the urgency bandit's choice, if it made one
+  await recordReward(messageId, Boolean(firstOrderAt));
+}
+
+/**
+ * Credits an order to the reminder that recovered it
+ * @param {Object} order - The orders row (id, ordered_at, and attributed_message_id if it was credited before)
+ * @param {Object} details - cartIds and userId of the purchase, and linkToken if the order carried one
+ * @returns {Promise<{ messageId: string, type: string }|null>} The attribution, or null if no reminder qualifies
+ */
+async function attributeOrder(order, details = {}) {
+  const previousMessageId = order.attributed_message_id || null;
+  const attribution = await findAttributedMessage({
+    orderedAt: order.ordered_at,
+    cartIds: details.cartIds,
+    userId: details.userId,
+    linkToken: details.linkToken
+  });
+
+  if (!attribution) {
+    return null;
+  }
+
+  const { error } = await getSupabase()
+    .from('orders')
+    .update({
+      attributed_message_id: attribution.messageId,
+      attribution_type: attribution.type
+    })
+    .eq('id', order.id);
+
+  if (error) {
+    throw new Error(`Failed to attribute order: ${error.message}`);
+  }
+
+  await updateRecoveredRevenue(attribution.messageId);
+
+  // A retried webhook can move the credit to a newer reminder
+  if (previousMessageId && previousMessageId !== attribution.messageId) {
+    await updateRecoveredRevenue(previousMessageId);
+  }
+
+  console.log(`💰 Order ${order.id} attributed to message ${attribution.messageId} (${attribution.type})`);
+  return attribution;
+}
+
+module.exports = {
+  ATTRIBUTION_WINDOW_HOURS,
+  recordMessageClick,
+  findAttributedMessage,
+  attributeOrder
+}; 
\ No newline at end of file
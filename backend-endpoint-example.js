@@ -4,22 +4,30 @@
 const express = require('express');
 const { createClient } = require('@supabase/supabase-js');
 const cors = require('cors');
+const { requireShopKey, trackingCorsOptions } = require('./shop-auth');
+const { scopeToShop } = require('./shops');
+const { isValidAnonymousId, resolveVisitor } = require('./visitor-identity');
+const { enrichProduct, normalizeViewDetails } = require('./product-catalog');
 
 const app = express();
 
 // Middleware
-app.use(cors());
 app.use(express.json());
 
+// Only origins allowed by a shop get CORS headers, and tracking requests need the shop's publishable key
+const trackingCors = cors(trackingCorsOptions);
+app.options('/api/track-product-view', trackingCors);
+
 // Initialize Supabase client
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
 const supabase = createClient(supabaseUrl, supabaseKey);
 
 // Product view tracking endpoint
-app.post('/api/track-product-view', async (req, res) => {
+app.post('/api/track-product-view', trackingCors, requireShopKey, async (req, res) => {
     try {
-        const { user_email, product_id, product_name, timestamp, page_url, referrer, user_agent } = req.body;
+        const { user_email, anonymous_id, product_id, product_name, timestamp, page_url, referrer, user_agent } = req.body;
+        const shopId = req.shop.id; // Set by requireShopKey (null for the environment's store)
         
         // Validate required fields
         if (!product_id || !product_name) {
@@ -28,14 +36,28 @@ app.post('/api/track-product-view', async (req, res) => {
             });
         }
         
+        // Anonymous visitors are tracked by the ID the storefront script gives them
+        const anonymousId = isValidAnonymousId(anonymous_id) ? anonymous_id : null;
+        if (!user_email && !anonymousId) {
+            return res.status(400).json({
+                error: 'Missing visitor: user_email or a valid anonymous_id is required'
+            });
+        }
+        
+        // Selected variant, price, currency and image, if the storefront sent them
+        const { details: viewDetails, error: detailsError } = normalizeViewDetails(req.body);
+        if (detailsError) {
+            return res.status(400).json({ error: detailsError });
+        }
+        
         // Get or create user record
         let userId = null;
         if (user_email) {
             // Try to find existing user
-            const { data: existingUser } = await supabase
+            const { data: existingUser } = await scopeToShop(supabase
                 .from('users')
                 .select('id')
-                .eq('email', user_email)
+                .eq('email', user_email), shopId)
                 .single();
             
             if (existingUser) {
@@ -45,6 +67,7 @@ app.post('/api/track-product-view', async (req, res) => {
                 const { data: newUser, error: userError } = await supabase
                     .from('users')
                     .insert({
+                        shop_id: shopId,
                         email: user_email,
                         full_name: null // You can extract from email or leave null
                     })
@@ -59,6 +82,9 @@ app.post('/api/track-product-view', async (req, res) => {
             }
         }
         
+        // Link the visitor's anonymous views and carts to the customer once we know who they are
+        userId = await resolveVisitor({ userId, anonymousId, shopId });
+        
         // Get or create product record
         let productRecord = null;
         const { data: existingProduct } = await supabase
@@ -73,9 +99,12 @@ app.post('/api/track-product-view', async (req, res) => {
                 .from('products')
                 .insert({
                     id: product_id,
+                    shop_id: shopId,
                     name: product_name,
                     description: null,
-                    price: null,
+                    price: viewDetails.price,
+                    currency: viewDetails.currency,
+                    image_url: viewDetails.image_url,
                     category: null
                 })
                 .select('id')
@@ -90,13 +119,19 @@ app.post('/api/track-product-view', async (req, res) => {
             productRecord = existingProduct;
         }
         
+        // Look up the product's variants, inventory and collections in Shopify in the background
+        enrichProduct(product_id, shopId);
+        
         // Insert product view record
         const { data: viewRecord, error: viewError } = await supabase
             .from('products_viewed')
             .insert({
+                shop_id: shopId,
                 user_id: userId,
+                anonymous_id: anonymousId,
                 product_id: product_id,
                 product_name: product_name,
+                ...viewDetails,
                 timestamp: timestamp || new Date().toISOString()
             })
             .select()
@@ -0,0 +1,351 @@
+// Express handler for storefront cart events
+// Receives add_to_cart, cart_updated and checkout_started events and stores them in carts/cart_items
+
+const { getSupabase } = require('./supabase-client');
+const { normalizePhoneNumber } = require('./phone-utils');
+const { scopeToShop } = require('./shops');
+const { isValidImageUrl } = require('./product-catalog');
+const { isValidAnonymousId, resolveVisitor } = require('./visitor-identity');
+
+// Event types sent by the storefront script
+const CART_EVENT_TYPES = ['add_to_cart', 'cart_updated', 'checkout_started'];
+
+/**
+ * Validates and normalizes the cart items sent by the storefront
+ * @param {Array} items - Items from Shopify's /cart.js response, as forwarded by the tracker
+ * @returns {{ items: Array|null, error: string|null }} Normalized items or a validation error
+ */
+function normalizeCartItems(items) {
+  if (!Array.isArray(items)) {
+    return { items: null, error: 'Invalid items: must be an array' };
+  }
+
+  const normalized = [];
+  for (const item of items) {
+    if (!item || !item.product_id || !item.product_name) {
+      return { items: null, error: 'Invalid items: each item requires product_id and product_name' };
+    }
+
+    const quantity = parseInt(item.quantity, 10);
+    if (isNaN(quantity) || quantity < 1) {
+      return { items: null, error: 'Invalid items: quantity must be a positive integer' };
+    }
+
+    const price = item.price !== undefined && item.price !== null ? Number(item.price) : null;
+    if (price !== null && isNaN(price)) {
+      return { items: null, error: 'Invalid items: price must be a number' };
+    }
+
+    normalized.push({
+      product_id: String(item.product_id),
+      variant_id: item.variant_id ? String(item.variant_id) : null,
+      product_name: String(item.product_name),
+      variant_title: item.variant_title || null,
+      quantity,
+      price,
+      // Only used to illustrate reminders, so an unusable image is dropped rather than failing the event
+      image_url: isValidImageUrl(item.image_url) ? item.image_url : null
+    });
+  }
+
+  return { items: normalized, error: null };
+}
+
+/**
+ * Finds or creates the user record for an email address in a shop
+ * @param {string} userEmail - Customer's email
+ * @param {string|null} userPhone - Customer's phone in E.164 format, stored if the user has none
+ * @param {string|null} userTimezone - Customer's IANA timezone, stored if the user has none
+ * @param {string|null} shopId - The shop the customer is shopping at
+ * @param {Object} options - replacePhone: true to store userPhone even if the user has another one
+ *   (e.g. the customer just consented to texts at that number)
+ * @returns {Promise<string|null>} The user's ID, or null if it could not be resolved
+ */
+async function getOrCreateUserId(userEmail, userPhone = null, userTimezone = null, shopId = null, options = {}) {
+  try {
+    const { data: existingUser, error: userQueryError } = await scopeToShop(getSupabase()
+      .from('users')
+      .select('id, phone, timezone')
+      .eq('email', userEmail), shopId)
+      .single();
+
+    if (userQueryError && userQueryError.code !== 'PGRST116') {
+      console.error('Error querying user:', userQueryError);
+    }
+
+    if (existingUser) {
+      const updates = {};
+      if (userPhone && (!existingUser.phone || (options.replacePhone && existingUser.phone !== userPhone))) {
+        updates.phone = userPhone;
+      }
+      if (userTimezone && !existingUser.timezone) {
+        updates.timezone = userTimezone;
+      }
+
+      if (Object.keys(updates).length > 0) {
+        const { error: userUpdateError } = await getSupabase()
+          .from('users')
+          .update(updates)
+          .eq('id', existingUser.id);
+
+        if (userUpdateError) {
+          console.error('Error updating user:', userUpdateError);
+        }
+      }
+      return existingUser.id;
+    }
+
+    const { data: newUser, error: userCreateError } = await getSupabase()
+      .from('users')
+      .insert({
+        shop_id: shopId,
+        email: userEmail,
+        full_name: null,
+        phone: userPhone,
+        timezone: userTimezone
+      })
+      .select('id')
+      .single();
+
+    if (userCreateError) {
+      console.error('Error creating user:', userCreateError);
+      return null;
+    }
+
+    return newUser.id;
+  } catch (error) {
+    console.error('Error handling user:', error);
+    return null;
+  }
+}
+
+/**
+ * Records a cart event: upserts the cart row and replaces its items
+ * @param {Object} event - Validated cart event
+ * @returns {Promise<Object>} The stored cart row
+ */
+async function recordCartEvent(event) {
+  const { event_type, cart_token, shop_id, user_id, anonymous_id, items, total_price, currency, timestamp } = event;
+
+  // Look up the current cart so a checkout that was started isn't downgraded by a later update
+  // Cart tokens are only unique within a shop, so another shop's key never reaches this shop's cart
+  const { data: existingCart, error: cartQueryError } = await scopeToShop(getSupabase()
+    .from('carts')
+    .select('id, user_id, anonymous_id, status, checkout_started_at')
+    .eq('cart_token', cart_token), shop_id || null)
+    .single();
+
+  if (cartQueryError && cartQueryError.code !== 'PGRST116') {
+    throw new Error(`Failed to query cart: ${cartQueryError.message}`);
+  }
+
+  let status = 'active';
+  if (event_type === 'checkout_started' || (existingCart && existingCart.status === 'checkout_started')) {
+    status = 'checkout_started';
+  }
+  if (existingCart && existingCart.status === 'recovered') {
+    status = 'recovered';
+  }
+
+  const cartRecord = {
+    cart_token,
+    shop_id: shop_id || null,
+    user_id: user_id || (existingCart ? existingCart.user_id : null),
+    anonymous_id: anonymous_id || (existingCart ? existingCart.anonymous_id : null),
+    status,
+    last_event_type: event_type,
+    last_event_at: timestamp,
+    checkout_started_at: existingCart && existingCart.checkout_started_at
+      ? existingCart.checkout_started_at
+      : (event_type === 'checkout_started' ? timestamp : null)
+  };
+
+  // checkout_started events may be sent without items when the page is unloading
+  if (items) {
+    cartRecord.item_count = items.reduce((sum, item) => sum + item.quantity, 0);
+  }
+  if (total_price !== undefined && total_price !== null) {
+    cartRecord.total_price = total_price;
+  }
+  if (currency) {
+    cartRecord.currency = currency;
+  }
+
+  const { data: cart, error: cartError } = await getSupabase()
+    .from('carts')
+    .upsert(cartRecord, { onConflict: 'shop_id,cart_token' })
+    .select()
+    .single();
+
+  if (cartError) {
+    throw new Error(`Failed to store cart: ${cartError.message}`);
+  }
+
+  if (items) {
+    const { error: deleteError } = await getSupabase()
+      .from('cart_items')
+      .delete()
+      .eq('cart_id', cart.id);
+
+    if (deleteError) {
+      throw new Error(`Failed to clear cart items: ${deleteError.message}`);
+    }
+
+    if (items.length > 0) {
+      const { error: itemsError } = await getSupabase()
+        .from('cart_items')
+        .insert(items.map(item => ({ ...item, cart_id: cart.id })));
+
+      if (itemsError) {
+        throw new Error(`Failed to store cart items: ${itemsError.message}`);
+      }
+    }
+  }
+
+  return cart;
+}
+
+// Cart events endpoint handler
+const cartEventsHandler = async (req, res) => {
+  try {
+    const { event_type, cart_token, user_email, user_phone, user_timezone, anonymous_id, items, total_price, currency, timestamp } = req.body;
+    // Set by requireShopKey; the environment's store has no ID
+    const shopId = req.shop.id;
+
+    // Validate required fields
+    if (!event_type || !cart_token) {
+      return res.status(400).json({
+        error: 'Missing required fields: event_type and cart_token are required'
+      });
+    }
+
+    if (!CART_EVENT_TYPES.includes(event_type)) {
+      return res.status(400).json({
+        error: `Invalid event_type: must be one of ${CART_EVENT_TYPES.join(', ')}`
+      });
+    }
+
+    if (typeof cart_token !== 'string' || cart_token.trim() === '') {
+      return res.status(400).json({
+        error: 'Invalid cart_token: must be a non-empty string'
+      });
+    }
+
+    if (anonymous_id && !isValidAnonymousId(anonymous_id)) {
+      return res.status(400).json({
+        error: 'Invalid anonymous_id: must be 8-64 letters, digits, dashes or underscores'
+      });
+    }
+
+    // Items are required for cart mutations, optional for checkout_started
+    let normalizedItems = null;
+    if (items !== undefined || event_type !== 'checkout_started') {
+      const result = normalizeCartItems(items);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      normalizedItems = result.items;
+    }
+
+    let validatedTotal = null;
+    if (total_price !== undefined && total_price !== null) {
+      validatedTotal = Number(total_price);
+      if (isNaN(validatedTotal)) {
+        return res.status(400).json({
+          error: 'Invalid total_price: must be a number'
+        });
+      }
+    }
+
+    // Validate timestamp if provided
+    let validatedTimestamp = new Date().toISOString();
+    if (timestamp) {
+      const parsedTimestamp = new Date(timestamp);
+      if (isNaN(parsedTimestamp.getTime())) {
+        return res.status(400).json({
+          error: 'Invalid timestamp format. Use ISO 8601 format (e.g., 2024-01-01T12:00:00.000Z)'
+        });
+      }
+      validatedTimestamp = parsedTimestamp.toISOString();
+    }
+
+    // Get or create user record if email is provided
+    let userId = null;
+    if (user_email) {
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (!emailRegex.test(user_email)) {
+        return res.status(400).json({
+          error: 'Invalid email format'
+        });
+      }
+
+      // An unparseable phone shouldn't cost us the cart event, so it's dropped instead of rejected
+      const normalizedPhone = user_phone ? normalizePhoneNumber(String(user_phone)) : null;
+      if (user_phone && !normalizedPhone) {
+        console.log('Ignoring invalid phone number on cart event:', user_phone);
+      }
+
+      // Only keep timezones the runtime recognises, they drive SMS quiet hours
+      let validatedTimezone = null;
+      if (user_timezone) {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: user_timezone });
+          validatedTimezone = user_timezone;
+        } catch (error) {
+          console.log('Ignoring invalid timezone on cart event:', user_timezone);
+        }
+      }
+
+      userId = await getOrCreateUserId(user_email, normalizedPhone, validatedTimezone, shopId);
+    }
+
+    // Stitch the visitor's anonymous history to the customer, or recognise a visitor identified earlier
+    userId = await resolveVisitor({ userId, anonymousId: anonymous_id || null, shopId });
+
+    const cart = await recordCartEvent({
+      event_type,
+      cart_token: cart_token.trim(),
+      shop_id: shopId,
+      user_id: userId,
+      anonymous_id: anonymous_id || null,
+      items: normalizedItems,
+      total_price: validatedTotal,
+      currency,
+      timestamp: validatedTimestamp
+    });
+
+    console.log('Cart event tracked successfully:', {
+      cart_id: cart.id,
+      event_type,
+      user_email,
+      item_count: cart.item_count
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Cart event tracked successfully',
+      data: {
+        cart_id: cart.id,
+        user_id: cart.user_id,
+        status: cart.status,
+        item_count: cart.item_count,
+        timestamp: validatedTimestamp
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in cart-events handler:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  CART_EVENT_TYPES,
+  cartEventsHandler,
+  recordCartEvent,
+  normalizeCartItems,
+  getOrCreateUserId
+}; 
\ No newline at end of file
@@ -0,0 +1,318 @@
+// Checkout link service
+// Issues short signed links for reminders and redirects them to a restored Shopify cart
+
+require('dotenv').config();
+const crypto = require('crypto');
+const { getSupabase } = require('./supabase-client');
+const { recordMessageClick } = require('./attribution');
+const { getShop, getDefaultShop } = require('./shops');
+
+// Links stop restoring the cart after this many hours
+const LINK_TTL_HOURS = parseInt(process.env.LINK_TTL_HOURS || '168', 10);
+
+// Cart attribute the permalink sets, so the order's note_attributes carry the link token back to us
+const RECOVERY_LINK_ATTRIBUTE = 'recovery_link';
+
+// Length of each half of a token: a random ID followed by its signature
+const TOKEN_ID_LENGTH = 8;
+const TOKEN_SIGNATURE_LENGTH = 8;
+
+/**
+ * Signs a token ID with LINK_SIGNING_SECRET
+ * @param {string} id - Random token ID
+ * @returns {string} Truncated base64url HMAC-SHA256
+ */
+function signTokenId(id) {
+  const secret = process.env.LINK_SIGNING_SECRET;
+  if (!secret) {
+    throw new Error('LINK_SIGNING_SECRET is not set in environment variables');
+  }
+
+  return crypto
+    .createHmac('sha256', secret)
+    .update(id)
+    .digest('base64url')
+    .slice(0, TOKEN_SIGNATURE_LENGTH);
+}
+
+/**
+ * Creates a new signed link token
+ * @returns {string} 16-character URL-safe token
+ */
+function createLinkToken() {
+  const id = crypto.randomBytes(6).toString('base64url');
+  return `${id}${signTokenId(id)}`;
+}
+
+/**
+ * Checks a token's signature, so forged or mistyped tokens never reach the database
+ * @param {string} token - Token from the link
+ * @returns {boolean} True if the token was signed with our secret
+ */
+function verifyLinkToken(token) {
+  if (typeof token !== 'string' || token.length !== TOKEN_ID_LENGTH + TOKEN_SIGNATURE_LENGTH) {
+    return false;
+  }
+
+  const expected = Buffer.from(signTokenId(token.slice(0, TOKEN_ID_LENGTH)));
+  const received = Buffer.from(token.slice(TOKEN_ID_LENGTH));
+
+  // timingSafeEqual throws on length mismatch
+  if (expected.length !== received.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Builds the public URL of a link
+ * @param {string} token - Link token
+ * @returns {string} e.g. https://your-backend-domain.com/r/AbC123xyZ987qwER
+ */
+function getLinkUrl(token) {
+  const baseUrl = process.env.LINK_BASE_URL || process.env.PUBLIC_BASE_URL;
+  if (!baseUrl) {
+    throw new Error('LINK_BASE_URL or PUBLIC_BASE_URL must be set to build checkout links');
+  }
+  return `${baseUrl.replace(/\/$/, '')}/r/${token}`;
+}
+
+/**
+ * Builds a Shopify cart permalink that recreates a cart's contents
+ * @param {Object[]} items - cart_items rows (variant_id, quantity)
+ * @param {Object} options - Optional shopUrl (the cart's shop, defaults to SHOP_URL), discountCode to apply
+ *   at checkout, and linkToken to store as a cart attribute
+ * @returns {string} e.g. https://shop.com/cart/123:1,456:2?discount=COMEBACK10, or the cart page without variants
+ */
+function buildCartPermalink(items, options = {}) {
+  const shopUrl = (options.shopUrl || getDefaultShop().shopUrl || '').replace(/\/$/, '');
+
+  // Merge lines of the same variant
+  const quantities = new Map();
+  for (const item of items || []) {
+    if (item.variant_id) {
+      quantities.set(item.variant_id, (quantities.get(item.variant_id) || 0) + (item.quantity || 1));
+    }
+  }
+
+  if (quantities.size === 0) {
+    return `${shopUrl}/cart`;
+  }
+
+  const lines = [...quantities].map(([variantId, quantity]) => `${variantId}:${quantity}`).join(',');
+  const params = [];
+  if (options.discountCode) {
+    params.push(`discount=${encodeURIComponent(options.discountCode)}`);
+  }
+  if (options.linkToken) {
+    params.push(`attributes[${RECOVERY_LINK_ATTRIBUTE}]=${encodeURIComponent(options.linkToken)}`);
+  }
+  return `${shopUrl}/cart/${lines}${params.length > 0 ? `?${params.join('&')}` : ''}`;
+}
+
+/**
+ * Issues a link for a reminder
+ * @param {Object} details - cartId, userId, and optional shopId, discountCode, sequenceStepId and ttlHours
+ * @returns {Promise<Object>} The checkout_links row plus its public url
+ */
+async function createCheckoutLink(details) {
+  if (!details || !details.cartId) {
+    throw new Error('cartId is required');
+  }
+
+  const ttlHours = details.ttlHours || LINK_TTL_HOURS;
+  const token = createLinkToken();
+
+  const { data: link, error } = await getSupabase()
+    .from('checkout_links')
+    .insert({
+      token,
+      shop_id: details.shopId || null,
+      cart_id: details.cartId,
+      user_id: details.userId || null,
+      sequence_step_id: details.sequenceStepId || null,
+      discount_code: details.discountCode || null,
+      expires_at: new Date(Date.now() + ttlHours * 60 * 60 * 1000).toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create checkout link: ${error.message}`);
+  }
+
+  return { ...link, url: getLinkUrl(token) };
+}
+
+/**
+ * Records which message a link was sent in
+ * @param {string} linkId - The checkout_links ID
+ * @param {string} messageId - The messages_sent ID
+ */
+async function attachMessageToLink(linkId, messageId) {
+  const { error } = await getSupabase()
+    .from('checkout_links')
+    .update({ message_id: messageId })
+    .eq('id', linkId);
+
+  if (error) {
+    throw new Error(`Failed to attach message to checkout link: ${error.message}`);
+  }
+}
+
+/**
+ * Looks up a link and checks that it can still be used
+ * @param {string} token - Link token
+ * @returns {Promise<{ link: Object|null, reason: string|null }>} reason is 'invalid_signature', 'not_found', 'revoked' or 'expired'
+ */
+async function resolveLink(token) {
+  if (!verifyLinkToken(token)) {
+    return { link: null, reason: 'invalid_signature' };
+  }
+
+  const { data: link, error } = await getSupabase()
+    .from('checkout_links')
+    .select('*')
+    .eq('token', token)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw new Error(`Failed to load checkout link: ${error.message}`);
+  }
+
+  if (!link) {
+    return { link: null, reason: 'not_found' };
+  }
+
+  if (link.revoked_at) {
+    return { link, reason: 'revoked' };
+  }
+
+  if (new Date(link.expires_at) <= new Date()) {
+    return { link, reason: 'expired' };
+  }
+
+  return { link, reason: null };
+}
+
+/**
+ * Revokes the open links of some carts (e.g. once they're purchased)
+ * @param {string[]} cartIds - Carts whose links should stop working
+ * @param {string} reason - Why the links were revoked, e.g. 'purchased'
+ * @returns {Promise<number>} Number of links revoked
+ */
+async function revokeCartLinks(cartIds, reason) {
+  if (!cartIds || cartIds.length === 0) {
+    return 0;
+  }
+
+  const { data, error } = await getSupabase()
+    .from('checkout_links')
+    .update({ revoked_at: new Date().toISOString(), revoke_reason: reason })
+    .in('cart_id', cartIds)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to revoke checkout links: ${error.message}`);
+  }
+
+  return data ? data.length : 0;
+}
+
+/**
+ * Revokes a single link
+ * @param {string} token - Link token
+ * @param {string} reason - Why the link was revoked
+ * @returns {Promise<boolean>} True if an open link was revoked
+ */
+async function revokeLink(token, reason) {
+  const { data, error } = await getSupabase()
+    .from('checkout_links')
+    .update({ revoked_at: new Date().toISOString(), revoke_reason: reason })
+    .eq('token', token)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to revoke checkout link: ${error.message}`);
+  }
+
+  return Boolean(data && data.length > 0);
+}
+
+// Checkout link redirect handler (GET /r/:token)
+// Unusable links send the customer to the store's home page rather than an error
+const linkRedirectHandler = async (req, res) => {
+  let shopUrl = getDefaultShop().shopUrl || '/';
+
+  try {
+    const { link, reason } = await resolveLink(req.params.token);
+
+    // Links are served for every shop from the same backend, so send the customer to the link's own store
+    const shop = link ? await getShop(link.shop_id) : null;
+    if (shop && shop.shopUrl) {
+      shopUrl = shop.shopUrl;
+    }
+
+    if (reason) {
+      console.log(`🔗 Checkout link ${req.params.token} not used - ${reason}`);
+      return res.redirect(302, shopUrl);
+    }
+
+    const clickedAt = new Date().toISOString();
+    const { error: clickError } = await getSupabase()
+      .from('link_clicks')
+      .insert({
+        link_id: link.id,
+        user_agent: req.get('User-Agent') || null,
+        referrer: req.get('Referer') || null,
+        clicked_at: clickedAt
+      });
+
+    if (clickError) {
+      console.error('Error logging link click:', clickError);
+    }
+
+    try {
+      await recordMessageClick(link.message_id, clickedAt);
+    } catch (error) {
+      console.error('Error recording message click:', error);
+    }
+
+    // Rebuild from the cart's current contents, which may have changed since the message went out
+    const { data: items, error: itemsError } = await getSupabase()
+      .from('cart_items')
+      .select('variant_id, quantity')
+      .eq('cart_id', link.cart_id);
+
+    if (itemsError) {
+      console.error('Error loading cart items for link:', itemsError);
+    }
+
+    return res.redirect(302, buildCartPermalink(items || [], {
+      shopUrl,
+      discountCode: link.discount_code,
+      linkToken: link.token
+    }));
+
+  } catch (error) {
+    console.error('Error in link-redirect handler:', error);
+    return res.redirect(302, shopUrl);
+  }
+};
+
+module.exports = {
+  LINK_TTL_HOURS,
+  RECOVERY_LINK_ATTRIBUTE,
+  createLinkToken,
+  verifyLinkToken,
+  buildCartPermalink,
+  createCheckoutLink,
+  attachMessageToLink,
+  resolveLink,
+  revokeCartLinks,
+  revokeLink,
+  linkRedirectHandler
+}; 
\ No newline at end of file
@@ -0,0 +1,112 @@
+// Cron locks
+// Lets one process at a time run a scheduled job, however many replicas run the cron
+// Locks are leases in the cron_locks table (see acquire_cron_lock in supabase_schema.sql): a process that dies
+// holding one only blocks the job until the lease runs out
+
+require('dotenv').config();
+const crypto = require('crypto');
+const os = require('os');
+const { getSupabase } = require('./supabase-client');
+
+// How long a lock is held without being renewed; longer than a normal run, so only a dead holder lets it lapse
+const CRON_LOCK_TTL_SECONDS = parseInt(process.env.CRON_LOCK_TTL_SECONDS || '900', 10);
+
+// Identifies this process in locks and claims
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Takes or renews a lease on a lock
+ * @param {string} name - The lock's name
+ * @param {string} holder - Who holds it
+ * @param {number} ttlSeconds - Lease length
+ * @returns {Promise<boolean>} True if the holder now has the lock
+ */
+async function leaseLock(name, holder, ttlSeconds) {
+  const { data: acquired, error } = await getSupabase().rpc('acquire_cron_lock', {
+    p_name: name,
+    p_holder: holder,
+    p_ttl_seconds: ttlSeconds
+  });
+
+  if (error) {
+    throw new Error(`Failed to acquire lock ${name}: ${error.message}`);
+  }
+
+  return acquired === true;
+}
+
+/**
+ * Takes a lock unless another run holds it
+ * Each call is a separate holder, so a run that overlaps an earlier one in the same process doesn't get the lock either
+ * @param {string} name - The lock's name, e.g. 'abandoned-cart-check'
+ * @param {number} ttlSeconds - Lease length (default CRON_LOCK_TTL_SECONDS)
+ * @returns {Promise<Object|null>} The lock (name, holder, ttlSeconds), or null if it's held elsewhere
+ */
+async function acquireLock(name, ttlSeconds = CRON_LOCK_TTL_SECONDS) {
+  const holder = `${INSTANCE_ID}:${crypto.randomBytes(4).toString('hex')}`;
+  const leasedAt = Date.now();
+  if (!(await leaseLock(name, holder, ttlSeconds))) {
+    return null;
+  }
+
+  return { name, holder, ttlSeconds, renewAfter: renewalTime(leasedAt, ttlSeconds) };
+}
+
+/**
+ * When a lease taken at leasedAt should be renewed: halfway through, so the work done between
+ * two renewal checks can take up to half the lease before the lock could lapse
+ * @param {number} leasedAt - Time (ms) the lease was requested
+ * @param {number} ttlSeconds - Lease length
+ * @returns {number} Time (ms)
+ */
+function renewalTime(leasedAt, ttlSeconds) {
+  return leasedAt + ttlSeconds * 1000 / 2;
+}
+
+/**
+ * Extends a lock's lease
+ * @param {Object} lock - A lock returned by acquireLock()
+ * @returns {Promise<boolean>} False if the lease had run out and another process took the lock
+ */
+async function renewLock(lock) {
+  const leasedAt = Date.now();
+  if (!(await leaseLock(lock.name, lock.holder, lock.ttlSeconds))) {
+    return false;
+  }
+
+  lock.renewAfter = renewalTime(leasedAt, lock.ttlSeconds);
+  return true;
+}
+
+/**
+ * Renews a lock's lease once half of it has passed; long runs call this before each piece of work
+ * @param {Object} lock - A lock returned by acquireLock()
+ * @returns {Promise<boolean>} False if the lease had run out and another process took the lock
+ */
+async function keepLock(lock) {
+  return Date.now() < lock.renewAfter ? true : renewLock(lock);
+}
+
+/**
+ * Releases a lock so the next run can start straight away
+ * @param {Object} lock - A lock returned by acquireLock()
+ */
+async function releaseLock(lock) {
+  const { error } = await getSupabase()
+    .from('cron_locks')
+    .update({ locked_until: new Date().toISOString() })
+    .eq('name', lock.name)
+    .eq('locked_by', lock.holder);
+
+  if (error) {
+    throw new Error(`Failed to release lock ${lock.name}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  INSTANCE_ID,
+  acquireLock,
+  renewLock,
+  keepLock,
+  releaseLock
+}; 
\ No newline at end of file
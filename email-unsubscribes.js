@@ -0,0 +1,239 @@
+// Email unsubscribes
+// Records customers who unsubscribed from reminder emails and serves the unsubscribe link each email carries
+// The link is signed, so it unsubscribes only the address and shop it was sent for
+
+require('dotenv').config();
+const crypto = require('crypto');
+const { getSupabase } = require('./supabase-client');
+const { getShop, scopeToShop } = require('./shops');
+
+// Where an unsubscribe came from
+const UNSUBSCRIBE_SOURCES = ['email_link', 'one_click', 'admin', 'import'];
+
+// Length of a token's signature
+const TOKEN_SIGNATURE_LENGTH = 16;
+
+/**
+ * Lowercases and trims an address, so unsubscribes match however the address was typed
+ * @param {string} email - Email address
+ * @returns {string} The normalized address
+ */
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Signs a token's payload with LINK_SIGNING_SECRET
+ * @param {string} payload - base64url payload
+ * @returns {string} Truncated base64url HMAC-SHA256
+ */
+function signPayload(payload) {
+  const secret = process.env.LINK_SIGNING_SECRET;
+  if (!secret) {
+    throw new Error('LINK_SIGNING_SECRET is not set in environment variables');
+  }
+
+  // Prefixed so an unsubscribe signature can never pass for a checkout link's
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`unsubscribe:${payload}`)
+    .digest('base64url')
+    .slice(0, TOKEN_SIGNATURE_LENGTH);
+}
+
+/**
+ * Creates the token of an address's unsubscribe link
+ * @param {string} email - The recipient's address
+ * @param {string|null} shopId - The sending shop's ID (null for the store configured in the environment)
+ * @returns {string} URL-safe token: the payload, a dot and its signature
+ */
+function createUnsubscribeToken(email, shopId = null) {
+  const payload = Buffer.from(JSON.stringify([shopId || null, normalizeEmail(email)])).toString('base64url');
+  return `${payload}.${signPayload(payload)}`;
+}
+
+/**
+ * Reads an unsubscribe token, checking its signature
+ * @param {string} token - Token from the link
+ * @returns {{ email: string, shopId: string|null }|null} null if the token is malformed or forged
+ */
+function parseUnsubscribeToken(token) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(signPayload(payload));
+  const received = Buffer.from(signature);
+
+  // timingSafeEqual throws on length mismatch
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  try {
+    const [shopId, email] = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return email ? { email, shopId: shopId || null } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Builds the unsubscribe link of an address
+ * @param {string} email - The recipient's address
+ * @param {string|null} shopId - The sending shop's ID
+ * @returns {string} e.g. https://your-backend-domain.com/unsubscribe/<token>
+ */
+function getUnsubscribeUrl(email, shopId = null) {
+  const baseUrl = process.env.LINK_BASE_URL || process.env.PUBLIC_BASE_URL;
+  if (!baseUrl) {
+    throw new Error('LINK_BASE_URL or PUBLIC_BASE_URL must be set to build unsubscribe links');
+  }
+  return `${baseUrl.replace(/\/$/, '')}/unsubscribe/${createUnsubscribeToken(email, shopId)}`;
+}
+
+/**
+ * Records that an address unsubscribed from a shop's reminder emails
+ * Unsubscribing again keeps the first record
+ * @param {string} email - The address
+ * @param {string|null} shopId - The shop's ID
+ * @param {string} source - One of UNSUBSCRIBE_SOURCES
+ */
+async function recordEmailUnsubscribe(email, shopId, source) {
+  if (!normalizeEmail(email) || !source) {
+    throw new Error('email and source are required');
+  }
+
+  if (!UNSUBSCRIBE_SOURCES.includes(source)) {
+    throw new Error(`source must be one of ${UNSUBSCRIBE_SOURCES.join(', ')}`);
+  }
+
+  const { error } = await getSupabase()
+    .from('email_unsubscribes')
+    .upsert({
+      shop_id: shopId || null,
+      email: normalizeEmail(email),
+      source,
+      unsubscribed_at: new Date().toISOString()
+    }, { onConflict: 'shop_id,email', ignoreDuplicates: true });
+
+  if (error) {
+    throw new Error(`Failed to record email unsubscribe: ${error.message}`);
+  }
+
+  console.log(`📝 Email unsubscribe recorded for ${normalizeEmail(email)} (${source})`);
+}
+
+/**
+ * Checks whether an address unsubscribed from a shop's reminder emails
+ * @param {string} email - The address
+ * @param {string|null} shopId - The shop's ID
+ * @returns {Promise<boolean>} True if no reminder emails may be sent to it
+ */
+async function isEmailUnsubscribed(email, shopId = null) {
+  const { data, error } = await scopeToShop(getSupabase()
+    .from('email_unsubscribes')
+    .select('id')
+    .eq('email', normalizeEmail(email)), shopId)
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to check email unsubscribe: ${error.message}`);
+  }
+
+  return Boolean(data && data.length > 0);
+}
+
+/**
+ * Escapes text for HTML
+ * @param {string} text - Plain text
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Renders the small HTML page the unsubscribe link shows
+ * @param {string} title - Page heading
+ * @param {string} body - Inner HTML below the heading
+ * @returns {string} The page
+ */
+function renderPage(title, body) {
+  return '<!DOCTYPE html><html><head><meta charset="utf-8">' +
+    '<meta name="viewport" content="width=device-width,initial-scale=1">' +
+    `<title>${title}</title></head>` +
+    '<body style="font-family:Arial,sans-serif;max-width:480px;margin:48px auto;padding:0 16px;color:#222">' +
+    `<h1 style="font-size:22px">${title}</h1>${body}</body></html>`;
+}
+
+// Shown for forged, mangled or truncated links
+const INVALID_LINK_PAGE = renderPage('Link not valid',
+  '<p>This unsubscribe link is not valid. Use the link in the most recent email you received.</p>');
+
+// Shown when the database can't be reached
+const ERROR_PAGE = renderPage('Something went wrong',
+  '<p>We couldn\'t unsubscribe you just now. Please try the link again in a few minutes.</p>');
+
+// Unsubscribe page (GET /unsubscribe/:token)
+// Only asks for confirmation, so link scanners that open every link in an email don't unsubscribe anyone
+const unsubscribePageHandler = (req, res) => {
+  try {
+    if (!parseUnsubscribeToken(req.params.token)) {
+      return res.status(404).type('html').send(INVALID_LINK_PAGE);
+    }
+
+    return res.status(200).type('html').send(renderPage('Unsubscribe from cart reminders',
+      '<p>Stop receiving cart reminder emails from this store?</p>' +
+      '<form method="post"><button type="submit" style="background:#111;color:#fff;padding:12px 24px;border:0;' +
+      'border-radius:4px;font-size:16px;cursor:pointer">Unsubscribe</button></form>'));
+
+  } catch (error) {
+    console.error('Error in unsubscribe page handler:', error);
+    return res.status(500).type('html').send(ERROR_PAGE);
+  }
+};
+
+// Unsubscribe handler (POST /unsubscribe/:token)
+// Used by the page's button and by mail clients' one-click unsubscribe (List-Unsubscribe-Post, RFC 8058)
+const unsubscribeHandler = async (req, res) => {
+  try {
+    const recipient = parseUnsubscribeToken(req.params.token);
+    if (!recipient) {
+      return res.status(404).type('html').send(INVALID_LINK_PAGE);
+    }
+
+    const oneClick = req.body && req.body['List-Unsubscribe'] === 'One-Click';
+    await recordEmailUnsubscribe(recipient.email, recipient.shopId, oneClick ? 'one_click' : 'email_link');
+
+    const shop = await getShop(recipient.shopId);
+    const from = shop && shop.brandName ? ` from ${escapeHtml(shop.brandName)}` : '';
+    return res.status(200).type('html').send(renderPage('You\'re unsubscribed',
+      `<p>You won't receive any more cart reminder emails${from}.</p>`));
+
+  } catch (error) {
+    console.error('Error in unsubscribe handler:', error);
+    return res.status(500).type('html').send(ERROR_PAGE);
+  }
+};
+
+module.exports = {
+  UNSUBSCRIBE_SOURCES,
+  createUnsubscribeToken,
+  parseUnsubscribeToken,
+  getUnsubscribeUrl,
+  recordEmailUnsubscribe,
+  isEmailUnsubscribed,
+  unsubscribePageHandler,
+  unsubscribeHandler
+}; 
\ No newline at end of file
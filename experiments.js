@@ -0,0 +1,318 @@
+// Reminder A/B experiments
+// Assigns each customer to a variant of the running experiment (and keeps them there),
+// and reports conversion per variant with a significance test
+
+require('dotenv').config();
+const crypto = require('crypto');
+const { getSupabase } = require('./supabase-client');
+const { getDefaultShop, getShopByDomain, scopeToShop } = require('./shops');
+
+// Differences with a p-value below this are reported as significant
+const DEFAULT_SIGNIFICANCE_LEVEL = 0.05;
+
+const EXPERIMENT_SELECT = `
+  id,
+  name,
+  status,
+  started_at,
+  experiment_variants(id, name, is_control, weight, prompt, urgency_level, template, delay_minutes, created_at)
+`;
+
+/**
+ * Shapes an experiments row with its variants
+ * @param {Object} experiment - Row selected with EXPERIMENT_SELECT
+ * @returns {Object} The experiment with variants sorted by creation time
+ */
+function toExperiment(experiment) {
+  const variants = (experiment.experiment_variants || [])
+    .slice()
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+  return {
+    id: experiment.id,
+    name: experiment.name,
+    status: experiment.status,
+    startedAt: experiment.started_at,
+    variants
+  };
+}
+
+/**
+ * Loads a shop's running experiment
+ * Only one experiment runs per shop at a time; if several are marked running the most recently started one is used
+ * @param {string|null} shopId - The shop's ID (null for the store configured in the environment)
+ * @returns {Promise<Object|null>} The experiment with its variants, or null if none is running
+ */
+async function getRunningExperiment(shopId = null) {
+  const { data: experiments, error } = await scopeToShop(getSupabase()
+    .from('experiments')
+    .select(EXPERIMENT_SELECT)
+    .eq('status', 'running'), shopId)
+    .order('started_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to load running experiment: ${error.message}`);
+  }
+
+  if (!experiments || experiments.length === 0) {
+    return null;
+  }
+
+  const experiment = toExperiment(experiments[0]);
+  return experiment.variants.length > 0 ? experiment : null;
+}
+
+/**
+ * Loads a shop's experiment by name, whatever its status
+ * @param {string} name - Experiment name
+ * @param {string|null} shopId - The shop's ID
+ * @returns {Promise<Object|null>} The experiment with its variants, or null if not found
+ */
+async function getExperiment(name, shopId = null) {
+  const { data: experiment, error } = await scopeToShop(getSupabase()
+    .from('experiments')
+    .select(EXPERIMENT_SELECT)
+    .eq('name', name), shopId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw new Error(`Failed to load experiment: ${error.message}`);
+  }
+
+  return experiment ? toExperiment(experiment) : null;
+}
+
+/**
+ * Picks a variant for a customer at random, weighted by the variants' weights
+ * The draw is seeded by the experiment and customer, so it's the same every time it's made
+ * @param {Object} experiment - The experiment with its variants
+ * @param {string} userId - The customer's ID
+ * @returns {Object} The chosen variant
+ */
+function pickVariant(experiment, userId) {
+  const hash = crypto.createHash('sha256').update(`${experiment.id}:${userId}`).digest();
+  const point = hash.readUInt32BE(0) / 0x100000000;
+
+  const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+  let threshold = 0;
+  for (const variant of experiment.variants) {
+    threshold += variant.weight / totalWeight;
+    if (point < threshold) {
+      return variant;
+    }
+  }
+
+  return experiment.variants[experiment.variants.length - 1];
+}
+
+/**
+ * Gets a customer's variant, assigning one on their first reminder
+ * Assignments are stored, so changing the weights mid-experiment doesn't move anyone
+ * @param {Object} experiment - The running experiment with its variants
+ * @param {string} userId - The customer's ID
+ * @returns {Promise<Object>} The customer's variant
+ */
+async function assignVariant(experiment, userId) {
+  const { data: existing, error: queryError } = await getSupabase()
+    .from('experiment_assignments')
+    .select('variant_id')
+    .eq('experiment_id', experiment.id)
+    .eq('user_id', userId)
+    .single();
+
+  if (queryError && queryError.code !== 'PGRST116') {
+    throw new Error(`Failed to load experiment assignment: ${queryError.message}`);
+  }
+
+  let variantId = existing ? existing.variant_id : null;
+
+  if (!variantId) {
+    // ignoreDuplicates keeps the first assignment if another process assigns the same customer concurrently
+    const { error: assignError } = await getSupabase()
+      .from('experiment_assignments')
+      .upsert({
+        experiment_id: experiment.id,
+        user_id: userId,
+        variant_id: pickVariant(experiment, userId).id
+      }, { onConflict: 'experiment_id,user_id', ignoreDuplicates: true });
+
+    if (assignError) {
+      throw new Error(`Failed to assign experiment variant: ${assignError.message}`);
+    }
+
+    const { data: assignment, error: reloadError } = await getSupabase()
+      .from('experiment_assignments')
+      .select('variant_id')
+      .eq('experiment_id', experiment.id)
+      .eq('user_id', userId)
+      .single();
+
+    if (reloadError) {
+      throw new Error(`Failed to load experiment assignment: ${reloadError.message}`);
+    }
+
+    variantId = assignment.variant_id;
+    console.log(`🧪 Assigned user ${userId} to variant ${variantId} of experiment "${experiment.name}"`);
+  }
+
+  const variant = experiment.variants.find(v => v.id === variantId);
+  if (!variant) {
+    throw new Error(`Variant ${variantId} is not part of experiment "${experiment.name}"`);
+  }
+  return variant;
+}
+
+/**
+ * Standard normal cumulative distribution function
+ * Uses the Abramowitz and Stegun approximation of erf (error below 1.5e-7)
+ * @param {number} x - z-score
+ * @returns {number} P(Z <= x)
+ */
+function normalCdf(x) {
+  const z = Math.abs(x) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * z);
+  const erf = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-z * z);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-proportion z-test comparing a variant's conversion rate with the control's
+ * @param {number} controlConversions - Converted customers in the control
+ * @param {number} controlTotal - Customers in the control
+ * @param {number} variantConversions - Converted customers in the variant
+ * @param {number} variantTotal - Customers in the variant
+ * @returns {{ zScore: number|null, pValue: number|null }} Two-sided test; null when either group is empty
+ */
+function twoProportionZTest(controlConversions, controlTotal, variantConversions, variantTotal) {
+  if (!controlTotal || !variantTotal) {
+    return { zScore: null, pValue: null };
+  }
+
+  const pooled = (controlConversions + variantConversions) / (controlTotal + variantTotal);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / controlTotal + 1 / variantTotal));
+  if (standardError === 0) {
+    return { zScore: 0, pValue: 1 };
+  }
+
+  const zScore = (variantConversions / variantTotal - controlConversions / controlTotal) / standardError;
+  return { zScore, pValue: 2 * (1 - normalCdf(Math.abs(zScore))) };
+}
+
+/**
+ * Reports conversion per variant of an experiment, compared with the control
+ * Customers are the unit of assignment, so a customer converts if any reminder they were sent converted
+ * @param {string} name - Experiment name
+ * @param {Object} options - Optional alpha (significance level, default 0.05) and shopId
+ * @returns {Promise<Object>} experiment name and status, and one result per variant
+ */
+async function getExperimentResults(name, options = {}) {
+  const alpha = options.alpha || DEFAULT_SIGNIFICANCE_LEVEL;
+
+  const experiment = await getExperiment(name, options.shopId || null);
+  if (!experiment) {
+    throw new Error(`Experiment "${name}" not found`);
+  }
+
+  const { data: rows, error } = await getSupabase()
+    .from('experiment_variant_results')
+    .select('variant_id, customers, conversions, recovered_revenue')
+    .eq('experiment_id', experiment.id);
+
+  if (error) {
+    throw new Error(`Failed to load experiment results: ${error.message}`);
+  }
+
+  const counts = new Map((rows || []).map(row => [row.variant_id, row]));
+  const control = experiment.variants.find(variant => variant.is_control) || experiment.variants[0];
+  const controlCounts = counts.get(control && control.id) || { customers: 0, conversions: 0 };
+  const controlRate = controlCounts.customers > 0 ? controlCounts.conversions / controlCounts.customers : 0;
+
+  const variants = experiment.variants.map(variant => {
+    const row = counts.get(variant.id) || { customers: 0, conversions: 0, recovered_revenue: 0 };
+    const customers = Number(row.customers) || 0;
+    const conversions = Number(row.conversions) || 0;
+    const conversionRate = customers > 0 ? conversions / customers : 0;
+    const result = {
+      variant: variant.name,
+      isControl: variant === control,
+      customers,
+      conversions,
+      conversionRate,
+      recoveredRevenue: Number(row.recovered_revenue) || 0,
+      lift: null,
+      zScore: null,
+      pValue: null,
+      significant: false
+    };
+
+    if (variant !== control) {
+      const { zScore, pValue } = twoProportionZTest(
+        Number(controlCounts.conversions) || 0,
+        Number(controlCounts.customers) || 0,
+        conversions,
+        customers
+      );
+      result.lift = customers > 0 && controlRate > 0 ? (conversionRate - controlRate) / controlRate : null;
+      result.zScore = zScore;
+      result.pValue = pValue;
+      result.significant = pValue !== null && pValue < alpha;
+    }
+
+    return result;
+  });
+
+  return { experiment: experiment.name, status: experiment.status, alpha, variants };
+}
+
+/**
+ * Prints an experiment's results
+ * @param {string} name - Experiment name
+ * @param {string} shopDomain - Optional domain of the shop running it
+ */
+async function printExperimentResults(name, shopDomain) {
+  try {
+    const shop = shopDomain ? await getShopByDomain(shopDomain) : getDefaultShop();
+    if (!shop) {
+      throw new Error(`Shop "${shopDomain}" not found`);
+    }
+
+    const results = await getExperimentResults(name, { shopId: shop.id });
+    console.log(`🧪 Experiment "${results.experiment}" (${results.status})\n`);
+
+    for (const result of results.variants) {
+      const rate = `${(result.conversionRate * 100).toFixed(1)}%`;
+      console.log(`${result.isControl ? '🅰️' : '🅱️'} ${result.variant}${result.isControl ? ' (control)' : ''}`);
+      console.log(`   ${result.conversions}/${result.customers} customers converted (${rate}), $${result.recoveredRevenue.toFixed(2)} recovered`);
+
+      if (!result.isControl) {
+        const lift = result.lift === null ? 'n/a' : `${(result.lift * 100).toFixed(1)}%`;
+        const pValue = result.pValue === null ? 'n/a' : result.pValue.toFixed(4);
+        console.log(`   Lift: ${lift}, p-value: ${pValue} ${result.significant ? '✅ significant' : '⏳ not significant'}`);
+      }
+    }
+
+  } catch (error) {
+    console.error('❌ Failed to load experiment results:', error.message);
+  }
+}
+
+module.exports = {
+  getRunningExperiment,
+  getExperiment,
+  pickVariant,
+  assignVariant,
+  twoProportionZTest,
+  getExperimentResults
+};
+
+// Print an experiment's results if this file is executed directly: node experiments.js <name> [shop domain]
+if (require.main === module) {
+  const [name, shopDomain] = process.argv.slice(2);
+  if (!name) {
+    console.error('❌ Usage: node experiments.js <experiment name> [shop domain]');
+    process.exit(1);
+  }
+
+  printExperimentResults(name, shopDomain);
+} 
\ No newline at end of file
@@ -1,53 +1,148 @@
-// Node.js function to generate personalized SMS reminder messages using OpenAI
+// Node.js function to generate personalized SMS and email reminder messages with an LLM
 // Generates abandoned cart reminders with different urgency levels
+// The model is chosen by LLM_PROVIDER / LLM_MODEL, see llm-providers.js
 
 require('dotenv').config();
-const OpenAI = require('openai');
+const { getProvider, getProviderEnvVars } = require('./llm-providers');
+const { renderTemplate, renderFallbackSMS, renderFallbackEmail } = require('./message-templates');
+const { getMessagePolicy, validateSMS, findUnsupportedClaims, countSegments } = require('./sms-validator');
+
+// Generated SMS that fail validation are regenerated until this many attempts have been made
+const SMS_MAX_ATTEMPTS = parseInt(process.env.SMS_MAX_ATTEMPTS || '2', 10);
+
+// Define urgency-specific prompts
+// Stock and price claims come only from the cart's signals (see getSignalRequirements), never from the urgency level
+const urgencyPrompts = {
+  low: "gentle and friendly reminder",
+  medium: "moderate urgency, a clear nudge to come back",
+  high: "high urgency, a direct push to finish the order now"
+};
+
+// Define urgency-specific tone and messaging
+const urgencyTones = {
+  low: "friendly, casual, no pressure",
+  medium: "slightly urgent, remind them the cart is waiting",
+  high: "urgent and direct, encourage completing the order now"
+};
+
+/**
+ * Builds the prompt requirements for the shop's name and brand voice
+ * @param {Object} options - Optional brandName and brandVoice (see shops.js)
+ * @returns {string} Requirement lines, each ending in a newline, or an empty string
+ */
+function getBrandRequirements(options) {
+  let requirements = '';
+  if (options.brandName) {
+    requirements += `- Make clear the message is from ${options.brandName}\n`;
+  }
+  if (options.brandVoice) {
+    requirements += `- Write in the store's brand voice: ${options.brandVoice}\n`;
+  }
+  return requirements;
+}
+
+/**
+ * Builds the prompt line for the product's price, so the model quotes the real price or none at all
+ * @param {Object} options - Optional price, already formatted with its currency (e.g. $24.00)
+ * @returns {string} Requirement line ending in a newline, or an empty string
+ */
+function getPriceRequirement(options) {
+  return options.price
+    ? `- If you mention the price, write it exactly as ${options.price}\n`
+    : '- Don\'t mention a price\n';
+}
+
+/**
+ * Builds the prompt lines for stock and price changes, so the model only claims what the inventory backs up
+ * @param {Object|null} signals - Optional lowStock, plentifulStock, backInStock and priceDrop of the cart's products
+ *   (see getStockSignals in product-catalog.js)
+ * @returns {string} Requirement lines, each ending in a newline
+ */
+function getSignalRequirements(signals) {
+  let requirements = '';
+
+  if (signals && signals.lowStock) {
+    requirements += `- You may say ${signals.lowStock.product} is low in stock (${signals.lowStock.quantity} left), don't claim any other item is\n`;
+  } else if (signals && signals.plentifulStock) {
+    requirements += '- Everything in the cart is well stocked: don\'t say or imply stock is low, limited or selling out\n';
+  } else {
+    requirements += '- Don\'t say or imply stock is low, limited or selling out\n';
+  }
+
+  requirements += signals && signals.backInStock
+    ? `- You may say ${signals.backInStock} is back in stock\n`
+    : '- Don\'t say anything is back in stock or restocked\n';
+
+  requirements += signals && signals.priceDrop
+    ? `- You may say the price of ${signals.priceDrop.product} dropped from ${signals.priceDrop.from} to ${signals.priceDrop.to}\n`
+    : '- Don\'t say the price dropped or the item is on sale\n';
+
+  return requirements;
+}
+
+/**
+ * Asks the LLM for an SMS until one passes validation (see sms-validator.js)
+ * @param {Object} request - Provider request (system, prompt, maxTokens, temperature, context)
+ * @param {string|null} checkoutLink - Link that must appear unchanged
+ * @param {Object} policy - Store message policy
+ * @param {Object} provider - LLM provider (defaults to the configured one)
+ * @param {Object|null} signals - Stock and price changes the message may mention
+ * @returns {Promise<string>} The validated message, with opt-out text
+ */
+async function completeValidSMS(request, checkoutLink, policy, provider = getProvider(), signals = null) {
+  let problems = [];
+
+  for (let attempt = 1; attempt <= SMS_MAX_ATTEMPTS; attempt++) {
+    // Tell the model what was wrong with its last attempt
+    const prompt = problems.length === 0
+      ? request.prompt
+      : `${request.prompt}\n\nYour previous message was rejected because it ${problems.join('; ')}. Write a new one that fixes this.`;
+
+    const completion = await provider.complete({ ...request, prompt });
+
+    // Remove any quotes or formatting
+    const message = completion.trim().replace(/^["']|["']$/g, '');
+
+    const result = validateSMS(message, { checkoutLink, policy, signals });
+    if (result.valid) {
+      return result.message;
+    }
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+    problems = result.problems;
+    console.warn(`⚠️ Generated SMS rejected (attempt ${attempt}/${SMS_MAX_ATTEMPTS}): ${problems.join('; ')}`);
+  }
+
+  const error = new Error(`Generated SMS failed validation: ${problems.join('; ')}`);
+  error.code = 'SMS_VALIDATION_FAILED';
+  throw error;
+}
 
 /**
  * Generates a personalized SMS reminder message using OpenAI
+ * The message is validated and regenerated if it mangles the link, breaks the store's
+ * message policy or runs over the segment limit; opt-out text is appended
  * @param {string} userName - The customer's name
  * @param {string} productName - The name of the product in cart
  * @param {string} urgencyLevel - 'low', 'medium', or 'high'
  * @param {string} checkoutLink - Optional checkout link to include
+ * @param {Object} options - Optional discountCode to offer in the message, price of the product (formatted, see
+ *   formatPrice in product-catalog.js), policy to override getMessagePolicy(), instructions to add to the prompt
+ *   (e.g. from an experiment variant), the shop's brandName and brandVoice, provider to use instead of the
+ *   configured one (e.g. the shop's, see getShopProvider), and signals, the cart's stock and price changes
+ *   (see getStockSignals in product-catalog.js), without which no such claims are allowed
  * @returns {Promise<string>} The generated SMS message
  */
-async function generateReminderMessage(userName, productName, urgencyLevel = 'medium', checkoutLink = null) {
+async function generateReminderMessage(userName, productName, urgencyLevel = 'medium', checkoutLink = null, options = {}) {
   try {
     // Validate inputs
-    if (!userName || !productName) {
-      throw new Error('userName and productName are required');
-    }
-
-    if (!['low', 'medium', 'high'].includes(urgencyLevel)) {
-      throw new Error('urgencyLevel must be "low", "medium", or "high"');
-    }
-
-    // Define urgency-specific prompts
-    const urgencyPrompts = {
-      low: "gentle and friendly reminder",
-      medium: "moderate urgency with a sense of limited availability",
-      high: "high urgency with scarcity messaging and time pressure"
-    };
-
-    // Define urgency-specific tone and messaging
-    const urgencyTones = {
-      low: "friendly, casual, no pressure",
-      medium: "slightly urgent, mention limited stock or time",
-      high: "urgent, emphasize scarcity, create FOMO"
-    };
+    validateReminderInputs(userName, productName, urgencyLevel);
 
     // Create the prompt for OpenAI
     const prompt = `Generate a short, personalized SMS message for an abandoned cart reminder. 
 
 Customer Name: ${userName}
 Product: ${productName}
-Urgency Level: ${urgencyLevel} (${urgencyPrompts[urgencyLevel]})
+${options.price ? `Price: ${options.price}\n` : ''}Urgency Level: ${urgencyLevel} (${urgencyPrompts[urgencyLevel]})
 Tone: ${urgencyTones[urgencyLevel]}
 
 Requirements:
@@ -58,52 +153,316 @@ Requirements:
 - Make it personal and engaging
 - Include a call-to-action
 ${checkoutLink ? `- Include this checkout link: ${checkoutLink}` : '- Include a generic checkout link'}
+${options.discountCode ? `- Offer this discount code: ${options.discountCode}` : '- Don\'t mention discounts or coupon codes'}
 - Don't use quotes around the message
 - Don't include "SMS:" or any labels
-
+- Don't add opt-out instructions, they are added automatically
+- Don't use emoji or other special characters
+${getSignalRequirements(options.signals)}${getPriceRequirement(options)}${getBrandRequirements(options)}${options.instructions ? `- ${options.instructions}\n` : ''}
 Example format:
-Hey Sarah! Your [productName] is still waiting for you — but we're running low. Complete your checkout now: [link]
+Hey Sarah! Your [productName] is still waiting for you. Complete your checkout now: [link]
 
 Generate the message:`;
 
-    // Call OpenAI API
-    const completion = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [
-        {
-          role: "system",
-          content: "You are a helpful assistant that generates personalized SMS messages for e-commerce abandoned cart reminders. Keep messages concise, friendly, and under 160 characters."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      max_tokens: 100,
+    // Call the configured LLM provider
+    return await completeValidSMS({
+      system: "You are a helpful assistant that generates personalized SMS messages for e-commerce abandoned cart reminders. Keep messages concise, friendly, and under 160 characters.",
+      prompt,
+      maxTokens: 100,
+      temperature: 0.7,
+      context: { userName, productName, urgencyLevel, checkoutLink, discountCode: options.discountCode, price: options.price }
+    }, checkoutLink, options.policy || getMessagePolicy(), options.provider, options.signals);
+
+  } catch (error) {
+    console.error('Error generating reminder message:', error);
+    throw error;
+  }
+}
+
+/**
+ * Escapes text for use inside HTML
+ * @param {string} text - Plain text
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Builds the HTML and text bodies of a reminder email
+ * The checkout link is added here rather than by the model, so it can't be mangled
+ * @param {string[]} paragraphs - Body paragraphs written by the model
+ * @param {string} checkoutLink - Checkout link for the call-to-action
+ * @param {string} callToAction - Button label
+ * @param {Object|null} image - Product image shown above the button: url and alt text
+ * @param {string|null} unsubscribeUrl - The recipient's unsubscribe link, linked from the footer
+ * @returns {{ html: string, text: string }} The email bodies
+ */
+function renderEmailBodies(paragraphs, checkoutLink, callToAction, image = null, unsubscribeUrl = null) {
+  const textParts = [...paragraphs];
+  const htmlParts = paragraphs.map(paragraph => `<p style="margin:0 0 16px">${escapeHtml(paragraph)}</p>`);
+
+  if (image && image.url) {
+    htmlParts.push(
+      `<p style="margin:24px 0"><img src="${escapeHtml(image.url)}" alt="${escapeHtml(image.alt || '')}" ` +
+      'width="280" style="max-width:100%;height:auto;border:0;display:block"></p>'
+    );
+  }
+
+  if (checkoutLink) {
+    textParts.push(`${callToAction}: ${checkoutLink}`);
+    htmlParts.push(
+      `<p style="margin:24px 0"><a href="${escapeHtml(checkoutLink)}" ` +
+      'style="background:#111;color:#fff;padding:12px 24px;border-radius:4px;text-decoration:none;display:inline-block">' +
+      `${escapeHtml(callToAction)}</a></p>`
+    );
+  }
+
+  if (unsubscribeUrl) {
+    textParts.push(`Unsubscribe: ${unsubscribeUrl}`);
+    htmlParts.push(
+      '<p style="margin:32px 0 0;font-size:12px;color:#888">' +
+      `<a href="${escapeHtml(unsubscribeUrl)}" style="color:#888">Unsubscribe</a></p>`
+    );
+  }
+
+  return {
+    text: textParts.join('\n\n'),
+    html: '<div style="font-family:Arial,sans-serif;font-size:16px;line-height:1.5;color:#222;max-width:560px">' +
+      htmlParts.join('') +
+      '</div>'
+  };
+}
+
+/**
+ * Picks the product image shown in a reminder email
+ * @param {string} productName - The name of the product(s) in cart, used as the alt text
+ * @param {Object} options - Optional imageUrl
+ * @returns {Object|null} The image for renderEmailBodies, or null without one
+ */
+function getEmailImage(productName, options) {
+  return options.imageUrl ? { url: options.imageUrl, alt: productName } : null;
+}
+
+/**
+ * Generates a personalized reminder email using OpenAI
+ * @param {string} userName - The customer's name
+ * @param {string} productName - The name of the product(s) in cart
+ * @param {string} urgencyLevel - 'low', 'medium', or 'high'
+ * @param {string} checkoutLink - Checkout link for the email's button
+ * @param {Object} options - Optional discountCode to offer in the email, price of the product (formatted),
+ *   imageUrl of the product to show in the email, instructions to add to the prompt, the shop's brandName
+ *   and brandVoice, provider to use instead of the configured one, signals of stock and price changes it may
+ *   mention, policy to override getMessagePolicy(), and the recipient's unsubscribeUrl (see email-unsubscribes.js)
+ * @returns {Promise<{ subject: string, html: string, text: string }>} The generated email
+ */
+async function generateReminderEmail(userName, productName, urgencyLevel = 'medium', checkoutLink = null, options = {}) {
+  try {
+    // Validate inputs
+    validateReminderInputs(userName, productName, urgencyLevel);
+
+    const prompt = `Write a short, personalized email for an abandoned cart reminder.
+
+Customer Name: ${userName}
+Product: ${productName}
+${options.price ? `Price: ${options.price}\n` : ''}Urgency Level: ${urgencyLevel} (${urgencyPrompts[urgencyLevel]})
+Tone: ${urgencyTones[urgencyLevel]}
+
+Requirements:
+- Subject line under 60 characters
+- 2 or 3 short paragraphs of plain text, no HTML or markdown
+- Greet the customer by name
+- Mention the specific product
+- Use the appropriate urgency level
+${options.discountCode ? `- Offer this discount code: ${options.discountCode}` : '- Don\'t mention discounts or coupon codes'}
+- Don't include any links or a sign-off, a checkout button is added after the text
+- Also write a call-to-action button label of 2-4 words
+${getSignalRequirements(options.signals)}${getPriceRequirement(options)}${getBrandRequirements(options)}${options.instructions ? `- ${options.instructions}\n` : ''}
+Respond with JSON only, in this format:
+{"subject": "...", "paragraphs": ["...", "..."], "call_to_action": "..."}`;
+
+    const completion = await (options.provider || getProvider()).complete({
+      system: "You are a helpful assistant that writes personalized emails for e-commerce abandoned cart reminders. Keep emails brief, friendly, and on brand. Always respond with valid JSON.",
+      prompt,
+      json: true,
+      maxTokens: 400,
       temperature: 0.7,
+      context: { userName, productName, urgencyLevel, checkoutLink, discountCode: options.discountCode, price: options.price }
     });
 
-    // Extract and clean the generated message
-    let message = completion.choices[0].message.content.trim();
-    
-    // Remove any quotes or formatting
-    message = message.replace(/^["']|["']$/g, '');
-    
-    // Ensure it's under 160 characters
-    if (message.length > 160) {
-      message = message.substring(0, 157) + '...';
+    const content = JSON.parse(completion);
+    const subject = typeof content.subject === 'string' ? content.subject.trim().replace(/^["']|["']$/g, '') : '';
+    const paragraphs = (Array.isArray(content.paragraphs) ? content.paragraphs : [])
+      .filter(paragraph => typeof paragraph === 'string' && paragraph.trim())
+      .map(paragraph => paragraph.trim());
+
+    if (!subject || paragraphs.length === 0) {
+      throw new Error('Generated email is missing a subject or body');
     }
 
-    return message;
+    // Emails aren't regenerated like SMS, a claim the inventory doesn't back up falls back to the template
+    const problems = findUnsupportedClaims([subject, ...paragraphs].join('\n'), options.signals || null,
+      options.policy || getMessagePolicy());
+    if (problems.length > 0) {
+      const error = new Error(`Generated email failed validation: ${problems.join('; ')}`);
+      error.code = 'EMAIL_VALIDATION_FAILED';
+      throw error;
+    }
+
+    const callToAction = typeof content.call_to_action === 'string' && content.call_to_action.trim()
+      ? content.call_to_action.trim()
+      : 'Complete your order';
+
+    return {
+      subject,
+      ...renderEmailBodies(paragraphs, checkoutLink, callToAction, getEmailImage(productName, options), options.unsubscribeUrl)
+    };
 
   } catch (error) {
-    console.error('Error generating reminder message:', error);
+    console.error('Error generating reminder email:', error);
     throw error;
   }
 }
 
 /**
- * Generates multiple message variations for A/B testing
+ * Describes why generation failed, for the fallback_reason column of messages_sent
+ * @param {Error} error - Error thrown while generating
+ * @returns {string} e.g. 'llm_timeout: Request timed out.'
+ */
+function getFallbackReason(error) {
+  let kind = 'llm_error';
+  if (error && error.name === 'APIConnectionTimeoutError') {
+    kind = 'llm_timeout';
+  } else if (error && (error.code === 'SMS_VALIDATION_FAILED' || error.code === 'EMAIL_VALIDATION_FAILED')) {
+    kind = 'validation_failed';
+  }
+  return `${kind}: ${error && error.message ? error.message : 'unknown error'}`;
+}
+
+/**
+ * Checks the inputs shared by the reminder generators
+ * Invalid inputs are the caller's bug, so they throw instead of falling back
+ * @param {string} userName - The customer's name
+ * @param {string} productName - The name of the product in cart
+ * @param {string} urgencyLevel - 'low', 'medium', or 'high'
+ */
+function validateReminderInputs(userName, productName, urgencyLevel) {
+  if (!userName || !productName) {
+    throw new Error('userName and productName are required');
+  }
+
+  if (!['low', 'medium', 'high'].includes(urgencyLevel)) {
+    throw new Error('urgencyLevel must be "low", "medium", or "high"');
+  }
+}
+
+/**
+ * Generates an SMS reminder, falling back to a local template if the LLM fails or times out
+ * Templates are validated like generated messages; a custom template that fails is replaced by the built-in one
+ * @param {string} userName - The customer's name
+ * @param {string} productName - The name of the product in cart
+ * @param {string} urgencyLevel - 'low', 'medium', or 'high'
+ * @param {string} checkoutLink - Optional checkout link to include
+ * @param {Object} options - Optional discountCode, price, policy, instructions, brandName, brandVoice, provider, signals,
+ *   template to use instead of the built-in fallback, and useLLM: false to send the template without trying the LLM
+ * @returns {Promise<{ message: string, fallbackReason: string|null }>} fallbackReason is set when the LLM or the
+ *   custom template failed
+ * @throws {Error} With code SMS_TEMPLATE_INVALID if even the built-in template fails validation
+ */
+async function generateReminderMessageWithFallback(userName, productName, urgencyLevel = 'medium', checkoutLink = null, options = {}) {
+  validateReminderInputs(userName, productName, urgencyLevel);
+
+  const renderTemplateSMS = reasons => {
+    const values = {
+      name: userName,
+      product: productName,
+      price: options.price,
+      link: checkoutLink,
+      discount: options.discountCode
+    };
+    const validationOptions = { checkoutLink, policy: options.policy || getMessagePolicy(), signals: options.signals || null };
+
+    if (options.template) {
+      const custom = validateSMS(renderFallbackSMS(values, urgencyLevel, options.template), validationOptions);
+      if (custom.valid) {
+        return { message: custom.message, fallbackReason: reasons.join('; ') || null };
+      }
+
+      reasons.push(`template_invalid: ${custom.problems.join('; ')}`);
+      console.warn(`⚠️ Using built-in template SMS for ${userName} - the template ${custom.problems.join('; ')}`);
+    }
+
+    const builtIn = validateSMS(renderFallbackSMS(values, urgencyLevel), validationOptions);
+    if (!builtIn.valid) {
+      const error = new Error(`Template SMS failed validation: ${builtIn.problems.join('; ')}`);
+      error.code = 'SMS_TEMPLATE_INVALID';
+      throw error;
+    }
+
+    return { message: builtIn.message, fallbackReason: reasons.join('; ') || null };
+  };
+
+  if (options.useLLM === false) {
+    return renderTemplateSMS([]);
+  }
+
+  try {
+    const message = await generateReminderMessage(userName, productName, urgencyLevel, checkoutLink, options);
+    return { message, fallbackReason: null };
+  } catch (error) {
+    const fallbackReason = getFallbackReason(error);
+    console.warn(`⚠️ Using template SMS for ${userName} - ${fallbackReason}`);
+
+    return renderTemplateSMS([fallbackReason]);
+  }
+}
+
+/**
+ * Generates a reminder email, falling back to a local template if the LLM fails or times out
+ * @param {string} userName - The customer's name
+ * @param {string} productName - The name of the product(s) in cart
+ * @param {string} urgencyLevel - 'low', 'medium', or 'high'
+ * @param {string} checkoutLink - Checkout link for the email's button
+ * @param {Object} options - Optional discountCode to offer in the email, price, imageUrl, instructions, brandName,
+ *   brandVoice, provider, signals, policy and unsubscribeUrl
+ * @returns {Promise<{ email: Object, fallbackReason: string|null }>} fallbackReason is set when the template was used
+ */
+async function generateReminderEmailWithFallback(userName, productName, urgencyLevel = 'medium', checkoutLink = null, options = {}) {
+  validateReminderInputs(userName, productName, urgencyLevel);
+
+  try {
+    const email = await generateReminderEmail(userName, productName, urgencyLevel, checkoutLink, options);
+    return { email, fallbackReason: null };
+  } catch (error) {
+    const fallbackReason = getFallbackReason(error);
+    console.warn(`⚠️ Using template email for ${userName} - ${fallbackReason}`);
+
+    const { subject, paragraphs, callToAction } = renderFallbackEmail({
+      name: userName,
+      product: productName,
+      price: options.price,
+      link: checkoutLink,
+      discount: options.discountCode
+    });
+
+    return {
+      email: {
+        subject,
+        ...renderEmailBodies(paragraphs, checkoutLink, callToAction, getEmailImage(productName, options), options.unsubscribeUrl)
+      },
+      fallbackReason
+    };
+  }
+}
+
+/**
+ * Generates multiple message variations, e.g. to preview a prompt before testing it
+ * To A/B test reminders on real customers, define an experiment (see experiments.js)
  * @param {string} userName - The customer's name
  * @param {string} productName - The name of the product in cart
  * @param {string} urgencyLevel - 'low', 'medium', or 'high'
@@ -131,51 +490,50 @@ async function generateMessageVariations(userName, productName, urgencyLevel = '
  * Generates a message with specific template and fills in variables
  * @param {string} userName - The customer's name
  * @param {string} productName - The name of the product in cart
- * @param {string} template - Message template with placeholders
+ * @param {string} template - Message template with {name}, {product}, {price}, {link} and {discount} placeholders
  * @param {string} checkoutLink - Optional checkout link to include
+ * @param {Object} options - Optional discountCode, price, and useLLM: false to fill the placeholders locally
  * @returns {Promise<string>} The generated message
  */
-async function generateMessageFromTemplate(userName, productName, template, checkoutLink = null) {
+async function generateMessageFromTemplate(userName, productName, template, checkoutLink = null, options = {}) {
   try {
+    // Local rendering is exact and never calls the LLM
+    if (options.useLLM === false) {
+      return renderTemplate(template, {
+        name: userName,
+        product: productName,
+        price: options.price,
+        link: checkoutLink,
+        discount: options.discountCode
+      });
+    }
+
     const prompt = `Generate a personalized SMS message based on this template:
 
 Template: ${template}
 Customer Name: ${userName}
 Product: ${productName}
+${options.price ? `Price: ${options.price}` : ''}
 ${checkoutLink ? `Checkout Link: ${checkoutLink}` : ''}
+${options.discountCode ? `Discount Code: ${options.discountCode}` : ''}
 
 Requirements:
 - Replace any placeholders with appropriate content
 - Keep it under 160 characters
+- Keep the checkout link exactly as given
+- Don't add opt-out instructions, they are added automatically
 - Make it personal and engaging
 - Don't use quotes around the message
 
 Generate the message:`;
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [
-        {
-          role: "system",
-          content: "You are a helpful assistant that generates personalized SMS messages for e-commerce. Fill in templates with appropriate content while keeping messages concise."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      max_tokens: 100,
+    return await completeValidSMS({
+      system: "You are a helpful assistant that generates personalized SMS messages for e-commerce. Fill in templates with appropriate content while keeping messages concise.",
+      prompt,
+      maxTokens: 100,
       temperature: 0.7,
-    });
-
-    let message = completion.choices[0].message.content.trim();
-    message = message.replace(/^["']|["']$/g, '');
-    
-    if (message.length > 160) {
-      message = message.substring(0, 157) + '...';
-    }
-
-    return message;
+      context: { userName, productName, checkoutLink, template, discountCode: options.discountCode, price: options.price }
+    }, checkoutLink, options.policy || getMessagePolicy());
 
   } catch (error) {
     console.error('Error generating message from template:', error);
@@ -221,7 +579,8 @@ async function testMessageGeneration() {
       );
       
       console.log(`Message: ${message}`);
-      console.log(`Length: ${message.length} characters\n`);
+      const { encoding, segments } = countSegments(message);
+      console.log(`Length: ${message.length} characters (${segments} ${encoding} segment${segments === 1 ? '' : 's'})\n`);
     }
 
     // Test message variations
@@ -231,6 +590,12 @@ async function testMessageGeneration() {
       console.log(`Variation ${index + 1}: ${msg}`);
     });
 
+    // Test email generation
+    console.log('\n📧 Testing email generation:');
+    const email = await generateReminderEmail('Jordan Lee', 'Running Shoes', 'medium', 'https://shop.com/checkout/email123');
+    console.log(`Subject: ${email.subject}`);
+    console.log(`Text:\n${email.text}`);
+
     // Test template-based generation
     console.log('\n📝 Testing template-based generation:');
     const templateMessage = await generateMessageFromTemplate(
@@ -241,6 +606,15 @@ async function testMessageGeneration() {
     );
     console.log(`Template message: ${templateMessage}`);
 
+    const localTemplateMessage = await generateMessageFromTemplate(
+      'Lisa Brown',
+      'Yoga Mat',
+      'Hey {name}! Your {product} is waiting. Use code {discount}: {link}',
+      'https://shop.com/checkout/template123',
+      { discountCode: 'COMEBACK10', useLLM: false }
+    );
+    console.log(`Local template message: ${localTemplateMessage}`);
+
   } catch (error) {
     console.error('❌ Test failed:', error.message);
   }
@@ -249,6 +623,9 @@ async function testMessageGeneration() {
 // Export functions for use in other modules
 module.exports = {
   generateReminderMessage,
+  generateReminderEmail,
+  generateReminderMessageWithFallback,
+  generateReminderEmailWithFallback,
   generateMessageVariations,
   generateMessageFromTemplate,
   testMessageGeneration
@@ -256,9 +633,10 @@ module.exports = {
 
 // Run tests if this file is executed directly
 if (require.main === module) {
-  // Check if OpenAI API key is set
-  if (!process.env.OPENAI_API_KEY) {
-    console.error('❌ OPENAI_API_KEY environment variable is required');
+  // Check the configured LLM provider's settings (e.g. OPENAI_API_KEY)
+  const missingVars = getProviderEnvVars().filter(varName => !process.env[varName]);
+  if (missingVars.length > 0) {
+    console.error('❌ Missing LLM environment variables:', missingVars.join(', '));
     process.exit(1);
   }
   
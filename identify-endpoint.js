@@ -0,0 +1,140 @@
+// Express handler for the storefront capture form
+// Records the email (and optionally phone and SMS consent) a visitor leaves, and links their
+// anonymous browsing history to them
+
+const { normalizePhoneNumber } = require('./phone-utils');
+const { getOrCreateUserId } = require('./cart-events-endpoint');
+const { recordConsent, getConsentStatus, SMS_CONSENT_TEXT } = require('./sms-consent');
+const { isValidAnonymousId, stitchVisitor } = require('./visitor-identity');
+
+/**
+ * Records SMS consent given in the capture form, unless the number is already opted in to the shop
+ * An unticked box is not an opt-out, so nothing is recorded without consent
+ * @param {string} phone - Phone number in E.164 format
+ * @param {string} userId - The customer's user ID
+ * @param {string|null} shopId - The shop the consent was given to
+ * @returns {Promise<string>} The number's consent status
+ */
+async function recordCaptureConsent(phone, userId, shopId) {
+  const current = await getConsentStatus(phone, shopId);
+  if (current === 'opted_in') {
+    return current;
+  }
+
+  await recordConsent(phone, 'opted_in', 'storefront', {
+    shop_id: shopId,
+    user_id: userId,
+    // The configured wording rather than what the client sent, so the record can't be made up
+    consent_text: SMS_CONSENT_TEXT
+  });
+  return 'opted_in';
+}
+
+// Identify endpoint handler
+const identifyHandler = async (req, res) => {
+  try {
+    const { anonymous_id, email, phone, sms_consent, timezone } = req.body;
+    // Set by requireShopKey; the environment's store has no ID
+    const shopId = req.shop.id;
+
+    // Customers are identified by email, so it's required even when the form asks for a phone
+    if (!email) {
+      return res.status(400).json({
+        error: 'Missing required field: email is required'
+      });
+    }
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (typeof email !== 'string' || !emailRegex.test(email)) {
+      return res.status(400).json({
+        error: 'Invalid email format'
+      });
+    }
+
+    if (anonymous_id && !isValidAnonymousId(anonymous_id)) {
+      return res.status(400).json({
+        error: 'Invalid anonymous_id: must be 8-64 letters, digits, dashes or underscores'
+      });
+    }
+
+    // Unlike cart events, a phone typed into the form is rejected so the visitor can correct it
+    const normalizedPhone = phone ? normalizePhoneNumber(String(phone)) : null;
+    if (phone && !normalizedPhone) {
+      return res.status(400).json({
+        error: 'Invalid phone number'
+      });
+    }
+
+    if (sms_consent !== undefined && typeof sms_consent !== 'boolean') {
+      return res.status(400).json({
+        error: 'Invalid sms_consent: must be true or false'
+      });
+    }
+
+    if (sms_consent === true && !normalizedPhone) {
+      return res.status(400).json({
+        error: 'A phone number is required to consent to SMS'
+      });
+    }
+
+    // Only keep timezones the runtime recognises, they drive SMS quiet hours
+    let validatedTimezone = null;
+    if (timezone) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        validatedTimezone = timezone;
+      } catch (error) {
+        console.log('Ignoring invalid timezone on identify request:', timezone);
+      }
+    }
+
+    // A number the visitor consents to texts at becomes the one we text, replacing any stored before
+    const userId = await getOrCreateUserId(email, normalizedPhone, validatedTimezone, shopId, {
+      replacePhone: sms_consent === true
+    });
+    if (!userId) {
+      return res.status(500).json({
+        error: 'Failed to record customer'
+      });
+    }
+
+    let smsConsentStatus = null;
+    if (sms_consent === true) {
+      smsConsentStatus = await recordCaptureConsent(normalizedPhone, userId, shopId);
+    }
+
+    let stitched = { views: 0, carts: 0 };
+    if (anonymous_id) {
+      stitched = await stitchVisitor(anonymous_id, userId, shopId, 'subscribe');
+    }
+
+    console.log('Visitor identified successfully:', {
+      user_id: userId,
+      anonymous_id,
+      sms_consent: smsConsentStatus,
+      ...stitched
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Visitor identified successfully',
+      data: {
+        user_id: userId,
+        sms_consent: smsConsentStatus,
+        views_linked: stitched.views,
+        carts_linked: stitched.carts
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in identify handler:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  identifyHandler
+}; 
\ No newline at end of file
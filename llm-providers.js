@@ -0,0 +1,217 @@
+// LLM providers for message generation
+// Selects OpenAI, an OpenAI-compatible local server (Ollama, llama.cpp) or an offline stub from LLM_PROVIDER
+
+require('dotenv').config();
+const OpenAI = require('openai');
+const { renderTemplate } = require('./message-templates');
+
+// Providers that can be selected with LLM_PROVIDER
+const LLM_PROVIDERS = ['openai', 'openai-compatible', 'stub'];
+
+// Model used when LLM_MODEL isn't set
+const DEFAULT_MODELS = {
+  openai: 'gpt-3.5-turbo',
+  'openai-compatible': 'llama3'
+};
+
+// Requests that take longer than this fail, so callers can fall back to a template
+const LLM_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS || '15000', 10);
+
+// Created on first use from the LLM_* settings, unless a provider was set with setProvider()
+let provider = null;
+
+// Providers for shops with their own API key or model, keyed by shop, key and model
+const shopProviders = new Map();
+
+/**
+ * Creates a provider backed by the OpenAI chat completions API
+ * Also used for OpenAI-compatible servers by passing their baseURL
+ * @param {Object} options - apiKey, model, and optional baseURL, timeout (ms) and name
+ * @returns {Object} Provider with a complete() method
+ */
+function createOpenAIProvider(options = {}) {
+  const client = new OpenAI({
+    apiKey: options.apiKey,
+    baseURL: options.baseURL,
+    timeout: options.timeout || LLM_TIMEOUT_MS,
+    maxRetries: 1
+  });
+
+  return {
+    name: options.name || 'openai',
+    model: options.model,
+
+    /**
+     * Generates a completion for a prompt
+     * @param {Object} request - system, prompt, maxTokens, temperature, and json to ask for a JSON object
+     * @returns {Promise<string>} The generated text
+     */
+    async complete(request) {
+      const completion = await client.chat.completions.create({
+        model: options.model,
+        messages: [
+          {
+            role: "system",
+            content: request.system
+          },
+          {
+            role: "user",
+            content: request.prompt
+          }
+        ],
+        ...(request.json ? { response_format: { type: "json_object" } } : {}),
+        max_tokens: request.maxTokens,
+        temperature: request.temperature,
+      });
+
+      return completion.choices[0].message.content || '';
+    }
+  };
+}
+
+/**
+ * Creates a provider for an OpenAI-compatible server such as Ollama or llama.cpp
+ * @param {Object} options - baseURL (e.g. http://localhost:11434/v1), model, and optional apiKey
+ * @returns {Object} Provider with a complete() method
+ */
+function createOpenAICompatibleProvider(options = {}) {
+  if (!options.baseURL) {
+    throw new Error('LLM_BASE_URL is required for the openai-compatible provider');
+  }
+
+  return createOpenAIProvider({
+    ...options,
+    // Local servers usually ignore the key, but the client requires one
+    apiKey: options.apiKey || 'not-needed',
+    name: 'openai-compatible'
+  });
+}
+
+/**
+ * Creates a provider that builds messages from the request context without any network access
+ * The same request always produces the same output, so it suits tests and dry runs
+ * @returns {Object} Provider with a complete() method
+ */
+function createStubProvider() {
+  return {
+    name: 'stub',
+    model: 'stub',
+
+    async complete(request) {
+      const context = request.context || {};
+      const name = context.userName || 'there';
+      const product = context.productName || 'your items';
+      const discount = context.discountCode ? ` Use code ${context.discountCode} at checkout.` : '';
+
+      if (context.template) {
+        return renderTemplate(context.template, {
+          name,
+          product,
+          price: context.price,
+          link: context.checkoutLink,
+          discount: context.discountCode
+        });
+      }
+
+      if (request.json) {
+        return JSON.stringify({
+          subject: `${name}, your ${product} is waiting`,
+          paragraphs: [
+            `Hi ${name},`,
+            `You left ${product} in your cart.${discount}`
+          ],
+          call_to_action: 'Complete your order'
+        });
+      }
+
+      const link = context.checkoutLink ? ` ${context.checkoutLink}` : '';
+      return `Hi ${name}! Your ${product} is still in your cart.${discount} Complete your order:${link}`;
+    }
+  };
+}
+
+/**
+ * Gets the configured provider
+ * @returns {Object} Provider with name, model and complete()
+ */
+function getProvider() {
+  if (!provider) {
+    const providerName = process.env.LLM_PROVIDER || 'openai';
+
+    if (providerName === 'openai') {
+      provider = createOpenAIProvider({
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.LLM_MODEL || DEFAULT_MODELS.openai
+      });
+    } else if (providerName === 'openai-compatible') {
+      provider = createOpenAICompatibleProvider({
+        baseURL: process.env.LLM_BASE_URL,
+        apiKey: process.env.LLM_API_KEY,
+        model: process.env.LLM_MODEL || DEFAULT_MODELS['openai-compatible']
+      });
+    } else if (providerName === 'stub') {
+      provider = createStubProvider();
+    } else {
+      throw new Error(`LLM_PROVIDER must be one of ${LLM_PROVIDERS.join(', ')}, got: ${providerName}`);
+    }
+  }
+  return provider;
+}
+
+/**
+ * Gets the provider for a shop's messages
+ * Shops with their own llm_api_key or llm_model get their own client of the configured provider type;
+ * the others (and the stub provider) share getProvider()
+ * @param {Object|null} shop - The shop (see shops.js)
+ * @returns {Object} Provider with name, model and complete()
+ */
+function getShopProvider(shop) {
+  const providerName = process.env.LLM_PROVIDER || 'openai';
+  if (!shop || (!shop.credentials.llmApiKey && !shop.llmModel) || providerName === 'stub') {
+    return getProvider();
+  }
+
+  const cacheKey = `${shop.id}:${shop.credentials.llmApiKey}:${shop.llmModel}`;
+  if (!shopProviders.has(cacheKey)) {
+    const options = {
+      apiKey: shop.credentials.llmApiKey || (providerName === 'openai' ? process.env.OPENAI_API_KEY : process.env.LLM_API_KEY),
+      model: shop.llmModel || process.env.LLM_MODEL || DEFAULT_MODELS[providerName]
+    };
+
+    shopProviders.set(cacheKey, providerName === 'openai-compatible'
+      ? createOpenAICompatibleProvider({ ...options, baseURL: process.env.LLM_BASE_URL })
+      : createOpenAIProvider(options));
+  }
+  return shopProviders.get(cacheKey);
+}
+
+/**
+ * Replaces the provider, e.g. with a custom implementation or the stub in tests
+ * @param {Object|null} customProvider - Object with a complete() method, or null to go back to the LLM_* settings
+ */
+function setProvider(customProvider) {
+  provider = customProvider;
+}
+
+/**
+ * Lists the environment variables the configured provider needs
+ * @returns {string[]} Variable names
+ */
+function getProviderEnvVars() {
+  const providerName = process.env.LLM_PROVIDER || 'openai';
+
+  if (providerName === 'openai') return ['OPENAI_API_KEY'];
+  if (providerName === 'openai-compatible') return ['LLM_BASE_URL'];
+  return [];
+}
+
+module.exports = {
+  LLM_PROVIDERS,
+  createOpenAIProvider,
+  createOpenAICompatibleProvider,
+  createStubProvider,
+  getProvider,
+  getShopProvider,
+  setProvider,
+  getProviderEnvVars
+}; 
\ No newline at end of file
@@ -0,0 +1,386 @@
+// Outbound message queue
+// The cron queues each reminder in the message_jobs table; workers claim due jobs with FOR UPDATE SKIP LOCKED
+// (see claim_message_jobs in supabase_schema.sql), deliver them and retry failures with exponential backoff
+// Jobs that keep failing, or can never succeed (e.g. the customer opted out), end up dead for inspection
+
+require('dotenv').config();
+const os = require('os');
+const { getSupabase } = require('./supabase-client');
+const { sendSMS, toDeliveryStatus } = require('./send-sms');
+const { sendEmail } = require('./send-email');
+const { getShop } = require('./shops');
+
+// Messages are only logged unless DRY_RUN is explicitly set to "false" (same switch as the cron)
+const DRY_RUN = process.env.DRY_RUN !== 'false';
+
+// Provider each channel is delivered through
+const CHANNEL_PROVIDERS = {
+  sms: 'twilio',
+  email: 'smtp'
+};
+
+// Messages each provider may be sending at once, across all workers
+const PROVIDER_CONCURRENCY = {
+  twilio: parseInt(process.env.TWILIO_CONCURRENCY || '5', 10),
+  smtp: parseInt(process.env.SMTP_CONCURRENCY || '2', 10)
+};
+
+const QUEUE_MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS || '5', 10);
+
+// Retry n waits QUEUE_RETRY_BASE_SECONDS * 2^(n-1), up to QUEUE_RETRY_MAX_SECONDS
+const QUEUE_RETRY_BASE_SECONDS = parseInt(process.env.QUEUE_RETRY_BASE_SECONDS || '30', 10);
+const QUEUE_RETRY_MAX_SECONDS = parseInt(process.env.QUEUE_RETRY_MAX_SECONDS || '3600', 10);
+
+// SMS held back by quiet hours are tried again after this long, without using up an attempt
+const QUIET_HOURS_RETRY_MINUTES = 30;
+
+// Jobs a worker has held for longer than this are assumed abandoned (e.g. the process died) and claimed again
+const QUEUE_LOCK_TIMEOUT_SECONDS = parseInt(process.env.QUEUE_LOCK_TIMEOUT_SECONDS || '600', 10);
+
+const QUEUE_POLL_INTERVAL_MS = parseInt(process.env.QUEUE_POLL_INTERVAL_MS || '5000', 10);
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Queues a message for delivery
+ * @param {Object} job - shopId, messageId (the messages_sent row, with delivery_status 'queued'), channel,
+ *   idempotencyKey, and payload: { to, body, timezone } for SMS or { to, subject, html, text, unsubscribe_url } for email
+ * @returns {Promise<Object|null>} The message_jobs row, or null if a job with the same idempotency key exists
+ */
+async function enqueueMessage(job) {
+  const provider = CHANNEL_PROVIDERS[job.channel];
+  if (!provider) {
+    throw new Error(`Can't queue ${job.channel} messages, channel must be one of ${Object.keys(CHANNEL_PROVIDERS).join(', ')}`);
+  }
+
+  // ignoreDuplicates keeps the first job if the same step is queued twice
+  const { data: jobs, error } = await getSupabase()
+    .from('message_jobs')
+    .upsert({
+      shop_id: job.shopId || null,
+      message_id: job.messageId,
+      idempotency_key: job.idempotencyKey,
+      channel: job.channel,
+      provider,
+      payload: job.payload,
+      max_attempts: QUEUE_MAX_ATTEMPTS
+    }, { onConflict: 'idempotency_key', ignoreDuplicates: true })
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to queue message: ${error.message}`);
+  }
+
+  return jobs && jobs.length > 0 ? jobs[0] : null;
+}
+
+/**
+ * Claims due jobs for a provider
+ * @param {string} provider - 'twilio' or 'smtp'
+ * @param {number} limit - Most jobs to claim
+ * @returns {Promise<Object[]>} The claimed jobs, now 'processing' with attempts incremented
+ */
+async function claimJobs(provider, limit) {
+  const { data: jobs, error } = await getSupabase().rpc('claim_message_jobs', {
+    p_provider: provider,
+    p_worker: WORKER_ID,
+    p_limit: limit,
+    p_max_concurrency: PROVIDER_CONCURRENCY[provider],
+    p_lock_timeout_seconds: QUEUE_LOCK_TIMEOUT_SECONDS
+  });
+
+  if (error) {
+    throw new Error(`Failed to claim ${provider} jobs: ${error.message}`);
+  }
+
+  return jobs || [];
+}
+
+/**
+ * Works out how long to wait before retrying
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds, with up to 20% jitter so retries don't arrive together
+ */
+function getRetryDelayMs(attempts) {
+  const seconds = QUEUE_RETRY_BASE_SECONDS * Math.pow(2, Math.max(attempts - 1, 0)) * (1 + Math.random() * 0.2);
+  return Math.round(Math.min(seconds, QUEUE_RETRY_MAX_SECONDS) * 1000);
+}
+
+/**
+ * Decides whether a failed send is worth retrying
+ * @param {Error} error - The error the send threw
+ * @returns {boolean} False for failures that would fail again, e.g. an opted-out number or a rejected address
+ */
+function isRetryable(error) {
+  if (error.code === 'SMS_BLOCKED' || error.code === 'SHOP_INACTIVE') {
+    return false;
+  }
+  // Twilio errors carry the HTTP status; other 4xx responses won't succeed on retry
+  if (error.status) {
+    return error.status === 429 || error.status >= 500;
+  }
+  // SMTP replies: 4xx are temporary, 5xx permanent
+  if (error.responseCode) {
+    return error.responseCode < 500;
+  }
+  // Network errors and timeouts
+  return true;
+}
+
+/**
+ * Sends a job's message, or just logs it in DRY_RUN mode
+ * @param {Object} job - The message_jobs row
+ * @returns {Promise<Object>} messages_sent fields describing the delivery
+ */
+async function deliverJob(job) {
+  const shop = await getShop(job.shop_id);
+  if (!shop) {
+    const error = new Error('Shop is inactive or was deleted');
+    error.code = 'SHOP_INACTIVE';
+    throw error;
+  }
+
+  const { payload } = job;
+
+  if (DRY_RUN) {
+    console.log(job.channel === 'sms'
+      ? `📤 [DRY RUN] Would send SMS to ${payload.to}: ${payload.body}`
+      : `📤 [DRY RUN] Would send email to ${payload.to}: ${payload.subject}`);
+    return { delivery_status: 'dry_run' };
+  }
+
+  if (job.channel === 'sms') {
+    const result = await sendSMS(payload.to, payload.body, { timezone: payload.timezone, shop });
+    return { twilio_sid: result.sid, delivery_status: toDeliveryStatus(result.status) };
+  }
+
+  const result = await sendEmail(payload.to, payload, { from: shop.emailFrom, unsubscribeUrl: payload.unsubscribe_url });
+  return { email_message_id: result.messageId, delivery_status: 'sent' };
+}
+
+/**
+ * Updates a job and the message it delivers
+ * The message is updated first, so a sent message is recorded even if the job can't be released
+ * @param {Object} job - The message_jobs row
+ * @param {Object} jobUpdates - message_jobs fields
+ * @param {Object|null} messageUpdates - messages_sent fields, or null to leave the message as it is
+ */
+async function updateJob(job, jobUpdates, messageUpdates) {
+  if (messageUpdates && job.message_id) {
+    const { error: messageError } = await getSupabase()
+      .from('messages_sent')
+      .update(messageUpdates)
+      .eq('id', job.message_id);
+
+    if (messageError) {
+      throw new Error(`Failed to update message: ${messageError.message}`);
+    }
+  }
+
+  const { error: jobError } = await getSupabase()
+    .from('message_jobs')
+    .update({ ...jobUpdates, locked_at: null, locked_by: null })
+    .eq('id', job.id);
+
+  if (jobError) {
+    throw new Error(`Failed to update message job: ${jobError.message}`);
+  }
+}
+
+/**
+ * Checks whether a job's message already went out, i.e. its worker sent it but couldn't mark the job sent
+ * @param {Object} job - The message_jobs row
+ * @returns {Promise<boolean>} True if the message has a sent_at
+ */
+async function isMessageSent(job) {
+  if (!job.message_id) {
+    return false;
+  }
+
+  const { data: message, error } = await getSupabase()
+    .from('messages_sent')
+    .select('sent_at')
+    .eq('id', job.message_id)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw new Error(`Failed to load message: ${error.message}`);
+  }
+
+  return Boolean(message && message.sent_at);
+}
+
+/**
+ * Marks a delivered job sent
+ * Never throws: the message is out, so the job mustn't go back in the queue. If the message's sent_at can't be
+ * recorded the job is still released as sent, and if that fails too the job stays claimed until a worker
+ * claims it again and finds the message sent (see isMessageSent)
+ * @param {Object} job - The message_jobs row
+ * @param {Object} delivery - messages_sent fields describing the delivery (see deliverJob)
+ */
+async function markJobSent(job, delivery) {
+  const now = new Date().toISOString();
+  const jobUpdates = { status: 'sent', completed_at: now, last_error: null };
+
+  try {
+    await updateJob(job, jobUpdates, { ...delivery, sent_at: now });
+  } catch (error) {
+    console.error(`❌ Job ${job.id} was delivered but updating it failed: ${error.message}`);
+    try {
+      await updateJob(job, jobUpdates, null);
+    } catch (retryError) {
+      console.error(`❌ Job ${job.id} was delivered but couldn't be marked sent: ${retryError.message}`);
+    }
+  }
+}
+
+/**
+ * Delivers a claimed job, then marks it sent, schedules a retry, or moves it to the dead letters
+ * @param {Object} job - A job returned by claimJobs()
+ * @returns {Promise<string>} The job's new status: 'sent', 'pending' or 'dead'
+ */
+async function processJob(job) {
+  // A job can come back here after its worker died mid-send, or sent it but couldn't mark it sent
+  if (job.attempts > 1 && await isMessageSent(job)) {
+    await updateJob(job, { status: 'sent', completed_at: new Date().toISOString(), last_error: null }, null);
+    console.log(`✅ Job ${job.id} was already sent`);
+    return 'sent';
+  }
+
+  if (job.attempts > job.max_attempts) {
+    const lastError = job.last_error || 'worker stopped before finishing';
+    await updateJob(job, { status: 'dead', last_error: lastError }, { delivery_status: 'failed', error_message: lastError });
+    console.error(`💀 Job ${job.id} is dead after ${job.max_attempts} attempts: ${lastError}`);
+    return 'dead';
+  }
+
+  let delivery;
+  try {
+    delivery = await deliverJob(job);
+  } catch (error) {
+    if (error.code === 'SMS_BLOCKED' && error.reason === 'quiet_hours') {
+      const runAt = new Date(Date.now() + QUIET_HOURS_RETRY_MINUTES * 60 * 1000).toISOString();
+      await updateJob(job, { status: 'pending', attempts: job.attempts - 1, run_at: runAt }, null);
+      console.log(`🌙 Delaying SMS to ${job.payload.to} - quiet hours`);
+      return 'pending';
+    }
+
+    if (isRetryable(error) && job.attempts < job.max_attempts) {
+      const runAt = new Date(Date.now() + getRetryDelayMs(job.attempts)).toISOString();
+      await updateJob(job, { status: 'pending', run_at: runAt, last_error: error.message }, null);
+      console.warn(`🔁 Attempt ${job.attempts}/${job.max_attempts} for job ${job.id} failed, retrying at ${runAt}: ${error.message}`);
+      return 'pending';
+    }
+
+    // Blocked SMS were never sent, so they're canceled rather than failed
+    const deliveryStatus = error.code === 'SMS_BLOCKED' ? 'canceled' : 'failed';
+    await updateJob(job, { status: 'dead', last_error: error.message }, { delivery_status: deliveryStatus, error_message: error.message });
+    console.error(`💀 Job ${job.id} is dead after ${job.attempts} attempts: ${error.message}`);
+    return 'dead';
+  }
+
+  // Outside the try above, so a failed update can't schedule a retry of a message that went out
+  await markJobSent(job, delivery);
+  console.log(`✅ ${job.channel === 'sms' ? 'SMS' : 'Email'} ${DRY_RUN ? 'logged' : 'sent'} to ${job.payload.to}`);
+  return 'sent';
+}
+
+/**
+ * Claims and delivers one batch of due jobs per provider, up to each provider's concurrency
+ * @returns {Promise<number>} How many jobs were processed
+ */
+async function workQueue() {
+  let processed = 0;
+
+  for (const provider of Object.keys(PROVIDER_CONCURRENCY)) {
+    try {
+      const jobs = await claimJobs(provider, PROVIDER_CONCURRENCY[provider]);
+      const results = await Promise.allSettled(jobs.map(processJob));
+
+      results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => console.error(`❌ Error processing ${provider} job:`, result.reason));
+      processed += jobs.length;
+
+    } catch (error) {
+      console.error(`❌ Error working the ${provider} queue:`, error);
+    }
+  }
+
+  return processed;
+}
+
+/**
+ * Polls the queue every QUEUE_POLL_INTERVAL_MS
+ * Any number of workers can run, in separate processes or inside the cron (see startCronJob)
+ */
+function startWorker() {
+  console.log(`📮 Message queue worker ${WORKER_ID} started (${Object.entries(PROVIDER_CONCURRENCY).map(([provider, limit]) => `${provider}: ${limit}`).join(', ')})`);
+
+  let working = false;
+  const poll = async () => {
+    // A slow batch delays the next poll instead of overlapping it
+    if (working) {
+      return;
+    }
+    working = true;
+    try {
+      while (await workQueue() > 0) {
+        // Keep going while there's a backlog
+      }
+    } finally {
+      working = false;
+    }
+  };
+
+  setInterval(poll, QUEUE_POLL_INTERVAL_MS);
+  poll();
+}
+
+/**
+ * Puts a dead job back in the queue, with a fresh set of attempts
+ * @param {string} jobId - The message_jobs ID
+ * @returns {Promise<Object|null>} The job, or null if there's no dead job with that ID
+ */
+async function retryDeadJob(jobId) {
+  const { data: jobs, error } = await getSupabase()
+    .from('message_jobs')
+    .update({ status: 'pending', attempts: 0, run_at: new Date().toISOString(), last_error: null })
+    .eq('id', jobId)
+    .eq('status', 'dead')
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to retry message job: ${error.message}`);
+  }
+
+  const job = jobs && jobs.length > 0 ? jobs[0] : null;
+  if (job && job.message_id) {
+    await getSupabase()
+      .from('messages_sent')
+      .update({ delivery_status: 'queued', error_message: null })
+      .eq('id', job.message_id);
+  }
+
+  return job;
+}
+
+module.exports = {
+  CHANNEL_PROVIDERS,
+  enqueueMessage,
+  claimJobs,
+  processJob,
+  workQueue,
+  startWorker,
+  retryDeadJob,
+  isRetryable,
+  getRetryDelayMs
+};
+
+// Run a standalone worker if this file is executed directly
+if (require.main === module) {
+  if (DRY_RUN) {
+    console.log('📱 DRY_RUN mode: queued messages are logged but not sent');
+  }
+  startWorker();
+} 
\ No newline at end of file
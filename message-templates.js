@@ -0,0 +1,121 @@
+// Local message templates
+// Renders {name}, {product}, {price}, {link} and {discount} placeholders without calling the LLM
+// Also holds the fallback reminders used when AI generation fails
+
+const { findUnsupportedClaims, getMessagePolicy } = require('./sms-validator');
+
+// SMS used when the LLM can't be reached, by urgency level
+// Rendered templates are validated like generated SMS (see generateReminderMessageWithFallback)
+const FALLBACK_SMS_TEMPLATES = {
+  low: 'Hi {name}! Your {product} is still in your cart. Complete your order: {link}',
+  medium: 'Hi {name}, your {product} is still waiting in your cart. Complete your order: {link}',
+  high: '{name}, don\'t forget your {product}! Complete your order now: {link}'
+};
+
+// Same as above, for steps that offer a discount code
+const FALLBACK_SMS_DISCOUNT_TEMPLATES = {
+  low: 'Hi {name}! Your {product} is still in your cart. Use code {discount} at checkout: {link}',
+  medium: 'Hi {name}, your {product} is still waiting in your cart. Use code {discount}: {link}',
+  high: '{name}, don\'t forget your {product}! Use code {discount} and complete your order now: {link}'
+};
+
+// Email used when the LLM can't be reached (the checkout button is added by the renderer)
+const FALLBACK_EMAIL_TEMPLATE = {
+  subject: '{name}, you left something in your cart',
+  paragraphs: [
+    'Hi {name},',
+    'Your {product} is still waiting in your cart. Pick up where you left off whenever you\'re ready.'
+  ],
+  discountParagraph: 'Use code {discount} at checkout to save on your order.',
+  callToAction: 'Complete your order'
+};
+
+// Placeholders a template can use
+const TEMPLATE_PLACEHOLDERS = ['name', 'product', 'price', 'link', 'discount'];
+
+/**
+ * Checks a template before it's saved
+ * Stock and price claims are rejected (unless the policy allows scarcity claims), since whether they're true
+ * depends on the cart; rendered templates are checked again against the cart's signals before they're sent
+ * @param {string} template - Text with {name}, {product}, {price}, {link} and {discount} placeholders
+ * @param {Object} policy - Store message policy (defaults to getMessagePolicy())
+ * @returns {string[]} Problems with the template, empty if it can be used
+ */
+function validateTemplate(template, policy = getMessagePolicy()) {
+  if (typeof template !== 'string' || !template.trim()) {
+    return ['template is empty'];
+  }
+
+  const problems = [];
+  const unknown = (template.match(/\{[^{}]*\}/g) || [])
+    .filter(placeholder => !TEMPLATE_PLACEHOLDERS.includes(placeholder.slice(1, -1)));
+  if (unknown.length > 0) {
+    problems.push(`unknown placeholders: ${[...new Set(unknown)].join(', ')}`);
+  }
+
+  if (!template.includes('{link}')) {
+    problems.push('template must include {link}');
+  }
+
+  problems.push(...findUnsupportedClaims(template, null, policy));
+
+  return problems;
+}
+
+/**
+ * Fills in a template's placeholders
+ * Placeholders without a value are removed
+ * @param {string} template - Text with {name}, {product}, {price}, {link} and {discount} placeholders
+ * @param {Object} values - name, product, price (formatted, e.g. $24.00), link and discount
+ * @returns {string} The rendered text
+ */
+function renderTemplate(template, values = {}) {
+  return String(template)
+    .replace(/\{(name|product|price|link|discount)\}/g, (placeholder, key) => {
+      const value = values[key];
+      return value === undefined || value === null ? '' : String(value);
+    })
+    .replace(/[ \t]{2,}/g, ' ')
+    .replace(/ ([,.!?])/g, '$1')
+    .trim();
+}
+
+/**
+ * Renders the fallback SMS for a reminder
+ * @param {Object} values - name, product, price, link and discount
+ * @param {string} urgencyLevel - 'low', 'medium', or 'high'
+ * @param {string|null} template - Custom template to use instead of the built-in ones
+ * @returns {string} The SMS text
+ */
+function renderFallbackSMS(values, urgencyLevel = 'medium', template = null) {
+  const templates = values.discount ? FALLBACK_SMS_DISCOUNT_TEMPLATES : FALLBACK_SMS_TEMPLATES;
+  return renderTemplate(template || templates[urgencyLevel] || templates.medium, values);
+}
+
+/**
+ * Renders the parts of the fallback email for a reminder
+ * @param {Object} values - name, product, price, link and discount
+ * @returns {{ subject: string, paragraphs: string[], callToAction: string }} The email parts
+ */
+function renderFallbackEmail(values) {
+  const paragraphs = FALLBACK_EMAIL_TEMPLATE.paragraphs.map(paragraph => renderTemplate(paragraph, values));
+  if (values.discount) {
+    paragraphs.push(renderTemplate(FALLBACK_EMAIL_TEMPLATE.discountParagraph, values));
+  }
+
+  return {
+    subject: renderTemplate(FALLBACK_EMAIL_TEMPLATE.subject, values),
+    paragraphs,
+    callToAction: FALLBACK_EMAIL_TEMPLATE.callToAction
+  };
+}
+
+module.exports = {
+  FALLBACK_SMS_TEMPLATES,
+  FALLBACK_SMS_DISCOUNT_TEMPLATES,
+  FALLBACK_EMAIL_TEMPLATE,
+  validateTemplate,
+  renderTemplate,
+  renderFallbackSMS,
+  renderFallbackEmail
+}; 
\ No newline at end of file
@@ -0,0 +1,58 @@
+// Phone number helpers
+// Normalizes customer phone numbers to E.164 before they are stored or texted
+
+// Country calling code assumed for numbers entered without one (e.g. "555 123 4567")
+const DEFAULT_COUNTRY_CODE = process.env.DEFAULT_COUNTRY_CODE || '1';
+
+/**
+ * Checks whether a phone number is in E.164 format
+ * @param {string} phoneNumber - Phone number to check
+ * @returns {boolean} True for numbers like +15551234567
+ */
+function isE164(phoneNumber) {
+  return typeof phoneNumber === 'string' && /^\+[1-9]\d{1,14}$/.test(phoneNumber);
+}
+
+/**
+ * Normalizes a phone number to E.164 format
+ * @param {string} phoneNumber - Phone number as entered by the customer or sent by Shopify
+ * @param {string} countryCode - Country calling code to assume for national numbers
+ * @returns {string|null} The E.164 number, or null if it can't be normalized
+ */
+function normalizePhoneNumber(phoneNumber, countryCode = DEFAULT_COUNTRY_CODE) {
+  if (!phoneNumber || typeof phoneNumber !== 'string') {
+    return null;
+  }
+
+  const trimmed = phoneNumber.trim();
+  const digits = trimmed.replace(/\D/g, '');
+
+  if (!digits) {
+    return null;
+  }
+
+  let normalized;
+  if (trimmed.startsWith('+')) {
+    normalized = `+${digits}`;
+  } else if (trimmed.startsWith('00')) {
+    // International dialing prefix, e.g. 0044...
+    normalized = `+${digits.slice(2)}`;
+  } else if (countryCode === '1' && digits.length === 11 && digits.startsWith('1')) {
+    // North American number that already includes the country code
+    normalized = `+${digits}`;
+  } else {
+    normalized = `+${countryCode}${digits.replace(/^0+/, '')}`;
+  }
+
+  // Shorter numbers are typos or short codes, not reachable mobile numbers
+  if (normalized.length < 9) {
+    return null;
+  }
+
+  return isE164(normalized) ? normalized : null;
+}
+
+module.exports = {
+  isE164,
+  normalizePhoneNumber
+}; 
\ No newline at end of file
@@ -0,0 +1,518 @@
+// Product catalog
+// Validates the variant, price and image details the storefront sends with views, and fills in the rest of a
+// product (description, type, collections, inventory, every variant's price and image) from Shopify's Admin API
+// The products row doubles as the cache: it's only fetched again once enriched_at is older than the TTL
+// Also turns synced inventory and prices into the stock and price signals reminders may mention
+
+require('dotenv').config();
+const { getSupabase } = require('./supabase-client');
+const { getShop, scopeToShop } = require('./shops');
+const { shopifyRequest } = require('./shopify-app');
+
+// Products are fetched from Shopify again once their details are older than this
+const PRODUCT_CACHE_TTL_MINUTES = parseInt(process.env.PRODUCT_CACHE_TTL_MINUTES || '360', 10);
+
+// Reminders only mention stock or price changes synced within this many minutes
+const STOCK_MAX_AGE_MINUTES = parseInt(process.env.STOCK_MAX_AGE_MINUTES || '60', 10);
+
+// A variant with this many or fewer sellable units left is low in stock
+const LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD || '5', 10);
+
+// A variant restocked within this many days is "back in stock"
+const RESTOCK_WINDOW_DAYS = parseInt(process.env.RESTOCK_WINDOW_DAYS || '7', 10);
+
+// Shopify only returns this many collections and variants per product in one request
+const MAX_COLLECTIONS = 10;
+const MAX_VARIANTS = 100;
+
+// Shopify's name for the variant of a product without options
+const DEFAULT_VARIANT_TITLE = 'Default Title';
+
+const PRODUCT_QUERY = `
+  query ProductDetails($id: ID!) {
+    shop { currencyCode }
+    product(id: $id) {
+      title
+      handle
+      productType
+      description
+      totalInventory
+      featuredImage { url }
+      collections(first: ${MAX_COLLECTIONS}) { nodes { title } }
+      variants(first: ${MAX_VARIANTS}) {
+        nodes { legacyResourceId title price inventoryQuantity inventoryPolicy inventoryItem { tracked } image { url } }
+      }
+    }
+  }
+`;
+
+// "shopId:productId:maxAge" -> promise of a fetch in progress, so a burst of views makes one Shopify request
+const pendingEnrichments = new Map();
+
+/**
+ * Checks an image URL sent by the storefront
+ * @param {*} url - e.g. https://cdn.shopify.com/s/files/.../shirt.jpg
+ * @returns {boolean} True for http(s) URLs
+ */
+function isValidImageUrl(url) {
+  if (typeof url !== 'string' || url.length > 2048) {
+    return false;
+  }
+
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validates and normalizes the optional variant details of a product view
+ * @param {Object} body - Request body with variant_id, variant_title, price, currency and image_url
+ * @returns {{ details: Object|null, error: string|null }} Details to store with the view, or a validation error
+ */
+function normalizeViewDetails(body) {
+  const { variant_id, variant_title, price, currency, image_url } = body || {};
+
+  if (variant_id !== undefined && variant_id !== null &&
+    !(['string', 'number'].includes(typeof variant_id) && String(variant_id).trim())) {
+    return { details: null, error: 'Invalid variant_id: must be a non-empty string or number' };
+  }
+
+  if (variant_title !== undefined && variant_title !== null && typeof variant_title !== 'string') {
+    return { details: null, error: 'Invalid variant_title: must be a string' };
+  }
+
+  const amount = price !== undefined && price !== null ? Number(price) : null;
+  if (amount !== null && (isNaN(amount) || amount < 0)) {
+    return { details: null, error: 'Invalid price: must be a non-negative number' };
+  }
+
+  if (currency && (typeof currency !== 'string' || !/^[A-Za-z]{3}$/.test(currency))) {
+    return { details: null, error: 'Invalid currency: must be a 3-letter ISO 4217 code' };
+  }
+
+  if (image_url && !isValidImageUrl(image_url)) {
+    return { details: null, error: 'Invalid image_url: must be an http(s) URL' };
+  }
+
+  return {
+    details: {
+      variant_id: variant_id !== undefined && variant_id !== null ? String(variant_id).trim() : null,
+      variant_title: variant_title ? variant_title.trim() || null : null,
+      price: amount,
+      currency: currency ? currency.toUpperCase() : null,
+      image_url: image_url || null
+    },
+    error: null
+  };
+}
+
+/**
+ * Names a product the way a customer picked it, e.g. "Linen Shirt (Blue / M)"
+ * @param {string} productName - The product's name
+ * @param {string|null} variantTitle - The variant's title; Shopify's "Default Title" is left out
+ * @returns {string} The name
+ */
+function formatProductName(productName, variantTitle) {
+  if (!variantTitle || variantTitle === DEFAULT_VARIANT_TITLE || productName.includes(variantTitle)) {
+    return productName;
+  }
+  return `${productName} (${variantTitle})`;
+}
+
+/**
+ * Formats a price for a message, e.g. $24.00 or €19,90
+ * @param {number|string|null} amount - The price
+ * @param {string|null} currency - ISO 4217 code; without one the amount is shown with two decimals
+ * @param {string} locale - Locale used to format the number
+ * @returns {string|null} The formatted price, or null if there's no price
+ */
+function formatPrice(amount, currency, locale = 'en-US') {
+  const value = amount !== undefined && amount !== null ? Number(amount) : NaN;
+  if (isNaN(value)) {
+    return null;
+  }
+
+  if (currency) {
+    try {
+      return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(value);
+    } catch (error) {
+      // Unknown currency code, show it next to the amount instead
+      return `${value.toFixed(2)} ${currency}`;
+    }
+  }
+  return value.toFixed(2);
+}
+
+/**
+ * Gets the domain and Admin API token used to look up a shop's products
+ * Shops that installed the app use the token stored on install; the environment's store uses
+ * SHOPIFY_ADMIN_ACCESS_TOKEN (a custom app's token) with the domain of SHOP_URL
+ * @param {string|null} shopId - The shop's ID; null for the environment's store
+ * @returns {Promise<{ domain: string, accessToken: string }|null>} Null if the shop has no token
+ */
+async function getShopifyAccess(shopId) {
+  const shop = await getShop(shopId);
+  if (!shop || !shop.domain || !shop.credentials.shopifyAccessToken) {
+    return null;
+  }
+  return { domain: shop.domain, accessToken: shop.credentials.shopifyAccessToken };
+}
+
+/**
+ * Gets how many units of a variant can still be sold
+ * Variants Shopify doesn't track, or keeps selling when out of stock, can't run out, so they have no count
+ * @param {boolean} tracked - Whether Shopify tracks the variant's inventory
+ * @param {string|null} policy - DENY (stop selling at zero) or CONTINUE, in either case
+ * @param {number|null} quantity - Units in stock across locations
+ * @returns {number|null} The units left, or null if stock can't run out or is unknown
+ */
+function getSellableQuantity(tracked, policy, quantity) {
+  if (!tracked || String(policy || '').toUpperCase() !== 'DENY' || typeof quantity !== 'number') {
+    return null;
+  }
+  return quantity;
+}
+
+/**
+ * Gets the lowest of a product's variant prices, as in "from $20"; each variant's own price is in variants
+ * @param {Object[]} variants - The product's variants
+ * @returns {number|null} The lowest price
+ */
+function getLowestPrice(variants) {
+  const prices = variants.map(variant => variant.price).filter(price => price !== null && !isNaN(price));
+  return prices.length > 0 ? Math.min(...prices) : null;
+}
+
+/**
+ * Carries each variant's restock date over from its previous sync
+ * A variant is restocked when it had no sellable units left and now has some
+ * @param {Object[]} variants - Variants just fetched from Shopify
+ * @param {Object[]|null} previousVariants - The variants stored before
+ * @param {string} syncedAt - ISO timestamp of this sync
+ * @returns {Object[]} The variants with restocked_at
+ */
+function trackRestocks(variants, previousVariants, syncedAt) {
+  const previousById = new Map((previousVariants || []).map(variant => [String(variant.id), variant]));
+
+  return variants.map(variant => {
+    const previous = previousById.get(String(variant.id));
+    const inStock = typeof variant.inventory_quantity === 'number' && variant.inventory_quantity > 0;
+    let restockedAt = null;
+
+    if (inStock && previous) {
+      const wasSoldOut = typeof previous.inventory_quantity === 'number' && previous.inventory_quantity <= 0;
+      restockedAt = wasSoldOut ? syncedAt : previous.restocked_at || null;
+    }
+
+    return { ...variant, restocked_at: restockedAt };
+  });
+}
+
+/**
+ * Fetches a product from Shopify's Admin API
+ * @param {{ domain: string, accessToken: string }} access - See getShopifyAccess
+ * @param {string} productId - Shopify's numeric product ID
+ * @returns {Promise<Object|null>} Columns to store on the products row, or null if Shopify has no such product
+ */
+async function fetchShopifyProduct(access, productId) {
+  const response = await shopifyRequest(access.domain, 'POST', 'graphql.json', {
+    accessToken: access.accessToken,
+    body: { query: PRODUCT_QUERY, variables: { id: `gid://shopify/Product/${productId}` } }
+  });
+
+  // GraphQL errors (e.g. a missing read_products scope) come back with a 200
+  if (response && response.errors) {
+    throw new Error(`Shopify product query failed: ${JSON.stringify(response.errors).slice(0, 200)}`);
+  }
+
+  const product = response && response.data ? response.data.product : null;
+  if (!product) {
+    return null;
+  }
+
+  const variants = product.variants.nodes.map(variant => ({
+    id: variant.legacyResourceId,
+    title: variant.title,
+    price: variant.price !== null && variant.price !== undefined ? Number(variant.price) : null,
+    inventory_quantity: getSellableQuantity(
+      variant.inventoryItem && variant.inventoryItem.tracked,
+      variant.inventoryPolicy,
+      variant.inventoryQuantity
+    ),
+    image_url: variant.image ? variant.image.url : null
+  }));
+
+  return {
+    name: product.title,
+    handle: product.handle,
+    description: product.description || null,
+    category: product.productType || null,
+    price: getLowestPrice(variants),
+    currency: response.data.shop ? response.data.shop.currencyCode : null,
+    image_url: product.featuredImage ? product.featuredImage.url : null,
+    inventory_quantity: product.totalInventory,
+    collections: product.collections.nodes.map(collection => collection.title),
+    variants
+  };
+}
+
+/**
+ * Loads the product row a sync updates
+ * @param {string} productId - The product's ID
+ * @param {string|null} shopId - The shop the product belongs to
+ * @returns {Promise<Object|null>} id, enriched_at and variants, or null if the shop doesn't track the product
+ */
+async function getTrackedProduct(productId, shopId) {
+  const { data: product, error } = await scopeToShop(getSupabase()
+    .from('products')
+    .select('id, enriched_at, variants')
+    .eq('id', productId), shopId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw new Error(`Failed to load product: ${error.message}`);
+  }
+
+  return product || null;
+}
+
+/**
+ * Saves a product's details from Shopify, keeping track of when its variants were restocked
+ * @param {Object} product - The stored row (see getTrackedProduct)
+ * @param {Object|null} details - Columns from Shopify, or null if Shopify has no such product
+ */
+async function saveProductDetails(product, details) {
+  const syncedAt = new Date().toISOString();
+  // Products Shopify doesn't know are marked as checked too, so they aren't looked up on every view
+  const update = details
+    ? { ...details, variants: trackRestocks(details.variants, product.variants, syncedAt), enriched_at: syncedAt }
+    : { enriched_at: syncedAt };
+
+  const { error } = await getSupabase()
+    .from('products')
+    .update(update)
+    .eq('id', product.id);
+
+  if (error) {
+    throw new Error(`Failed to save product details: ${error.message}`);
+  }
+}
+
+/**
+ * Fills in a product's details from Shopify, unless they were fetched within PRODUCT_CACHE_TTL_MINUTES
+ * Never throws: a product that can't be enriched keeps the details the storefront sent
+ * @param {string} productId - The product's ID (Shopify's numeric ID)
+ * @param {string|null} shopId - The shop the product belongs to
+ * @param {Object} options - maxAgeMinutes to use instead of PRODUCT_CACHE_TTL_MINUTES, e.g. for fresher stock
+ * @returns {Promise<Object|null>} The enriched columns, or null if nothing was fetched
+ */
+async function enrichProduct(productId, shopId, options = {}) {
+  const maxAgeMinutes = options.maxAgeMinutes || PRODUCT_CACHE_TTL_MINUTES;
+  const key = `${shopId || ''}:${productId}:${maxAgeMinutes}`;
+  if (pendingEnrichments.has(key)) {
+    return pendingEnrichments.get(key);
+  }
+
+  const pending = (async () => {
+    try {
+      // Only Shopify's numeric IDs can be looked up
+      if (!/^\d+$/.test(String(productId))) {
+        return null;
+      }
+
+      // Views create the row first, so a missing row means the product isn't tracked
+      const product = await getTrackedProduct(productId, shopId);
+      if (!product) {
+        return null;
+      }
+
+      const staleBefore = Date.now() - maxAgeMinutes * 60 * 1000;
+      if (product.enriched_at && new Date(product.enriched_at).getTime() > staleBefore) {
+        return null;
+      }
+
+      const access = await getShopifyAccess(shopId);
+      if (!access) {
+        return null;
+      }
+
+      const details = await fetchShopifyProduct(access, productId);
+      await saveProductDetails(product, details);
+
+      if (details) {
+        console.log(`🛍️ Enriched product ${productId} from Shopify (${details.variants.length} variants)`);
+      }
+      return details;
+    } catch (error) {
+      console.error(`Error enriching product ${productId}:`, error.message);
+      return null;
+    } finally {
+      pendingEnrichments.delete(key);
+    }
+  })();
+
+  pendingEnrichments.set(key, pending);
+  return pending;
+}
+
+/**
+ * Loads the stored details of several products, e.g. the items of a cart
+ * @param {string[]} productIds - Product IDs
+ * @param {string|null} shopId - The shop the products belong to
+ * @returns {Promise<Map<string, Object>>} Products rows by ID; products that can't be loaded are left out
+ */
+async function getProducts(productIds, shopId) {
+  const ids = [...new Set(productIds.filter(Boolean).map(String))];
+  if (ids.length === 0) {
+    return new Map();
+  }
+
+  const { data: rows, error } = await scopeToShop(getSupabase()
+    .from('products')
+    .select('id, name, price, currency, image_url, inventory_quantity, collections, variants, enriched_at')
+    .in('id', ids), shopId);
+
+  if (error) {
+    console.error('Error loading products:', error.message);
+    return new Map();
+  }
+
+  return new Map((rows || []).map(row => [String(row.id), row]));
+}
+
+/**
+ * Finds a variant in a products row
+ * @param {Object|null} product - Products row with its variants
+ * @param {string|null} variantId - Shopify's numeric variant ID
+ * @returns {Object|null} The variant (id, title, price, inventory_quantity, image_url), or null
+ */
+function findVariant(product, variantId) {
+  if (!product || !variantId || !Array.isArray(product.variants)) {
+    return null;
+  }
+  return product.variants.find(variant => String(variant.id) === String(variantId)) || null;
+}
+
+/**
+ * Updates a tracked product from a products/update webhook, so price and stock changes are picked up
+ * without waiting for the cache to expire
+ * @param {Object} payload - The webhook's product, in the REST Admin API format
+ * @param {string|null} shopId - The shop that sent the webhook
+ * @returns {Promise<{ product_id: string, synced: boolean }>} synced is false for products no one has viewed
+ */
+async function syncProductFromWebhook(payload, shopId) {
+  const productId = String(payload.id);
+  const product = await getTrackedProduct(productId, shopId);
+  if (!product) {
+    return { product_id: productId, synced: false };
+  }
+
+  const imagesById = new Map((payload.images || []).map(image => [image.id, image.src]));
+  const variants = (payload.variants || []).map(variant => ({
+    id: String(variant.id),
+    title: variant.title,
+    price: variant.price !== null && variant.price !== undefined ? Number(variant.price) : null,
+    inventory_quantity: getSellableQuantity(
+      variant.inventory_management === 'shopify',
+      variant.inventory_policy,
+      variant.inventory_quantity
+    ),
+    image_url: imagesById.get(variant.image_id) || null
+  }));
+  const quantities = variants.map(variant => variant.inventory_quantity).filter(quantity => quantity !== null);
+
+  // Collections aren't in the payload, so the ones stored are kept
+  await saveProductDetails(product, {
+    name: payload.title,
+    handle: payload.handle || null,
+    category: payload.product_type || null,
+    price: getLowestPrice(variants),
+    image_url: payload.image ? payload.image.src : null,
+    inventory_quantity: quantities.length > 0 ? quantities.reduce((sum, quantity) => sum + quantity, 0) : null,
+    variants
+  });
+
+  return { product_id: productId, synced: true };
+}
+
+/**
+ * Loads a cart's products for a reminder, fetching any whose stock was synced more than STOCK_MAX_AGE_MINUTES ago
+ * @param {string[]} productIds - Product IDs
+ * @param {string|null} shopId - The shop the products belong to
+ * @returns {Promise<Map<string, Object>>} Products rows by ID (see getProducts)
+ */
+async function getFreshProducts(productIds, shopId) {
+  const ids = [...new Set(productIds.filter(Boolean).map(String))];
+  await Promise.all(ids.map(id => enrichProduct(id, shopId, { maxAgeMinutes: STOCK_MAX_AGE_MINUTES })));
+  return getProducts(ids, shopId);
+}
+
+/**
+ * Works out what a reminder may truthfully say about a cart's stock and prices
+ * Only variants synced within STOCK_MAX_AGE_MINUTES count; without them no claim is allowed
+ * @param {Object[]} items - Cart items (product_id, variant_id, product_name, variant_title, price)
+ * @param {Map<string, Object>} products - Products rows by ID (see getFreshProducts)
+ * @param {string|null} currency - The cart's currency, for the prices in priceDrop
+ * @returns {{ lowStock: Object|null, plentifulStock: boolean, backInStock: string|null, priceDrop: Object|null }}
+ *   lowStock is { product, quantity }, backInStock the product's name, priceDrop { product, from, to, amount };
+ *   plentifulStock is true when every item's stock is known and above LOW_STOCK_THRESHOLD
+ */
+function getStockSignals(items, products, currency = null) {
+  const signals = { lowStock: null, plentifulStock: items.length > 0, backInStock: null, priceDrop: null };
+  const freshAfter = Date.now() - STOCK_MAX_AGE_MINUTES * 60 * 1000;
+  const restockedAfter = Date.now() - RESTOCK_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+
+  for (const item of items) {
+    const product = products.get(String(item.product_id)) || null;
+    const fresh = product && product.enriched_at && new Date(product.enriched_at).getTime() > freshAfter;
+    const variant = fresh ? findVariant(product, item.variant_id) : null;
+    const quantity = variant ? variant.inventory_quantity : null;
+    const name = formatProductName(item.product_name, item.variant_title || (variant && variant.title));
+
+    if (typeof quantity !== 'number' || quantity > LOW_STOCK_THRESHOLD) {
+      signals.plentifulStock = signals.plentifulStock && typeof quantity === 'number';
+    } else {
+      signals.plentifulStock = false;
+      // Mention the scarcest item
+      if (quantity > 0 && (!signals.lowStock || quantity < signals.lowStock.quantity)) {
+        signals.lowStock = { product: name, quantity };
+      }
+    }
+
+    if (!signals.backInStock && variant && variant.restocked_at && typeof quantity === 'number' && quantity > 0 &&
+      new Date(variant.restocked_at).getTime() > restockedAfter) {
+      signals.backInStock = name;
+    }
+
+    // The price the customer saw is the one stored with the cart item at its last cart event
+    const seenPrice = item.price !== null && item.price !== undefined ? Number(item.price) : NaN;
+    const currentPrice = variant && variant.price !== null && variant.price !== undefined ? Number(variant.price) : NaN;
+    if (!isNaN(seenPrice) && !isNaN(currentPrice) && currentPrice < seenPrice &&
+      (!signals.priceDrop || seenPrice - currentPrice > signals.priceDrop.amount)) {
+      const priceCurrency = currency || product.currency;
+      signals.priceDrop = {
+        product: name,
+        from: formatPrice(seenPrice, priceCurrency),
+        to: formatPrice(currentPrice, priceCurrency),
+        amount: Math.round((seenPrice - currentPrice) * 100) / 100
+      };
+    }
+  }
+
+  return signals;
+}
+
+module.exports = {
+  enrichProduct,
+  findVariant,
+  formatPrice,
+  formatProductName,
+  getFreshProducts,
+  getProducts,
+  getStockSignals,
+  isValidImageUrl,
+  normalizeViewDetails,
+  syncProductFromWebhook
+}; 
\ No newline at end of file
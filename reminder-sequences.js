@@ -0,0 +1,250 @@
+// Reminder sequences
+// Loads multi-step recovery sequences and tracks each cart's progress through them in Supabase
+
+require('dotenv').config();
+const { getSupabase } = require('./supabase-client');
+const { scopeToShop } = require('./shops');
+
+// Sequence used by the cron unless REMINDER_SEQUENCE names another one
+const DEFAULT_SEQUENCE_NAME = process.env.REMINDER_SEQUENCE || 'default';
+
+// A process reminding a cart holds it for at most this long; enough to generate and queue one reminder
+const CART_CLAIM_TTL_SECONDS = 300;
+
+/**
+ * Loads an active reminder sequence with its steps
+ * A shop uses its own active sequence of that name if it has one, otherwise the shared one (with no shop_id)
+ * @param {string} name - Sequence name (defaults to REMINDER_SEQUENCE or 'default')
+ * @param {string|null} shopId - The shop's ID
+ * @returns {Promise<Object|null>} The sequence with steps sorted by step_number, or null if not found
+ */
+async function getActiveSequence(name = DEFAULT_SEQUENCE_NAME, shopId = null) {
+  const { data: sequence, error } = await scopeToShop(getSupabase()
+    .from('reminder_sequences')
+    .select(`
+      id,
+      name,
+      reminder_sequence_steps(id, step_number, delay_minutes, channel, urgency_level, discount_code, template)
+    `)
+    .eq('name', name)
+    .eq('is_active', true), shopId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw new Error(`Failed to load reminder sequence: ${error.message}`);
+  }
+
+  if (!sequence) {
+    return shopId ? getActiveSequence(name, null) : null;
+  }
+
+  const steps = (sequence.reminder_sequence_steps || [])
+    .slice()
+    .sort((a, b) => a.step_number - b.step_number);
+
+  return { id: sequence.id, name: sequence.name, steps };
+}
+
+/**
+ * Gets a cart's sequence state, starting the sequence if the cart has none yet
+ * @param {string} cartId - The cart's ID
+ * @param {string} sequenceId - The sequence to start
+ * @returns {Promise<Object>} The cart_sequence_state row
+ */
+async function getOrCreateSequenceState(cartId, sequenceId) {
+  const { data: existingState, error: stateQueryError } = await getSupabase()
+    .from('cart_sequence_state')
+    .select('*')
+    .eq('cart_id', cartId)
+    .single();
+
+  if (stateQueryError && stateQueryError.code !== 'PGRST116') {
+    throw new Error(`Failed to load sequence state: ${stateQueryError.message}`);
+  }
+
+  if (existingState) {
+    return existingState;
+  }
+
+  // ignoreDuplicates keeps this safe if another process starts the same cart concurrently
+  const { error: stateCreateError } = await getSupabase()
+    .from('cart_sequence_state')
+    .upsert({
+      cart_id: cartId,
+      sequence_id: sequenceId,
+      current_step: 0,
+      status: 'active'
+    }, { onConflict: 'cart_id', ignoreDuplicates: true });
+
+  if (stateCreateError) {
+    throw new Error(`Failed to start sequence: ${stateCreateError.message}`);
+  }
+
+  const { data: state, error: stateReloadError } = await getSupabase()
+    .from('cart_sequence_state')
+    .select('*')
+    .eq('cart_id', cartId)
+    .single();
+
+  if (stateReloadError) {
+    throw new Error(`Failed to load sequence state: ${stateReloadError.message}`);
+  }
+
+  return state;
+}
+
+/**
+ * Claims a step so it fires exactly once
+ * The update only matches while the state is still on the step the caller read,
+ * so a second process (or a re-run after a restart) can't claim it again
+ * @param {string} stateId - The cart_sequence_state ID
+ * @param {number} stepNumber - The step being claimed
+ * @param {number} fromStep - The state's current_step when it was read (earlier steps in between are skipped)
+ * @param {number[]|null} skippedSteps - The state's new skipped_steps, when the claim skips steps; null leaves them
+ * @returns {Promise<boolean>} True if this caller claimed the step
+ */
+async function claimSequenceStep(stateId, stepNumber, fromStep = stepNumber - 1, skippedSteps = null) {
+  const updates = {
+    current_step: stepNumber,
+    last_step_at: new Date().toISOString()
+  };
+  if (skippedSteps) {
+    updates.skipped_steps = skippedSteps;
+  }
+
+  const { data, error } = await getSupabase()
+    .from('cart_sequence_state')
+    .update(updates)
+    .eq('id', stateId)
+    .eq('current_step', fromStep)
+    .eq('status', 'active')
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to claim sequence step: ${error.message}`);
+  }
+
+  return Boolean(data && data.length > 0);
+}
+
+/**
+ * Gives back a claimed step whose reminder couldn't be recorded, so a later run sends it
+ * Only matches while the state is still on the claimed step
+ * @param {Object} state - The cart_sequence_state row as read before the claim
+ * @param {number} stepNumber - The step that was claimed
+ * @returns {Promise<boolean>} True if the step was given back
+ */
+async function releaseSequenceStep(state, stepNumber) {
+  const { data, error } = await getSupabase()
+    .from('cart_sequence_state')
+    .update({
+      current_step: state.current_step,
+      last_step_at: state.last_step_at || null,
+      skipped_steps: state.skipped_steps || []
+    })
+    .eq('id', state.id)
+    .eq('current_step', stepNumber)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to release sequence step: ${error.message}`);
+  }
+
+  return Boolean(data && data.length > 0);
+}
+
+/**
+ * Claims a cart while a process reminds it, so other processes leave it alone until it's released
+ * The claim lapses after CART_CLAIM_TTL_SECONDS in case the process dies
+ * @param {string} stateId - The cart_sequence_state ID
+ * @param {string} holder - Who claims it, e.g. the cron run's lock holder
+ * @returns {Promise<boolean>} True if this caller claimed the cart
+ */
+async function claimCart(stateId, holder) {
+  const now = new Date();
+  const { data, error } = await getSupabase()
+    .from('cart_sequence_state')
+    .update({
+      claimed_by: holder,
+      claimed_until: new Date(now.getTime() + CART_CLAIM_TTL_SECONDS * 1000).toISOString()
+    })
+    .eq('id', stateId)
+    .or(`claimed_until.is.null,claimed_until.lt.${now.toISOString()},claimed_by.eq.${holder}`)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to claim cart: ${error.message}`);
+  }
+
+  return Boolean(data && data.length > 0);
+}
+
+/**
+ * Releases a cart claimed with claimCart()
+ * @param {string} stateId - The cart_sequence_state ID
+ * @param {string} holder - Who claimed it
+ */
+async function releaseCart(stateId, holder) {
+  const { error } = await getSupabase()
+    .from('cart_sequence_state')
+    .update({ claimed_by: null, claimed_until: null })
+    .eq('id', stateId)
+    .eq('claimed_by', holder);
+
+  if (error) {
+    throw new Error(`Failed to release cart: ${error.message}`);
+  }
+}
+
+/**
+ * Marks a cart's sequence as finished after its last step
+ * @param {string} stateId - The cart_sequence_state ID
+ */
+async function completeSequence(stateId) {
+  const { error } = await getSupabase()
+    .from('cart_sequence_state')
+    .update({ status: 'completed' })
+    .eq('id', stateId)
+    .eq('status', 'active');
+
+  if (error) {
+    throw new Error(`Failed to complete sequence: ${error.message}`);
+  }
+}
+
+/**
+ * Stops the active sequences of some carts (e.g. once they're purchased)
+ * @param {string[]} cartIds - Carts whose sequences should stop
+ * @param {string} reason - Why the sequence stopped, e.g. 'purchased'
+ * @returns {Promise<number>} Number of sequences stopped
+ */
+async function stopSequences(cartIds, reason) {
+  if (!cartIds || cartIds.length === 0) {
+    return 0;
+  }
+
+  const { data, error } = await getSupabase()
+    .from('cart_sequence_state')
+    .update({ status: 'stopped', stop_reason: reason })
+    .in('cart_id', cartIds)
+    .eq('status', 'active')
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to stop sequences: ${error.message}`);
+  }
+
+  return data ? data.length : 0;
+}
+
+module.exports = {
+  DEFAULT_SEQUENCE_NAME,
+  getActiveSequence,
+  getOrCreateSequenceState,
+  claimSequenceStep,
+  releaseSequenceStep,
+  claimCart,
+  releaseCart,
+  completeSequence,
+  stopSequences
+}; 
\ No newline at end of file
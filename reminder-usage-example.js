@@ -2,6 +2,7 @@
 // Shows how to integrate with tracking system and Supabase
 
 const { generateReminderMessage, generateMessageVariations } = require('./generate-reminder-message');
+const { getProviderEnvVars } = require('./llm-providers');
 const { createClient } = require('@supabase/supabase-js');
 
 // Initialize Supabase client
@@ -157,7 +158,8 @@ async function sendMultiProductReminder(userEmail, productIds, urgencyLevel = 'm
 }
 
 /**
- * Generate A/B test variations for a reminder
+ * Generate message variations for a reminder, e.g. to compare prompts by eye
+ * These aren't sent or measured; real A/B tests are experiments (see experiments.js)
  * @param {string} userEmail - Customer's email
  * @param {string} productId - Product ID
  * @param {string} urgencyLevel - 'low', 'medium', or 'high'
@@ -352,7 +354,7 @@ module.exports = {
 // Run example if this file is executed directly
 if (require.main === module) {
   // Check required environment variables
-  const requiredEnvVars = ['OPENAI_API_KEY', 'NEXT_PUBLIC_SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY'];
+  const requiredEnvVars = [...getProviderEnvVars(), 'NEXT_PUBLIC_SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY'];
   const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
   
   if (missingVars.length > 0) {
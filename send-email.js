@@ -0,0 +1,138 @@
+// Email sending function
+// Sends reminder emails over SMTP using nodemailer
+
+require('dotenv').config();
+const nodemailer = require('nodemailer');
+
+// Created on first send from the SMTP_* settings, unless a transport was set with setTransport()
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST is not set in environment variables');
+    }
+
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transport;
+}
+
+/**
+ * Replaces the SMTP transport, e.g. with nodemailer's jsonTransport or a local SMTP catcher in tests
+ * @param {Object|null} customTransport - A nodemailer transport, or null to go back to the SMTP_* settings
+ */
+function setTransport(customTransport) {
+  transport = customTransport;
+}
+
+/**
+ * Checks whether an email address looks deliverable
+ * @param {string} email - Address to check
+ * @returns {boolean} True for addresses like sarah@example.com
+ */
+function isValidEmail(email) {
+  return typeof email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+/**
+ * Sends an email
+ * @param {string} to - The recipient's email address
+ * @param {Object} email - subject, html and text bodies (see generateReminderEmail)
+ * @param {Object} options - Optional from address (e.g. the shop's; defaults to EMAIL_FROM), and the recipient's
+ *   unsubscribeUrl, sent as a one-click List-Unsubscribe header (see email-unsubscribes.js)
+ * @returns {Promise<object>} nodemailer's send info, including messageId
+ */
+async function sendEmail(to, email, options = {}) {
+  const fromAddress = options.from || process.env.EMAIL_FROM;
+
+  if (!to || !email || !email.subject || (!email.html && !email.text)) {
+    throw new Error('to, subject and an html or text body are required');
+  }
+
+  if (!isValidEmail(to)) {
+    throw new Error(`Invalid email address: ${to}`);
+  }
+
+  if (!fromAddress) {
+    throw new Error('No from address: set EMAIL_FROM or the shop\'s email_from');
+  }
+
+  try {
+    const mailOptions = {
+      from: fromAddress,
+      to,
+      subject: email.subject,
+      text: email.text,
+      html: email.html
+    };
+
+    if (options.unsubscribeUrl) {
+      mailOptions.list = { unsubscribe: options.unsubscribeUrl };
+      mailOptions.headers = { 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' };
+    }
+
+    const result = await getTransport().sendMail(mailOptions);
+
+    console.log('✅ Email sent successfully:', result.messageId);
+    return result;
+
+  } catch (error) {
+    console.error('❌ Email sending failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Test email sending function
+ */
+async function testEmailSending() {
+  try {
+    console.log('🧪 Testing email sending...');
+
+    const testEmailAddress = process.env.TEST_EMAIL_ADDRESS;
+    if (!testEmailAddress) {
+      console.log('⚠️ TEST_EMAIL_ADDRESS not set, skipping email test');
+      return;
+    }
+
+    const result = await sendEmail(testEmailAddress, {
+      subject: '🧪 Test email from your abandoned cart system',
+      text: 'This is a test email from your abandoned cart system!',
+      html: '<p>This is a test email from your abandoned cart system!</p>'
+    });
+    console.log('✅ Test email sent successfully!');
+    console.log('📧 Message ID:', result.messageId);
+
+  } catch (error) {
+    console.error('❌ Test email failed:', error.message);
+  }
+}
+
+module.exports = {
+  sendEmail,
+  setTransport,
+  isValidEmail,
+  testEmailSending
+};
+
+// Run test if this file is executed directly
+if (require.main === module) {
+  // Check required environment variables
+  const requiredEnvVars = ['SMTP_HOST', 'EMAIL_FROM'];
+  const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
+
+  if (missingVars.length > 0) {
+    console.error('❌ Missing email environment variables:', missingVars.join(', '));
+    process.exit(1);
+  }
+
+  testEmailSending();
+} 
\ No newline at end of file
@@ -3,34 +3,73 @@
 
 require('dotenv').config();
 const twilio = require('twilio');
+const { isE164 } = require('./phone-utils');
+const { canSendSMS } = require('./sms-consent');
+const { getDefaultShop } = require('./shops');
 
-const accountSid = process.env.TWILIO_ACCOUNT_SID;
-const authToken = process.env.TWILIO_AUTH_TOKEN;
-const fromNumber = process.env.TWILIO_PHONE_NUMBER;
+// Optional: Twilio posts delivery status updates here (see twilio-webhooks.js)
+const statusCallbackUrl = process.env.TWILIO_STATUS_CALLBACK_URL;
 
-const client = twilio(accountSid, authToken);
+// Twilio reports these until the message is on its way to the carrier; they're stored as 'sending' so that
+// 'queued' in messages_sent only ever means waiting in our own queue (see message-queue.js)
+const TWILIO_PENDING_STATUSES = ['accepted', 'scheduled', 'queued'];
+
+// One client per Twilio account, created on first send so modules can load without credentials (e.g. in DRY_RUN mode)
+const clients = new Map();
+
+function getClient(accountSid, authToken) {
+  if (!clients.has(accountSid)) {
+    clients.set(accountSid, twilio(accountSid, authToken));
+  }
+  return clients.get(accountSid);
+}
 
 /**
  * Sends an SMS message using Twilio
+ * Refuses to send to numbers without SMS consent, opted-out numbers, and during quiet hours
  * @param {string} phoneNumber - The recipient's phone number (E.164 format, e.g., +1234567890)
  * @param {string} message - The SMS message to send
+ * @param {Object} options - Optional recipient timezone for quiet hours, and the sending shop
+ *   (its number and Twilio account; defaults to the TWILIO_* settings)
  * @returns {Promise<object>} Twilio API response
  */
-async function sendSMS(phoneNumber, message) {
+async function sendSMS(phoneNumber, message, options = {}) {
+  const shop = options.shop || getDefaultShop();
+  const { twilioAccountSid, twilioAuthToken } = shop.credentials;
+
   if (!phoneNumber || !message) {
     throw new Error('phoneNumber and message are required');
   }
+
+  if (!isE164(phoneNumber)) {
+    throw new Error(`phoneNumber must be in E.164 format, got: ${phoneNumber}`);
+  }
   
-  if (!accountSid || !authToken || !fromNumber) {
-    throw new Error('Twilio credentials are not set in environment variables');
+  if (!twilioAccountSid || !twilioAuthToken || !shop.smsFromNumber) {
+    throw new Error(`Twilio credentials are not set for ${shop.domain || 'the store'} (shop settings or environment variables)`);
+  }
+
+  // Hard gate: nothing reaches Twilio without consent, whoever calls this
+  const sendCheck = await canSendSMS(phoneNumber, { timezone: options.timezone, shopId: shop.id });
+  if (!sendCheck.allowed) {
+    const error = new Error(`SMS to ${phoneNumber} blocked: ${sendCheck.reason}`);
+    error.code = 'SMS_BLOCKED';
+    error.reason = sendCheck.reason;
+    throw error;
   }
 
   try {
-    const result = await client.messages.create({
+    const messageOptions = {
       body: message,
-      from: fromNumber,
+      from: shop.smsFromNumber,
       to: phoneNumber
-    });
+    };
+
+    if (statusCallbackUrl) {
+      messageOptions.statusCallback = statusCallbackUrl;
+    }
+
+    const result = await getClient(twilioAccountSid, twilioAuthToken).messages.create(messageOptions);
     
     console.log('✅ SMS sent successfully:', result.sid);
     return result;
@@ -41,6 +80,15 @@ async function sendSMS(phoneNumber, message) {
   }
 }
 
+/**
+ * Maps a Twilio message status to the delivery_status stored in messages_sent
+ * @param {string} twilioStatus - Status from Twilio's API response or a status callback
+ * @returns {string} The delivery status
+ */
+function toDeliveryStatus(twilioStatus) {
+  return TWILIO_PENDING_STATUSES.includes(twilioStatus) ? 'sending' : twilioStatus;
+}
+
 /**
  * Test SMS sending function
  */
@@ -56,6 +104,7 @@ async function testSMSSending() {
     
     const testMessage = '🧪 This is a test SMS from your abandoned cart system!';
     
+    // The test number needs an opted_in record in sms_consents, like any other recipient
     const result = await sendSMS(testPhoneNumber, testMessage);
     console.log('✅ Test SMS sent successfully!');
     console.log('📱 Message SID:', result.sid);
@@ -65,7 +114,7 @@ async function testSMSSending() {
   }
 }
 
-module.exports = { sendSMS, testSMSSending };
+module.exports = { sendSMS, toDeliveryStatus, testSMSSending };
 
 // Run test if this file is executed directly
 if (require.main === module) {
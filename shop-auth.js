@@ -0,0 +1,301 @@
+// Shop authentication for the storefront tracking endpoints
+// Each shop sends a publishable key (pk_...) with its events, and requests are only accepted
+// from the origins listed for that shop, so other sites and scripts can't write tracking data
+// Without any rows in the shops table, requests belong to the store configured in the environment and need no key
+
+require('dotenv').config();
+const crypto = require('crypto');
+const { getSupabase } = require('./supabase-client');
+const { hasShops } = require('./shops');
+
+const PUBLISHABLE_KEY_PREFIX = 'pk_';
+
+// Keys and origins are cached for this long, so tracking events don't each hit the database
+const SHOP_CACHE_TTL_MS = 60 * 1000;
+
+// Request headers the storefront script may send
+const TRACKING_HEADERS = ['Content-Type', 'X-Shop-Key'];
+
+// key -> { shop, expiresAt }
+const keyCache = new Map();
+let originCache = { origins: null, expiresAt: 0 };
+
+/**
+ * Creates a new publishable key
+ * Publishable keys identify a shop in the browser; they aren't secret, the origin check is what protects them
+ * @returns {string} e.g. pk_3q2-Vd9xG0cN1sYb7tLm4wPz
+ */
+function generatePublishableKey() {
+  return `${PUBLISHABLE_KEY_PREFIX}${crypto.randomBytes(18).toString('base64url')}`;
+}
+
+/**
+ * Normalizes an origin for comparison
+ * @param {string} origin - e.g. https://Your-Store.com/ or https://your-store.com:443
+ * @returns {string|null} scheme://host[:port] in lower case, or null if it isn't a URL
+ */
+function normalizeOrigin(origin) {
+  try {
+    return new URL(origin).origin.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Checks an origin against a shop's allowed origins
+ * Entries can start with a wildcard subdomain, e.g. https://*.myshopify.com
+ * @param {string} origin - The request's Origin header
+ * @param {string[]} allowedOrigins - The shop's allowed_origins
+ * @returns {boolean} True if the origin is allowed
+ */
+function isOriginAllowed(origin, allowedOrigins) {
+  const normalized = origin ? normalizeOrigin(origin) : null;
+  if (!normalized) {
+    return false;
+  }
+
+  return (allowedOrigins || []).some(allowed => {
+    const pattern = String(allowed).trim().toLowerCase().replace(/\/$/, '');
+    const wildcard = /^(https?:\/\/)\*\.(.+)$/.exec(pattern);
+    if (wildcard) {
+      return normalized.startsWith(wildcard[1]) && normalized.endsWith(`.${wildcard[2]}`);
+    }
+    return normalizeOrigin(pattern) === normalized;
+  });
+}
+
+/**
+ * Looks up the shop a publishable key belongs to
+ * @param {string} key - Publishable key
+ * @returns {Promise<Object|null>} The shop (id, domain, allowed_origins), or null for unknown, revoked or inactive keys
+ */
+async function getShopByKey(key) {
+  if (typeof key !== 'string' || !key.startsWith(PUBLISHABLE_KEY_PREFIX)) {
+    return null;
+  }
+
+  const cached = keyCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.shop;
+  }
+
+  const { data: apiKey, error } = await getSupabase()
+    .from('shop_api_keys')
+    .select('key, revoked_at, shops!inner(id, domain, allowed_origins, is_active)')
+    .eq('key', key)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw new Error(`Failed to load shop API key: ${error.message}`);
+  }
+
+  const shop = apiKey && !apiKey.revoked_at && apiKey.shops.is_active ? apiKey.shops : null;
+  keyCache.set(key, { shop, expiresAt: Date.now() + SHOP_CACHE_TTL_MS });
+  return shop;
+}
+
+/**
+ * Describes the environment's store for the tracking endpoints
+ * Its storefront is allowed from TRACKING_ALLOWED_ORIGINS (comma-separated), or else the origin of SHOP_URL
+ * @returns {Object} The shop (id null, domain, allowed_origins)
+ */
+function getDefaultTrackingShop() {
+  const allowedOrigins = (process.env.TRACKING_ALLOWED_ORIGINS || process.env.SHOP_URL || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+  const storefront = normalizeOrigin(allowedOrigins[0] || '');
+
+  return {
+    id: null,
+    domain: storefront ? new URL(storefront).host : null,
+    allowed_origins: allowedOrigins
+  };
+}
+
+/**
+ * Checks whether any active shop allows an origin
+ * Used for CORS preflight requests, which don't carry the shop's key
+ * @param {string} origin - The request's Origin header
+ * @returns {Promise<boolean>} True if some shop allows the origin
+ */
+async function isKnownOrigin(origin) {
+  if (!origin) {
+    return false;
+  }
+
+  if (!originCache.origins || originCache.expiresAt <= Date.now()) {
+    const { data: shops, error } = await getSupabase()
+      .from('shops')
+      .select('allowed_origins')
+      .eq('is_active', true);
+
+    if (error) {
+      throw new Error(`Failed to load shop origins: ${error.message}`);
+    }
+
+    // Single-store deployments have no shops rows, only the environment's store
+    const origins = await hasShops()
+      ? (shops || []).flatMap(shop => shop.allowed_origins || [])
+      : getDefaultTrackingShop().allowed_origins;
+
+    originCache = {
+      origins,
+      expiresAt: Date.now() + SHOP_CACHE_TTL_MS
+    };
+  }
+
+  return isOriginAllowed(origin, originCache.origins);
+}
+
+/**
+ * Authenticates a tracking request by its publishable key and Origin
+ * Framework-agnostic, so the Next.js route can use it as well as the Express middleware
+ * navigator.sendBeacon can't set headers, so the key may also be sent as the "key" query parameter
+ * While no shops are registered there are no keys to check, and every request is for the environment's store
+ * @param {Object} req - Request with headers (x-shop-key or "authorization: Bearer pk_...", and origin) and query
+ * @returns {Promise<{ shop: Object|null, status: number|null, error: string|null }>} status and error are set when rejected
+ */
+async function authenticateShopRequest(req) {
+  const headers = req.headers || {};
+  const bearer = /^Bearer (.+)$/.exec(headers.authorization || '');
+  const queryKey = req.query && typeof req.query.key === 'string' ? req.query.key : null;
+  const key = headers['x-shop-key'] || (bearer ? bearer[1] : null) || queryKey;
+
+  let shop = key ? await getShopByKey(key) : null;
+  if (!shop) {
+    if (await hasShops()) {
+      const error = key ? 'Invalid shop key' : 'Missing shop key: send it in the X-Shop-Key header or the key query parameter';
+      return { shop: null, status: 401, error };
+    }
+    shop = getDefaultTrackingShop();
+  }
+
+  if (!isOriginAllowed(headers.origin, shop.allowed_origins)) {
+    console.warn(`🚫 Rejected tracking request for shop ${shop.domain || '(environment)'} from origin ${headers.origin || '(none)'}`);
+    return { shop: null, status: 403, error: 'Origin not allowed for this shop' };
+  }
+
+  return { shop, status: null, error: null };
+}
+
+/**
+ * Express middleware for the tracking endpoints; sets req.shop
+ */
+async function requireShopKey(req, res, next) {
+  try {
+    const { shop, status, error } = await authenticateShopRequest(req);
+    if (!shop) {
+      return res.status(status).json({ error });
+    }
+
+    req.shop = shop;
+    next();
+
+  } catch (error) {
+    console.error('Error authenticating shop request:', error);
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+}
+
+/**
+ * Options for the cors package: only origins allowed by some shop get CORS headers
+ * The per-shop check happens in requireShopKey once the key is known
+ */
+function trackingCorsOptions(req, callback) {
+  isKnownOrigin(req.get('Origin'))
+    .then(allowed => callback(null, { origin: allowed, allowedHeaders: TRACKING_HEADERS, methods: ['POST'] }))
+    .catch(error => callback(error));
+}
+
+/**
+ * Issues a publishable key for a shop
+ * @param {string} shopId - The shop's ID
+ * @param {string} label - Optional note, e.g. 'theme script'
+ * @returns {Promise<Object>} The shop_api_keys row
+ */
+async function createPublishableKey(shopId, label = null) {
+  const { data: apiKey, error } = await getSupabase()
+    .from('shop_api_keys')
+    .insert({ shop_id: shopId, key: generatePublishableKey(), label })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create shop API key: ${error.message}`);
+  }
+
+  return apiKey;
+}
+
+/**
+ * Revokes a publishable key (takes effect within SHOP_CACHE_TTL_MS on running servers)
+ * @param {string} key - Publishable key
+ * @returns {Promise<boolean>} True if an active key was revoked
+ */
+async function revokePublishableKey(key) {
+  const { data, error } = await getSupabase()
+    .from('shop_api_keys')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('key', key)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to revoke shop API key: ${error.message}`);
+  }
+
+  keyCache.delete(key);
+  return Boolean(data && data.length > 0);
+}
+
+/**
+ * Registers a shop (or updates its allowed origins) and issues it a publishable key
+ * @param {string} domain - The shop's myshopify.com domain
+ * @param {string[]} allowedOrigins - Storefront origins, e.g. https://your-store.com
+ */
+async function setupShopKey(domain, allowedOrigins) {
+  try {
+    const { data: shop, error } = await getSupabase()
+      .from('shops')
+      .upsert({ domain, allowed_origins: allowedOrigins }, { onConflict: 'domain' })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to save shop: ${error.message}`);
+    }
+
+    const apiKey = await createPublishableKey(shop.id, 'created from the command line');
+    console.log(`✅ Shop ${shop.domain} allows ${allowedOrigins.join(', ')}`);
+    console.log(`🔑 Publishable key: ${apiKey.key}`);
+
+  } catch (error) {
+    console.error('❌ Failed to set up shop key:', error.message);
+  }
+}
+
+module.exports = {
+  generatePublishableKey,
+  isOriginAllowed,
+  getShopByKey,
+  isKnownOrigin,
+  authenticateShopRequest,
+  requireShopKey,
+  trackingCorsOptions,
+  createPublishableKey,
+  revokePublishableKey
+};
+
+// Register a shop and print a key if this file is executed directly:
+// node shop-auth.js your-store.myshopify.com https://your-store.com,https://your-store.myshopify.com
+if (require.main === module) {
+  const [domain, origins] = process.argv.slice(2);
+  if (!domain || !origins) {
+    console.error('❌ Usage: node shop-auth.js <shop domain> <allowed origins, comma-separated>');
+    process.exit(1);
+  }
+
+  setupShopKey(domain, origins.split(',').map(origin => origin.trim()).filter(Boolean));
+} 
\ No newline at end of file
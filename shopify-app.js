@@ -0,0 +1,397 @@
+// Shopify app install flow
+// Installs the tracker without editing theme.liquid: the OAuth callback stores the shop's access token,
+// registers the webhooks this backend handles and adds the storefront script as a ScriptTag
+// Uninstalling the app (app/uninstalled webhook) deletes the shop and its data, see shopify-webhooks.js
+
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const https = require('https');
+const path = require('path');
+const express = require('express');
+const { getSupabase } = require('./supabase-client');
+const { createPublishableKey } = require('./shop-auth');
+const { SMS_CONSENT_TEXT } = require('./sms-consent');
+
+const SHOPIFY_API_VERSION = process.env.SHOPIFY_API_VERSION || '2024-10';
+
+// read_orders covers the orders/create and checkouts/update webhooks,
+// read_products and read_inventory the product details reminders mention (see product-catalog.js)
+const SHOPIFY_SCOPES = process.env.SHOPIFY_SCOPES || 'read_orders,read_products,read_inventory,write_script_tags';
+
+// Webhooks registered on install, all sent to /webhooks/shopify
+const APP_WEBHOOK_TOPICS = ['orders/create', 'checkouts/update', 'products/update', 'app/uninstalled'];
+
+// The OAuth state nonce is kept in this cookie between the install redirect and the callback
+const STATE_COOKIE = 'shopify_oauth_state';
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// Label of the publishable key the ScriptTag tracker sends
+const TRACKER_KEY_LABEL = 'script tag';
+
+const TRACKER_SOURCE_PATH = path.join(__dirname, 'shopify-theme-script.js');
+
+// The tracker's code, read from TRACKER_SOURCE_PATH on first request
+let trackerSource = null;
+
+/**
+ * Reads the app's credentials from the environment
+ * @returns {{ apiKey: string, apiSecret: string, baseUrl: string }} baseUrl is where Shopify reaches this backend
+ */
+function getAppConfig() {
+  const apiKey = process.env.SHOPIFY_API_KEY;
+  const apiSecret = process.env.SHOPIFY_API_SECRET;
+  const baseUrl = process.env.PUBLIC_BASE_URL;
+
+  if (!apiKey || !apiSecret || !baseUrl) {
+    throw new Error('Missing Shopify app environment variables: SHOPIFY_API_KEY, SHOPIFY_API_SECRET and PUBLIC_BASE_URL');
+  }
+
+  return { apiKey, apiSecret, baseUrl: baseUrl.replace(/\/$/, '') };
+}
+
+/**
+ * Checks a shop parameter before it is used in a URL
+ * @param {string} shop - e.g. your-store.myshopify.com
+ * @returns {boolean} True for a myshopify.com domain
+ */
+function isValidShopDomain(shop) {
+  return typeof shop === 'string' && /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/i.test(shop);
+}
+
+/**
+ * Verifies the hmac parameter Shopify adds to OAuth redirects
+ * @param {Object} query - The request's query parameters
+ * @param {string} secret - The app's API secret
+ * @returns {boolean} True if the signature matches
+ */
+function verifyOAuthHmac(query, secret) {
+  const { hmac, signature, ...params } = query || {};
+  if (!hmac || !secret) {
+    return false;
+  }
+
+  const message = Object.keys(params)
+    .sort()
+    .map(key => `${key}=${Array.isArray(params[key]) ? params[key].join(',') : params[key]}`)
+    .join('&');
+
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(message).digest('hex'));
+  const received = Buffer.from(String(hmac));
+
+  // timingSafeEqual throws on length mismatch
+  if (expected.length !== received.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Reads a cookie from the request headers
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null} The cookie's value
+ */
+function readCookie(req, name) {
+  const cookies = (req.get('Cookie') || '').split(';');
+  for (const cookie of cookies) {
+    const [key, ...value] = cookie.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+}
+
+/**
+ * Calls a shop's Shopify API
+ * @param {string} shop - The shop's myshopify.com domain
+ * @param {string} method - HTTP method
+ * @param {string} apiPath - e.g. /admin/oauth/access_token, or webhooks.json for the versioned Admin API
+ * @param {Object} options - accessToken and JSON body
+ * @returns {Promise<Object|null>} The parsed response body
+ */
+function shopifyRequest(shop, method, apiPath, options = {}) {
+  const requestPath = apiPath.startsWith('/') ? apiPath : `/admin/api/${SHOPIFY_API_VERSION}/${apiPath}`;
+  const body = options.body ? JSON.stringify(options.body) : null;
+  const headers = { Accept: 'application/json' };
+  if (body) {
+    headers['Content-Type'] = 'application/json';
+    headers['Content-Length'] = Buffer.byteLength(body);
+  }
+  if (options.accessToken) {
+    headers['X-Shopify-Access-Token'] = options.accessToken;
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = https.request({ hostname: shop, path: requestPath, method, headers }, response => {
+      let data = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => { data += chunk; });
+      response.on('end', () => {
+        let parsed = null;
+        try {
+          parsed = data ? JSON.parse(data) : null;
+        } catch (error) {
+          parsed = null;
+        }
+
+        if (response.statusCode >= 400) {
+          const details = parsed && parsed.errors ? JSON.stringify(parsed.errors) : data.slice(0, 200);
+          const error = new Error(`Shopify ${method} ${requestPath} failed with ${response.statusCode}: ${details}`);
+          error.status = response.statusCode;
+          return reject(error);
+        }
+
+        resolve(parsed);
+      });
+    });
+
+    request.on('error', reject);
+    request.setTimeout(15000, () => request.destroy(new Error(`Shopify ${method} ${requestPath} timed out`)));
+    if (body) {
+      request.write(body);
+    }
+    request.end();
+  });
+}
+
+/**
+ * Registers the webhooks this backend handles
+ * Topics that are already registered for our address are left alone, so reinstalling is safe
+ * @param {string} shop - The shop's myshopify.com domain
+ * @param {string} accessToken - The shop's Admin API access token
+ * @param {string} baseUrl - Public URL of this backend
+ */
+async function registerWebhooks(shop, accessToken, baseUrl) {
+  const address = `${baseUrl}/webhooks/shopify`;
+
+  for (const topic of APP_WEBHOOK_TOPICS) {
+    try {
+      await shopifyRequest(shop, 'POST', 'webhooks.json', {
+        accessToken,
+        body: { webhook: { topic, address, format: 'json' } }
+      });
+      console.log(`🪝 Registered ${topic} webhook for ${shop}`);
+    } catch (error) {
+      // 422: "address for this topic has already been taken"
+      if (error.status !== 422) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Adds the tracker to the storefront as a ScriptTag, replacing any tracker an earlier install added
+ * @param {string} shop - The shop's myshopify.com domain
+ * @param {string} accessToken - The shop's Admin API access token
+ * @param {string} baseUrl - Public URL of this backend
+ * @param {string} publishableKey - Key the tracker sends in X-Shop-Key
+ */
+async function installTrackerScript(shop, accessToken, baseUrl, publishableKey) {
+  const trackerUrl = `${baseUrl}/shopify/tracker.js`;
+  const src = `${trackerUrl}?key=${encodeURIComponent(publishableKey)}`;
+
+  const existing = await shopifyRequest(shop, 'GET', 'script_tags.json', { accessToken });
+  for (const scriptTag of (existing && existing.script_tags) || []) {
+    if (scriptTag.src === src) {
+      return;
+    }
+    if (scriptTag.src.startsWith(trackerUrl)) {
+      await shopifyRequest(shop, 'DELETE', `script_tags/${scriptTag.id}.json`, { accessToken });
+    }
+  }
+
+  await shopifyRequest(shop, 'POST', 'script_tags.json', {
+    accessToken,
+    body: { script_tag: { event: 'onload', src } }
+  });
+  console.log(`🏷️ Added tracker ScriptTag to ${shop}`);
+}
+
+/**
+ * Creates or updates the shop after install and stores its access token
+ * The storefront origins are the myshopify.com domain and the shop's primary domain
+ * @param {string} shop - The shop's myshopify.com domain
+ * @param {string} accessToken - The shop's Admin API access token
+ * @param {Object} shopInfo - The shop resource from the Admin API (name, domain)
+ * @returns {Promise<Object>} The shops row
+ */
+async function saveInstalledShop(shop, accessToken, shopInfo) {
+  const origins = [`https://${shop}`];
+  if (shopInfo.domain && shopInfo.domain.toLowerCase() !== shop) {
+    origins.push(`https://${shopInfo.domain.toLowerCase()}`);
+  }
+
+  const { data: shopRow, error: shopError } = await getSupabase()
+    .from('shops')
+    .upsert({
+      domain: shop,
+      name: shopInfo.name || null,
+      allowed_origins: origins,
+      is_active: true
+    }, { onConflict: 'domain' })
+    .select()
+    .single();
+
+  if (shopError) {
+    throw new Error(`Failed to save shop: ${shopError.message}`);
+  }
+
+  const { error: credentialsError } = await getSupabase()
+    .from('shop_credentials')
+    .upsert({ shop_id: shopRow.id, shopify_access_token: accessToken }, { onConflict: 'shop_id' });
+
+  if (credentialsError) {
+    throw new Error(`Failed to save shop credentials: ${credentialsError.message}`);
+  }
+
+  return shopRow;
+}
+
+/**
+ * Gets the publishable key the ScriptTag tracker uses, issuing one on first install
+ * @param {string} shopId - The shop's ID
+ * @returns {Promise<string>} The publishable key
+ */
+async function getTrackerKey(shopId) {
+  const { data: keys, error } = await getSupabase()
+    .from('shop_api_keys')
+    .select('key')
+    .eq('shop_id', shopId)
+    .eq('label', TRACKER_KEY_LABEL)
+    .is('revoked_at', null)
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to load shop API keys: ${error.message}`);
+  }
+
+  if (keys && keys.length > 0) {
+    return keys[0].key;
+  }
+
+  const apiKey = await createPublishableKey(shopId, TRACKER_KEY_LABEL);
+  return apiKey.key;
+}
+
+// Start the install: redirect the merchant to Shopify's permission screen (GET /shopify/install?shop=)
+const installHandler = async (req, res) => {
+  try {
+    const { apiKey, baseUrl } = getAppConfig();
+    const shop = String(req.query.shop || '').toLowerCase();
+
+    if (!isValidShopDomain(shop)) {
+      return res.status(400).json({ error: 'Invalid shop: expected your-store.myshopify.com' });
+    }
+
+    const state = crypto.randomBytes(16).toString('hex');
+    res.cookie(STATE_COOKIE, state, { httpOnly: true, secure: true, sameSite: 'lax', maxAge: STATE_TTL_MS });
+
+    const params = new URLSearchParams({
+      client_id: apiKey,
+      scope: SHOPIFY_SCOPES,
+      redirect_uri: `${baseUrl}/shopify/callback`,
+      state
+    });
+
+    return res.redirect(302, `https://${shop}/admin/oauth/authorize?${params.toString()}`);
+
+  } catch (error) {
+    console.error('Error in shopify-install handler:', error);
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+};
+
+// Finish the install: store the token, register webhooks and add the tracker (GET /shopify/callback)
+const callbackHandler = async (req, res) => {
+  try {
+    const { apiKey, apiSecret, baseUrl } = getAppConfig();
+    const { code, state } = req.query;
+    const shop = String(req.query.shop || '').toLowerCase();
+
+    if (!isValidShopDomain(shop) || !code) {
+      return res.status(400).json({ error: 'Invalid install callback: shop and code are required' });
+    }
+
+    if (!verifyOAuthHmac(req.query, apiSecret)) {
+      console.error('Rejected Shopify install callback with invalid signature:', shop);
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    const expectedState = readCookie(req, STATE_COOKIE);
+    if (!expectedState || expectedState !== state) {
+      return res.status(403).json({ error: 'Install request expired or was not started here, please try again' });
+    }
+    res.clearCookie(STATE_COOKIE);
+
+    const token = await shopifyRequest(shop, 'POST', '/admin/oauth/access_token', {
+      body: { client_id: apiKey, client_secret: apiSecret, code }
+    });
+    const accessToken = token.access_token;
+
+    const shopInfo = await shopifyRequest(shop, 'GET', 'shop.json', { accessToken });
+    const shopRow = await saveInstalledShop(shop, accessToken, (shopInfo && shopInfo.shop) || {});
+
+    await registerWebhooks(shop, accessToken, baseUrl);
+    await installTrackerScript(shop, accessToken, baseUrl, await getTrackerKey(shopRow.id));
+
+    console.log(`✅ Installed on ${shop}`);
+    return res.redirect(302, `https://${shop}/admin/apps/${apiKey}`);
+
+  } catch (error) {
+    console.error('Error in shopify-callback handler:', error);
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+};
+
+// Storefront script loaded by the ScriptTag (GET /shopify/tracker.js?key=pk_...)
+const trackerScriptHandler = (req, res) => {
+  try {
+    const { baseUrl } = getAppConfig();
+    const key = String(req.query.key || '');
+
+    if (!/^pk_[A-Za-z0-9_-]+$/.test(key)) {
+      return res.status(400).json({ error: 'Invalid key' });
+    }
+
+    // shopify-theme-script.js is written for theme.liquid, so only the code inside <script> is served
+    if (!trackerSource) {
+      const source = fs.readFileSync(TRACKER_SOURCE_PATH, 'utf8');
+      trackerSource = source.slice(source.indexOf('<script>') + '<script>'.length, source.lastIndexOf('</script>'));
+    }
+
+    const script = trackerSource
+      .replace(/EVENTS_URL: '[^']*'/, `EVENTS_URL: '${baseUrl}/events'`)
+      .replace(/IDENTIFY_URL: '[^']*'/, `IDENTIFY_URL: '${baseUrl}/identify'`)
+      .replace(/'X-Shop-Key': '[^']*'/, `'X-Shop-Key': '${key}'`)
+      // The consent wording identify-endpoint.js stores, so the form shows exactly that
+      .replace(/SMS_CONSENT_TEXT: '[^']*'/, () => `SMS_CONSENT_TEXT: ${JSON.stringify(SMS_CONSENT_TEXT)}`)
+      .replace(/DEBUG: true/, 'DEBUG: false');
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.type('application/javascript');
+    return res.status(200).send(script);
+
+  } catch (error) {
+    console.error('Error in shopify-tracker handler:', error);
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+};
+
+const shopifyAppRouter = express.Router();
+shopifyAppRouter.get('/install', installHandler);
+shopifyAppRouter.get('/callback', callbackHandler);
+shopifyAppRouter.get('/tracker.js', trackerScriptHandler);
+
+module.exports = {
+  APP_WEBHOOK_TOPICS,
+  shopifyAppRouter,
+  verifyOAuthHmac,
+  isValidShopDomain,
+  registerWebhooks,
+  installTrackerScript,
+  shopifyRequest
+}; 
\ No newline at end of file
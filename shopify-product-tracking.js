@@ -1,5 +1,5 @@
 // Shopify Product View Tracking Script
-// Embed this in your Shopify store theme to track product page views
+// Embed this in your Shopify store theme to track product page views and cart activity
 
 (function() {
     'use strict';
@@ -9,16 +9,67 @@
         // Your backend endpoint URL
         BACKEND_URL: 'https://your-backend-domain.com/api/track-product-view',
         
-        // Optional: Add any additional headers you need
+        // Cart events endpoint (add to cart, cart updates, checkout started)
+        CART_EVENTS_URL: 'https://your-backend-domain.com/api/cart-events',
+        
+        // Shopify's AJAX cart endpoint, used to read the cart after it changes
+        CART_JS_URL: '/cart.js',
+        
+        // Request headers; X-Shop-Key is your shop's publishable key
+        // (create one with: node shop-auth.js your-store.myshopify.com https://your-store.com)
         HEADERS: {
             'Content-Type': 'application/json',
-            // 'Authorization': 'Bearer your-api-key' // Uncomment if you need auth
+            'X-Shop-Key': 'pk_your_publishable_key'
         },
         
+        // First-party cookie holding the visitor's anonymous ID, kept for a year
+        // (the same cookie shopify-theme-script.js uses, so a visitor keeps their ID if you switch scripts)
+        VISITOR_COOKIE: '_ac_vid',
+        VISITOR_COOKIE_DAYS: 365,
+        
         // Debug mode - set to false in production
         DEBUG: false
     };
     
+    // Helper function to generate a random anonymous ID
+    function generateAnonymousId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return 'v' + Date.now().toString(36) + Math.random().toString(36).slice(2, 12);
+    }
+    
+    // Helper function to get this browser's anonymous ID, issuing one on the first visit
+    // The backend needs it to track visitors whose email isn't known yet
+    function getAnonymousId() {
+        const match = document.cookie.match(new RegExp('(?:^|;\\s*)' + CONFIG.VISITOR_COOKIE + '=([^;]+)'));
+        let anonymousId = match ? decodeURIComponent(match[1]) : null;
+        
+        if (!anonymousId) {
+            try {
+                anonymousId = localStorage.getItem(CONFIG.VISITOR_COOKIE);
+            } catch (error) {
+                anonymousId = null;
+            }
+        }
+        
+        if (!anonymousId) {
+            anonymousId = generateAnonymousId();
+        }
+        
+        // Refresh the cookie so it expires a year after the last visit
+        const expires = new Date(Date.now() + CONFIG.VISITOR_COOKIE_DAYS * 24 * 60 * 60 * 1000);
+        document.cookie = CONFIG.VISITOR_COOKIE + '=' + encodeURIComponent(anonymousId) +
+            '; expires=' + expires.toUTCString() + '; path=/; SameSite=Lax';
+        try {
+            localStorage.setItem(CONFIG.VISITOR_COOKIE, anonymousId);
+        } catch (error) {
+            // Private browsing; the cookie is enough
+        }
+        
+        return anonymousId;
+    }
+    
     // Helper function to get current user email (if available)
     function getUserEmail() {
         // Try to get email from Shopify's customer object
@@ -42,6 +93,29 @@
         return null;
     }
     
+    // Helper function to get current user phone number (if available)
+    function getUserPhone() {
+        // Try to get phone from Shopify's customer object
+        if (typeof window.Shopify !== 'undefined' && window.Shopify.customer && window.Shopify.customer.phone) {
+            return window.Shopify.customer.phone;
+        }
+        
+        // Try to get from customer data in meta tags
+        const phoneMeta = document.querySelector('meta[name="customer-phone"]');
+        if (phoneMeta) {
+            return phoneMeta.getAttribute('content');
+        }
+        
+        // Try to get from localStorage if you store it there
+        const storedPhone = localStorage.getItem('customer_phone');
+        if (storedPhone) {
+            return storedPhone;
+        }
+        
+        // Return null if no phone found
+        return null;
+    }
+    
     // Helper function to get product data from the page
     function getProductData() {
         // Try to get product data from Shopify's product object
@@ -115,6 +189,7 @@
             // Prepare tracking data
             const trackingData = {
                 user_email: userEmail,
+                anonymous_id: getAnonymousId(),
                 product_id: productData.product_id,
                 product_name: productData.product_name,
                 timestamp: new Date().toISOString(),
@@ -188,8 +263,182 @@
         subtree: true
     });
     
+    // Helper function to get the Shopify cart token from the "cart" cookie
+    function getCartToken() {
+        const match = document.cookie.match(/(?:^|;\s*)cart=([^;]+)/);
+        return match ? decodeURIComponent(match[1]) : null;
+    }
+    
+    // Last cart state seen, so checkout_started can be reported without another request
+    let lastCart = null;
+    
+    // Helper function to fetch the current cart from Shopify's AJAX API
+    async function fetchCart() {
+        const response = await originalFetch(CONFIG.CART_JS_URL, {
+            headers: { 'Accept': 'application/json' },
+            credentials: 'same-origin'
+        });
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch cart: ' + response.status);
+        }
+        
+        lastCart = await response.json();
+        return lastCart;
+    }
+    
+    // Helper function to build a cart event payload from a /cart.js response
+    function buildCartEvent(eventType, cart) {
+        const cartEvent = {
+            event_type: eventType,
+            cart_token: (cart && cart.token) || getCartToken(),
+            user_email: getUserEmail(),
+            anonymous_id: getAnonymousId(),
+            user_phone: getUserPhone(),
+            user_timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+            timestamp: new Date().toISOString(),
+            page_url: window.location.href
+        };
+        
+        if (cart) {
+            // Shopify's AJAX API returns prices in cents
+            cartEvent.total_price = cart.total_price / 100;
+            cartEvent.currency = cart.currency;
+            cartEvent.items = cart.items.map(function(item) {
+                return {
+                    product_id: item.product_id,
+                    variant_id: item.variant_id,
+                    product_name: item.product_title,
+                    variant_title: item.variant_title,
+                    quantity: item.quantity,
+                    price: item.price / 100
+                };
+            });
+        }
+        
+        return cartEvent;
+    }
+    
+    // Send a cart event to the backend
+    async function sendCartEvent(eventType, cart) {
+        try {
+            const cartEvent = buildCartEvent(eventType, cart);
+            if (!cartEvent.cart_token) {
+                log('No cart token found, skipping cart event');
+                return;
+            }
+            
+            log('Tracking cart event:', cartEvent);
+            
+            // keepalive lets checkout_started finish while the page navigates away
+            const response = await originalFetch(CONFIG.CART_EVENTS_URL, {
+                method: 'POST',
+                headers: CONFIG.HEADERS,
+                body: JSON.stringify(cartEvent),
+                keepalive: true
+            });
+            
+            if (response.ok) {
+                log('Cart event tracked successfully');
+            } else {
+                log('Failed to track cart event:', response.status, response.statusText);
+            }
+            
+        } catch (error) {
+            log('Error tracking cart event:', error);
+        }
+    }
+    
+    // Map a Shopify cart API URL to the cart event it represents
+    function getCartEventType(url) {
+        if (/\/cart\/add(\.js)?(\?|$)/.test(url)) {
+            return 'add_to_cart';
+        }
+        if (/\/cart\/(change|update)(\.js)?(\?|$)/.test(url)) {
+            return 'cart_updated';
+        }
+        return null;
+    }
+    
+    // Report a cart mutation once Shopify has applied it
+    async function handleCartMutation(eventType) {
+        try {
+            const cart = await fetchCart();
+            await sendCartEvent(eventType, cart);
+        } catch (error) {
+            log('Error handling cart mutation:', error);
+        }
+    }
+    
+    // Hook fetch() calls made by the theme to the cart API
+    const originalFetch = window.fetch.bind(window);
+    window.fetch = function(input, init) {
+        const url = typeof input === 'string' ? input : (input && input.url) || '';
+        const eventType = getCartEventType(url);
+        const request = originalFetch(input, init);
+        
+        if (eventType) {
+            request.then(function(response) {
+                if (response.ok) {
+                    handleCartMutation(eventType);
+                }
+            }).catch(function() {});
+        }
+        
+        return request;
+    };
+    
+    // Hook XMLHttpRequest calls (jQuery-based themes) to the cart API
+    const originalOpen = XMLHttpRequest.prototype.open;
+    XMLHttpRequest.prototype.open = function(method, url) {
+        const eventType = getCartEventType(String(url));
+        if (eventType) {
+            this.addEventListener('load', function() {
+                if (this.status >= 200 && this.status < 300) {
+                    handleCartMutation(eventType);
+                }
+            });
+        }
+        return originalOpen.apply(this, arguments);
+    };
+    
+    // Track checkout starts from the cart form's checkout button and checkout links
+    let checkoutTracked = false;
+    function trackCheckoutStarted() {
+        if (checkoutTracked) {
+            return;
+        }
+        checkoutTracked = true;
+        sendCartEvent('checkout_started', lastCart);
+    }
+    
+    document.addEventListener('submit', function(event) {
+        const form = event.target;
+        const submitter = event.submitter;
+        const action = form.getAttribute('action') || '';
+        
+        if ((submitter && submitter.name === 'checkout') || /\/checkout/.test(action)) {
+            trackCheckoutStarted();
+        }
+    }, true);
+    
+    document.addEventListener('click', function(event) {
+        const link = event.target.closest && event.target.closest('a[href*="/checkout"]');
+        if (link) {
+            trackCheckoutStarted();
+        }
+    }, true);
+    
+    // Load the current cart on cart pages so checkout_started includes its items
+    if (window.location.pathname.replace(/\/$/, '').endsWith('/cart')) {
+        fetchCart().catch(function(error) {
+            log('Error loading cart:', error);
+        });
+    }
+    
     // Expose tracking function globally for manual calls
     window.trackProductView = trackProductView;
+    window.trackCartEvent = sendCartEvent;
     
     log('Product tracking script loaded');
     
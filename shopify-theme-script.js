@@ -1,4 +1,5 @@
 // Shopify Product Tracking Script
+// Tracks product views, cart changes and checkout starts
 // Add this to your Shopify theme's theme.liquid file before </head>
 
 <script>
@@ -7,19 +8,101 @@
     
     // Configuration - UPDATE THESE VALUES
     const CONFIG = {
-        // Your backend endpoint URL (update this to your deployed backend)
-        BACKEND_URL: 'https://your-backend-domain.com/api/track-view',
+        // Your backend's batched events endpoint (product views, add to cart, cart updates, checkout started)
+        EVENTS_URL: 'https://your-backend-domain.com/api/events',
         
-        // Optional: Add any additional headers you need
+        // Capture form submissions (email, phone and SMS consent)
+        IDENTIFY_URL: 'https://your-backend-domain.com/api/identify',
+        
+        // Shopify's AJAX cart endpoint, used to read the cart after it changes
+        CART_JS_URL: '/cart.js',
+        
+        // Request headers; X-Shop-Key is your shop's publishable key
+        // (create one with: node shop-auth.js your-store.myshopify.com https://your-store.com)
         HEADERS: {
             'Content-Type': 'application/json',
-            // 'Authorization': 'Bearer your-api-key' // Uncomment if you need auth
+            'X-Shop-Key': 'pk_your_publishable_key'
+        },
+        
+        // Events wait in localStorage until the backend accepts them, so they survive network errors and page loads
+        QUEUE: {
+            // Oldest events are dropped beyond this, e.g. if the backend is down for a long time
+            MAX_EVENTS: 100,
+            // Events per request (the backend accepts up to 50)
+            BATCH_SIZE: 20,
+            // Wait after an event so several are sent together
+            FLUSH_DELAY_MS: 2000,
+            // Retry delay after a network error, doubling up to RETRY_MAX_MS
+            RETRY_BASE_MS: 2000,
+            RETRY_MAX_MS: 60000,
+            // Events that failed this many times are dropped
+            MAX_ATTEMPTS: 8
+        },
+        
+        // First-party cookie holding the visitor's anonymous ID, kept for a year
+        VISITOR_COOKIE: '_ac_vid',
+        VISITOR_COOKIE_DAYS: 365,
+        
+        // Optional form asking anonymous visitors for their email, phone and SMS consent
+        CAPTURE: {
+            ENABLED: false,
+            // 'exit_intent' (pointer leaves the top of the window) or 'add_to_cart'
+            TRIGGER: 'exit_intent',
+            TITLE: 'Save your cart',
+            TEXT: "Leave your email and we'll remind you about the items in your cart.",
+            BUTTON_TEXT: 'Remind me',
+            // Set to false to only ask for an email
+            ASK_PHONE: true,
+            // Shown next to the SMS checkbox; keep it the same as the backend's SMS_CONSENT_TEXT, which is what is stored
+            SMS_CONSENT_TEXT: 'Text me reminders about my cart. Msg & data rates may apply. Msg frequency varies. Reply STOP to opt out.',
+            // Days before the form is shown again to a visitor who closed it
+            SHOW_AGAIN_DAYS: 30
         },
         
         // Debug mode - set to false in production
         DEBUG: true
     };
     
+    // Helper function to generate a random anonymous ID
+    function generateAnonymousId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return 'v' + Date.now().toString(36) + Math.random().toString(36).slice(2, 12);
+    }
+    
+    // Helper function to get this browser's anonymous ID, issuing one on the first visit
+    // It's kept in a first-party cookie, with localStorage as a fallback when cookies are blocked,
+    // so views and carts can be linked to the customer once they log in or enter their email
+    function getAnonymousId() {
+        const match = document.cookie.match(new RegExp('(?:^|;\\s*)' + CONFIG.VISITOR_COOKIE + '=([^;]+)'));
+        let anonymousId = match ? decodeURIComponent(match[1]) : null;
+        
+        if (!anonymousId) {
+            try {
+                anonymousId = localStorage.getItem(CONFIG.VISITOR_COOKIE);
+            } catch (error) {
+                anonymousId = null;
+            }
+        }
+        
+        if (!anonymousId) {
+            anonymousId = generateAnonymousId();
+        }
+        
+        // Refresh the cookie so it expires a year after the last visit
+        const expires = new Date(Date.now() + CONFIG.VISITOR_COOKIE_DAYS * 24 * 60 * 60 * 1000);
+        document.cookie = CONFIG.VISITOR_COOKIE + '=' + encodeURIComponent(anonymousId) +
+            '; expires=' + expires.toUTCString() + '; path=/; SameSite=Lax';
+        try {
+            localStorage.setItem(CONFIG.VISITOR_COOKIE, anonymousId);
+        } catch (error) {
+            // Private browsing; the cookie is enough
+        }
+        
+        return anonymousId;
+    }
+    
     // Helper function to get current user email (if available)
     function getUserEmail() {
         // Try to get email from Shopify's customer object
@@ -43,6 +126,29 @@
         return null;
     }
     
+    // Helper function to get current user phone number (if available)
+    function getUserPhone() {
+        // Try to get phone from Shopify's customer object
+        if (typeof window.Shopify !== 'undefined' && window.Shopify.customer && window.Shopify.customer.phone) {
+            return window.Shopify.customer.phone;
+        }
+        
+        // Try to get from customer data in meta tags
+        const phoneMeta = document.querySelector('meta[name="customer-phone"]');
+        if (phoneMeta) {
+            return phoneMeta.getAttribute('content');
+        }
+        
+        // Try to get from localStorage if you store it there
+        const storedPhone = localStorage.getItem('customer_phone');
+        if (storedPhone) {
+            return storedPhone;
+        }
+        
+        // Return null if no phone found
+        return null;
+    }
+    
     // Helper function to get product data from the page
     function getProductData() {
         // Try to get product data from Shopify's product object
@@ -87,6 +193,64 @@
         return null;
     }
     
+    // Helper function to read a price formatted for the shop's locale ("1,299.00", "1.299,00", "19,90")
+    // A comma or dot followed by one or two digits at the end is the decimal separator; other commas and dots group thousands
+    function parseLocalizedPrice(text) {
+        const cleaned = String(text || '').replace(/[^0-9.,]/g, '');
+        const decimal = cleaned.match(/[.,](\d{1,2})$/);
+        const whole = (decimal ? cleaned.slice(0, -decimal[0].length) : cleaned).replace(/[.,]/g, '');
+        if (!whole && !decimal) {
+            return null;
+        }
+        return parseFloat((whole || '0') + (decimal ? '.' + decimal[1] : ''));
+    }
+    
+    // Helper function to get the selected variant, its price and image from the product page
+    function getVariantData() {
+        // The variant is in the URL once a customer picks one, otherwise in the add to cart form
+        const urlParams = new URLSearchParams(window.location.search);
+        const variantInput = document.querySelector('form[action*="/cart/add"] [name="id"]');
+        const variantId = urlParams.get('variant') || (variantInput && variantInput.value) || null;
+        
+        // Shopify describes the product's variants on product pages, with prices in cents
+        const meta = window.ShopifyAnalytics && window.ShopifyAnalytics.meta && window.ShopifyAnalytics.meta.product;
+        const variants = (meta && meta.variants) || [];
+        let variant = null;
+        for (let i = 0; i < variants.length; i++) {
+            if (!variantId || String(variants[i].id) === String(variantId)) {
+                variant = variants[i];
+                break;
+            }
+        }
+        
+        const priceMeta = document.querySelector('meta[property="og:price:amount"]');
+        const currencyMeta = document.querySelector('meta[property="og:price:currency"]');
+        const imageMeta = document.querySelector('meta[property="og:image:secure_url"]') ||
+            document.querySelector('meta[property="og:image"]');
+        
+        let price = null;
+        if (variant && typeof variant.price === 'number') {
+            price = variant.price / 100;
+        } else if (priceMeta) {
+            price = parseLocalizedPrice(priceMeta.getAttribute('content'));
+        }
+        
+        // Shopify's image URLs are often protocol-relative (//cdn.shopify.com/...)
+        let imageUrl = imageMeta ? imageMeta.getAttribute('content') : null;
+        if (imageUrl && imageUrl.indexOf('//') === 0) {
+            imageUrl = 'https:' + imageUrl;
+        }
+        
+        return {
+            variant_id: variant ? String(variant.id) : variantId,
+            variant_title: variant ? variant.public_title || null : null,
+            price: isNaN(price) ? null : price,
+            currency: (window.Shopify && window.Shopify.currency && window.Shopify.currency.active) ||
+                (currencyMeta && currencyMeta.getAttribute('content')) || null,
+            image_url: imageUrl
+        };
+    }
+    
     // Helper function to log debug messages
     function log(message) {
         if (CONFIG.DEBUG) {
@@ -94,6 +258,201 @@
         }
     }
     
+    // localStorage key of the event queue; memoryQueue is used when localStorage is unavailable
+    const QUEUE_KEY = '_ac_event_queue';
+    let memoryQueue = [];
+    
+    function loadQueue() {
+        try {
+            const stored = localStorage.getItem(QUEUE_KEY);
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            return memoryQueue;
+        }
+    }
+    
+    function saveQueue(queue) {
+        memoryQueue = queue;
+        try {
+            localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+        } catch (error) {
+            // Private browsing or storage full; events are kept in memory for this page
+        }
+    }
+    
+    function removeQueuedEvents(eventIds) {
+        saveQueue(loadQueue().filter(function(event) {
+            return eventIds.indexOf(event.event_id) === -1;
+        }));
+    }
+    
+    // Count a failed attempt for each event, dropping those that keep failing
+    function recordFailedAttempt(eventIds) {
+        saveQueue(loadQueue().map(function(event) {
+            if (eventIds.indexOf(event.event_id) !== -1) {
+                event.attempts = (event.attempts || 0) + 1;
+            }
+            return event;
+        }).filter(function(event) {
+            return (event.attempts || 0) < CONFIG.QUEUE.MAX_ATTEMPTS;
+        }));
+    }
+    
+    // Add an event to the queue; it's sent with the next batch
+    function enqueueEvent(event) {
+        event.event_id = generateAnonymousId();
+        const queue = loadQueue();
+        queue.push(event);
+        saveQueue(queue.slice(-CONFIG.QUEUE.MAX_EVENTS));
+        scheduleFlush(CONFIG.QUEUE.FLUSH_DELAY_MS);
+    }
+    
+    let flushTimer = null;
+    let flushing = false;
+    let retryCount = 0;
+    // Events of the batch being sent, so a beacon sent meanwhile doesn't send them twice
+    let inFlightIds = [];
+    
+    function scheduleFlush(delay) {
+        if (flushTimer) {
+            return;
+        }
+        flushTimer = setTimeout(function() {
+            flushTimer = null;
+            flushQueue();
+        }, delay);
+    }
+    
+    function getRetryDelay() {
+        return Math.min(CONFIG.QUEUE.RETRY_BASE_MS * Math.pow(2, retryCount - 1), CONFIG.QUEUE.RETRY_MAX_MS);
+    }
+    
+    // Send the oldest queued events to the backend
+    // Accepted and rejected (4xx) events leave the queue; events that hit a server or network error are retried
+    async function flushQueue() {
+        if (flushing) {
+            return;
+        }
+        
+        const batch = loadQueue().slice(0, CONFIG.QUEUE.BATCH_SIZE);
+        if (batch.length === 0) {
+            return;
+        }
+        
+        flushing = true;
+        const batchIds = batch.map(function(event) { return event.event_id; });
+        inFlightIds = batchIds;
+        let attemptRecorded = false;
+        
+        try {
+            // keepalive lets the request finish while the page navigates away (e.g. to checkout)
+            const response = await originalFetch(CONFIG.EVENTS_URL, {
+                method: 'POST',
+                headers: CONFIG.HEADERS,
+                body: JSON.stringify({ events: batch }),
+                keepalive: true
+            });
+            
+            if (response.status >= 500 || response.status === 429) {
+                recordFailedAttempt(batchIds);
+                attemptRecorded = true;
+                throw new Error('Server responded ' + response.status);
+            }
+            
+            if (!response.ok) {
+                // e.g. a wrong shop key or origin; sending the batch again won't help
+                log('Event batch rejected:', response.status, response.statusText);
+                removeQueuedEvents(batchIds);
+            } else {
+                const result = await response.json();
+                const retryIds = [];
+                result.results.forEach(function(eventResult) {
+                    const event = batch[eventResult.index];
+                    if (!event) {
+                        return;
+                    }
+                    if (eventResult.status >= 500) {
+                        retryIds.push(event.event_id);
+                    } else if (eventResult.status >= 400) {
+                        log('Event rejected:', event.event_type, eventResult.error);
+                    }
+                });
+                
+                removeQueuedEvents(batchIds.filter(function(id) { return retryIds.indexOf(id) === -1; }));
+                recordFailedAttempt(retryIds);
+                attemptRecorded = true;
+                log('Events sent: ' + result.accepted + ' accepted, ' + result.rejected + ' not');
+                
+                if (retryIds.length > 0) {
+                    throw new Error(retryIds.length + ' events failed on the server');
+                }
+            }
+            
+            retryCount = 0;
+            if (loadQueue().length > 0) {
+                scheduleFlush(0);
+            }
+            
+        } catch (error) {
+            if (!attemptRecorded) {
+                // Network error: we don't know what was stored, so the whole batch is retried
+                recordFailedAttempt(batchIds);
+            }
+            retryCount++;
+            const delay = getRetryDelay();
+            log('Error sending events, retrying in ' + delay + 'ms:', error);
+            scheduleFlush(delay);
+            
+        } finally {
+            flushing = false;
+            inFlightIds = [];
+        }
+    }
+    
+    // Hand the queue to the browser with sendBeacon, which still delivers after the page has gone
+    function flushWithBeacon() {
+        if (!navigator.sendBeacon) {
+            return;
+        }
+        
+        // sendBeacon can't set headers, so the key goes in the URL
+        const url = CONFIG.EVENTS_URL + (CONFIG.EVENTS_URL.indexOf('?') === -1 ? '?' : '&') +
+            'key=' + encodeURIComponent(CONFIG.HEADERS['X-Shop-Key']);
+        const pending = loadQueue().filter(function(event) {
+            return inFlightIds.indexOf(event.event_id) === -1;
+        });
+        
+        for (let i = 0; i < pending.length; i += CONFIG.QUEUE.BATCH_SIZE) {
+            const batch = pending.slice(i, i + CONFIG.QUEUE.BATCH_SIZE);
+            // text/plain keeps the beacon a simple CORS request; the backend parses it as JSON
+            const queued = navigator.sendBeacon(url, new Blob([JSON.stringify({ events: batch })], { type: 'text/plain' }));
+            if (!queued) {
+                // The browser's beacon quota is used up; the rest are sent from the next page
+                break;
+            }
+            removeQueuedEvents(batch.map(function(event) { return event.event_id; }));
+        }
+    }
+    
+    // pagehide isn't fired reliably on mobile, so the queue is also handed over when the page is hidden
+    window.addEventListener('pagehide', flushWithBeacon);
+    document.addEventListener('visibilitychange', function() {
+        if (document.visibilityState === 'hidden') {
+            flushWithBeacon();
+        }
+    });
+    
+    // Retry straight away when the connection comes back
+    window.addEventListener('online', function() {
+        retryCount = 0;
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        flushQueue();
+    });
+    
+    // Send events left over from earlier pages
+    scheduleFlush(CONFIG.QUEUE.FLUSH_DELAY_MS);
+    
     // Main function to track product view
     async function trackProductView() {
         try {
@@ -112,12 +471,20 @@
             
             // Get user email
             const userEmail = getUserEmail();
+            const variantData = getVariantData();
             
             // Prepare tracking data
             const trackingData = {
+                event_type: 'product_view',
                 user_email: userEmail,
+                anonymous_id: getAnonymousId(),
                 product_id: productData.product_id,
                 product_name: productData.product_name,
+                variant_id: variantData.variant_id,
+                variant_title: variantData.variant_title,
+                price: variantData.price,
+                currency: variantData.currency,
+                image_url: variantData.image_url,
                 timestamp: new Date().toISOString(),
                 // Additional useful data
                 page_url: window.location.href,
@@ -126,19 +493,7 @@
             };
             
             log('Tracking product view:', trackingData);
-            
-            // Send POST request to backend
-            const response = await fetch(CONFIG.BACKEND_URL, {
-                method: 'POST',
-                headers: CONFIG.HEADERS,
-                body: JSON.stringify(trackingData)
-            });
-            
-            if (response.ok) {
-                log('Product view tracked successfully');
-            } else {
-                log('Failed to track product view:', response.status, response.statusText);
-            }
+            enqueueEvent(trackingData);
             
         } catch (error) {
             log('Error tracking product view:', error);
@@ -189,8 +544,397 @@
         subtree: true
     });
     
+    // Helper function to get the Shopify cart token from the "cart" cookie
+    function getCartToken() {
+        const match = document.cookie.match(/(?:^|;\s*)cart=([^;]+)/);
+        return match ? decodeURIComponent(match[1]) : null;
+    }
+    
+    // Last cart state seen, so checkout_started can be reported without another request
+    let lastCart = null;
+    
+    // Helper function to fetch the current cart from Shopify's AJAX API
+    async function fetchCart() {
+        const response = await originalFetch(CONFIG.CART_JS_URL, {
+            headers: { 'Accept': 'application/json' },
+            credentials: 'same-origin'
+        });
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch cart: ' + response.status);
+        }
+        
+        lastCart = await response.json();
+        return lastCart;
+    }
+    
+    // Helper function to build a cart event payload from a /cart.js response
+    function buildCartEvent(eventType, cart) {
+        const cartEvent = {
+            event_type: eventType,
+            cart_token: (cart && cart.token) || getCartToken(),
+            user_email: getUserEmail(),
+            anonymous_id: getAnonymousId(),
+            user_phone: getUserPhone(),
+            user_timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+            timestamp: new Date().toISOString(),
+            page_url: window.location.href
+        };
+        
+        if (cart) {
+            // Shopify's AJAX API returns prices in cents
+            cartEvent.total_price = cart.total_price / 100;
+            cartEvent.currency = cart.currency;
+            cartEvent.items = cart.items.map(function(item) {
+                return {
+                    product_id: item.product_id,
+                    variant_id: item.variant_id,
+                    product_name: item.product_title,
+                    variant_title: item.variant_title,
+                    quantity: item.quantity,
+                    price: item.price / 100,
+                    image_url: item.image || null
+                };
+            });
+        }
+        
+        return cartEvent;
+    }
+    
+    // Send a cart event to the backend
+    async function sendCartEvent(eventType, cart) {
+        try {
+            const cartEvent = buildCartEvent(eventType, cart);
+            if (!cartEvent.cart_token) {
+                log('No cart token found, skipping cart event');
+                return;
+            }
+            
+            log('Tracking cart event:', cartEvent);
+            enqueueEvent(cartEvent);
+            
+            // The customer is about to leave for checkout, so don't wait for more events
+            if (eventType === 'checkout_started') {
+                clearTimeout(flushTimer);
+                flushTimer = null;
+                await flushQueue();
+            }
+            
+        } catch (error) {
+            log('Error tracking cart event:', error);
+        }
+    }
+    
+    // Map a Shopify cart API URL to the cart event it represents
+    function getCartEventType(url) {
+        if (/\/cart\/add(\.js)?(\?|$)/.test(url)) {
+            return 'add_to_cart';
+        }
+        if (/\/cart\/(change|update)(\.js)?(\?|$)/.test(url)) {
+            return 'cart_updated';
+        }
+        return null;
+    }
+    
+    // Report a cart mutation once Shopify has applied it
+    async function handleCartMutation(eventType) {
+        try {
+            const cart = await fetchCart();
+            await sendCartEvent(eventType, cart);
+        } catch (error) {
+            log('Error handling cart mutation:', error);
+        }
+        
+        if (eventType === 'add_to_cart' && CONFIG.CAPTURE.TRIGGER === 'add_to_cart') {
+            showCaptureForm();
+        }
+    }
+    
+    // localStorage key remembering when the capture form was last closed or submitted
+    const CAPTURE_SEEN_KEY = '_ac_capture_seen';
+    let captureShown = false;
+    
+    // Helper function to decide whether the capture form may be shown
+    function shouldShowCapture() {
+        if (!CONFIG.CAPTURE.ENABLED || captureShown || getUserEmail()) {
+            return false;
+        }
+        
+        try {
+            const seenAt = parseInt(localStorage.getItem(CAPTURE_SEEN_KEY), 10);
+            if (seenAt && Date.now() - seenAt < CONFIG.CAPTURE.SHOW_AGAIN_DAYS * 24 * 60 * 60 * 1000) {
+                return false;
+            }
+        } catch (error) {
+            // localStorage unavailable; show the form once per page
+        }
+        
+        return true;
+    }
+    
+    function markCaptureSeen() {
+        try {
+            localStorage.setItem(CAPTURE_SEEN_KEY, String(Date.now()));
+        } catch (error) {
+            // Private browsing; the form may be shown again on the next page
+        }
+    }
+    
+    // Send the capture form to the backend, which links the visitor's browsing history to them
+    async function submitCapture(email, phone, smsConsent) {
+        const identifyData = {
+            anonymous_id: getAnonymousId(),
+            email: email,
+            phone: phone || null,
+            sms_consent: smsConsent,
+            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        };
+        
+        log('Identifying visitor:', identifyData);
+        
+        const response = await originalFetch(CONFIG.IDENTIFY_URL, {
+            method: 'POST',
+            headers: CONFIG.HEADERS,
+            body: JSON.stringify(identifyData)
+        });
+        
+        const result = await response.json().catch(function() { return {}; });
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to save your details');
+        }
+        
+        // getUserEmail() and getUserPhone() read these, so later cart events carry the customer's details
+        try {
+            localStorage.setItem('customer_email', email);
+            if (phone) {
+                localStorage.setItem('customer_phone', phone);
+            }
+        } catch (error) {
+            // Private browsing; the backend still knows this visitor by their anonymous ID
+        }
+        
+        log('Visitor identified successfully');
+        return result;
+    }
+    
+    // Build and show the capture form
+    // Text comes from CONFIG and is set with textContent, never as HTML
+    function showCaptureForm() {
+        if (!shouldShowCapture()) {
+            return;
+        }
+        captureShown = true;
+        
+        const overlay = document.createElement('div');
+        overlay.setAttribute('role', 'dialog');
+        overlay.setAttribute('aria-modal', 'true');
+        overlay.style.cssText = 'position:fixed;inset:0;z-index:2147483647;display:flex;align-items:center;' +
+            'justify-content:center;background:rgba(0,0,0,0.5);font-family:inherit;';
+        
+        const form = document.createElement('form');
+        form.style.cssText = 'position:relative;box-sizing:border-box;width:90%;max-width:400px;padding:24px;' +
+            'background:#fff;color:#111;border-radius:8px;box-shadow:0 8px 32px rgba(0,0,0,0.2);';
+        
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.setAttribute('aria-label', 'Close');
+        closeButton.textContent = '×';
+        closeButton.style.cssText = 'position:absolute;top:8px;right:12px;border:0;background:none;font-size:24px;cursor:pointer;';
+        
+        const title = document.createElement('h2');
+        title.textContent = CONFIG.CAPTURE.TITLE;
+        title.style.cssText = 'margin:0 0 8px;font-size:20px;';
+        
+        const text = document.createElement('p');
+        text.textContent = CONFIG.CAPTURE.TEXT;
+        text.style.cssText = 'margin:0 0 16px;';
+        
+        const inputStyle = 'display:block;box-sizing:border-box;width:100%;margin:0 0 12px;padding:10px;' +
+            'border:1px solid #ccc;border-radius:4px;font-size:16px;';
+        
+        const emailInput = document.createElement('input');
+        emailInput.type = 'email';
+        emailInput.name = 'email';
+        emailInput.required = true;
+        emailInput.placeholder = 'Email';
+        emailInput.autocomplete = 'email';
+        emailInput.style.cssText = inputStyle;
+        
+        form.appendChild(closeButton);
+        form.appendChild(title);
+        form.appendChild(text);
+        form.appendChild(emailInput);
+        
+        let phoneInput = null;
+        let consentCheckbox = null;
+        if (CONFIG.CAPTURE.ASK_PHONE) {
+            phoneInput = document.createElement('input');
+            phoneInput.type = 'tel';
+            phoneInput.name = 'phone';
+            phoneInput.placeholder = 'Phone (optional)';
+            phoneInput.autocomplete = 'tel';
+            phoneInput.style.cssText = inputStyle;
+            
+            // SMS consent must be given explicitly, so the box is never ticked for the visitor
+            const consentLabel = document.createElement('label');
+            consentLabel.style.cssText = 'display:flex;gap:8px;align-items:flex-start;margin:0 0 16px;font-size:12px;line-height:1.4;';
+            consentCheckbox = document.createElement('input');
+            consentCheckbox.type = 'checkbox';
+            consentCheckbox.name = 'sms_consent';
+            consentCheckbox.checked = false;
+            const consentText = document.createElement('span');
+            consentText.textContent = CONFIG.CAPTURE.SMS_CONSENT_TEXT;
+            consentLabel.appendChild(consentCheckbox);
+            consentLabel.appendChild(consentText);
+            
+            // A phone number is needed to consent to texts
+            consentCheckbox.addEventListener('change', function() {
+                phoneInput.required = consentCheckbox.checked;
+            });
+            
+            form.appendChild(phoneInput);
+            form.appendChild(consentLabel);
+        }
+        
+        const message = document.createElement('p');
+        message.setAttribute('aria-live', 'polite');
+        message.style.cssText = 'margin:0 0 12px;font-size:14px;';
+        
+        const submitButton = document.createElement('button');
+        submitButton.type = 'submit';
+        submitButton.textContent = CONFIG.CAPTURE.BUTTON_TEXT;
+        submitButton.style.cssText = 'display:block;width:100%;padding:12px;border:0;border-radius:4px;' +
+            'background:#111;color:#fff;font-size:16px;cursor:pointer;';
+        
+        form.appendChild(message);
+        form.appendChild(submitButton);
+        overlay.appendChild(form);
+        
+        function closeCaptureForm() {
+            markCaptureSeen();
+            document.removeEventListener('keydown', onKeydown);
+            if (overlay.parentNode) {
+                overlay.parentNode.removeChild(overlay);
+            }
+        }
+        
+        function onKeydown(event) {
+            if (event.key === 'Escape') {
+                closeCaptureForm();
+            }
+        }
+        
+        closeButton.addEventListener('click', closeCaptureForm);
+        overlay.addEventListener('click', function(event) {
+            if (event.target === overlay) {
+                closeCaptureForm();
+            }
+        });
+        document.addEventListener('keydown', onKeydown);
+        
+        form.addEventListener('submit', async function(event) {
+            event.preventDefault();
+            submitButton.disabled = true;
+            message.textContent = '';
+            
+            try {
+                await submitCapture(
+                    emailInput.value.trim(),
+                    phoneInput ? phoneInput.value.trim() : null,
+                    consentCheckbox ? consentCheckbox.checked : false
+                );
+                closeCaptureForm();
+            } catch (error) {
+                log('Error submitting capture form:', error);
+                message.textContent = error.message;
+                submitButton.disabled = false;
+            }
+        });
+        
+        document.body.appendChild(overlay);
+        emailInput.focus();
+        log('Capture form shown');
+    }
+    
+    // Exit intent: the pointer leaves through the top of the window, towards the tabs or address bar
+    if (CONFIG.CAPTURE.ENABLED && CONFIG.CAPTURE.TRIGGER === 'exit_intent') {
+        document.addEventListener('mouseout', function(event) {
+            if (!event.relatedTarget && event.clientY <= 0) {
+                showCaptureForm();
+            }
+        });
+    }
+    
+    // Hook fetch() calls made by the theme to the cart API
+    const originalFetch = window.fetch.bind(window);
+    window.fetch = function(input, init) {
+        const url = typeof input === 'string' ? input : (input && input.url) || '';
+        const eventType = getCartEventType(url);
+        const request = originalFetch(input, init);
+        
+        if (eventType) {
+            request.then(function(response) {
+                if (response.ok) {
+                    handleCartMutation(eventType);
+                }
+            }).catch(function() {});
+        }
+        
+        return request;
+    };
+    
+    // Hook XMLHttpRequest calls (jQuery-based themes) to the cart API
+    const originalOpen = XMLHttpRequest.prototype.open;
+    XMLHttpRequest.prototype.open = function(method, url) {
+        const eventType = getCartEventType(String(url));
+        if (eventType) {
+            this.addEventListener('load', function() {
+                if (this.status >= 200 && this.status < 300) {
+                    handleCartMutation(eventType);
+                }
+            });
+        }
+        return originalOpen.apply(this, arguments);
+    };
+    
+    // Track checkout starts from the cart form's checkout button and checkout links
+    let checkoutTracked = false;
+    function trackCheckoutStarted() {
+        if (checkoutTracked) {
+            return;
+        }
+        checkoutTracked = true;
+        sendCartEvent('checkout_started', lastCart);
+    }
+    
+    document.addEventListener('submit', function(event) {
+        const form = event.target;
+        const submitter = event.submitter;
+        const action = form.getAttribute('action') || '';
+        
+        if ((submitter && submitter.name === 'checkout') || /\/checkout/.test(action)) {
+            trackCheckoutStarted();
+        }
+    }, true);
+    
+    document.addEventListener('click', function(event) {
+        const link = event.target.closest && event.target.closest('a[href*="/checkout"]');
+        if (link) {
+            trackCheckoutStarted();
+        }
+    }, true);
+    
+    // Load the current cart on cart pages so checkout_started includes its items
+    if (window.location.pathname.replace(/\/$/, '').endsWith('/cart')) {
+        fetchCart().catch(function(error) {
+            log('Error loading cart:', error);
+        });
+    }
+    
     // Expose tracking function globally for manual calls
     window.trackProductView = trackProductView;
+    window.trackCartEvent = sendCartEvent;
+    window.showCaptureForm = showCaptureForm;
     
     log('Product tracking script loaded');
     
@@ -0,0 +1,426 @@
+// Shopify webhook receiver
+// Verifies webhook HMAC signatures, records orders and marks purchased carts as recovered,
+// keeps tracked products' prices and stock current, and deletes a shop's data when it uninstalls the app
+
+const crypto = require('crypto');
+const { getSupabase } = require('./supabase-client');
+const { normalizePhoneNumber } = require('./phone-utils');
+const { recordConsent, getConsentStatus } = require('./sms-consent');
+const { stopSequences } = require('./reminder-sequences');
+const { revokeCartLinks, RECOVERY_LINK_ATTRIBUTE } = require('./checkout-links');
+const { attributeOrder } = require('./attribution');
+const { getShopByDomain, scopeToShop, deleteShop } = require('./shops');
+const { getOrCreateUserId } = require('./cart-events-endpoint');
+const { resolveVisitor } = require('./visitor-identity');
+const { syncProductFromWebhook } = require('./product-catalog');
+
+// Webhook topics this receiver handles
+const SUPPORTED_TOPICS = ['orders/create', 'checkouts/update', 'products/update', 'app/uninstalled'];
+
+/**
+ * Verifies a Shopify webhook signature
+ * @param {Buffer|string} rawBody - The unparsed request body
+ * @param {string} hmacHeader - Value of the X-Shopify-Hmac-Sha256 header
+ * @param {string} secret - The app's webhook signing secret
+ * @returns {boolean} True if the signature matches
+ */
+function verifyShopifyWebhook(rawBody, hmacHeader, secret) {
+  if (!rawBody || !hmacHeader || !secret) {
+    return false;
+  }
+
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(rawBody)
+    .digest('base64');
+
+  const expected = Buffer.from(digest);
+  const received = Buffer.from(hmacHeader);
+
+  // timingSafeEqual throws on length mismatch
+  if (expected.length !== received.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Looks up a shop's user by email without creating one
+ * @param {string} email - Customer's email
+ * @param {string|null} shopId - The shop's ID
+ * @returns {Promise<string|null>} The user's ID, or null if unknown
+ */
+async function findUserIdByEmail(email, shopId = null) {
+  if (!email) {
+    return null;
+  }
+
+  const { data: user, error } = await scopeToShop(getSupabase()
+    .from('users')
+    .select('id')
+    .eq('email', email), shopId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    console.error('Error querying user:', error);
+  }
+
+  return user ? user.id : null;
+}
+
+/**
+ * Finds the customer's phone number on an order or checkout payload
+ * @param {Object} payload - Shopify order or checkout
+ * @returns {string|null} The phone number in E.164 format, or null
+ */
+function getPayloadPhone(payload) {
+  const candidates = [
+    payload.phone,
+    payload.customer && payload.customer.phone,
+    payload.billing_address && payload.billing_address.phone,
+    payload.shipping_address && payload.shipping_address.phone
+  ];
+
+  for (const candidate of candidates) {
+    const normalized = normalizePhoneNumber(candidate);
+    if (normalized) {
+      return normalized;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Stores a phone number on a user that doesn't have one yet
+ * @param {string|null} userId - The user's ID
+ * @param {string|null} phone - Phone number in E.164 format
+ */
+async function savePhoneIfMissing(userId, phone) {
+  if (!userId || !phone) {
+    return;
+  }
+
+  const { error } = await getSupabase()
+    .from('users')
+    .update({ phone })
+    .eq('id', userId)
+    .is('phone', null);
+
+  if (error) {
+    console.error('Error saving user phone:', error);
+  }
+}
+
+/**
+ * Records the SMS marketing consent Shopify collected at checkout
+ * Only changes are recorded, so repeated checkout updates don't pile up duplicate rows
+ * @param {string|null} userId - The user's ID
+ * @param {string|null} phone - Phone number in E.164 format
+ * @param {Object} payload - Shopify order or checkout
+ * @param {string|null} shopId - The shop the consent was given to
+ */
+async function syncSmsMarketingConsent(userId, phone, payload, shopId = null) {
+  const consent = payload.customer && payload.customer.sms_marketing_consent;
+  const consentPhone = normalizePhoneNumber(payload.sms_marketing_phone) || phone;
+
+  let status = null;
+  if (consent && consent.state === 'subscribed') {
+    status = 'opted_in';
+  } else if (consent && ['unsubscribed', 'redacted'].includes(consent.state)) {
+    status = 'opted_out';
+  } else if (payload.buyer_accepts_sms_marketing === true) {
+    status = 'opted_in';
+  }
+
+  if (!status || !consentPhone) {
+    return;
+  }
+
+  try {
+    if (await getConsentStatus(consentPhone, shopId) === status) {
+      return;
+    }
+
+    await recordConsent(consentPhone, status, 'shopify_checkout', {
+      shop_id: shopId,
+      user_id: userId,
+      recorded_at: consent && consent.consent_updated_at
+        ? new Date(consent.consent_updated_at).toISOString()
+        : undefined
+    });
+  } catch (error) {
+    console.error('Error syncing SMS marketing consent:', error);
+  }
+}
+
+/**
+ * Marks the carts belonging to a purchase as recovered
+ * Matches on cart token first, then falls back to the customer's open carts
+ * @param {string|null} cartToken - Shopify cart token from the order or checkout
+ * @param {string|null} userId - The purchasing user's ID
+ * @param {string} purchasedAt - ISO timestamp of the purchase
+ * @param {string|null} shopId - The shop the purchase was made at
+ * @returns {Promise<string[]>} IDs of the carts that were updated
+ */
+async function markCartsRecovered(cartToken, userId, purchasedAt, shopId = null) {
+  let query = scopeToShop(getSupabase()
+    .from('carts')
+    .update({ status: 'recovered' })
+    .in('status', ['active', 'checkout_started']), shopId);
+
+  if (cartToken) {
+    query = query.eq('cart_token', cartToken);
+  } else if (userId) {
+    query = query.eq('user_id', userId).lte('last_event_at', purchasedAt);
+  } else {
+    return [];
+  }
+
+  const { data: carts, error } = await query.select('id');
+
+  if (error) {
+    throw new Error(`Failed to mark carts as recovered: ${error.message}`);
+  }
+
+  // An order placed from another device won't share the cart token
+  if ((!carts || carts.length === 0) && cartToken && userId) {
+    return markCartsRecovered(null, userId, purchasedAt, shopId);
+  }
+
+  const cartIds = (carts || []).map(cart => cart.id);
+
+  // No further reminder steps once the cart is bought, and old links no longer rebuild it
+  await stopSequences(cartIds, 'purchased');
+  await revokeCartLinks(cartIds, 'purchased');
+
+  return cartIds;
+}
+
+/**
+ * Handles an orders/create webhook
+ * @param {Object} order - Shopify order payload
+ * @param {string|null} shopId - The shop that sent the webhook
+ * @returns {Promise<Object>} Summary of what was recorded
+ */
+async function handleOrderCreated(order, shopId = null) {
+  const email = order.email || (order.customer && order.customer.email) || null;
+  const userId = await findUserIdByEmail(email, shopId);
+  const phone = getPayloadPhone(order);
+  await savePhoneIfMissing(userId, phone);
+  await syncSmsMarketingConsent(userId, phone, order, shopId);
+  const orderedAt = order.created_at ? new Date(order.created_at).toISOString() : new Date().toISOString();
+
+  // Find the cart the order came from, if the storefront reported it
+  let cartId = null;
+  if (order.cart_token) {
+    const { data: cart } = await scopeToShop(getSupabase()
+      .from('carts')
+      .select('id')
+      .eq('cart_token', order.cart_token), shopId)
+      .single();
+    cartId = cart ? cart.id : null;
+  }
+
+  // Upsert so Shopify's webhook retries don't create duplicates
+  const { data: orderRecord, error: orderError } = await getSupabase()
+    .from('orders')
+    .upsert({
+      shopify_order_id: String(order.id),
+      shop_id: shopId,
+      user_id: userId,
+      cart_id: cartId,
+      cart_token: order.cart_token || null,
+      checkout_token: order.checkout_token || null,
+      email,
+      total_price: order.total_price !== undefined ? Number(order.total_price) : null,
+      currency: order.currency || null,
+      line_items: (order.line_items || []).map(item => ({
+        product_id: item.product_id ? String(item.product_id) : null,
+        variant_id: item.variant_id ? String(item.variant_id) : null,
+        title: item.title,
+        quantity: item.quantity,
+        price: item.price !== undefined ? Number(item.price) : null
+      })),
+      ordered_at: orderedAt
+    }, { onConflict: 'shopify_order_id' })
+    .select()
+    .single();
+
+  if (orderError) {
+    throw new Error(`Failed to store order: ${orderError.message}`);
+  }
+
+  const recoveredCartIds = await markCartsRecovered(order.cart_token || null, userId, orderedAt, shopId);
+
+  // Credit the order to the reminder that recovered it, if any
+  const linkAttribute = (order.note_attributes || []).find(attribute => attribute.name === RECOVERY_LINK_ATTRIBUTE);
+  const attribution = await attributeOrder(orderRecord, {
+    cartIds: [...new Set([cartId, ...recoveredCartIds].filter(Boolean))],
+    userId,
+    linkToken: linkAttribute ? linkAttribute.value : null
+  });
+
+  return {
+    order_id: orderRecord.id,
+    user_id: userId,
+    recovered_cart_ids: recoveredCartIds,
+    attributed_message_id: attribution ? attribution.messageId : null
+  };
+}
+
+/**
+ * Handles a checkouts/update webhook
+ * A completed checkout is treated as a purchase; an open one links the customer to the cart,
+ * along with the rest of the anonymous visitor's history if the cart was started anonymously
+ * @param {Object} checkout - Shopify checkout payload
+ * @param {string|null} shopId - The shop that sent the webhook
+ * @returns {Promise<Object>} Summary of what was recorded
+ */
+async function handleCheckoutUpdated(checkout, shopId = null) {
+  const email = checkout.email || (checkout.customer && checkout.customer.email) || null;
+  let userId = await findUserIdByEmail(email, shopId);
+  const phone = getPayloadPhone(checkout);
+  await savePhoneIfMissing(userId, phone);
+  await syncSmsMarketingConsent(userId, phone, checkout, shopId);
+
+  if (checkout.completed_at) {
+    const completedAt = new Date(checkout.completed_at).toISOString();
+    const recoveredCartIds = await markCartsRecovered(checkout.cart_token || null, userId, completedAt, shopId);
+    return { user_id: userId, recovered_cart_ids: recoveredCartIds };
+  }
+
+  if (!checkout.cart_token) {
+    return { user_id: userId, recovered_cart_ids: [] };
+  }
+
+  const { data: cart, error: cartQueryError } = await scopeToShop(getSupabase()
+    .from('carts')
+    .select('id, user_id, anonymous_id, status, checkout_started_at')
+    .eq('cart_token', checkout.cart_token), shopId)
+    .single();
+
+  if (cartQueryError && cartQueryError.code !== 'PGRST116') {
+    throw new Error(`Failed to query cart: ${cartQueryError.message}`);
+  }
+
+  // The email entered at checkout is the first time we learn who an anonymous visitor is
+  if (cart && cart.anonymous_id && email) {
+    if (!userId) {
+      userId = await getOrCreateUserId(email, phone, null, shopId);
+      await syncSmsMarketingConsent(userId, phone, checkout, shopId);
+    }
+    userId = await resolveVisitor({ userId, anonymousId: cart.anonymous_id, shopId, source: 'checkout' });
+  }
+
+  if (cart && cart.status !== 'recovered') {
+    const updates = { status: 'checkout_started' };
+    if (!cart.user_id && userId) {
+      updates.user_id = userId;
+    }
+    if (!cart.checkout_started_at) {
+      updates.checkout_started_at = checkout.created_at
+        ? new Date(checkout.created_at).toISOString()
+        : new Date().toISOString();
+    }
+
+    const { error: cartUpdateError } = await getSupabase()
+      .from('carts')
+      .update(updates)
+      .eq('id', cart.id);
+
+    if (cartUpdateError) {
+      throw new Error(`Failed to update cart: ${cartUpdateError.message}`);
+    }
+  }
+
+  return { user_id: userId, recovered_cart_ids: [] };
+}
+
+/**
+ * Handles an app/uninstalled webhook by deleting the shop and all of its data
+ * The access token stops working on uninstall, so nothing is kept for a reinstall
+ * @param {Object} shop - The shop that uninstalled the app
+ * @returns {Promise<Object>} Summary of what was deleted
+ */
+async function handleAppUninstalled(shop) {
+  if (!shop.id) {
+    // The store configured in the environment has no shops row to delete
+    return { deleted_shop_id: null };
+  }
+
+  await deleteShop(shop.id);
+  console.log(`🗑️ Deleted ${shop.domain} and its data after the app was uninstalled`);
+  return { deleted_shop_id: shop.id };
+}
+
+// Shopify webhook endpoint handler
+// Requires req.rawBody, see the express.json() verify option in track-view-endpoint.js
+const shopifyWebhookHandler = async (req, res) => {
+  try {
+    const hmacHeader = req.get('X-Shopify-Hmac-Sha256');
+    const topic = req.get('X-Shopify-Topic');
+    const shopDomain = req.get('X-Shopify-Shop-Domain');
+
+    // Each shop signs its webhooks with its own secret
+    const shop = await getShopByDomain(shopDomain);
+    if (!shop) {
+      console.error('Rejected Shopify webhook from unknown shop:', shopDomain);
+      return res.status(401).json({
+        error: 'Unknown shop'
+      });
+    }
+
+    if (!verifyShopifyWebhook(req.rawBody, hmacHeader, shop.credentials.shopifyWebhookSecret)) {
+      console.error('Rejected Shopify webhook with invalid signature:', topic);
+      return res.status(401).json({
+        error: 'Invalid webhook signature'
+      });
+    }
+
+    if (!SUPPORTED_TOPICS.includes(topic)) {
+      // Acknowledge so Shopify doesn't keep retrying topics we don't use
+      return res.status(200).json({
+        success: true,
+        message: `Ignored webhook topic: ${topic}`
+      });
+    }
+
+    let result;
+    if (topic === 'orders/create') {
+      result = await handleOrderCreated(req.body, shop.id);
+    } else if (topic === 'checkouts/update') {
+      result = await handleCheckoutUpdated(req.body, shop.id);
+    } else if (topic === 'products/update') {
+      result = await syncProductFromWebhook(req.body, shop.id);
+    } else {
+      result = await handleAppUninstalled(shop);
+    }
+
+    console.log('Shopify webhook processed successfully:', { topic, shop: shop.domain, ...result });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Webhook processed successfully',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error in shopify-webhook handler:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  SUPPORTED_TOPICS,
+  shopifyWebhookHandler,
+  verifyShopifyWebhook,
+  handleOrderCreated,
+  handleCheckoutUpdated,
+  handleAppUninstalled,
+  markCartsRecovered
+}; 
\ No newline at end of file
@@ -0,0 +1,256 @@
+// Shops
+// Loads each store's settings (storefront URL, sender number, brand voice, credentials) for multi-store deployments
+// Without any rows in the shops table, the single store configured in the environment is used
+
+require('dotenv').config();
+const { getSupabase } = require('./supabase-client');
+
+// Shop settings are cached for this long, so webhooks and sends don't each hit the database
+const SHOP_CACHE_TTL_MS = 60 * 1000;
+
+const SHOP_SELECT = `
+  id,
+  name,
+  domain,
+  shop_url,
+  brand_name,
+  brand_voice,
+  sms_from_number,
+  email_from,
+  llm_model,
+  is_active,
+  shop_credentials(twilio_account_sid, twilio_auth_token, llm_api_key, shopify_webhook_secret, shopify_access_token)
+`;
+
+// cache key -> { shop, expiresAt }
+const shopCache = new Map();
+
+// sender number -> { shops, expiresAt }
+const smsNumberCache = new Map();
+
+/**
+ * Shapes a shops row, filling settings the shop doesn't set from the environment
+ * so stores can share e.g. one Twilio account while sending from their own numbers
+ * @param {Object|null} row - Row selected with SHOP_SELECT, or null for the environment's store
+ * @returns {Object} The shop: id, domain, name, shopUrl, brandName, brandVoice, smsFromNumber, emailFrom,
+ *   llmModel and credentials (twilioAccountSid, twilioAuthToken, llmApiKey, shopifyWebhookSecret, shopifyAccessToken)
+ */
+function toShop(row) {
+  const shop = row || {};
+  // One-to-one embeds can come back as an object or a single-element array
+  const credentials = (Array.isArray(shop.shop_credentials) ? shop.shop_credentials[0] : shop.shop_credentials) || {};
+  const shopUrl = shop.shop_url || (shop.domain ? `https://${shop.domain}` : process.env.SHOP_URL) || null;
+
+  return {
+    id: shop.id || null,
+    domain: shop.domain || (shopUrl ? shopUrl.replace(/^https?:\/\//, '').replace(/\/.*$/, '') : null),
+    name: shop.name || null,
+    shopUrl: shopUrl ? shopUrl.replace(/\/$/, '') : null,
+    brandName: shop.brand_name || shop.name || process.env.SMS_BRAND_NAME || null,
+    brandVoice: shop.brand_voice || null,
+    smsFromNumber: shop.sms_from_number || process.env.TWILIO_PHONE_NUMBER || null,
+    emailFrom: shop.email_from || process.env.EMAIL_FROM || null,
+    llmModel: shop.llm_model || null,
+    credentials: {
+      twilioAccountSid: credentials.twilio_account_sid || process.env.TWILIO_ACCOUNT_SID || null,
+      twilioAuthToken: credentials.twilio_auth_token || process.env.TWILIO_AUTH_TOKEN || null,
+      llmApiKey: credentials.llm_api_key || null,
+      // Webhooks registered by the app install (see shopify-app.js) are signed with the app's API secret
+      shopifyWebhookSecret: credentials.shopify_webhook_secret ||
+        (credentials.shopify_access_token ? process.env.SHOPIFY_API_SECRET : process.env.SHOPIFY_WEBHOOK_SECRET) ||
+        null,
+      // Access tokens belong to one store, so only the environment's store falls back to the environment
+      shopifyAccessToken: credentials.shopify_access_token || (row ? null : process.env.SHOPIFY_ADMIN_ACCESS_TOKEN) || null
+    }
+  };
+}
+
+/**
+ * The store configured in the environment (SHOP_URL, TWILIO_*, EMAIL_FROM...), with no shop ID
+ * Its data is stored with a NULL shop_id
+ * @returns {Object} The shop
+ */
+function getDefaultShop() {
+  return toShop(null);
+}
+
+/**
+ * Loads one shop by a column, through the cache
+ * @param {string} column - 'id' or 'domain'
+ * @param {string} value - Value to match
+ * @returns {Promise<Object|null>} The shop, or null if there's no active shop with that value
+ */
+async function findShop(column, value) {
+  const cacheKey = `${column}:${value}`;
+  const cached = shopCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.shop;
+  }
+
+  const { data: row, error } = await getSupabase()
+    .from('shops')
+    .select(SHOP_SELECT)
+    .eq(column, value)
+    .eq('is_active', true)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw new Error(`Failed to load shop: ${error.message}`);
+  }
+
+  const shop = row ? toShop(row) : null;
+  shopCache.set(cacheKey, { shop, expiresAt: Date.now() + SHOP_CACHE_TTL_MS });
+  return shop;
+}
+
+/**
+ * Gets a shop by ID
+ * @param {string|null} shopId - The shop's ID; null for the environment's store
+ * @returns {Promise<Object|null>} The shop, or null if it doesn't exist or is inactive
+ */
+async function getShop(shopId) {
+  return shopId ? findShop('id', shopId) : getDefaultShop();
+}
+
+/**
+ * Gets the shop a Shopify webhook or install belongs to
+ * Falls back to the environment's store while no shops are registered
+ * @param {string} domain - e.g. your-store.myshopify.com (the X-Shopify-Shop-Domain header)
+ * @returns {Promise<Object|null>} The shop, or null if the domain is unknown
+ */
+async function getShopByDomain(domain) {
+  const shop = domain ? await findShop('domain', domain.toLowerCase()) : null;
+  if (shop) {
+    return shop;
+  }
+
+  return !(await hasShops()) ? getDefaultShop() : null;
+}
+
+/**
+ * Gets the shops that send SMS from a number (used to route Twilio webhooks)
+ * Shops without their own sms_from_number send from TWILIO_PHONE_NUMBER like the environment's store,
+ * so that number belongs to all of them; any number belongs to the environment's store while no shops are registered
+ * @param {string} phoneNumber - Sender number in E.164 format
+ * @returns {Promise<Object[]>} The shops, the environment's store first; empty if no shop sends from the number
+ */
+async function getShopsBySmsNumber(phoneNumber) {
+  if (!phoneNumber) {
+    return [];
+  }
+
+  const cached = smsNumberCache.get(phoneNumber);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.shops;
+  }
+
+  const ownNumber = await getSupabase()
+    .from('shops')
+    .select(SHOP_SELECT)
+    .eq('sms_from_number', phoneNumber)
+    .eq('is_active', true);
+
+  if (ownNumber.error) {
+    throw new Error(`Failed to load shops by SMS number: ${ownNumber.error.message}`);
+  }
+
+  let shops = (ownNumber.data || []).map(toShop);
+
+  if (phoneNumber === process.env.TWILIO_PHONE_NUMBER) {
+    const envNumber = await getSupabase()
+      .from('shops')
+      .select(SHOP_SELECT)
+      .is('sms_from_number', null)
+      .eq('is_active', true);
+
+    if (envNumber.error) {
+      throw new Error(`Failed to load shops by SMS number: ${envNumber.error.message}`);
+    }
+
+    shops = [getDefaultShop(), ...shops, ...(envNumber.data || []).map(toShop)];
+  } else if (shops.length === 0 && !(await hasShops())) {
+    shops = [getDefaultShop()];
+  }
+
+  smsNumberCache.set(phoneNumber, { shops, expiresAt: Date.now() + SHOP_CACHE_TTL_MS });
+  return shops;
+}
+
+/**
+ * Checks whether any shops are registered
+ * @returns {Promise<boolean>} False for single-store deployments configured only in the environment
+ */
+async function hasShops() {
+  const { count, error } = await getSupabase()
+    .from('shops')
+    .select('id', { count: 'exact', head: true });
+
+  if (error) {
+    throw new Error(`Failed to count shops: ${error.message}`);
+  }
+
+  return count > 0;
+}
+
+/**
+ * Lists the shops the cron reminds carts for
+ * @returns {Promise<Object[]>} Active shops, or just the environment's store if none are registered
+ */
+async function listShops() {
+  const { data: rows, error } = await getSupabase()
+    .from('shops')
+    .select(SHOP_SELECT)
+    .eq('is_active', true)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to list shops: ${error.message}`);
+  }
+
+  if (!rows || rows.length === 0) {
+    return (await hasShops()) ? [] : [getDefaultShop()];
+  }
+
+  return rows.map(toShop);
+}
+
+/**
+ * Limits a query to one shop's rows
+ * The environment's store (no shop ID) owns the rows with a NULL shop_id
+ * @param {Object} query - Supabase query builder
+ * @param {string|null} shopId - The shop's ID
+ * @param {string} column - Column holding the shop ID (default 'shop_id')
+ * @returns {Object} The filtered query
+ */
+function scopeToShop(query, shopId, column = 'shop_id') {
+  return shopId ? query.eq(column, shopId) : query.is(column, null);
+}
+
+/**
+ * Deletes a shop; its customers, carts, messages and other data are deleted with it (ON DELETE CASCADE)
+ * @param {string} shopId - The shop's ID
+ */
+async function deleteShop(shopId) {
+  const { error } = await getSupabase()
+    .from('shops')
+    .delete()
+    .eq('id', shopId);
+
+  if (error) {
+    throw new Error(`Failed to delete shop: ${error.message}`);
+  }
+
+  shopCache.clear();
+  smsNumberCache.clear();
+}
+
+module.exports = {
+  deleteShop,
+  getDefaultShop,
+  getShop,
+  getShopByDomain,
+  getShopsBySmsNumber,
+  hasShops,
+  listShops,
+  scopeToShop
+}; 
\ No newline at end of file
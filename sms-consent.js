@@ -0,0 +1,146 @@
+// SMS consent and quiet hours
+// Records opt-ins/opt-outs and decides whether a phone number may be texted right now
+
+require('dotenv').config();
+const { getSupabase } = require('./supabase-client');
+const { scopeToShop } = require('./shops');
+
+// Quiet hours in the recipient's local time (default 9pm - 8am)
+const QUIET_HOURS_START = parseInt(process.env.QUIET_HOURS_START || '21', 10);
+const QUIET_HOURS_END = parseInt(process.env.QUIET_HOURS_END || '8', 10);
+
+// Timezone used when we don't know the recipient's
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/New_York';
+
+// Where a consent record came from
+const CONSENT_SOURCES = ['storefront', 'shopify_checkout', 'sms_keyword', 'admin', 'import'];
+
+// Wording shown next to the storefront's SMS checkbox, stored with the consent it records
+// (shopify-app.js serves the tracker with it, so the customer sees exactly what is stored)
+const SMS_CONSENT_TEXT = process.env.SMS_CONSENT_TEXT ||
+  'Text me reminders about my cart. Msg & data rates may apply. Msg frequency varies. Reply STOP to opt out.';
+
+/**
+ * Records a consent change for a phone number
+ * Consent is append-only: the latest record for a number is its current status
+ * Consent is given to a shop, so a number that opted out of one store can still be texted by another
+ * @param {string} phoneNumber - Phone number in E.164 format
+ * @param {string} status - 'opted_in' or 'opted_out'
+ * @param {string} source - One of CONSENT_SOURCES
+ * @param {Object} details - Optional shop_id, user_id and consent_text shown to the customer
+ * @returns {Promise<Object>} The stored consent record
+ */
+async function recordConsent(phoneNumber, status, source, details = {}) {
+  if (!phoneNumber || !status || !source) {
+    throw new Error('phoneNumber, status and source are required');
+  }
+
+  if (!['opted_in', 'opted_out'].includes(status)) {
+    throw new Error('status must be "opted_in" or "opted_out"');
+  }
+
+  if (!CONSENT_SOURCES.includes(source)) {
+    throw new Error(`source must be one of ${CONSENT_SOURCES.join(', ')}`);
+  }
+
+  const { data, error } = await getSupabase()
+    .from('sms_consents')
+    .insert({
+      phone: phoneNumber,
+      shop_id: details.shop_id || null,
+      user_id: details.user_id || null,
+      status,
+      source,
+      consent_text: details.consent_text || null,
+      recorded_at: details.recorded_at || new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to record SMS consent: ${error.message}`);
+  }
+
+  console.log(`📝 SMS consent recorded for ${phoneNumber}: ${status} (${source})`);
+  return data;
+}
+
+/**
+ * Gets the current consent status of a phone number for a shop
+ * @param {string} phoneNumber - Phone number in E.164 format
+ * @param {string|null} shopId - The shop's ID (null for the store configured in the environment)
+ * @returns {Promise<string|null>} 'opted_in', 'opted_out', or null if we never got consent
+ */
+async function getConsentStatus(phoneNumber, shopId = null) {
+  const { data, error } = await scopeToShop(getSupabase()
+    .from('sms_consents')
+    .select('status')
+    .eq('phone', phoneNumber), shopId)
+    .order('recorded_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to check SMS consent: ${error.message}`);
+  }
+
+  return data && data.length > 0 ? data[0].status : null;
+}
+
+/**
+ * Checks whether it's currently quiet hours for the recipient
+ * @param {string|null} timezone - Recipient's IANA timezone (e.g. 'America/Chicago')
+ * @param {Date} now - Time to check (defaults to now)
+ * @returns {boolean} True if messages must not be sent
+ */
+function isWithinQuietHours(timezone, now = new Date()) {
+  let hour;
+  try {
+    hour = parseInt(new Intl.DateTimeFormat('en-US', {
+      hour: 'numeric',
+      hourCycle: 'h23',
+      timeZone: timezone || DEFAULT_TIMEZONE
+    }).format(now), 10);
+  } catch (error) {
+    // Unknown timezone name, fall back to the default
+    return isWithinQuietHours(DEFAULT_TIMEZONE, now);
+  }
+
+  // The quiet window usually wraps midnight (e.g. 21 -> 8)
+  if (QUIET_HOURS_START > QUIET_HOURS_END) {
+    return hour >= QUIET_HOURS_START || hour < QUIET_HOURS_END;
+  }
+  return hour >= QUIET_HOURS_START && hour < QUIET_HOURS_END;
+}
+
+/**
+ * Decides whether a marketing SMS may be sent to a number right now
+ * @param {string} phoneNumber - Phone number in E.164 format
+ * @param {Object} options - Optional recipient timezone, and shopId of the sending shop
+ * @returns {Promise<{ allowed: boolean, reason: string|null }>} reason is 'no_consent', 'opted_out' or 'quiet_hours'
+ */
+async function canSendSMS(phoneNumber, options = {}) {
+  const status = await getConsentStatus(phoneNumber, options.shopId || null);
+
+  if (status === 'opted_out') {
+    return { allowed: false, reason: 'opted_out' };
+  }
+
+  if (status !== 'opted_in') {
+    return { allowed: false, reason: 'no_consent' };
+  }
+
+  if (isWithinQuietHours(options.timezone)) {
+    return { allowed: false, reason: 'quiet_hours' };
+  }
+
+  return { allowed: true, reason: null };
+}
+
+module.exports = {
+  CONSENT_SOURCES,
+  SMS_CONSENT_TEXT,
+  recordConsent,
+  getConsentStatus,
+  isWithinQuietHours,
+  canSendSMS
+}; 
\ No newline at end of file
@@ -0,0 +1,259 @@
+// SMS message validator
+// Checks generated SMS before sending: checkout link intact, encoding and segment count,
+// banned phrases, stock and price claims the synced inventory doesn't back up, and the required opt-out text
+
+require('dotenv').config();
+
+// GSM 03.38 basic character set (one septet each)
+const GSM_BASIC_CHARS = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+
+// GSM 03.38 extension table (escape + character, two septets each)
+const GSM_EXTENDED_CHARS = '^{}\\[~]|€\f';
+
+// Per-segment limits: single message, then each part of a concatenated message
+const SEGMENT_LIMITS = {
+  'GSM-7': { single: 160, multipart: 153 },
+  'UCS-2': { single: 70, multipart: 67 }
+};
+
+// Typographic characters LLMs like to use, swapped for GSM-7 ones so a message isn't sent as UCS-2
+const GSM_REPLACEMENTS = {
+  '‘': '\'',
+  '’': '\'',
+  '“': '"',
+  '”': '"',
+  '–': '-',
+  '—': '-',
+  '…': '...',
+  '\u00a0': ' '
+};
+
+// Opt-out instructions the message may already give in its own words, e.g. "Text STOP to unsubscribe"
+// (a bare STOP doesn't count: "Don't STOP now" tells the customer nothing)
+const OPT_OUT_INSTRUCTION = /\b(reply|text|send)\s+STOP\b/i;
+
+// Claims we never have data for
+const FALSE_SCARCITY_PATTERNS = [
+  /\b\d+\s+(people|others|shoppers)\s+(are\s+)?(viewing|looking|have this)\b/i
+];
+
+// Low stock claims, only allowed when a cart item really is low in stock (see getStockSignals in product-catalog.js)
+const LOW_STOCK_PATTERNS = [
+  /\bonly\s+\d+\s+(left|remaining)\b/i,
+  /\b\d+\s+(left|remaining)\s+in\s+stock\b/i,
+  /\b(last|final)\s+(one|item|pair|unit)\b/i,
+  /\b(almost|nearly)\s+(gone|sold out)\b/i,
+  /\bsell(s|ing)?\s+(out|fast)\b/i,
+  /\b(running|going)\s+(low|out)\b/i,
+  /\blimited\s+(stock|supply|quantities|availability)\b/i,
+  /\b(low|limited)\s+(in\s+)?stock\b/i,
+  /\bstock\s+is\s+(limited|low|running)\b/i,
+  /\bwhile\s+(stocks?|supplies)\s+lasts?\b/i,
+  /\bbefore\s+it'?s\s+gone\b/i
+];
+
+// Restock claims, only allowed for a variant restocked recently
+const BACK_IN_STOCK_PATTERNS = [
+  /\bback\s+in\s+stock\b/i,
+  /\brestocked\b/i
+];
+
+// Price claims, only allowed when a cart item's price dropped since it was added
+const PRICE_DROP_PATTERNS = [
+  /\bprice\s+(drop|dropped|cut|reduced|went down)\b/i,
+  /\bprice\s+(has|is)\s+(dropped|reduced|lower)\b/i,
+  /\bon\s+sale\b/i,
+  /\bmarked\s+down\b/i,
+  /\bcheaper\b/i
+];
+
+const URL_PATTERN = /https?:\/\/[^\s]+/gi;
+
+/**
+ * Loads the store's message policy from the environment
+ * @returns {Object} bannedPhrases, allowScarcityClaims, optOutText and maxSegments
+ */
+function getMessagePolicy() {
+  return {
+    bannedPhrases: (process.env.SMS_BANNED_PHRASES || '')
+      .split(',')
+      .map(phrase => phrase.trim())
+      .filter(Boolean),
+    allowScarcityClaims: process.env.SMS_ALLOW_SCARCITY_CLAIMS === 'true',
+    optOutText: process.env.SMS_OPT_OUT_TEXT || 'Reply STOP to opt out.',
+    maxSegments: parseInt(process.env.SMS_MAX_SEGMENTS || '2', 10)
+  };
+}
+
+/**
+ * Replaces typographic quotes, dashes and ellipses with their GSM-7 equivalents
+ * @param {string} text - Message text
+ * @returns {string} The normalized text
+ */
+function normalizeForGsm(text) {
+  return Array.from(text).map(char => GSM_REPLACEMENTS[char] || char).join('');
+}
+
+/**
+ * Detects how a message will be encoded
+ * @param {string} text - Message text
+ * @returns {string} 'GSM-7', or 'UCS-2' if any character is outside the GSM character set
+ */
+function getSmsEncoding(text) {
+  for (const char of text) {
+    if (!GSM_BASIC_CHARS.includes(char) && !GSM_EXTENDED_CHARS.includes(char)) {
+      return 'UCS-2';
+    }
+  }
+  return 'GSM-7';
+}
+
+/**
+ * Counts the segments a message is billed and delivered as
+ * Extension characters take two septets in GSM-7, characters outside the BMP (emoji)
+ * take two code units in UCS-2, and neither is split across segments
+ * @param {string} text - Message text
+ * @returns {{ encoding: string, units: number, segments: number }} units are septets (GSM-7) or code units (UCS-2)
+ */
+function countSegments(text) {
+  const encoding = getSmsEncoding(text);
+  const limits = SEGMENT_LIMITS[encoding];
+  const units = Array.from(text).map(char => {
+    if (encoding === 'GSM-7') {
+      return GSM_EXTENDED_CHARS.includes(char) ? 2 : 1;
+    }
+    return char.length;
+  });
+  const totalUnits = units.reduce((sum, size) => sum + size, 0);
+
+  if (totalUnits <= limits.single) {
+    return { encoding, units: totalUnits, segments: totalUnits === 0 ? 0 : 1 };
+  }
+
+  let segments = 1;
+  let used = 0;
+  for (const size of units) {
+    if (used + size > limits.multipart) {
+      segments++;
+      used = 0;
+    }
+    used += size;
+  }
+
+  return { encoding, units: totalUnits, segments };
+}
+
+/**
+ * Adds the opt-out instructions unless the message already has them
+ * @param {string} message - Message text
+ * @param {string} optOutText - e.g. 'Reply STOP to opt out.'
+ * @returns {string} The message with opt-out text
+ */
+function appendOptOutText(message, optOutText) {
+  if (!optOutText || message.toLowerCase().includes(optOutText.toLowerCase()) || OPT_OUT_INSTRUCTION.test(message)) {
+    return message;
+  }
+  return `${message.trim()} ${optOutText}`;
+}
+
+/**
+ * Finds stock and price claims a reminder makes that the cart's signals don't back up
+ * Used for emails too, which are otherwise not validated
+ * @param {string} text - Message text
+ * @param {Object|null} signals - lowStock, backInStock and priceDrop (see getStockSignals in product-catalog.js)
+ * @param {Object} policy - Store message policy; allowScarcityClaims skips the stock checks
+ * @returns {string[]} Problems, empty if every claim is backed up
+ */
+function findUnsupportedClaims(text, signals, policy = getMessagePolicy()) {
+  const problems = [];
+  const checks = [
+    { patterns: FALSE_SCARCITY_PATTERNS, allowed: policy.allowScarcityClaims },
+    { patterns: LOW_STOCK_PATTERNS, allowed: policy.allowScarcityClaims || !!(signals && signals.lowStock) },
+    { patterns: BACK_IN_STOCK_PATTERNS, allowed: !!(signals && signals.backInStock) },
+    { patterns: PRICE_DROP_PATTERNS, allowed: !!(signals && signals.priceDrop) }
+  ];
+
+  for (const { patterns, allowed } of checks) {
+    if (allowed) {
+      continue;
+    }
+    for (const pattern of patterns) {
+      const match = text.match(pattern);
+      if (match) {
+        problems.push(`makes a claim we can't back up: "${match[0]}"`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Validates a generated SMS and prepares it for sending
+ * @param {string} message - Generated message text
+ * @param {Object} options - checkoutLink that must appear unchanged, policy (defaults to getMessagePolicy()),
+ *   and signals, the cart's stock and price changes that allow those claims
+ * @returns {{ valid: boolean, message: string, problems: string[], encoding: string, segments: number }}
+ *   message is normalized and has the opt-out text appended
+ */
+function validateSMS(message, options = {}) {
+  const policy = options.policy || getMessagePolicy();
+  const problems = [];
+
+  const cleaned = normalizeForGsm((message || '').trim());
+  if (!cleaned) {
+    return { valid: false, message: '', problems: ['message is empty'], encoding: 'GSM-7', segments: 0 };
+  }
+
+  const finalMessage = appendOptOutText(cleaned, policy.optOutText);
+
+  if (options.checkoutLink) {
+    if (!finalMessage.includes(options.checkoutLink)) {
+      problems.push('checkout link is missing or was changed');
+    }
+
+    const otherLinks = (finalMessage.match(URL_PATTERN) || [])
+      .map(url => url.replace(/[.,!?)]+$/, ''))
+      .filter(url => url !== options.checkoutLink);
+    if (otherLinks.length > 0) {
+      problems.push(`contains links other than the checkout link: ${otherLinks.join(', ')}`);
+    }
+  }
+
+  const lowerMessage = finalMessage.toLowerCase();
+  for (const phrase of policy.bannedPhrases || []) {
+    if (lowerMessage.includes(phrase.toLowerCase())) {
+      problems.push(`contains banned phrase "${phrase}"`);
+    }
+  }
+
+  problems.push(...findUnsupportedClaims(finalMessage, options.signals || null, policy));
+
+  const { encoding, segments } = countSegments(finalMessage);
+  if (policy.maxSegments && segments > policy.maxSegments) {
+    problems.push(`is ${segments} ${encoding} segments, the limit is ${policy.maxSegments}`);
+  }
+
+  return {
+    valid: problems.length === 0,
+    message: finalMessage,
+    problems,
+    encoding,
+    segments
+  };
+}
+
+module.exports = {
+  FALSE_SCARCITY_PATTERNS,
+  LOW_STOCK_PATTERNS,
+  BACK_IN_STOCK_PATTERNS,
+  PRICE_DROP_PATTERNS,
+  findUnsupportedClaims,
+  getMessagePolicy,
+  normalizeForGsm,
+  getSmsEncoding,
+  countSegments,
+  appendOptOutText,
+  validateSMS
+}; 
\ No newline at end of file
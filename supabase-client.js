@@ -0,0 +1,38 @@
+// Shared Supabase client for modules that only need it once they query
+// Created on first use so scripts that never touch the database (e.g. send-sms.js) load without Supabase settings
+
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+
+let supabase = null;
+
+/**
+ * Returns the service role Supabase client, creating it on first use
+ * @returns {Object} Supabase client
+ */
+function getSupabase() {
+  if (!supabase) {
+    const supabaseUrl = process.env.SUPABASE_URL || process.env.NEXT_PUBLIC_SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+    if (!supabaseUrl || !supabaseKey) {
+      throw new Error('Missing Supabase environment variables: SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+    }
+
+    supabase = createClient(supabaseUrl, supabaseKey);
+  }
+  return supabase;
+}
+
+/**
+ * Replaces the shared client, e.g. with the in-memory one the offline test scripts use (see test-memory-supabase.js)
+ * @param {Object} client - Supabase client
+ */
+function setSupabase(client) {
+  supabase = client;
+}
+
+module.exports = {
+  getSupabase,
+  setSupabase
+}; 
\ No newline at end of file
@@ -1,5 +1,5 @@
 -- Supabase Schema for E-commerce AI Analytics
--- This schema includes tables for users, product views, and message tracking
+-- This schema includes tables for users, product views, carts, and message tracking
 
 -- Enable necessary extensions
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
@@ -7,8 +7,10 @@ CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 -- Users table (extends Supabase auth.users)
 CREATE TABLE IF NOT EXISTS public.users (
     id UUID REFERENCES auth.users(id) ON DELETE CASCADE PRIMARY KEY,
-    email TEXT UNIQUE NOT NULL,
+    email TEXT NOT NULL, -- unique per shop, see idx_users_shop_id_email
     full_name TEXT,
+    phone TEXT CHECK (phone ~ '^\+[1-9][0-9]{1,14}$'),
+    timezone TEXT,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -39,11 +41,386 @@ CREATE TABLE IF NOT EXISTS public.messages_sent (
     id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
     user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
     message_type TEXT NOT NULL CHECK (message_type IN ('email', 'sms', 'push', 'in_app', 'chat')),
+    subject TEXT,
     content TEXT NOT NULL,
+    recipient TEXT,
+    twilio_sid TEXT UNIQUE,
+    email_message_id TEXT,
+    fallback_reason TEXT,
+    segment_count INTEGER,
+    urgency_level TEXT CHECK (urgency_level IN ('low', 'medium', 'high')),
+    variant TEXT,
+    clicked_at TIMESTAMP WITH TIME ZONE,
+    converted_at TIMESTAMP WITH TIME ZONE,
+    recovered_revenue DECIMAL(10,2) NOT NULL DEFAULT 0,
+    delivery_status TEXT CHECK (delivery_status IN ('dry_run', 'accepted', 'scheduled', 'queued', 'sending', 'sent', 'delivered', 'undelivered', 'failed', 'canceled', 'read')),
+    error_message TEXT,
     sent_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Carts table (one row per Shopify cart token, updated by storefront cart events)
+CREATE TABLE IF NOT EXISTS public.carts (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    cart_token TEXT NOT NULL, -- unique per shop, see idx_carts_shop_id_cart_token
+    user_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'checkout_started', 'recovered')),
+    last_event_type TEXT NOT NULL CHECK (last_event_type IN ('add_to_cart', 'cart_updated', 'checkout_started')),
+    item_count INTEGER NOT NULL DEFAULT 0,
+    total_price DECIMAL(10,2),
+    currency TEXT,
+    checkout_started_at TIMESTAMP WITH TIME ZONE,
+    last_event_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Cart items table (current contents of each cart, replaced on every cart event)
+CREATE TABLE IF NOT EXISTS public.cart_items (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    cart_id UUID NOT NULL REFERENCES public.carts(id) ON DELETE CASCADE,
+    product_id TEXT NOT NULL,
+    variant_id TEXT,
+    product_name TEXT NOT NULL,
+    variant_title TEXT,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    price DECIMAL(10,2),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Orders table (recorded from Shopify orders/create webhooks)
+CREATE TABLE IF NOT EXISTS public.orders (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    shopify_order_id TEXT UNIQUE NOT NULL,
+    user_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    cart_id UUID REFERENCES public.carts(id) ON DELETE SET NULL,
+    cart_token TEXT,
+    checkout_token TEXT,
+    email TEXT,
+    total_price DECIMAL(10,2),
+    currency TEXT,
+    line_items JSONB NOT NULL DEFAULT '[]'::jsonb,
+    ordered_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- SMS consent table (append-only; the latest row per phone is its current status)
+CREATE TABLE IF NOT EXISTS public.sms_consents (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    phone TEXT NOT NULL CHECK (phone ~ '^\+[1-9][0-9]{1,14}$'),
+    user_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    status TEXT NOT NULL CHECK (status IN ('opted_in', 'opted_out')),
+    source TEXT NOT NULL CHECK (source IN ('storefront', 'shopify_checkout', 'sms_keyword', 'admin', 'import')),
+    consent_text TEXT,
+    recorded_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Reminder sequences (e.g. SMS at 1h, email at 24h, final SMS with discount at 72h)
+CREATE TABLE IF NOT EXISTS public.reminder_sequences (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    name TEXT NOT NULL, -- unique per shop, see idx_reminder_sequences_shop_id_name
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Steps of a reminder sequence; delay_minutes is measured from the cart's last activity
+CREATE TABLE IF NOT EXISTS public.reminder_sequence_steps (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    sequence_id UUID NOT NULL REFERENCES public.reminder_sequences(id) ON DELETE CASCADE,
+    step_number INTEGER NOT NULL CHECK (step_number > 0),
+    delay_minutes INTEGER NOT NULL CHECK (delay_minutes >= 0),
+    channel TEXT NOT NULL CHECK (channel IN ('sms', 'email')),
+    urgency_level TEXT CHECK (urgency_level IN ('low', 'medium', 'high')),
+    discount_code TEXT,
+    template TEXT, -- SMS sent when AI generation fails ({name}, {product}, {link}, {discount})
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (sequence_id, step_number)
+);
+
+-- Per-cart progress through a sequence; current_step is the last step that fired or was skipped,
+-- skipped_steps the steps that never went out
+CREATE TABLE IF NOT EXISTS public.cart_sequence_state (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    cart_id UUID UNIQUE NOT NULL REFERENCES public.carts(id) ON DELETE CASCADE,
+    sequence_id UUID NOT NULL REFERENCES public.reminder_sequences(id) ON DELETE CASCADE,
+    current_step INTEGER NOT NULL DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed', 'stopped')),
+    stop_reason TEXT,
+    last_step_at TIMESTAMP WITH TIME ZONE,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Short signed links sent in reminders; /r/<token> rebuilds the cart with a Shopify cart permalink
+CREATE TABLE IF NOT EXISTS public.checkout_links (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    token TEXT UNIQUE NOT NULL,
+    cart_id UUID NOT NULL REFERENCES public.carts(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    message_id UUID REFERENCES public.messages_sent(id) ON DELETE SET NULL,
+    sequence_step_id UUID REFERENCES public.reminder_sequence_steps(id) ON DELETE SET NULL,
+    discount_code TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoke_reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One row per click on a checkout link
+CREATE TABLE IF NOT EXISTS public.link_clicks (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    link_id UUID NOT NULL REFERENCES public.checkout_links(id) ON DELETE CASCADE,
+    user_agent TEXT,
+    referrer TEXT,
+    clicked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- A/B experiments on reminders; only one should be 'running' at a time
+CREATE TABLE IF NOT EXISTS public.experiments (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    name TEXT NOT NULL, -- unique per shop, see idx_experiments_shop_id_name
+    description TEXT,
+    status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'running', 'stopped')),
+    started_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Variants of an experiment; settings left NULL keep the sequence step's own
+CREATE TABLE IF NOT EXISTS public.experiment_variants (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    experiment_id UUID NOT NULL REFERENCES public.experiments(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    is_control BOOLEAN NOT NULL DEFAULT false,
+    weight INTEGER NOT NULL DEFAULT 1 CHECK (weight > 0),
+    prompt TEXT, -- extra instructions added to the AI prompt
+    urgency_level TEXT CHECK (urgency_level IN ('low', 'medium', 'high')),
+    template TEXT, -- SMS sent as written instead of an AI message ({name}, {product}, {link}, {discount})
+    delay_minutes INTEGER NOT NULL DEFAULT 0 CHECK (delay_minutes >= 0), -- added to every step's delay
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (experiment_id, name)
+);
+
+-- Each customer's variant in an experiment, fixed on their first reminder
+CREATE TABLE IF NOT EXISTS public.experiment_assignments (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    experiment_id UUID NOT NULL REFERENCES public.experiments(id) ON DELETE CASCADE,
+    variant_id UUID NOT NULL REFERENCES public.experiment_variants(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    assigned_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (experiment_id, user_id)
+);
+
+-- Urgency level and extra delay chosen by the urgency bandit (URGENCY_POLICY), one row per cart step
+-- reward is 1 once the reminder it was sent in is credited with an order
+CREATE TABLE IF NOT EXISTS public.bandit_decisions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    cart_id UUID NOT NULL REFERENCES public.carts(id) ON DELETE CASCADE,
+    step_number INTEGER NOT NULL,
+    segment TEXT NOT NULL,
+    policy TEXT NOT NULL CHECK (policy IN ('thompson', 'epsilon_greedy')),
+    urgency_level TEXT NOT NULL CHECK (urgency_level IN ('low', 'medium', 'high')),
+    delay_minutes INTEGER NOT NULL DEFAULT 0 CHECK (delay_minutes >= 0),
+    message_id UUID REFERENCES public.messages_sent(id) ON DELETE SET NULL,
+    reward SMALLINT CHECK (reward IN (0, 1)),
+    decided_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    rewarded_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE (cart_id, step_number)
+);
+
+-- Shops (stores) served by this deployment, with their per-shop settings; see shops.js
+-- allowed_origins lists the storefront origins (e.g. https://your-store.com, https://*.your-store.com)
+-- Settings left NULL fall back to the environment (SHOP_URL, TWILIO_PHONE_NUMBER, EMAIL_FROM...)
+CREATE TABLE IF NOT EXISTS public.shops (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    name TEXT,
+    domain TEXT UNIQUE NOT NULL, -- your-store.myshopify.com
+    allowed_origins TEXT[] NOT NULL DEFAULT '{}',
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Publishable keys (pk_...) sent by a shop's storefront script in the X-Shop-Key header
+CREATE TABLE IF NOT EXISTS public.shop_api_keys (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    shop_id UUID NOT NULL REFERENCES public.shops(id) ON DELETE CASCADE,
+    key TEXT UNIQUE NOT NULL,
+    label TEXT,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Per-shop secrets
+CREATE TABLE IF NOT EXISTS public.shop_credentials (
+    shop_id UUID PRIMARY KEY REFERENCES public.shops(id) ON DELETE CASCADE,
+    twilio_account_sid TEXT,
+    twilio_auth_token TEXT,
+    llm_api_key TEXT,
+    shopify_webhook_secret TEXT,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Dashboard users (Supabase auth users) who can read a shop's data
+CREATE TABLE IF NOT EXISTS public.shop_members (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    shop_id UUID NOT NULL REFERENCES public.shops(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    role TEXT NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'member')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (shop_id, user_id)
+);
+
+-- Outbound messages waiting to be delivered by message-queue.js workers, one per cart step (idempotency_key)
+-- Failed sends go back to pending with a later run_at; jobs that run out of attempts are left dead
+CREATE TABLE IF NOT EXISTS public.message_jobs (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    shop_id UUID REFERENCES public.shops(id) ON DELETE CASCADE,
+    idempotency_key TEXT UNIQUE NOT NULL, -- <cart id>:<sequence step id>
+    message_id UUID REFERENCES public.messages_sent(id) ON DELETE CASCADE,
+    channel TEXT NOT NULL CHECK (channel IN ('sms', 'email')),
+    provider TEXT NOT NULL, -- twilio or smtp; concurrency is limited per provider
+    payload JSONB NOT NULL, -- recipient and content
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'sent', 'dead')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    locked_at TIMESTAMP WITH TIME ZONE,
+    locked_by TEXT,
+    last_error TEXT,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Leases that let one process at a time run a scheduled job (see cron-lock.js)
+CREATE TABLE IF NOT EXISTS public.cron_locks (
+    name TEXT PRIMARY KEY,
+    locked_by TEXT NOT NULL,
+    locked_until TIMESTAMP WITH TIME ZONE NOT NULL,
+    acquired_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Anonymous storefront visitors (the tracker's first-party ID) linked to the customer they turned out to be
+-- See visitor-identity.js; a browser is linked to the latest customer identified on it
+CREATE TABLE IF NOT EXISTS public.visitor_identities (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    shop_id UUID REFERENCES public.shops(id) ON DELETE CASCADE,
+    anonymous_id TEXT NOT NULL,
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    source TEXT NOT NULL CHECK (source IN ('login', 'checkout', 'subscribe')),
+    identified_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Storefront events already applied by /events, by the tracker's event_id, so a batch sent again isn't applied twice
+CREATE TABLE IF NOT EXISTS public.processed_events (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    shop_id UUID REFERENCES public.shops(id) ON DELETE CASCADE,
+    event_id TEXT NOT NULL,
+    processed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Addresses that unsubscribed from a shop's reminder emails (by the email's link or the mail client's one-click)
+-- The cron sends them no more emails, including SMS steps that would fall back to email
+CREATE TABLE IF NOT EXISTS public.email_unsubscribes (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    shop_id UUID REFERENCES public.shops(id) ON DELETE CASCADE,
+    email TEXT NOT NULL,
+    source TEXT NOT NULL CHECK (source IN ('email_link', 'one_click', 'admin', 'import')),
+    unsubscribed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Columns added after the initial release (safe to re-run on existing databases)
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS phone TEXT CHECK (phone ~ '^\+[1-9][0-9]{1,14}$');
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS timezone TEXT;
+ALTER TABLE public.messages_sent ADD COLUMN IF NOT EXISTS recipient TEXT;
+ALTER TABLE public.messages_sent ADD COLUMN IF NOT EXISTS twilio_sid TEXT UNIQUE;
+ALTER TABLE public.messages_sent ADD COLUMN IF NOT EXISTS delivery_status TEXT CHECK (delivery_status IN ('dry_run', 'accepted', 'scheduled', 'queued', 'sending', 'sent', 'delivered', 'undelivered', 'failed', 'canceled', 'read'));
+ALTER TABLE public.messages_sent ADD COLUMN IF NOT EXISTS error_message TEXT;
+ALTER TABLE public.messages_sent ADD COLUMN IF NOT EXISTS sequence_step_id UUID REFERENCES public.reminder_sequence_steps(id) ON DELETE SET NULL;
+ALTER TABLE public.messages_sent ADD COLUMN IF NOT EXISTS subject TEXT;
+ALTER TABLE public.messages_sent ADD COLUMN IF NOT EXISTS email_message_id TEXT;
+ALTER TABLE public.messages_sent ADD COLUMN IF NOT EXISTS fallback_reason TEXT;
+ALTER TABLE public.messages_sent ADD COLUMN IF NOT EXISTS segment_count INTEGER;
+ALTER TABLE public.messages_sent ADD COLUMN IF NOT EXISTS cart_id UUID REFERENCES public.carts(id) ON DELETE SET NULL;
+ALTER TABLE public.messages_sent ADD COLUMN IF NOT EXISTS urgency_level TEXT CHECK (urgency_level IN ('low', 'medium', 'high'));
+ALTER TABLE public.messages_sent ADD COLUMN IF NOT EXISTS variant TEXT;
+ALTER TABLE public.messages_sent ADD COLUMN IF NOT EXISTS clicked_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.messages_sent ADD COLUMN IF NOT EXISTS converted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.messages_sent ADD COLUMN IF NOT EXISTS recovered_revenue DECIMAL(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS attributed_message_id UUID REFERENCES public.messages_sent(id) ON DELETE SET NULL;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS attribution_type TEXT CHECK (attribution_type IN ('link', 'click', 'view'));
+ALTER TABLE public.messages_sent ADD COLUMN IF NOT EXISTS experiment_variant_id UUID REFERENCES public.experiment_variants(id) ON DELETE SET NULL;
+ALTER TABLE public.shops ADD COLUMN IF NOT EXISTS shop_url TEXT; -- storefront URL for cart links, defaults to https://<domain>
+ALTER TABLE public.shops ADD COLUMN IF NOT EXISTS brand_name TEXT;
+ALTER TABLE public.shops ADD COLUMN IF NOT EXISTS brand_voice TEXT; -- added to AI prompts, e.g. 'playful, lots of puns'
+ALTER TABLE public.shops ADD COLUMN IF NOT EXISTS sms_from_number TEXT UNIQUE CHECK (sms_from_number ~ '^\+[1-9][0-9]{1,14}$');
+ALTER TABLE public.shops ADD COLUMN IF NOT EXISTS email_from TEXT;
+ALTER TABLE public.shops ADD COLUMN IF NOT EXISTS llm_model TEXT;
+ALTER TABLE public.shop_credentials ADD COLUMN IF NOT EXISTS shopify_access_token TEXT; -- set when the shop installs the app (shopify-app.js)
+
+-- Shop ownership; rows with a NULL shop_id belong to the store configured in the environment
+-- Child tables (cart_items, cart_sequence_state, reminder_sequence_steps, link_clicks, experiment_variants,
+-- experiment_assignments) belong to the shop of their parent row
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS shop_id UUID REFERENCES public.shops(id) ON DELETE CASCADE;
+ALTER TABLE public.products ADD COLUMN IF NOT EXISTS shop_id UUID REFERENCES public.shops(id) ON DELETE CASCADE;
+ALTER TABLE public.products_viewed ADD COLUMN IF NOT EXISTS shop_id UUID REFERENCES public.shops(id) ON DELETE CASCADE;
+ALTER TABLE public.messages_sent ADD COLUMN IF NOT EXISTS shop_id UUID REFERENCES public.shops(id) ON DELETE CASCADE;
+ALTER TABLE public.carts ADD COLUMN IF NOT EXISTS shop_id UUID REFERENCES public.shops(id) ON DELETE CASCADE;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS shop_id UUID REFERENCES public.shops(id) ON DELETE CASCADE;
+ALTER TABLE public.sms_consents ADD COLUMN IF NOT EXISTS shop_id UUID REFERENCES public.shops(id) ON DELETE CASCADE;
+ALTER TABLE public.reminder_sequences ADD COLUMN IF NOT EXISTS shop_id UUID REFERENCES public.shops(id) ON DELETE CASCADE;
+ALTER TABLE public.checkout_links ADD COLUMN IF NOT EXISTS shop_id UUID REFERENCES public.shops(id) ON DELETE CASCADE;
+ALTER TABLE public.experiments ADD COLUMN IF NOT EXISTS shop_id UUID REFERENCES public.shops(id) ON DELETE CASCADE;
+ALTER TABLE public.bandit_decisions ADD COLUMN IF NOT EXISTS shop_id UUID REFERENCES public.shops(id) ON DELETE CASCADE;
+
+-- Names, emails and cart tokens are unique per shop rather than globally
+ALTER TABLE public.users DROP CONSTRAINT IF EXISTS users_email_key;
+ALTER TABLE public.carts DROP CONSTRAINT IF EXISTS carts_cart_token_key;
+ALTER TABLE public.reminder_sequences DROP CONSTRAINT IF EXISTS reminder_sequences_name_key;
+ALTER TABLE public.experiments DROP CONSTRAINT IF EXISTS experiments_name_key;
+
+-- Process currently reminding the cart, until claimed_until (see claimCart in reminder-sequences.js)
+ALTER TABLE public.cart_sequence_state ADD COLUMN IF NOT EXISTS claimed_by TEXT;
+ALTER TABLE public.cart_sequence_state ADD COLUMN IF NOT EXISTS claimed_until TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.cart_sequence_state ADD COLUMN IF NOT EXISTS skipped_steps INTEGER[] NOT NULL DEFAULT '{}';
+
+-- Views and carts of visitors we can't identify yet are kept against the tracker's anonymous ID
+ALTER TABLE public.products_viewed ALTER COLUMN user_id DROP NOT NULL;
+ALTER TABLE public.products_viewed ADD COLUMN IF NOT EXISTS anonymous_id TEXT;
+ALTER TABLE public.products_viewed DROP CONSTRAINT IF EXISTS products_viewed_visitor_check;
+ALTER TABLE public.products_viewed ADD CONSTRAINT products_viewed_visitor_check CHECK (user_id IS NOT NULL OR anonymous_id IS NOT NULL);
+ALTER TABLE public.carts ADD COLUMN IF NOT EXISTS anonymous_id TEXT;
+
+-- Products are keyed by Shopify's product ID (e.g. 7981234567890), which isn't a UUID
+ALTER TABLE public.products_viewed DROP CONSTRAINT IF EXISTS products_viewed_product_id_fkey;
+ALTER TABLE public.products ALTER COLUMN id TYPE TEXT;
+ALTER TABLE public.products_viewed ALTER COLUMN product_id TYPE TEXT;
+ALTER TABLE public.products_viewed ADD CONSTRAINT products_viewed_product_id_fkey FOREIGN KEY (product_id) REFERENCES public.products(id) ON DELETE CASCADE;
+
+-- Product details from Shopify's Admin API (see product-catalog.js); price is the lowest variant price
+-- variants holds each variant's id, title, price, inventory_quantity and image_url
+ALTER TABLE public.products ADD COLUMN IF NOT EXISTS handle TEXT;
+ALTER TABLE public.products ADD COLUMN IF NOT EXISTS currency TEXT;
+ALTER TABLE public.products ADD COLUMN IF NOT EXISTS image_url TEXT;
+ALTER TABLE public.products ADD COLUMN IF NOT EXISTS inventory_quantity INTEGER;
+ALTER TABLE public.products ADD COLUMN IF NOT EXISTS collections TEXT[];
+ALTER TABLE public.products ADD COLUMN IF NOT EXISTS variants JSONB;
+ALTER TABLE public.products ADD COLUMN IF NOT EXISTS enriched_at TIMESTAMP WITH TIME ZONE;
+
+-- The variant selected on the product page when it was viewed, as sent by the storefront
+ALTER TABLE public.products_viewed ADD COLUMN IF NOT EXISTS variant_id TEXT;
+ALTER TABLE public.products_viewed ADD COLUMN IF NOT EXISTS variant_title TEXT;
+ALTER TABLE public.products_viewed ADD COLUMN IF NOT EXISTS price DECIMAL(10,2);
+ALTER TABLE public.products_viewed ADD COLUMN IF NOT EXISTS currency TEXT;
+ALTER TABLE public.products_viewed ADD COLUMN IF NOT EXISTS image_url TEXT;
+
+-- Image of the item's variant, from Shopify's /cart.js
+ALTER TABLE public.cart_items ADD COLUMN IF NOT EXISTS image_url TEXT;
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_products_viewed_user_id ON public.products_viewed(user_id);
 CREATE INDEX IF NOT EXISTS idx_products_viewed_product_id ON public.products_viewed(product_id);
@@ -51,12 +428,75 @@ CREATE INDEX IF NOT EXISTS idx_products_viewed_timestamp ON public.products_view
 CREATE INDEX IF NOT EXISTS idx_messages_sent_user_id ON public.messages_sent(user_id);
 CREATE INDEX IF NOT EXISTS idx_messages_sent_message_type ON public.messages_sent(message_type);
 CREATE INDEX IF NOT EXISTS idx_messages_sent_sent_at ON public.messages_sent(sent_at);
+CREATE INDEX IF NOT EXISTS idx_users_phone ON public.users(phone);
+CREATE INDEX IF NOT EXISTS idx_sms_consents_phone_recorded_at ON public.sms_consents(phone, recorded_at DESC);
+CREATE INDEX IF NOT EXISTS idx_cart_sequence_state_status ON public.cart_sequence_state(status);
+CREATE INDEX IF NOT EXISTS idx_carts_user_id ON public.carts(user_id);
+CREATE INDEX IF NOT EXISTS idx_carts_status_last_event_at ON public.carts(status, last_event_at);
+CREATE INDEX IF NOT EXISTS idx_cart_items_cart_id ON public.cart_items(cart_id);
+CREATE INDEX IF NOT EXISTS idx_orders_user_id ON public.orders(user_id);
+CREATE INDEX IF NOT EXISTS idx_orders_cart_token ON public.orders(cart_token);
+CREATE INDEX IF NOT EXISTS idx_orders_ordered_at ON public.orders(ordered_at);
+CREATE INDEX IF NOT EXISTS idx_checkout_links_cart_id ON public.checkout_links(cart_id);
+CREATE INDEX IF NOT EXISTS idx_checkout_links_message_id ON public.checkout_links(message_id);
+CREATE INDEX IF NOT EXISTS idx_link_clicks_link_id ON public.link_clicks(link_id);
+CREATE INDEX IF NOT EXISTS idx_messages_sent_cart_id ON public.messages_sent(cart_id);
+CREATE INDEX IF NOT EXISTS idx_orders_attributed_message_id ON public.orders(attributed_message_id);
+CREATE INDEX IF NOT EXISTS idx_experiments_status ON public.experiments(status);
+CREATE INDEX IF NOT EXISTS idx_experiment_variants_experiment_id ON public.experiment_variants(experiment_id);
+CREATE INDEX IF NOT EXISTS idx_messages_sent_experiment_variant_id ON public.messages_sent(experiment_variant_id);
+CREATE INDEX IF NOT EXISTS idx_bandit_decisions_segment ON public.bandit_decisions(segment);
+CREATE INDEX IF NOT EXISTS idx_bandit_decisions_message_id ON public.bandit_decisions(message_id);
+CREATE INDEX IF NOT EXISTS idx_shop_api_keys_shop_id ON public.shop_api_keys(shop_id);
+CREATE INDEX IF NOT EXISTS idx_shop_members_user_id ON public.shop_members(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_shop_id_email ON public.users(shop_id, email) NULLS NOT DISTINCT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reminder_sequences_shop_id_name ON public.reminder_sequences(shop_id, name) NULLS NOT DISTINCT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_experiments_shop_id_name ON public.experiments(shop_id, name) NULLS NOT DISTINCT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_carts_shop_id_cart_token ON public.carts(shop_id, cart_token) NULLS NOT DISTINCT;
+CREATE INDEX IF NOT EXISTS idx_carts_shop_id_status_last_event_at ON public.carts(shop_id, status, last_event_at);
+CREATE INDEX IF NOT EXISTS idx_products_viewed_shop_id ON public.products_viewed(shop_id);
+CREATE INDEX IF NOT EXISTS idx_messages_sent_shop_id ON public.messages_sent(shop_id);
+CREATE INDEX IF NOT EXISTS idx_orders_shop_id ON public.orders(shop_id);
+CREATE INDEX IF NOT EXISTS idx_sms_consents_shop_id_phone_recorded_at ON public.sms_consents(shop_id, phone, recorded_at DESC);
+CREATE INDEX IF NOT EXISTS idx_bandit_decisions_shop_id_segment ON public.bandit_decisions(shop_id, segment);
+CREATE INDEX IF NOT EXISTS idx_message_jobs_provider_status_run_at ON public.message_jobs(provider, status, run_at);
+CREATE INDEX IF NOT EXISTS idx_message_jobs_shop_id_status ON public.message_jobs(shop_id, status);
+CREATE INDEX IF NOT EXISTS idx_orders_user_id_ordered_at ON public.orders(user_id, ordered_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_visitor_identities_shop_id_anonymous_id ON public.visitor_identities(shop_id, anonymous_id) NULLS NOT DISTINCT;
+CREATE INDEX IF NOT EXISTS idx_visitor_identities_user_id ON public.visitor_identities(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_processed_events_shop_id_event_id ON public.processed_events(shop_id, event_id) NULLS NOT DISTINCT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_unsubscribes_shop_id_email ON public.email_unsubscribes(shop_id, email) NULLS NOT DISTINCT;
+CREATE INDEX IF NOT EXISTS idx_products_viewed_shop_id_anonymous_id ON public.products_viewed(shop_id, anonymous_id);
+CREATE INDEX IF NOT EXISTS idx_carts_shop_id_anonymous_id ON public.carts(shop_id, anonymous_id);
 
 -- Enable Row Level Security (RLS)
+-- shop_credentials, cron_locks and processed_events get no policies, so only the service role can read them
 ALTER TABLE public.users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.products ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.products_viewed ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.messages_sent ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.carts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.cart_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.orders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.sms_consents ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.reminder_sequences ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.reminder_sequence_steps ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.cart_sequence_state ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.checkout_links ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.link_clicks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.experiments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.experiment_variants ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.experiment_assignments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.bandit_decisions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.shops ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.shop_api_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.shop_credentials ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.shop_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.message_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.cron_locks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.visitor_identities ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.processed_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.email_unsubscribes ENABLE ROW LEVEL SECURITY;
 
 -- RLS Policies for users table
 CREATE POLICY "Users can view their own profile" ON public.users
@@ -101,6 +541,122 @@ CREATE POLICY "Users can update their own messages" ON public.messages_sent
 CREATE POLICY "Users can delete their own messages" ON public.messages_sent
     FOR DELETE USING (auth.uid() = user_id);
 
+-- RLS Policies for carts table (written by the backend with the service role key)
+CREATE POLICY "Users can view their own carts" ON public.carts
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- RLS Policies for cart_items table
+CREATE POLICY "Users can view their own cart items" ON public.cart_items
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.carts
+            WHERE carts.id = cart_items.cart_id AND carts.user_id = auth.uid()
+        )
+    );
+
+-- RLS Policies for orders table (written by the backend with the service role key)
+CREATE POLICY "Users can view their own orders" ON public.orders
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- RLS Policies for sms_consents table (written by the backend with the service role key)
+CREATE POLICY "Users can view their own SMS consent" ON public.sms_consents
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- RLS Policies for checkout_links table (written by the backend with the service role key)
+CREATE POLICY "Users can view their own checkout links" ON public.checkout_links
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- Shop members (see shop_members) can read their shop's data
+-- SECURITY DEFINER lets policies check membership without a policy on shop_members itself
+CREATE OR REPLACE FUNCTION public.is_shop_member(check_shop_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM public.shop_members
+        WHERE shop_id = check_shop_id AND user_id = auth.uid()
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE POLICY "Shop members can view their shop" ON public.shops
+    FOR SELECT USING (public.is_shop_member(id));
+
+CREATE POLICY "Shop members can view their shop's API keys" ON public.shop_api_keys
+    FOR SELECT USING (public.is_shop_member(shop_id));
+
+CREATE POLICY "Shop members can view their shop's members" ON public.shop_members
+    FOR SELECT USING (public.is_shop_member(shop_id));
+
+CREATE POLICY "Shop members can view their shop's customers" ON public.users
+    FOR SELECT USING (public.is_shop_member(shop_id));
+
+CREATE POLICY "Shop members can view their shop's products" ON public.products
+    FOR SELECT USING (public.is_shop_member(shop_id));
+
+CREATE POLICY "Shop members can view their shop's product views" ON public.products_viewed
+    FOR SELECT USING (public.is_shop_member(shop_id));
+
+CREATE POLICY "Shop members can view their shop's messages" ON public.messages_sent
+    FOR SELECT USING (public.is_shop_member(shop_id));
+
+CREATE POLICY "Shop members can view their shop's carts" ON public.carts
+    FOR SELECT USING (public.is_shop_member(shop_id));
+
+CREATE POLICY "Shop members can view their shop's orders" ON public.orders
+    FOR SELECT USING (public.is_shop_member(shop_id));
+
+CREATE POLICY "Shop members can view their shop's SMS consent" ON public.sms_consents
+    FOR SELECT USING (public.is_shop_member(shop_id));
+
+CREATE POLICY "Shop members can view their shop's reminder sequences" ON public.reminder_sequences
+    FOR SELECT USING (public.is_shop_member(shop_id));
+
+CREATE POLICY "Shop members can view their shop's checkout links" ON public.checkout_links
+    FOR SELECT USING (public.is_shop_member(shop_id));
+
+CREATE POLICY "Shop members can view their shop's experiments" ON public.experiments
+    FOR SELECT USING (public.is_shop_member(shop_id));
+
+CREATE POLICY "Shop members can view their shop's bandit decisions" ON public.bandit_decisions
+    FOR SELECT USING (public.is_shop_member(shop_id));
+
+CREATE POLICY "Shop members can view their shop's message jobs" ON public.message_jobs
+    FOR SELECT USING (public.is_shop_member(shop_id));
+
+CREATE POLICY "Shop members can view their shop's visitor identities" ON public.visitor_identities
+    FOR SELECT USING (public.is_shop_member(shop_id));
+
+CREATE POLICY "Shop members can view their shop's email unsubscribes" ON public.email_unsubscribes
+    FOR SELECT USING (public.is_shop_member(shop_id));
+
+CREATE POLICY "Shop members can view their shop's cart items" ON public.cart_items
+    FOR SELECT USING (EXISTS (
+        SELECT 1 FROM public.carts WHERE carts.id = cart_items.cart_id AND public.is_shop_member(carts.shop_id)
+    ));
+
+CREATE POLICY "Shop members can view their shop's sequence state" ON public.cart_sequence_state
+    FOR SELECT USING (EXISTS (
+        SELECT 1 FROM public.carts WHERE carts.id = cart_sequence_state.cart_id AND public.is_shop_member(carts.shop_id)
+    ));
+
+CREATE POLICY "Shop members can view their shop's sequence steps" ON public.reminder_sequence_steps
+    FOR SELECT USING (EXISTS (
+        SELECT 1 FROM public.reminder_sequences WHERE reminder_sequences.id = reminder_sequence_steps.sequence_id AND public.is_shop_member(reminder_sequences.shop_id)
+    ));
+
+CREATE POLICY "Shop members can view their shop's link clicks" ON public.link_clicks
+    FOR SELECT USING (EXISTS (
+        SELECT 1 FROM public.checkout_links WHERE checkout_links.id = link_clicks.link_id AND public.is_shop_member(checkout_links.shop_id)
+    ));
+
+CREATE POLICY "Shop members can view their shop's experiment variants" ON public.experiment_variants
+    FOR SELECT USING (EXISTS (
+        SELECT 1 FROM public.experiments WHERE experiments.id = experiment_variants.experiment_id AND public.is_shop_member(experiments.shop_id)
+    ));
+
+CREATE POLICY "Shop members can view their shop's experiment assignments" ON public.experiment_assignments
+    FOR SELECT USING (EXISTS (
+        SELECT 1 FROM public.experiments WHERE experiments.id = experiment_assignments.experiment_id AND public.is_shop_member(experiments.shop_id)
+    ));
+
 -- Create functions for automatic timestamp updates
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -117,6 +673,213 @@ CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON public.users
 CREATE TRIGGER update_products_updated_at BEFORE UPDATE ON public.products
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_carts_updated_at BEFORE UPDATE ON public.carts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_reminder_sequences_updated_at BEFORE UPDATE ON public.reminder_sequences
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_cart_sequence_state_updated_at BEFORE UPDATE ON public.cart_sequence_state
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_experiments_updated_at BEFORE UPDATE ON public.experiments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_shops_updated_at BEFORE UPDATE ON public.shops
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_shop_credentials_updated_at BEFORE UPDATE ON public.shop_credentials
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_message_jobs_updated_at BEFORE UPDATE ON public.message_jobs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Recovered revenue per shop, channel, urgency level and variant (dry runs excluded)
+-- security_invoker makes the view respect the RLS policies of messages_sent
+-- shop_id comes last because CREATE OR REPLACE VIEW can only add columns at the end
+CREATE OR REPLACE VIEW public.message_attribution_summary
+WITH (security_invoker = true) AS
+SELECT
+    message_type AS channel,
+    urgency_level,
+    variant,
+    COUNT(*) AS messages_sent,
+    COUNT(clicked_at) AS messages_clicked,
+    COUNT(converted_at) AS messages_converted,
+    SUM(recovered_revenue) AS recovered_revenue,
+    shop_id
+FROM public.messages_sent
+WHERE delivery_status IS DISTINCT FROM 'dry_run'
+GROUP BY shop_id, message_type, urgency_level, variant;
+
+-- Customers reached and converted per experiment variant (dry runs excluded)
+-- Customers are the unit of assignment, so one converted reminder converts the customer
+CREATE OR REPLACE VIEW public.experiment_variant_results
+WITH (security_invoker = true) AS
+SELECT
+    v.experiment_id,
+    v.id AS variant_id,
+    v.name AS variant,
+    v.is_control,
+    COUNT(DISTINCT ms.user_id) AS customers,
+    COUNT(DISTINCT ms.user_id) FILTER (WHERE ms.converted_at IS NOT NULL) AS conversions,
+    COALESCE(SUM(ms.recovered_revenue), 0) AS recovered_revenue
+FROM public.experiment_variants v
+LEFT JOIN public.messages_sent ms
+    ON ms.experiment_variant_id = v.id
+    AND ms.delivery_status IS DISTINCT FROM 'dry_run'
+GROUP BY v.experiment_id, v.id, v.name, v.is_control;
+
+-- What the urgency bandit has learned: sends and conversions per shop, segment and arm
+CREATE OR REPLACE VIEW public.bandit_arm_summary
+WITH (security_invoker = true) AS
+SELECT
+    segment,
+    urgency_level,
+    delay_minutes,
+    COUNT(message_id) AS messages_sent,
+    COUNT(*) FILTER (WHERE reward = 1) AS conversions,
+    shop_id
+FROM public.bandit_decisions
+GROUP BY shop_id, segment, urgency_level, delay_minutes;
+
+-- Claims up to p_limit due jobs for a worker (see claimJobs in message-queue.js), marking them processing
+-- FOR UPDATE SKIP LOCKED lets workers claim at the same time without getting the same job, and the advisory lock
+-- keeps the provider's jobs in flight (claimed within p_lock_timeout_seconds) under p_max_concurrency
+-- Jobs held for longer are assumed abandoned by a worker that died and are claimed again
+CREATE OR REPLACE FUNCTION public.claim_message_jobs(
+    p_provider TEXT,
+    p_worker TEXT,
+    p_limit INTEGER,
+    p_max_concurrency INTEGER,
+    p_lock_timeout_seconds INTEGER DEFAULT 600
+)
+RETURNS SETOF public.message_jobs AS $$
+DECLARE
+    in_flight INTEGER;
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('claim_message_jobs:' || p_provider));
+
+    SELECT COUNT(*) INTO in_flight
+    FROM public.message_jobs
+    WHERE provider = p_provider
+        AND status = 'processing'
+        AND locked_at > NOW() - make_interval(secs => p_lock_timeout_seconds);
+
+    RETURN QUERY
+    UPDATE public.message_jobs j
+    SET status = 'processing',
+        attempts = j.attempts + 1,
+        locked_at = NOW(),
+        locked_by = p_worker
+    WHERE j.id IN (
+        SELECT id FROM public.message_jobs
+        WHERE provider = p_provider
+            AND (
+                (status = 'pending' AND run_at <= NOW())
+                OR (status = 'processing' AND locked_at <= NOW() - make_interval(secs => p_lock_timeout_seconds))
+            )
+        ORDER BY run_at
+        LIMIT GREATEST(LEAST(p_limit, p_max_concurrency - in_flight), 0)
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING j.*;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Only the service role's workers claim jobs
+REVOKE EXECUTE ON FUNCTION public.claim_message_jobs(TEXT, TEXT, INTEGER, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- One page of a shop's carts that may be due a reminder, for the cron (see getCandidateCarts in abandoned-cart-cron.js)
+-- Leaves out carts whose sequence has finished or whose next step isn't due yet, and flags carts whose customer
+-- has ordered since their last activity; carts with no steps left are kept so their sequence can be completed
+-- Pages are ordered by last activity, newest first; pass the last row's last_event_at and cart_id for the next page
+CREATE OR REPLACE FUNCTION public.abandoned_cart_candidates(
+    p_shop_id UUID,
+    p_sequence_id UUID,
+    p_idle_before TIMESTAMP WITH TIME ZONE,
+    p_active_since TIMESTAMP WITH TIME ZONE,
+    p_after_last_event_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_after_id UUID DEFAULT NULL,
+    p_limit INTEGER DEFAULT 500
+)
+RETURNS TABLE (cart_id UUID, last_event_at TIMESTAMP WITH TIME ZONE, purchased BOOLEAN) AS $$
+    SELECT
+        c.id,
+        c.last_event_at,
+        EXISTS (
+            SELECT 1 FROM public.orders o
+            WHERE o.user_id = c.user_id AND o.ordered_at >= c.last_event_at
+        )
+    FROM public.carts c
+    LEFT JOIN public.cart_sequence_state s ON s.cart_id = c.id
+    WHERE ((p_shop_id IS NULL AND c.shop_id IS NULL) OR c.shop_id = p_shop_id)
+        AND c.status IN ('active', 'checkout_started')
+        AND c.item_count > 0
+        AND c.user_id IS NOT NULL
+        AND c.last_event_at <= p_idle_before
+        AND c.last_event_at >= p_active_since
+        AND (s.id IS NULL OR s.status = 'active')
+        AND (
+            NOT EXISTS (
+                SELECT 1 FROM public.reminder_sequence_steps st
+                WHERE st.sequence_id = p_sequence_id AND st.step_number > COALESCE(s.current_step, 0)
+            )
+            OR EXISTS (
+                SELECT 1 FROM public.reminder_sequence_steps st
+                WHERE st.sequence_id = p_sequence_id
+                    AND st.step_number > COALESCE(s.current_step, 0)
+                    AND c.last_event_at <= NOW() - make_interval(mins => st.delay_minutes)
+            )
+        )
+        AND (p_after_last_event_at IS NULL OR (c.last_event_at, c.id) < (p_after_last_event_at, p_after_id))
+    ORDER BY c.last_event_at DESC, c.id DESC
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+REVOKE EXECUTE ON FUNCTION public.abandoned_cart_candidates(UUID, UUID, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- Takes or renews the lease on a cron lock for p_ttl_seconds
+-- Succeeds when the lock is free, its lease has run out, or p_holder already holds it
+CREATE OR REPLACE FUNCTION public.acquire_cron_lock(p_name TEXT, p_holder TEXT, p_ttl_seconds INTEGER)
+RETURNS BOOLEAN AS $$
+BEGIN
+    INSERT INTO public.cron_locks (name, locked_by, locked_until, acquired_at)
+    VALUES (p_name, p_holder, NOW() + make_interval(secs => p_ttl_seconds), NOW())
+    ON CONFLICT (name) DO UPDATE
+    SET locked_by = EXCLUDED.locked_by,
+        locked_until = EXCLUDED.locked_until,
+        acquired_at = CASE WHEN cron_locks.locked_by = EXCLUDED.locked_by THEN cron_locks.acquired_at ELSE NOW() END
+    WHERE cron_locks.locked_until <= NOW() OR cron_locks.locked_by = EXCLUDED.locked_by;
+
+    RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION public.acquire_cron_lock(TEXT, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- Trials and conversions of each urgency bandit arm in a shop's segment (see getArmStats in urgency-bandit.js)
+-- A sent reminder counts as a trial once it's rewarded or was decided before p_window_start (its reward window is over)
+CREATE OR REPLACE FUNCTION public.bandit_arm_stats(
+    p_shop_id UUID,
+    p_segment TEXT,
+    p_window_start TIMESTAMP WITH TIME ZONE
+)
+RETURNS TABLE (urgency_level TEXT, delay_minutes INTEGER, trials BIGINT, successes BIGINT) AS $$
+    SELECT
+        d.urgency_level,
+        d.delay_minutes,
+        COUNT(*) FILTER (WHERE d.reward IS NOT NULL OR d.decided_at < p_window_start),
+        COUNT(*) FILTER (WHERE d.reward = 1)
+    FROM public.bandit_decisions d
+    WHERE ((p_shop_id IS NULL AND d.shop_id IS NULL) OR d.shop_id = p_shop_id)
+        AND d.segment = p_segment
+        AND d.message_id IS NOT NULL
+    GROUP BY d.urgency_level, d.delay_minutes;
+$$ LANGUAGE sql STABLE;
+
+REVOKE EXECUTE ON FUNCTION public.bandit_arm_stats(UUID, TEXT, TIMESTAMP WITH TIME ZONE) FROM PUBLIC, anon, authenticated;
+
 -- Function to handle new user registration
 CREATE OR REPLACE FUNCTION public.handle_new_user()
 RETURNS TRIGGER AS $$
@@ -137,4 +900,20 @@ INSERT INTO public.products (id, name, description, price, category) VALUES
     (uuid_generate_v4(), 'Sample Product 1', 'This is a sample product description', 29.99, 'Electronics'),
     (uuid_generate_v4(), 'Sample Product 2', 'Another sample product description', 49.99, 'Clothing'),
     (uuid_generate_v4(), 'Sample Product 3', 'Yet another sample product', 19.99, 'Home & Garden')
-ON CONFLICT DO NOTHING; 
\ No newline at end of file
+ON CONFLICT DO NOTHING;
+
+-- Default reminder sequence: SMS at 1h, email at 24h, final SMS with discount at 72h
+-- Shared by every shop that has no sequence of its own with that name
+INSERT INTO public.reminder_sequences (name) VALUES ('default')
+ON CONFLICT (shop_id, name) DO NOTHING;
+
+INSERT INTO public.reminder_sequence_steps (sequence_id, step_number, delay_minutes, channel, urgency_level, discount_code)
+SELECT id, step.step_number, step.delay_minutes, step.channel, step.urgency_level, step.discount_code
+FROM public.reminder_sequences,
+    (VALUES
+        (1, 60, 'sms', 'low', NULL),
+        (2, 1440, 'email', 'medium', NULL),
+        (3, 4320, 'sms', 'high', 'COMEBACK10')
+    ) AS step(step_number, delay_minutes, channel, urgency_level, discount_code)
+WHERE reminder_sequences.name = 'default' AND reminder_sequences.shop_id IS NULL
+ON CONFLICT (sequence_id, step_number) DO NOTHING; 
\ No newline at end of file
@@ -0,0 +1,252 @@
+// In-memory Supabase client for the offline test scripts
+// Supports the query builder calls this repo makes (select, insert, upsert, update, delete, filters, order,
+// limit, single) against plain arrays of rows, so handlers can be checked without a database
+// Embedded selects aren't joined: store the embedded row on the parent row instead
+
+const crypto = require('crypto');
+
+// Postgres error codes the code under test checks for
+const NOT_FOUND = { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' };
+const UNIQUE_VIOLATION = { code: '23505', message: 'duplicate key value violates unique constraint' };
+
+// Function to compare a column with a filter value the way PostgREST does (numbers and strings alike)
+function sameValue(a, b) {
+  return a === b || (a !== null && a !== undefined && b !== null && b !== undefined && String(a) === String(b));
+}
+
+// Function to check one PostgREST-style condition, e.g. ('status', 'eq', 'active')
+function matches(row, column, operator, value) {
+  const actual = row[column];
+  switch (operator) {
+    case 'eq': return sameValue(actual, value);
+    case 'neq': return !sameValue(actual, value);
+    case 'is': return value === null || value === 'null' ? actual === null || actual === undefined : actual === value;
+    case 'in': return value.some(item => sameValue(actual, item));
+    case 'gt': return actual !== null && actual !== undefined && actual > value;
+    case 'gte': return actual !== null && actual !== undefined && actual >= value;
+    case 'lt': return actual !== null && actual !== undefined && actual < value;
+    case 'lte': return actual !== null && actual !== undefined && actual <= value;
+    case 'ilike': {
+      const pattern = String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*');
+      return new RegExp(`^${pattern}$`, 'i').test(String(actual || ''));
+    }
+    default: throw new Error(`Unsupported filter operator: ${operator}`);
+  }
+}
+
+// Query builder over one table; awaiting it runs the query
+class MemoryQuery {
+  constructor(client, table) {
+    this.client = client;
+    this.table = table;
+    this.action = 'select';
+    this.filters = [];
+    this.sorts = [];
+  }
+
+  rows() {
+    this.client.tables[this.table] = this.client.tables[this.table] || [];
+    return this.client.tables[this.table];
+  }
+
+  select(columns, options = {}) {
+    // select() after a write only asks for the written rows back
+    if (this.action === 'select') {
+      this.countRows = Boolean(options.count);
+      this.headOnly = Boolean(options.head);
+    }
+    return this;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.values = values;
+    return this;
+  }
+
+  upsert(values, options = {}) {
+    this.action = 'upsert';
+    this.values = values;
+    this.conflictColumns = (options.onConflict || 'id').split(',').map(column => column.trim());
+    this.ignoreDuplicates = Boolean(options.ignoreDuplicates);
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  filter(column, operator, value) {
+    this.filters.push(row => matches(row, column, operator, value));
+    return this;
+  }
+
+  eq(column, value) { return this.filter(column, 'eq', value); }
+  neq(column, value) { return this.filter(column, 'neq', value); }
+  is(column, value) { return this.filter(column, 'is', value); }
+  in(column, values) { return this.filter(column, 'in', values); }
+  gt(column, value) { return this.filter(column, 'gt', value); }
+  gte(column, value) { return this.filter(column, 'gte', value); }
+  lt(column, value) { return this.filter(column, 'lt', value); }
+  lte(column, value) { return this.filter(column, 'lte', value); }
+  ilike(column, value) { return this.filter(column, 'ilike', value); }
+
+  not(column, operator, value) {
+    this.filters.push(row => !matches(row, column, operator, value));
+    return this;
+  }
+
+  // Only comma-separated conditions, e.g. 'claimed_until.is.null,claimed_until.lt.2024-01-01T00:00:00Z'
+  or(expression) {
+    const conditions = expression.split(',').map(condition => {
+      const [column, operator, ...rest] = condition.split('.');
+      return { column, operator, value: rest.join('.') };
+    });
+    this.filters.push(row => conditions.some(({ column, operator, value }) => matches(row, column, operator, value)));
+    return this;
+  }
+
+  order(column, options = {}) {
+    this.sorts.push({ column, ascending: options.ascending !== false });
+    return this;
+  }
+
+  limit(count) {
+    this.maxRows = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.offset = from;
+    this.maxRows = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.expect = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.expect = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.run()).then(resolve, reject);
+  }
+
+  matching() {
+    return this.rows().filter(row => this.filters.every(filter => filter(row)));
+  }
+
+  // Function to find a row the values would duplicate under the table's unique columns
+  findDuplicate(values, columnSets) {
+    return this.rows().find(row => columnSets.some(columns =>
+      columns.every(column => sameValue(row[column] ?? null, values[column] ?? null))));
+  }
+
+  write() {
+    const list = Array.isArray(this.values) ? this.values : [this.values];
+    const uniqueSets = this.client.uniques[this.table] || [];
+    const written = [];
+
+    for (const values of list) {
+      if (this.action === 'upsert') {
+        const existing = this.findDuplicate(values, [this.conflictColumns]);
+        if (existing) {
+          if (!this.ignoreDuplicates) {
+            Object.assign(existing, values);
+            written.push(existing);
+          }
+          continue;
+        }
+      }
+
+      if (this.findDuplicate(values, uniqueSets)) {
+        return { data: null, error: UNIQUE_VIOLATION };
+      }
+
+      const row = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...values };
+      this.rows().push(row);
+      written.push(row);
+    }
+
+    return { data: written, error: null };
+  }
+
+  run() {
+    let result;
+
+    if (this.action === 'insert' || this.action === 'upsert') {
+      result = this.write();
+    } else if (this.action === 'update') {
+      const rows = this.matching();
+      rows.forEach(row => Object.assign(row, this.values));
+      result = { data: rows, error: null };
+    } else if (this.action === 'delete') {
+      const rows = this.matching();
+      this.client.tables[this.table] = this.rows().filter(row => !rows.includes(row));
+      result = { data: rows, error: null };
+    } else {
+      let rows = this.matching();
+      for (const { column, ascending } of [...this.sorts].reverse()) {
+        rows = [...rows].sort((a, b) => (a[column] === b[column] ? 0 : (a[column] > b[column]) === ascending ? 1 : -1));
+      }
+      const count = rows.length;
+      rows = rows.slice(this.offset || 0, this.maxRows === undefined ? undefined : (this.offset || 0) + this.maxRows);
+      result = { data: this.headOnly ? null : rows, count: this.countRows ? count : null, error: null };
+    }
+
+    if (result.error || !this.expect) {
+      return copyResult(result);
+    }
+
+    const rows = result.data || [];
+    if (rows.length === 1) {
+      return copyResult({ data: rows[0], error: null });
+    }
+    if (rows.length === 0 && this.expect === 'maybeSingle') {
+      return { data: null, error: null };
+    }
+    return { data: null, error: NOT_FOUND };
+  }
+}
+
+// Function to hand out copies, so callers can't change the stored rows by accident
+function copyResult(result) {
+  return { ...result, data: result.data === null ? null : JSON.parse(JSON.stringify(result.data)) };
+}
+
+/**
+ * Creates an in-memory Supabase client
+ * @param {Object} options - tables (name -> rows), uniques (name -> column lists that must be unique, NULLs equal)
+ *   and rpc (function name -> (args, tables) => data)
+ * @returns {Object} Client with from(), rpc() and the tables it reads and writes
+ */
+function createMemoryClient(options = {}) {
+  const client = {
+    tables: options.tables || {},
+    uniques: options.uniques || {},
+    from: table => new MemoryQuery(client, table),
+    rpc: async (name, args) => {
+      const handler = (options.rpc || {})[name];
+      if (!handler) {
+        return { data: null, error: { code: 'PGRST202', message: `Could not find the function ${name}` } };
+      }
+      return { data: handler(args, client.tables), error: null };
+    }
+  };
+  return client;
+}
+
+module.exports = {
+  createMemoryClient
+}; 
\ No newline at end of file
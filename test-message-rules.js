@@ -0,0 +1,314 @@
+// Test script for the rules reminders are checked against
+// Runs offline: SMS encoding and segment counting, the stock and price signals reminders may mention,
+// and the significance test of experiment results
+
+// The stock rules' defaults, so results don't depend on your .env
+process.env.STOCK_MAX_AGE_MINUTES = '60';
+process.env.LOW_STOCK_THRESHOLD = '5';
+process.env.RESTOCK_WINDOW_DAYS = '7';
+
+const { countSegments, validateSMS } = require('./sms-validator');
+const { getStockSignals } = require('./product-catalog');
+const { twoProportionZTest } = require('./experiments');
+
+// Counts the scenarios that didn't get the expected result
+let failures = 0;
+
+// Function to compare a result with a scenario's expected fields
+function checkScenario(scenario, actual) {
+  console.log(`\n🧪 Testing: ${scenario.name}`);
+
+  const mismatches = Object.keys(scenario.expected)
+    .filter(key => JSON.stringify(actual[key]) !== JSON.stringify(scenario.expected[key]));
+
+  if (mismatches.length === 0) {
+    console.log('✅ Test passed!');
+    return true;
+  }
+
+  failures++;
+  for (const key of mismatches) {
+    console.log(`❌ Test failed! ${key}: expected ${JSON.stringify(scenario.expected[key])}, got ${JSON.stringify(actual[key])}`);
+  }
+  return false;
+}
+
+// Function to test SMS encoding and segment counts
+function testSmsSegments() {
+  console.log('\n📏 Testing SMS Segments');
+
+  const segmentScenarios = [
+    {
+      name: 'Plain GSM-7 text',
+      text: 'Your cart is waiting',
+      expected: { encoding: 'GSM-7', units: 20, segments: 1 }
+    },
+    {
+      name: '160 GSM-7 characters fit one segment',
+      text: 'a'.repeat(160),
+      expected: { encoding: 'GSM-7', units: 160, segments: 1 }
+    },
+    {
+      name: '161 GSM-7 characters take two segments',
+      text: 'a'.repeat(161),
+      expected: { encoding: 'GSM-7', units: 161, segments: 2 }
+    },
+    {
+      name: 'Extended GSM characters take two septets each',
+      text: '€'.repeat(80),
+      expected: { encoding: 'GSM-7', units: 160, segments: 1 }
+    },
+    {
+      name: 'One extended character tips 159 characters over a segment',
+      text: `${'a'.repeat(159)}€`,
+      expected: { encoding: 'GSM-7', units: 161, segments: 2 }
+    },
+    {
+      name: 'Extended character not split across segments',
+      text: `${'a'.repeat(152)}€${'a'.repeat(152)}`,
+      expected: { encoding: 'GSM-7', units: 306, segments: 3 }
+    },
+    {
+      name: 'Emoji switches to UCS-2 and takes two code units',
+      text: 'Your cart is waiting 🛒',
+      expected: { encoding: 'UCS-2', units: 23, segments: 1 }
+    },
+    {
+      name: '70 UCS-2 code units fit one segment',
+      text: `${'a'.repeat(68)}😀`,
+      expected: { encoding: 'UCS-2', units: 70, segments: 1 }
+    },
+    {
+      name: '71 UCS-2 code units take two segments',
+      text: `${'a'.repeat(69)}😀`,
+      expected: { encoding: 'UCS-2', units: 71, segments: 2 }
+    },
+    {
+      name: 'Emoji not split across segments',
+      text: `${'a'.repeat(66)}😀${'a'.repeat(66)}`,
+      expected: { encoding: 'UCS-2', units: 134, segments: 3 }
+    }
+  ];
+
+  for (const scenario of segmentScenarios) {
+    checkScenario(scenario, countSegments(scenario.text));
+  }
+}
+
+// Function to test how validateSMS prepares messages
+function testValidateSms() {
+  console.log('\n🔍 Testing SMS Validation');
+
+  const policy = { bannedPhrases: [], allowScarcityClaims: false, optOutText: 'Reply STOP to opt out.', maxSegments: 2 };
+
+  const validationScenarios = [
+    {
+      name: 'Typographic quotes and dashes are replaced, keeping GSM-7',
+      message: 'Don’t forget your cart — it’s saved…',
+      expected: {
+        valid: true,
+        message: 'Don\'t forget your cart - it\'s saved... Reply STOP to opt out.',
+        encoding: 'GSM-7',
+        segments: 1
+      }
+    },
+    {
+      name: 'STOP in the message itself doesn\'t count as opt-out text',
+      message: 'Don\'t STOP now, your cart expires soon',
+      expected: { valid: true, message: 'Don\'t STOP now, your cart expires soon Reply STOP to opt out.' }
+    },
+    {
+      name: 'Opt-out text the message already has is not repeated',
+      message: 'Your cart is waiting. Text STOP to unsubscribe',
+      expected: { valid: true, message: 'Your cart is waiting. Text STOP to unsubscribe' }
+    },
+    {
+      name: 'Emoji is kept and sent as UCS-2',
+      message: 'Your cart is waiting 🛒',
+      expected: { valid: true, encoding: 'UCS-2', segments: 1 }
+    },
+    {
+      name: 'Emoji message over the segment limit',
+      message: `Your cart is waiting 🛒 ${'a'.repeat(150)}`,
+      expected: { valid: false, problems: ['is 3 UCS-2 segments, the limit is 2'], encoding: 'UCS-2', segments: 3 }
+    }
+  ];
+
+  for (const scenario of validationScenarios) {
+    checkScenario(scenario, validateSMS(scenario.message, { policy }));
+  }
+}
+
+// Function to build a products row synced the given number of minutes ago
+function syncedProduct(id, minutesAgo, variants) {
+  return {
+    id,
+    currency: 'USD',
+    enriched_at: new Date(Date.now() - minutesAgo * 60 * 1000).toISOString(),
+    variants
+  };
+}
+
+// Function to test the stock and price signals of cart items
+function testStockSignals() {
+  console.log('\n📦 Testing Stock Signals');
+
+  const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+  const monthAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+  const hat = { product_id: 'prod_hat', variant_id: 'var_black', product_name: 'Hat', variant_title: 'Black', price: 25 };
+  const noSignals = { lowStock: null, plentifulStock: false, backInStock: null, priceDrop: null };
+
+  const signalScenarios = [
+    {
+      name: 'Low stock from a fresh sync',
+      items: [hat],
+      products: [syncedProduct('prod_hat', 5, [{ id: 'var_black', price: 25, inventory_quantity: 3 }])],
+      expected: { lowStock: { product: 'Hat (Black)', quantity: 3 }, plentifulStock: false, backInStock: null, priceDrop: null }
+    },
+    {
+      name: 'Plenty of stock from a fresh sync',
+      items: [hat],
+      products: [syncedProduct('prod_hat', 5, [{ id: 'var_black', price: 25, inventory_quantity: 50 }])],
+      expected: { lowStock: null, plentifulStock: true, backInStock: null, priceDrop: null }
+    },
+    {
+      name: 'Stale sync allows no stock or price claims',
+      items: [hat],
+      products: [syncedProduct('prod_hat', 120, [{ id: 'var_black', price: 20, inventory_quantity: 3, restocked_at: dayAgo }])],
+      expected: noSignals
+    },
+    {
+      name: 'Product never synced',
+      items: [hat],
+      products: [],
+      expected: noSignals
+    },
+    {
+      name: 'Price drop since the customer added the item',
+      items: [hat],
+      products: [syncedProduct('prod_hat', 5, [{ id: 'var_black', price: 20, inventory_quantity: 50 }])],
+      expected: { priceDrop: { product: 'Hat (Black)', from: '$25.00', to: '$20.00', amount: 5 } }
+    },
+    {
+      name: 'Price rise is not a price drop',
+      items: [hat],
+      products: [syncedProduct('prod_hat', 5, [{ id: 'var_black', price: 30, inventory_quantity: 50 }])],
+      expected: { priceDrop: null }
+    },
+    {
+      name: 'Largest price drop across items is mentioned',
+      items: [hat, { product_id: 'prod_scarf', variant_id: 'var_red', product_name: 'Scarf', price: 60 }],
+      products: [
+        syncedProduct('prod_hat', 5, [{ id: 'var_black', price: 20, inventory_quantity: 50 }]),
+        syncedProduct('prod_scarf', 5, [{ id: 'var_red', title: 'Red', price: 45, inventory_quantity: 50 }])
+      ],
+      expected: { priceDrop: { product: 'Scarf (Red)', from: '$60.00', to: '$45.00', amount: 15 } }
+    },
+    {
+      name: 'Price drop shown in the cart\'s currency',
+      items: [hat],
+      currency: 'EUR',
+      products: [syncedProduct('prod_hat', 5, [{ id: 'var_black', price: 19.9, inventory_quantity: 50 }])],
+      expected: { priceDrop: { product: 'Hat (Black)', from: '€25.00', to: '€19.90', amount: 5.1 } }
+    },
+    {
+      name: 'Restocked within the window',
+      items: [hat],
+      products: [syncedProduct('prod_hat', 5, [{ id: 'var_black', price: 25, inventory_quantity: 10, restocked_at: dayAgo }])],
+      expected: { backInStock: 'Hat (Black)' }
+    },
+    {
+      name: 'Restocked too long ago',
+      items: [hat],
+      products: [syncedProduct('prod_hat', 5, [{ id: 'var_black', price: 25, inventory_quantity: 10, restocked_at: monthAgo }])],
+      expected: { backInStock: null }
+    }
+  ];
+
+  for (const scenario of signalScenarios) {
+    const products = new Map(scenario.products.map(product => [product.id, product]));
+    checkScenario(scenario, getStockSignals(scenario.items, products, scenario.currency || null));
+  }
+}
+
+// Function to test the two-proportion z-test behind experiment results
+function testSignificance() {
+  console.log('\n📊 Testing Experiment Significance');
+
+  // Expected values from the textbook formula, to 4 decimal places
+  const significanceScenarios = [
+    {
+      name: 'Variant converts better (10% vs 13% of 1000)',
+      counts: [100, 1000, 130, 1000],
+      expected: { zScore: 2.1027, pValue: 0.0355 }
+    },
+    {
+      name: 'Variant converts worse by the same amount',
+      counts: [130, 1000, 100, 1000],
+      expected: { zScore: -2.1027, pValue: 0.0355 }
+    },
+    {
+      name: 'Small difference on small groups is not significant',
+      counts: [10, 100, 12, 100],
+      expected: { zScore: 0.452, pValue: 0.6513 }
+    },
+    {
+      name: 'Strong difference (10% vs 16% of 500)',
+      counts: [50, 500, 80, 500],
+      expected: { zScore: 2.8209, pValue: 0.0048 }
+    },
+    {
+      name: 'Equal rates',
+      counts: [10, 100, 10, 100],
+      expected: { zScore: 0, pValue: 1 }
+    },
+    {
+      name: 'No conversions in either group',
+      counts: [0, 100, 0, 100],
+      expected: { zScore: 0, pValue: 1 }
+    },
+    {
+      name: 'Empty control group',
+      counts: [0, 0, 3, 10],
+      expected: { zScore: null, pValue: null }
+    }
+  ];
+
+  const round = value => (value === null ? null : Math.round(value * 10000) / 10000);
+
+  for (const scenario of significanceScenarios) {
+    const { zScore, pValue } = twoProportionZTest(...scenario.counts);
+    checkScenario(scenario, { zScore: round(zScore), pValue: round(pValue) });
+  }
+}
+
+// Main test function
+function runTests() {
+  console.log('🚀 Starting Message Rules Tests');
+
+  testSmsSegments();
+  testValidateSms();
+  testStockSignals();
+  testSignificance();
+
+  if (failures > 0) {
+    console.log(`\n❌ ${failures} test(s) failed`);
+    process.exitCode = 1;
+  } else {
+    console.log('\n🎉 All tests passed!');
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {
+  checkScenario,
+  testSmsSegments,
+  testValidateSms,
+  testStockSignals,
+  testSignificance,
+  runTests
+}; 
\ No newline at end of file
@@ -5,6 +5,7 @@ require('dotenv').config();
 const { createClient } = require('@supabase/supabase-js');
 const { generateReminderMessage } = require('./generate-reminder-message');
 const { sendSMS } = require('./send-sms');
+const { getProviderEnvVars } = require('./llm-providers');
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -255,7 +256,7 @@ module.exports = {
 if (require.main === module) {
   // Check required environment variables
   const requiredEnvVars = [
-    'OPENAI_API_KEY',
+    ...getProviderEnvVars(),
     'NEXT_PUBLIC_SUPABASE_URL',
     'SUPABASE_SERVICE_ROLE_KEY',
     'SHOP_URL'
@@ -6,6 +6,19 @@ const fetch = require('node-fetch'); // For Node.js testing
 // Configuration
 const API_BASE_URL = process.env.API_BASE_URL || 'http://localhost:3000';
 const TRACK_VIEW_ENDPOINT = `${API_BASE_URL}/track-view`;
+const CART_EVENTS_ENDPOINT = `${API_BASE_URL}/cart-events`;
+const IDENTIFY_ENDPOINT = `${API_BASE_URL}/identify`;
+const EVENTS_ENDPOINT = `${API_BASE_URL}/events`;
+
+// Publishable key and one of its allowed origins (create them with: node shop-auth.js <shop domain> <origins>)
+const TEST_SHOP_KEY = process.env.TEST_SHOP_KEY || 'pk_your_publishable_key';
+const TEST_ORIGIN = process.env.TEST_ORIGIN || 'https://your-store.myshopify.com';
+
+const TRACKING_HEADERS = {
+  'Content-Type': 'application/json',
+  'X-Shop-Key': TEST_SHOP_KEY,
+  'Origin': TEST_ORIGIN
+};
 
 // Test data scenarios
 const testScenarios = [
@@ -21,6 +34,7 @@ const testScenarios = [
   {
     name: 'Product view without email (anonymous user)',
     data: {
+      anonymous_id: 'test-visitor-0001',
       product_id: 'prod_67890',
       product_name: 'Another Product',
       timestamp: new Date().toISOString()
@@ -42,6 +56,19 @@ const testScenarios = [
       product_id: 'prod_no_timestamp',
       product_name: 'No Timestamp Product'
     }
+  },
+  {
+    name: 'Product view with the selected variant, price and image',
+    data: {
+      user_email: 'test@example.com',
+      product_id: '7712345',
+      product_name: 'Wireless Headphones',
+      variant_id: '42112233',
+      variant_title: 'Black',
+      price: 79.99,
+      currency: 'USD',
+      image_url: 'https://cdn.shopify.com/s/files/1/headphones.jpg'
+    }
   }
 ];
 
@@ -53,9 +80,7 @@ async function testTrackView(scenario) {
   try {
     const response = await fetch(TRACK_VIEW_ENDPOINT, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
+      headers: { ...TRACKING_HEADERS, ...scenario.headers },
       body: JSON.stringify(scenario.data)
     });
     
@@ -98,6 +123,21 @@ async function testErrorScenarios() {
         product_name: 'Invalid Email Product'
       }
     },
+    {
+      name: 'Missing visitor (no email or anonymous_id)',
+      data: {
+        product_id: 'prod_no_visitor',
+        product_name: 'No Visitor Product'
+      }
+    },
+    {
+      name: 'Invalid anonymous_id',
+      data: {
+        anonymous_id: 'bad id!',
+        product_id: 'prod_invalid_visitor',
+        product_name: 'Invalid Visitor Product'
+      }
+    },
     {
       name: 'Invalid timestamp format',
       data: {
@@ -107,6 +147,15 @@ async function testErrorScenarios() {
         timestamp: 'invalid-timestamp'
       }
     },
+    {
+      name: 'Invalid price',
+      data: {
+        user_email: 'test@example.com',
+        product_id: 'prod_invalid_price',
+        product_name: 'Invalid Price Product',
+        price: 'free'
+      }
+    },
     {
       name: 'Empty product_id',
       data: {
@@ -122,6 +171,22 @@ async function testErrorScenarios() {
         product_id: 'prod_empty_name',
         product_name: ''
       }
+    },
+    {
+      name: 'Missing shop key',
+      headers: { 'X-Shop-Key': '' },
+      data: {
+        product_id: 'prod_no_key',
+        product_name: 'No Key Product'
+      }
+    },
+    {
+      name: 'Origin not allowed for the shop',
+      headers: { 'Origin': 'https://not-your-store.example' },
+      data: {
+        product_id: 'prod_wrong_origin',
+        product_name: 'Wrong Origin Product'
+      }
     }
   ];
   
@@ -130,6 +195,248 @@ async function testErrorScenarios() {
   }
 }
 
+// Function to test the cart events endpoint
+async function testCartEvents() {
+  console.log('\n🛒 Testing Cart Events');
+  
+  const cartToken = `test-cart-${Date.now()}`;
+  const cartItems = [
+    {
+      product_id: 'prod_12345',
+      variant_id: 'var_12345',
+      product_name: 'Test Product',
+      quantity: 2,
+      price: 19.99
+    }
+  ];
+  
+  const cartScenarios = [
+    {
+      name: 'Add to cart',
+      data: {
+        event_type: 'add_to_cart',
+        cart_token: cartToken,
+        user_email: 'test@example.com',
+        items: cartItems,
+        total_price: 39.98,
+        currency: 'USD'
+      },
+      expectedStatus: 200
+    },
+    {
+      name: 'Cart updated (quantity changed)',
+      data: {
+        event_type: 'cart_updated',
+        cart_token: cartToken,
+        items: [{ ...cartItems[0], quantity: 1 }],
+        total_price: 19.99,
+        currency: 'USD'
+      },
+      expectedStatus: 200
+    },
+    {
+      name: 'Checkout started without items',
+      data: {
+        event_type: 'checkout_started',
+        cart_token: cartToken
+      },
+      expectedStatus: 200
+    },
+    {
+      name: 'Invalid event type',
+      data: {
+        event_type: 'cart_viewed',
+        cart_token: cartToken,
+        items: cartItems
+      },
+      expectedStatus: 400
+    },
+    {
+      name: 'Missing items on add to cart',
+      data: {
+        event_type: 'add_to_cart',
+        cart_token: cartToken
+      },
+      expectedStatus: 400
+    }
+  ];
+  
+  for (const scenario of cartScenarios) {
+    console.log(`\n🧪 Testing: ${scenario.name}`);
+    
+    try {
+      const response = await fetch(CART_EVENTS_ENDPOINT, {
+        method: 'POST',
+        headers: TRACKING_HEADERS,
+        body: JSON.stringify(scenario.data)
+      });
+      
+      const result = await response.json();
+      
+      console.log(`📊 Status: ${response.status}`);
+      console.log('📥 Response:', JSON.stringify(result, null, 2));
+      
+      if (response.status === scenario.expectedStatus) {
+        console.log('✅ Test passed!');
+      } else {
+        console.log(`❌ Test failed! Expected status ${scenario.expectedStatus}`);
+      }
+      
+    } catch (error) {
+      console.error('❌ Network error:', error.message);
+    }
+  }
+}
+
+// Function to test the capture form's identify endpoint
+async function testIdentify() {
+  console.log('\n📨 Testing Identify');
+  
+  const identifyScenarios = [
+    {
+      name: 'Email only, linked to anonymous views',
+      data: {
+        anonymous_id: 'test-visitor-0001',
+        email: 'test@example.com'
+      },
+      expectedStatus: 200
+    },
+    {
+      name: 'Email and phone with SMS consent',
+      data: {
+        anonymous_id: 'test-visitor-0002',
+        email: 'sms@example.com',
+        phone: '+15551234567',
+        sms_consent: true,
+        timezone: 'America/Chicago'
+      },
+      expectedStatus: 200
+    },
+    {
+      name: 'SMS consent without a phone',
+      data: {
+        email: 'test@example.com',
+        sms_consent: true
+      },
+      expectedStatus: 400
+    },
+    {
+      name: 'Missing email',
+      data: {
+        anonymous_id: 'test-visitor-0003',
+        phone: '+15551234567'
+      },
+      expectedStatus: 400
+    }
+  ];
+  
+  for (const scenario of identifyScenarios) {
+    console.log(`\n🧪 Testing: ${scenario.name}`);
+    
+    try {
+      const response = await fetch(IDENTIFY_ENDPOINT, {
+        method: 'POST',
+        headers: TRACKING_HEADERS,
+        body: JSON.stringify(scenario.data)
+      });
+      
+      const result = await response.json();
+      
+      console.log(`📊 Status: ${response.status}`);
+      console.log('📥 Response:', JSON.stringify(result, null, 2));
+      
+      if (response.status === scenario.expectedStatus) {
+        console.log('✅ Test passed!');
+      } else {
+        console.log(`❌ Test failed! Expected status ${scenario.expectedStatus}`);
+      }
+      
+    } catch (error) {
+      console.error('❌ Network error:', error.message);
+    }
+  }
+}
+
+// Function to test the batched events endpoint, as used by the storefront's event queue
+async function testEventBatch() {
+  console.log('\n📦 Testing Event Batches');
+  
+  const events = [
+    {
+      event_type: 'product_view',
+      event_id: 'test-event-1',
+      anonymous_id: 'test-visitor-0001',
+      product_id: 'prod_12345',
+      product_name: 'Test Product'
+    },
+    {
+      event_type: 'add_to_cart',
+      event_id: 'test-event-2',
+      anonymous_id: 'test-visitor-0001',
+      cart_token: `test-batch-cart-${Date.now()}`,
+      items: [{ product_id: 'prod_12345', product_name: 'Test Product', quantity: 1, price: 19.99 }]
+    },
+    {
+      event_type: 'cart_viewed',
+      event_id: 'test-event-3'
+    }
+  ];
+  
+  const batchScenarios = [
+    {
+      name: 'Batch with one invalid event (JSON)',
+      url: EVENTS_ENDPOINT,
+      headers: TRACKING_HEADERS,
+      body: JSON.stringify({ events }),
+      expectedStatus: 200,
+      expectedAccepted: 2
+    },
+    {
+      // sendBeacon can't set headers: text/plain body and the key in the URL
+      name: 'Beacon-style batch (text/plain, key in query)',
+      url: `${EVENTS_ENDPOINT}?key=${encodeURIComponent(TEST_SHOP_KEY)}`,
+      headers: { 'Content-Type': 'text/plain', 'Origin': TEST_ORIGIN },
+      body: JSON.stringify({ events: events.slice(0, 1) }),
+      expectedStatus: 200,
+      expectedAccepted: 1
+    },
+    {
+      name: 'Empty batch',
+      url: EVENTS_ENDPOINT,
+      headers: TRACKING_HEADERS,
+      body: JSON.stringify({ events: [] }),
+      expectedStatus: 400
+    }
+  ];
+  
+  for (const scenario of batchScenarios) {
+    console.log(`\n🧪 Testing: ${scenario.name}`);
+    
+    try {
+      const response = await fetch(scenario.url, {
+        method: 'POST',
+        headers: scenario.headers,
+        body: scenario.body
+      });
+      
+      const result = await response.json();
+      
+      console.log(`📊 Status: ${response.status}`);
+      console.log('📥 Response:', JSON.stringify(result, null, 2));
+      
+      if (response.status === scenario.expectedStatus &&
+          (scenario.expectedAccepted === undefined || result.accepted === scenario.expectedAccepted)) {
+        console.log('✅ Test passed!');
+      } else {
+        console.log(`❌ Test failed! Expected status ${scenario.expectedStatus}`);
+      }
+      
+    } catch (error) {
+      console.error('❌ Network error:', error.message);
+    }
+  }
+}
+
 // Function to test health endpoint
 async function testHealthEndpoint() {
   console.log('\n🏥 Testing Health Endpoint');
@@ -169,6 +476,15 @@ async function runTests() {
   // Test error scenarios
   await testErrorScenarios();
   
+  // Test cart events
+  await testCartEvents();
+  
+  // Test the capture form's identify endpoint
+  await testIdentify();
+  
+  // Test batched events
+  await testEventBatch();
+  
   console.log('\n🎉 All tests completed!');
 }
 
@@ -180,6 +496,9 @@ if (require.main === module) {
 module.exports = {
   testTrackView,
   testErrorScenarios,
+  testCartEvents,
+  testIdentify,
+  testEventBatch,
   testHealthEndpoint,
   runTests
 }; 
\ No newline at end of file
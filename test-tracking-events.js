@@ -0,0 +1,217 @@
+// Test script for the storefront tracking handlers
+// Runs offline against the in-memory Supabase client: batched events applied once per event_id,
+// and the SMS consent the capture form records
+
+// A fixed environment, so results don't depend on your .env
+process.env.SMS_CONSENT_TEXT = 'Text me reminders about my cart. Reply STOP to opt out.';
+delete process.env.SHOPIFY_ADMIN_ACCESS_TOKEN;
+
+const { setSupabase } = require('./supabase-client');
+const { createMemoryClient } = require('./test-memory-supabase');
+const { eventBatchHandler } = require('./track-view-endpoint');
+const { identifyHandler } = require('./identify-endpoint');
+const { checkScenario } = require('./test-message-rules');
+
+const SHOP = { id: 'shop_a', domain: 'shop-a.myshopify.com', allowed_origins: ['https://shop-a.com'] };
+
+// Counts the scenarios that didn't get the expected result
+let failures = 0;
+
+// Function to call a handler the way requireShopKey leaves the request
+async function callHandler(handler, body) {
+  const req = { body, shop: SHOP, headers: {} };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+
+  await handler(req, res);
+  return res;
+}
+
+// Function to load an empty database, so scenarios don't see each other's writes
+function resetDatabase() {
+  const client = createMemoryClient({
+    uniques: { processed_events: [['shop_id', 'event_id']] }
+  });
+  setSupabase(client);
+  return client;
+}
+
+// Function to make the next query on a table fail, as if the database went away
+function failNextQuery(client, table) {
+  const from = client.from;
+  client.from = name => {
+    const query = from(name);
+    if (name === table) {
+      client.from = from;
+      query.run = () => ({ data: null, error: { message: 'connection reset' } });
+    }
+    return query;
+  };
+}
+
+// Function to build a product view event for the batch endpoint
+function productView(eventId, fields = {}) {
+  return {
+    event_type: 'product_view',
+    event_id: eventId,
+    anonymous_id: 'visitor-0001',
+    product_id: 'prod_hat',
+    product_name: 'Hat',
+    ...fields
+  };
+}
+
+// Function to test that batched events are applied once per event_id
+async function testEventDedup() {
+  console.log('\n📦 Testing Event Batch Dedup');
+
+  const dedupScenarios = [
+    {
+      name: 'Batch sent again is not applied twice',
+      batches: [[productView('e1'), productView('e2')], [productView('e1'), productView('e2')]],
+      expected: { accepted: 2, duplicates: [0, 1], views: 2 }
+    },
+    {
+      name: 'Repeat within one batch is applied once',
+      batches: [[productView('e1'), productView('e1')]],
+      expected: { accepted: 2, duplicates: [1], views: 1 }
+    },
+    {
+      name: 'Rejected event is applied when sent again fixed',
+      batches: [[productView('e1', { product_name: null })], [productView('e1')]],
+      expected: { accepted: 1, duplicates: [], views: 1 }
+    },
+    {
+      name: 'Event whose write failed is applied when retried',
+      failTable: 'products_viewed',
+      batches: [[productView('e1')], [productView('e1')]],
+      expected: { accepted: 1, duplicates: [], views: 1 }
+    },
+    {
+      name: 'Events without an event_id are always applied',
+      batches: [[productView(undefined)], [productView(undefined)]],
+      expected: { accepted: 1, duplicates: [], views: 2 }
+    }
+  ];
+
+  for (const scenario of dedupScenarios) {
+    const client = resetDatabase();
+    if (scenario.failTable) {
+      failNextQuery(client, scenario.failTable);
+    }
+
+    let res;
+    for (const events of scenario.batches) {
+      res = await callHandler(eventBatchHandler, { events });
+    }
+
+    // The last batch's result, and what all of them left in the database
+    const passed = checkScenario(scenario, {
+      accepted: res.body.accepted,
+      duplicates: res.body.results.filter(result => result.duplicate).map(result => result.index),
+      views: (client.tables.products_viewed || []).length
+    });
+    if (!passed) failures++;
+  }
+}
+
+// Function to test the SMS consent the capture form records
+async function testConsentCapture() {
+  console.log('\n📝 Testing Consent Capture');
+
+  const consentScenarios = [
+    {
+      name: 'Ticked box records consent with the configured wording',
+      requests: [{ email: 'ann@example.com', phone: '(555) 123-4567', sms_consent: true }],
+      expected: {
+        status: 200,
+        smsConsent: 'opted_in',
+        consents: [{ phone: '+15551234567', status: 'opted_in', source: 'storefront', consent_text: process.env.SMS_CONSENT_TEXT }],
+        userPhone: '+15551234567'
+      }
+    },
+    {
+      name: 'Wording sent by the client is not stored',
+      requests: [{ email: 'ann@example.com', phone: '+15551234567', sms_consent: true, consent_text: 'Anything goes' }],
+      expected: {
+        status: 200,
+        consents: [{ phone: '+15551234567', status: 'opted_in', source: 'storefront', consent_text: process.env.SMS_CONSENT_TEXT }]
+      }
+    },
+    {
+      name: 'Unticked box records nothing',
+      requests: [{ email: 'ann@example.com', phone: '+15551234567', sms_consent: false }],
+      expected: { status: 200, smsConsent: null, consents: [] }
+    },
+    {
+      name: 'Consent again while opted in records nothing new',
+      requests: [
+        { email: 'ann@example.com', phone: '+15551234567', sms_consent: true },
+        { email: 'ann@example.com', phone: '+15551234567', sms_consent: true }
+      ],
+      expected: { status: 200, smsConsent: 'opted_in', consentCount: 1 }
+    },
+    {
+      name: 'Consent without a phone number is rejected',
+      requests: [{ email: 'ann@example.com', sms_consent: true }],
+      expected: { status: 400, consents: [] }
+    },
+    {
+      name: 'Consent that isn\'t a boolean is rejected',
+      requests: [{ email: 'ann@example.com', phone: '+15551234567', sms_consent: 'yes' }],
+      expected: { status: 400, consents: [] }
+    }
+  ];
+
+  for (const scenario of consentScenarios) {
+    const client = resetDatabase();
+
+    let res;
+    for (const body of scenario.requests) {
+      res = await callHandler(identifyHandler, body);
+    }
+
+    const consents = client.tables.sms_consents || [];
+    const users = client.tables.users || [];
+    const passed = checkScenario(scenario, {
+      status: res.statusCode,
+      smsConsent: res.body.data ? res.body.data.sms_consent : undefined,
+      consents: consents.map(({ phone, status, source, consent_text }) => ({ phone, status, source, consent_text })),
+      consentCount: consents.length,
+      userPhone: users.length > 0 ? users[0].phone : null
+    });
+    if (!passed) failures++;
+  }
+}
+
+// Main test function
+async function runTests() {
+  console.log('🚀 Starting Tracking Event Tests');
+
+  await testEventDedup();
+  await testConsentCapture();
+
+  if (failures > 0) {
+    console.log(`\n❌ ${failures} test(s) failed`);
+    process.exitCode = 1;
+  } else {
+    console.log('\n🎉 All tests passed!');
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('❌ Test run failed:', error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  testEventDedup,
+  testConsentCapture,
+  runTests
+}; 
\ No newline at end of file
@@ -0,0 +1,175 @@
+// Test script for the Twilio webhooks
+// Runs offline against the in-memory Supabase client: which shops a webhook is routed to by its
+// sender number, signature checks with each shop's auth token, and STOP/START keywords recording consent
+
+// A fixed environment, so results don't depend on your .env
+process.env.TWILIO_PHONE_NUMBER = '+15550000000';
+process.env.TWILIO_AUTH_TOKEN = 'env_auth_token';
+process.env.PUBLIC_BASE_URL = 'https://reminders.example.com';
+process.env.SMS_BRAND_NAME = 'Default Store';
+
+const twilio = require('twilio');
+const { setSupabase } = require('./supabase-client');
+const { createMemoryClient } = require('./test-memory-supabase');
+const { twilioStatusHandler, twilioInboundHandler } = require('./twilio-webhooks');
+const { checkScenario } = require('./test-message-rules');
+
+const CUSTOMER_PHONE = '+15551234567';
+
+// Shop A sends from its own number and Twilio account, shop B from the environment's number and account
+const SHOPS = [
+  {
+    id: 'shop_a',
+    name: 'Shop A',
+    domain: 'shop-a.myshopify.com',
+    sms_from_number: '+15551110000',
+    is_active: true,
+    shop_credentials: { twilio_auth_token: 'shop_a_auth_token' }
+  },
+  {
+    id: 'shop_b',
+    name: 'Shop B',
+    domain: 'shop-b.myshopify.com',
+    sms_from_number: null,
+    is_active: true,
+    shop_credentials: null
+  }
+];
+
+// Function to call a webhook handler with a request signed like Twilio would sign it
+async function callWebhook(handler, path, params, authToken) {
+  const url = `${process.env.PUBLIC_BASE_URL}${path}`;
+  const headers = { 'x-twilio-signature': twilio.getExpectedTwilioSignature(authToken, url, params) };
+  const req = { originalUrl: path, body: params, get: name => headers[name.toLowerCase()] };
+
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    type() { return this; },
+    json(body) { this.body = body; return this; },
+    send(body) { this.body = body; return this; }
+  };
+
+  await handler(req, res);
+  return res;
+}
+
+// Function to load fresh test data, so scenarios don't see each other's writes
+function resetDatabase() {
+  const client = createMemoryClient({
+    tables: {
+      shops: JSON.parse(JSON.stringify(SHOPS)),
+      users: [
+        { id: 'user_b', shop_id: 'shop_b', phone: CUSTOMER_PHONE },
+        { id: 'user_default', shop_id: null, phone: CUSTOMER_PHONE }
+      ],
+      messages_sent: [{ id: 'message_1', twilio_sid: 'SM123', delivery_status: 'sent' }],
+      sms_consents: []
+    }
+  });
+  setSupabase(client);
+  return client;
+}
+
+// Function to summarize the consents a scenario recorded
+function recordedConsents(client) {
+  return client.tables.sms_consents
+    .map(consent => `${consent.shop_id || 'default'}:${consent.user_id || 'no user'}:${consent.status}`)
+    .sort();
+}
+
+// Main test function
+async function runTests() {
+  console.log('🚀 Starting Twilio Webhook Tests');
+  let failures = 0;
+
+  const scenarios = [
+    {
+      name: 'STOP to the environment\'s number opts out of every shop sending from it',
+      handler: twilioInboundHandler,
+      path: '/twilio-inbound',
+      params: { From: CUSTOMER_PHONE, To: process.env.TWILIO_PHONE_NUMBER, Body: 'STOP' },
+      authToken: process.env.TWILIO_AUTH_TOKEN,
+      expected: { status: 200, consents: ['default:user_default:opted_out', 'shop_b:user_b:opted_out'] }
+    },
+    {
+      name: 'START to the environment\'s number opts back in',
+      handler: twilioInboundHandler,
+      path: '/twilio-inbound',
+      params: { From: CUSTOMER_PHONE, To: process.env.TWILIO_PHONE_NUMBER, Body: 'start' },
+      authToken: process.env.TWILIO_AUTH_TOKEN,
+      expected: { status: 200, consents: ['default:user_default:opted_in', 'shop_b:user_b:opted_in'] }
+    },
+    {
+      name: 'STOP to a shop\'s own number opts out of that shop only',
+      handler: twilioInboundHandler,
+      path: '/twilio-inbound',
+      params: { From: CUSTOMER_PHONE, To: '+15551110000', Body: 'STOP' },
+      authToken: 'shop_a_auth_token',
+      expected: { status: 200, consents: ['shop_a:no user:opted_out'] }
+    },
+    {
+      name: 'Shop\'s own number signed with the environment\'s token is rejected',
+      handler: twilioInboundHandler,
+      path: '/twilio-inbound',
+      params: { From: CUSTOMER_PHONE, To: '+15551110000', Body: 'STOP' },
+      authToken: process.env.TWILIO_AUTH_TOKEN,
+      expected: { status: 403, consents: [] }
+    },
+    {
+      name: 'Unknown number is rejected once shops are registered',
+      handler: twilioInboundHandler,
+      path: '/twilio-inbound',
+      params: { From: CUSTOMER_PHONE, To: '+15559999999', Body: 'STOP' },
+      authToken: process.env.TWILIO_AUTH_TOKEN,
+      expected: { status: 403, consents: [] }
+    },
+    {
+      name: 'Status callback from the environment\'s number updates the message',
+      handler: twilioStatusHandler,
+      path: '/twilio-status',
+      params: { From: process.env.TWILIO_PHONE_NUMBER, MessageSid: 'SM123', MessageStatus: 'delivered' },
+      authToken: process.env.TWILIO_AUTH_TOKEN,
+      expected: { status: 200, deliveryStatus: 'delivered' }
+    },
+    {
+      name: 'Status callback with an invalid signature is rejected',
+      handler: twilioStatusHandler,
+      path: '/twilio-status',
+      params: { From: process.env.TWILIO_PHONE_NUMBER, MessageSid: 'SM123', MessageStatus: 'delivered' },
+      authToken: 'wrong_auth_token',
+      expected: { status: 403, deliveryStatus: 'sent' }
+    }
+  ];
+
+  for (const scenario of scenarios) {
+    const client = resetDatabase();
+    const res = await callWebhook(scenario.handler, scenario.path, scenario.params, scenario.authToken);
+
+    const passed = checkScenario(scenario, {
+      status: res.statusCode,
+      consents: recordedConsents(client),
+      deliveryStatus: client.tables.messages_sent[0].delivery_status
+    });
+    if (!passed) failures++;
+  }
+
+  if (failures > 0) {
+    console.log(`\n❌ ${failures} test(s) failed`);
+    process.exitCode = 1;
+  } else {
+    console.log('\n🎉 All tests passed!');
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('❌ Test run failed:', error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  runTests
+}; 
\ No newline at end of file
@@ -2,30 +2,48 @@
 // Can be used independently or added to existing Express app
 
 const express = require('express');
-const { createClient } = require('@supabase/supabase-js');
 const cors = require('cors');
+const { getSupabase } = require('./supabase-client');
+const { CART_EVENT_TYPES, cartEventsHandler } = require('./cart-events-endpoint');
+const { identifyHandler } = require('./identify-endpoint');
+const { shopifyWebhookHandler } = require('./shopify-webhooks');
+const { twilioStatusHandler, twilioInboundHandler } = require('./twilio-webhooks');
+const { linkRedirectHandler } = require('./checkout-links');
+const { unsubscribePageHandler, unsubscribeHandler } = require('./email-unsubscribes');
+const { adminRouter } = require('./admin-api');
+const { shopifyAppRouter } = require('./shopify-app');
+const { requireShopKey, trackingCorsOptions } = require('./shop-auth');
+const { scopeToShop } = require('./shops');
+const { isValidAnonymousId, resolveVisitor } = require('./visitor-identity');
+const { enrichProduct, normalizeViewDetails } = require('./product-catalog');
 
 // Initialize Express app (if using standalone)
 const app = express();
 
 // Middleware
-app.use(cors());
-app.use(express.json());
-
-// Initialize Supabase client
-const supabaseUrl = process.env.SUPABASE_URL || process.env.NEXT_PUBLIC_SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+app.use(express.json({
+  // Keep the raw body around for Shopify webhook HMAC verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+// Twilio webhooks are sent as application/x-www-form-urlencoded
+app.use(express.urlencoded({ extended: false }));
 
-if (!supabaseUrl || !supabaseKey) {
-  throw new Error('Missing Supabase environment variables: SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
-}
+// Most events accepted in one batch from the storefront's event queue
+const MAX_BATCH_EVENTS = parseInt(process.env.MAX_BATCH_EVENTS || '50', 10);
 
-const supabase = createClient(supabaseUrl, supabaseKey);
+// Storefront endpoints only answer CORS requests from origins a shop has allowed,
+// and need the shop's publishable key (see shop-auth.js)
+const trackingCors = cors(trackingCorsOptions);
+app.options(['/track-view', '/cart-events', '/identify', '/events'], trackingCors);
 
-// Track view endpoint
-app.post('/track-view', async (req, res) => {
+// Track view handler, exported for use in other Express apps
+const trackViewHandler = async (req, res) => {
   try {
-    const { user_email, product_id, product_name, timestamp } = req.body;
+    const { user_email, anonymous_id, product_id, product_name, timestamp } = req.body;
+    // Set by requireShopKey; the environment's store has no ID
+    const shopId = req.shop.id;
 
     // Validate required fields
     if (!product_id || !product_name) {
@@ -48,6 +66,27 @@ app.post('/track-view', async (req, res) => {
       });
     }
 
+    // Views are stored against the customer or, until we know who they are, the tracker's anonymous ID
+    if (!user_email && !anonymous_id) {
+      return res.status(400).json({
+        error: 'Missing visitor: user_email or anonymous_id is required'
+      });
+    }
+
+    if (anonymous_id && !isValidAnonymousId(anonymous_id)) {
+      return res.status(400).json({
+        error: 'Invalid anonymous_id: must be 8-64 letters, digits, dashes or underscores'
+      });
+    }
+
+    // Optional details of the variant selected on the product page
+    const { details: viewDetails, error: detailsError } = normalizeViewDetails(req.body);
+    if (detailsError) {
+      return res.status(400).json({
+        error: detailsError
+      });
+    }
+
     // Validate timestamp if provided
     let validatedTimestamp = new Date().toISOString();
     if (timestamp) {
@@ -73,10 +112,10 @@ app.post('/track-view', async (req, res) => {
 
       try {
         // Try to find existing user
-        const { data: existingUser, error: userQueryError } = await supabase
+        const { data: existingUser, error: userQueryError } = await scopeToShop(getSupabase()
           .from('users')
           .select('id')
-          .eq('email', user_email)
+          .eq('email', user_email), shopId)
           .single();
 
         if (userQueryError && userQueryError.code !== 'PGRST116') {
@@ -87,9 +126,10 @@ app.post('/track-view', async (req, res) => {
           userId = existingUser.id;
         } else {
           // Create new user record
-          const { data: newUser, error: userCreateError } = await supabase
+          const { data: newUser, error: userCreateError } = await getSupabase()
             .from('users')
             .insert({
+              shop_id: shopId,
               email: user_email,
               full_name: null
             })
@@ -107,12 +147,16 @@ app.post('/track-view', async (req, res) => {
       }
     }
 
+    // Stitch the visitor's anonymous history to the customer, or recognise a visitor identified earlier
+    userId = await resolveVisitor({ userId, anonymousId: anonymous_id || null, shopId });
+
     // Get or create product record
+    let productOwnedElsewhere = false;
     try {
-      const { data: existingProduct, error: productQueryError } = await supabase
+      const { data: existingProduct, error: productQueryError } = await scopeToShop(getSupabase()
         .from('products')
         .select('id')
-        .eq('id', product_id)
+        .eq('id', product_id), shopId)
         .single();
 
       if (productQueryError && productQueryError.code !== 'PGRST116') {
@@ -121,17 +165,23 @@ app.post('/track-view', async (req, res) => {
 
       if (!existingProduct) {
         // Create product record if it doesn't exist
-        const { error: productCreateError } = await supabase
+        const { error: productCreateError } = await getSupabase()
           .from('products')
           .insert({
             id: product_id,
+            shop_id: shopId,
             name: product_name,
             description: null,
-            price: null,
+            price: viewDetails.price,
+            currency: viewDetails.currency,
+            image_url: viewDetails.image_url,
             category: null
           });
 
-        if (productCreateError) {
+        if (productCreateError && productCreateError.code === '23505') {
+          // Shopify's product IDs are global, so the ID is taken by a product of another shop
+          productOwnedElsewhere = true;
+        } else if (productCreateError) {
           console.error('Error creating product:', productCreateError);
         }
       }
@@ -139,13 +189,26 @@ app.post('/track-view', async (req, res) => {
       console.error('Error handling product:', error);
     }
 
+    if (productOwnedElsewhere) {
+      return res.status(409).json({
+        error: 'Invalid product_id: the product belongs to another shop'
+      });
+    }
+
+    // Fill in the product's variants, inventory and collections from Shopify without making the
+    // storefront wait; enrichProduct never throws
+    enrichProduct(product_id, shopId);
+
     // Insert product view record
-    const { data: viewRecord, error: viewError } = await supabase
+    const { data: viewRecord, error: viewError } = await getSupabase()
       .from('products_viewed')
       .insert({
+        shop_id: shopId,
         user_id: userId,
+        anonymous_id: anonymous_id || null,
         product_id: product_id,
         product_name: product_name,
+        ...viewDetails,
         timestamp: validatedTimestamp
       })
       .select()
@@ -181,13 +244,44 @@ app.post('/track-view', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Error in track-view endpoint:', error);
+    console.error('Error in track-view handler:', error);
     return res.status(500).json({
       error: 'Internal server error',
       message: error.message
     });
   }
-});
+};
+
+// Track view endpoint
+app.post('/track-view', trackingCors, requireShopKey, trackViewHandler);
+
+// Cart events endpoint (add_to_cart, cart_updated, checkout_started)
+app.post('/cart-events', trackingCors, requireShopKey, cartEventsHandler);
+
+// Visitor identification from the storefront capture form (email, phone, SMS consent)
+app.post('/identify', trackingCors, requireShopKey, identifyHandler);
+
+// Shopify webhooks (orders/create, checkouts/update, app/uninstalled)
+app.post('/webhooks/shopify', shopifyWebhookHandler);
+
+// Shopify app install (OAuth), and the tracker script it adds to the storefront
+app.use('/shopify', shopifyAppRouter);
+
+// Twilio SMS delivery status callbacks
+app.post('/webhooks/twilio/status', twilioStatusHandler);
+
+// Twilio inbound SMS (STOP/START/HELP keywords)
+app.post('/webhooks/twilio/inbound', twilioInboundHandler);
+
+// Short checkout links sent in reminders (restores the cart and redirects to Shopify)
+app.get('/r/:token', linkRedirectHandler);
+
+// Unsubscribe links in reminder emails (the page asks to confirm; mail clients' one-click unsubscribe posts)
+app.get('/unsubscribe/:token', unsubscribePageHandler);
+app.post('/unsubscribe/:token', unsubscribeHandler);
+
+// Admin API for carts, reminders, customers and sequences (requires ADMIN_API_KEY)
+app.use('/api/admin', adminRouter);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -198,159 +292,172 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Export the handler function for use in other Express apps
-const trackViewHandler = async (req, res) => {
-  // This is the same logic as above, but exported as a function
-  // for use in other Express applications
+/**
+ * Runs an endpoint handler for one event of a batch and captures its response
+ * @param {Function} handler - Express handler, e.g. trackViewHandler or cartEventsHandler
+ * @param {Object} req - The batch request, for its shop and headers
+ * @param {Object} event - The event, passed to the handler as the request body
+ * @returns {Promise<{ status: number, body: Object }>} What the handler responded with
+ */
+function runEventHandler(handler, req, event) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+        return this;
+      }
+    };
+
+    Promise.resolve(handler({ body: event, shop: req.shop, headers: req.headers }, res)).catch(reject);
+  });
+}
+
+/**
+ * Records that a shop's batched event is being applied, so a batch the tracker sends again doesn't apply it twice
+ * @param {string} shopId - The shop the event belongs to
+ * @param {string} eventId - The event_id the tracker gave the event
+ * @returns {Promise<boolean>} False if the event was already received
+ */
+async function claimEvent(shopId, eventId) {
+  const { error } = await getSupabase()
+    .from('processed_events')
+    .insert({ shop_id: shopId, event_id: eventId });
+
+  if (error) {
+    if (error.code === '23505') {
+      return false;
+    }
+    throw new Error(`Failed to record event: ${error.message}`);
+  }
+
+  return true;
+}
+
+/**
+ * Forgets a claimed event that couldn't be applied, so the tracker's retry is applied
+ * @param {string} shopId - The shop the event belongs to
+ * @param {string} eventId - The event_id the tracker gave the event
+ */
+async function releaseEvent(shopId, eventId) {
+  const { error } = await scopeToShop(getSupabase()
+    .from('processed_events')
+    .delete()
+    .eq('event_id', eventId), shopId);
+
+  if (error) {
+    throw new Error(`Failed to release event: ${error.message}`);
+  }
+}
+
+// Batched events handler, used by the storefront's event queue
+// Each event is a product view (event_type 'product_view') or a cart event, validated as if it had been
+// sent to /track-view or /cart-events, and gets its own result so the tracker only retries what failed
+// Events with an event_id are applied once per shop; a repeat is answered as accepted without applying it again
+const eventBatchHandler = async (req, res) => {
   try {
-    const { user_email, product_id, product_name, timestamp } = req.body;
+    const shopId = req.shop.id;
 
-    // Validate required fields
-    if (!product_id || !product_name) {
-      return res.status(400).json({
-        error: 'Missing required fields: product_id and product_name are required'
-      });
+    // sendBeacon posts text/plain so it doesn't need a CORS preflight
+    let body = req.body;
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid JSON body'
+        });
+      }
     }
 
-    // Validate product_id format
-    if (typeof product_id !== 'string' || product_id.trim() === '') {
+    const events = body ? body.events : null;
+    if (!Array.isArray(events) || events.length === 0) {
       return res.status(400).json({
-        error: 'Invalid product_id: must be a non-empty string'
+        error: 'Invalid events: must be a non-empty array'
       });
     }
 
-    // Validate product_name format
-    if (typeof product_name !== 'string' || product_name.trim() === '') {
-      return res.status(400).json({
-        error: 'Invalid product_name: must be a non-empty string'
+    if (events.length > MAX_BATCH_EVENTS) {
+      return res.status(413).json({
+        error: `Too many events: send at most ${MAX_BATCH_EVENTS} per batch`
       });
     }
 
-    // Validate timestamp if provided
-    let validatedTimestamp = new Date().toISOString();
-    if (timestamp) {
-      const parsedTimestamp = new Date(timestamp);
-      if (isNaN(parsedTimestamp.getTime())) {
-        return res.status(400).json({
-          error: 'Invalid timestamp format. Use ISO 8601 format (e.g., 2024-01-01T12:00:00.000Z)'
-        });
+    // One at a time and in order, so events for the same cart are applied as they happened
+    const results = [];
+    for (let index = 0; index < events.length; index++) {
+      const event = events[index];
+      const eventType = event && typeof event === 'object' ? event.event_type : null;
+      const eventId = eventType ? event.event_id || null : null;
+
+      let handler = null;
+      if (eventType === 'product_view') {
+        handler = trackViewHandler;
+      } else if (CART_EVENT_TYPES.includes(eventType)) {
+        handler = cartEventsHandler;
       }
-      validatedTimestamp = parsedTimestamp.toISOString();
-    }
 
-    // Get or create user record if email is provided
-    let userId = null;
-    if (user_email) {
-      // Validate email format
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(user_email)) {
-        return res.status(400).json({
-          error: 'Invalid email format'
+      if (!handler) {
+        results.push({
+          index,
+          event_id: eventId,
+          status: 400,
+          error: `Invalid event_type: must be product_view or one of ${CART_EVENT_TYPES.join(', ')}`
         });
+        continue;
       }
 
-      try {
-        // Try to find existing user
-        const { data: existingUser, error: userQueryError } = await supabase
-          .from('users')
-          .select('id')
-          .eq('email', user_email)
-          .single();
-
-        if (userQueryError && userQueryError.code !== 'PGRST116') {
-          console.error('Error querying user:', userQueryError);
-        }
-
-        if (existingUser) {
-          userId = existingUser.id;
-        } else {
-          // Create new user record
-          const { data: newUser, error: userCreateError } = await supabase
-            .from('users')
-            .insert({
-              email: user_email,
-              full_name: null
-            })
-            .select('id')
-            .single();
-
-          if (userCreateError) {
-            console.error('Error creating user:', userCreateError);
-          } else {
-            userId = newUser.id;
-          }
-        }
-      } catch (error) {
-        console.error('Error handling user:', error);
+      if (eventId !== null && (typeof eventId !== 'string' || eventId.length > 64)) {
+        results.push({
+          index,
+          event_id: null,
+          status: 400,
+          error: 'Invalid event_id: must be a string of at most 64 characters'
+        });
+        continue;
       }
-    }
 
-    // Get or create product record
-    try {
-      const { data: existingProduct, error: productQueryError } = await supabase
-        .from('products')
-        .select('id')
-        .eq('id', product_id)
-        .single();
-
-      if (productQueryError && productQueryError.code !== 'PGRST116') {
-        console.error('Error querying product:', productQueryError);
+      if (eventId && !(await claimEvent(shopId, eventId))) {
+        results.push({ index, event_id: eventId, status: 200, duplicate: true });
+        continue;
       }
 
-      if (!existingProduct) {
-        // Create product record if it doesn't exist
-        const { error: productCreateError } = await supabase
-          .from('products')
-          .insert({
-            id: product_id,
-            name: product_name,
-            description: null,
-            price: null,
-            category: null
-          });
-
-        if (productCreateError) {
-          console.error('Error creating product:', productCreateError);
+      let outcome;
+      try {
+        outcome = await runEventHandler(handler, req, event);
+      } catch (error) {
+        if (eventId) {
+          await releaseEvent(shopId, eventId);
         }
+        throw error;
       }
-    } catch (error) {
-      console.error('Error handling product:', error);
-    }
-
-    // Insert product view record
-    const { data: viewRecord, error: viewError } = await supabase
-      .from('products_viewed')
-      .insert({
-        user_id: userId,
-        product_id: product_id,
-        product_name: product_name,
-        timestamp: validatedTimestamp
-      })
-      .select()
-      .single();
 
-    if (viewError) {
-      console.error('Error inserting product view:', viewError);
-      return res.status(500).json({
-        error: 'Failed to track product view',
-        details: viewError.message
-      });
+      // Rejected events can be sent again once fixed, and failed ones are retried
+      const { status, body: result } = outcome;
+      if (eventId && status >= 300) {
+        await releaseEvent(shopId, eventId);
+      }
+      results.push(status < 300
+        ? { index, event_id: eventId, status, data: result.data }
+        : { index, event_id: eventId, status, error: result.error });
     }
 
-    // Return success response
+    const accepted = results.filter(result => result.status < 300).length;
+    console.log(`📦 Event batch processed: ${accepted} of ${events.length} accepted`);
+
     return res.status(200).json({
       success: true,
-      message: 'Product view tracked successfully',
-      data: {
-        view_id: viewRecord.id,
-        user_id: userId,
-        product_id: product_id,
-        timestamp: validatedTimestamp
-      }
+      accepted,
+      rejected: events.length - accepted,
+      results
     });
 
   } catch (error) {
-    console.error('Error in track-view handler:', error);
+    console.error('Error in event batch handler:', error);
     return res.status(500).json({
       error: 'Internal server error',
       message: error.message
@@ -358,17 +465,31 @@ const trackViewHandler = async (req, res) => {
   }
 };
 
+// Batched storefront events (product views and cart events)
+// Beacons arrive as text/plain with the key in the query
+app.post('/events', express.text({ type: 'text/plain' }), trackingCors, requireShopKey, eventBatchHandler);
+
 // Start server if running standalone
 if (require.main === module) {
   const PORT = process.env.PORT || 3000;
   app.listen(PORT, () => {
     console.log(`Track view server running on port ${PORT}`);
     console.log(`Endpoint: POST http://localhost:${PORT}/track-view`);
+    console.log(`Cart events: POST http://localhost:${PORT}/cart-events`);
+    console.log(`Event batches: POST http://localhost:${PORT}/events`);
+    console.log(`Identify: POST http://localhost:${PORT}/identify`);
+    console.log(`Shopify webhooks: POST http://localhost:${PORT}/webhooks/shopify`);
+    console.log(`Shopify app install: GET http://localhost:${PORT}/shopify/install?shop=your-store.myshopify.com`);
+    console.log(`Twilio status callbacks: POST http://localhost:${PORT}/webhooks/twilio/status`);
+    console.log(`Twilio inbound SMS: POST http://localhost:${PORT}/webhooks/twilio/inbound`);
+    console.log(`Checkout links: GET http://localhost:${PORT}/r/:token`);
+    console.log(`Admin API: http://localhost:${PORT}/api/admin`);
     console.log(`Health check: GET http://localhost:${PORT}/health`);
   });
 }
 
 module.exports = {
   app,
-  trackViewHandler
+  trackViewHandler,
+  eventBatchHandler
 }; 
\ No newline at end of file
@@ -2,6 +2,11 @@
 // Handles POST requests to track product views in Supabase
 
 import { createClient } from '@supabase/supabase-js';
+// shop-auth.js lives at the project root, next to pages/
+import { authenticateShopRequest } from '../../shop-auth';
+import { scopeToShop } from '../../shops';
+import { isValidAnonymousId, resolveVisitor } from '../../visitor-identity';
+import { enrichProduct, normalizeViewDetails } from '../../product-catalog';
 
 // Initialize Supabase client
 const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
@@ -22,7 +27,13 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { user_email, product_id, product_name, timestamp } = req.body;
+    // Only accept views sent with a shop's publishable key, from one of that shop's origins
+    const { shop, status, error: authError } = await authenticateShopRequest(req);
+    if (!shop) {
+      return res.status(status).json({ error: authError });
+    }
+
+    const { user_email, anonymous_id, product_id, product_name, timestamp } = req.body;
 
     // Validate required fields
     if (!product_id || !product_name) {
@@ -45,6 +56,27 @@ export default async function handler(req, res) {
       });
     }
 
+    // Views are stored against the customer or, until we know who they are, the tracker's anonymous ID
+    if (!user_email && !anonymous_id) {
+      return res.status(400).json({
+        error: 'Missing visitor: user_email or anonymous_id is required'
+      });
+    }
+
+    if (anonymous_id && !isValidAnonymousId(anonymous_id)) {
+      return res.status(400).json({
+        error: 'Invalid anonymous_id: must be 8-64 letters, digits, dashes or underscores'
+      });
+    }
+
+    // Optional details of the variant selected on the product page
+    const { details: viewDetails, error: detailsError } = normalizeViewDetails(req.body);
+    if (detailsError) {
+      return res.status(400).json({
+        error: detailsError
+      });
+    }
+
     // Validate timestamp if provided
     let validatedTimestamp = new Date().toISOString();
     if (timestamp) {
@@ -70,10 +102,11 @@ export default async function handler(req, res) {
 
       try {
         // Try to find existing user
-        const { data: existingUser, error: userQueryError } = await supabase
+        // Customers belong to the shop they shopped at
+        const { data: existingUser, error: userQueryError } = await scopeToShop(supabase
           .from('users')
           .select('id')
-          .eq('email', user_email)
+          .eq('email', user_email), shop.id)
           .single();
 
         if (userQueryError && userQueryError.code !== 'PGRST116') {
@@ -88,6 +121,7 @@ export default async function handler(req, res) {
           const { data: newUser, error: userCreateError } = await supabase
             .from('users')
             .insert({
+              shop_id: shop.id,
               email: user_email,
               full_name: null
             })
@@ -107,6 +141,9 @@ export default async function handler(req, res) {
       }
     }
 
+    // Stitch the visitor's anonymous history to the customer, or recognise a visitor identified earlier
+    userId = await resolveVisitor({ userId, anonymousId: anonymous_id || null, shopId: shop.id });
+
     // Get or create product record
     try {
       const { data: existingProduct, error: productQueryError } = await supabase
@@ -125,9 +162,12 @@ export default async function handler(req, res) {
           .from('products')
           .insert({
             id: product_id,
+            shop_id: shop.id,
             name: product_name,
             description: null,
-            price: null,
+            price: viewDetails.price,
+            currency: viewDetails.currency,
+            image_url: viewDetails.image_url,
             category: null
           });
 
@@ -141,13 +181,20 @@ export default async function handler(req, res) {
       // Continue even if product handling fails
     }
 
+    // Fill in the product's variants, inventory and collections from Shopify without making the
+    // storefront wait; enrichProduct never throws
+    enrichProduct(product_id, shop.id);
+
     // Insert product view record
     const { data: viewRecord, error: viewError } = await supabase
       .from('products_viewed')
       .insert({
+        shop_id: shop.id,
         user_id: userId,
+        anonymous_id: anonymous_id || null,
         product_id: product_id,
         product_name: product_name,
+        ...viewDetails,
         timestamp: validatedTimestamp
       })
       .select()
@@ -0,0 +1,197 @@
+// Twilio webhook receiver
+// Verifies Twilio request signatures, records SMS delivery status updates
+// and handles STOP/START/HELP keywords from customers
+
+const twilio = require('twilio');
+const { getSupabase } = require('./supabase-client');
+const { recordConsent } = require('./sms-consent');
+const { getShopsBySmsNumber, scopeToShop } = require('./shops');
+const { toDeliveryStatus } = require('./send-sms');
+
+// Carrier-standard keywords (matched case-insensitively against the whole message)
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT'];
+const OPT_IN_KEYWORDS = ['START', 'YES', 'UNSTOP'];
+const HELP_KEYWORDS = ['HELP', 'INFO'];
+
+/**
+ * Builds the reply to a compliance keyword
+ * @param {string} action - 'opted_out', 'opted_in' or 'help'
+ * @param {string|null} brandName - Name customers see in the reply (the shop's brand name)
+ * @returns {string} The reply text
+ */
+function getKeywordReply(action, brandName) {
+  const brand = brandName || 'our store';
+  const replies = {
+    opted_out: process.env.SMS_STOP_REPLY ||
+      `You're unsubscribed from ${brand} cart reminders and won't receive more messages. Reply START to resubscribe.`,
+    opted_in: process.env.SMS_START_REPLY ||
+      `You're resubscribed to ${brand} cart reminders. Msg & data rates may apply. Reply STOP to unsubscribe, HELP for help.`,
+    help: process.env.SMS_HELP_REPLY ||
+      `${brand} cart reminders. Msg & data rates may apply. Reply STOP to unsubscribe.`
+  };
+  return replies[action];
+}
+
+/**
+ * Classifies an inbound SMS body as a compliance keyword
+ * @param {string} body - The inbound message text
+ * @returns {string|null} 'opted_out', 'opted_in', 'help', or null for other messages
+ */
+function getKeywordAction(body) {
+  const keyword = (body || '').trim().toUpperCase().replace(/[^A-Z]/g, '');
+
+  if (OPT_OUT_KEYWORDS.includes(keyword)) return 'opted_out';
+  if (OPT_IN_KEYWORDS.includes(keyword)) return 'opted_in';
+  if (HELP_KEYWORDS.includes(keyword)) return 'help';
+  return null;
+}
+
+/**
+ * Rebuilds the public URL Twilio called, which is part of the signed payload
+ * Set PUBLIC_BASE_URL when running behind a proxy that rewrites the host or protocol
+ * @param {Object} req - Express request
+ * @returns {string} The full request URL
+ */
+function getRequestUrl(req) {
+  const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl.replace(/\/$/, '')}${req.originalUrl}`;
+}
+
+/**
+ * Verifies the X-Twilio-Signature header of a webhook request
+ * @param {Object} req - Express request with a urlencoded body
+ * @param {string} authToken - Auth token of the Twilio account the shop sends from
+ * @returns {boolean} True if the request was signed with that auth token
+ */
+function verifyTwilioRequest(req, authToken = process.env.TWILIO_AUTH_TOKEN) {
+  const signature = req.get('X-Twilio-Signature');
+
+  if (!authToken || !signature) {
+    return false;
+  }
+
+  return twilio.validateRequest(authToken, signature, getRequestUrl(req), req.body || {});
+}
+
+/**
+ * Finds the shops a webhook is about by their sender number, and checks it was signed by their Twilio account
+ * @param {Object} req - Express request with a urlencoded body
+ * @param {string} phoneNumber - The shops' sender number (From of status callbacks, To of inbound messages)
+ * @returns {Promise<Object[]>} The shops (see getShopsBySmsNumber), or an empty list if the signature doesn't match
+ */
+async function getVerifiedShops(req, phoneNumber) {
+  const shops = await getShopsBySmsNumber(phoneNumber);
+  const verified = shops.some(shop => verifyTwilioRequest(req, shop.credentials.twilioAuthToken));
+  return verified ? shops : [];
+}
+
+// Twilio message status callback handler
+const twilioStatusHandler = async (req, res) => {
+  try {
+    // Status callbacks are about messages a shop sent, so From is the shop's number
+    const shops = await getVerifiedShops(req, req.body && req.body.From);
+    if (shops.length === 0) {
+      console.error('Rejected Twilio status callback with invalid signature');
+      return res.status(403).json({
+        error: 'Invalid Twilio signature'
+      });
+    }
+
+    const { MessageSid, MessageStatus, ErrorCode } = req.body;
+
+    if (!MessageSid || !MessageStatus) {
+      return res.status(400).json({
+        error: 'Missing required fields: MessageSid and MessageStatus are required'
+      });
+    }
+
+    const updates = { delivery_status: toDeliveryStatus(MessageStatus) };
+    if (ErrorCode) {
+      updates.error_message = `Twilio error ${ErrorCode}`;
+    }
+
+    const { error: updateError } = await getSupabase()
+      .from('messages_sent')
+      .update(updates)
+      .eq('twilio_sid', MessageSid);
+
+    if (updateError) {
+      console.error('Error updating message status:', updateError);
+      return res.status(500).json({
+        error: 'Failed to update message status',
+        details: updateError.message
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Message status updated'
+    });
+
+  } catch (error) {
+    console.error('Error in twilio-status handler:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+// Twilio inbound SMS handler (configure as the messaging webhook of your Twilio number)
+const twilioInboundHandler = async (req, res) => {
+  try {
+    // Customers text the shop's number, which several shops share when they send from TWILIO_PHONE_NUMBER
+    const shops = await getVerifiedShops(req, req.body && req.body.To);
+    if (shops.length === 0) {
+      console.error('Rejected Twilio inbound message with invalid signature');
+      return res.status(403).json({
+        error: 'Invalid Twilio signature'
+      });
+    }
+
+    const { From, Body } = req.body;
+    const action = getKeywordAction(Body);
+    const twiml = new twilio.twiml.MessagingResponse();
+
+    if (action === 'opted_out' || action === 'opted_in') {
+      // The customer can't tell which of the shops on a shared number texted them, so the keyword applies to all
+      for (const shop of shops) {
+        const { data: user } = await scopeToShop(getSupabase()
+          .from('users')
+          .select('id')
+          .eq('phone', From), shop.id)
+          .limit(1)
+          .single();
+
+        await recordConsent(From, action, 'sms_keyword', {
+          shop_id: shop.id,
+          user_id: user ? user.id : null,
+          consent_text: Body
+        });
+      }
+
+      twiml.message(getKeywordReply(action, shops[0].brandName));
+    } else if (action === 'help') {
+      twiml.message(getKeywordReply('help', shops[0].brandName));
+    } else {
+      console.log(`💬 Inbound SMS from ${From}: ${Body}`);
+    }
+
+    res.type('text/xml');
+    return res.status(200).send(twiml.toString());
+
+  } catch (error) {
+    console.error('Error in twilio-inbound handler:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  twilioStatusHandler,
+  twilioInboundHandler,
+  verifyTwilioRequest,
+  getKeywordAction
+}; 
\ No newline at end of file
@@ -0,0 +1,283 @@
+// Urgency bandit
+// Learns from attributed conversions which urgency level and extra delay work best for each segment of carts
+// Enabled with URGENCY_POLICY=thompson or epsilon_greedy; the default 'fixed' keeps the cron's fixed rule
+
+require('dotenv').config();
+const { getSupabase } = require('./supabase-client');
+
+// Policies that can be selected with URGENCY_POLICY
+const URGENCY_POLICIES = ['fixed', 'thompson', 'epsilon_greedy'];
+
+const URGENCY_POLICY = process.env.URGENCY_POLICY || 'fixed';
+
+// Extra minutes a step can wait on top of its own delay, one arm per urgency level and delay
+const BANDIT_DELAYS = (process.env.URGENCY_BANDIT_DELAYS || '0,60,180')
+  .split(',')
+  .map(delay => parseInt(delay.trim(), 10))
+  .filter(delay => !isNaN(delay) && delay >= 0);
+
+// Share of epsilon_greedy decisions that explore a random arm
+const BANDIT_EPSILON = parseFloat(process.env.URGENCY_BANDIT_EPSILON || '0.1');
+
+// Reminders that haven't converted after this many hours count as failures (same window as attribution.js)
+const REWARD_WINDOW_HOURS = parseInt(process.env.ATTRIBUTION_WINDOW_HOURS || '72', 10);
+
+// Cart value bands used to segment carts, in the cart's currency
+const VALUE_BANDS = [
+  { name: 'under_50', max: 50 },
+  { name: '50_to_150', max: 150 },
+  { name: 'over_150', max: Infinity }
+];
+
+const ARMS = ['low', 'medium', 'high'].flatMap(urgencyLevel =>
+  BANDIT_DELAYS.map(delayMinutes => ({ urgencyLevel, delayMinutes }))
+);
+
+/**
+ * Checks whether the bandit picks urgency and delay
+ * @returns {boolean} False for the fixed rule
+ */
+function isBanditEnabled() {
+  if (!URGENCY_POLICIES.includes(URGENCY_POLICY)) {
+    throw new Error(`URGENCY_POLICY must be one of ${URGENCY_POLICIES.join(', ')}, got: ${URGENCY_POLICY}`);
+  }
+  return URGENCY_POLICY !== 'fixed';
+}
+
+/**
+ * Names the segment a cart's step belongs to; arms are learned separately per segment
+ * @param {Object} cart - The cart row (total_price)
+ * @param {Object} step - The sequence step (step_number, channel)
+ * @returns {string} e.g. 'step1-sms:50_to_150'
+ */
+function getSegment(cart, step) {
+  const value = Number(cart.total_price) || 0;
+  const band = VALUE_BANDS.find(b => value < b.max) || VALUE_BANDS[VALUE_BANDS.length - 1];
+  return `step${step.step_number}-${step.channel}:${band.name}`;
+}
+
+/**
+ * Draws from a Gamma(shape, 1) distribution (Marsaglia and Tsang)
+ * @param {number} shape - Shape parameter, at least 1
+ * @returns {number} The sample
+ */
+function sampleGamma(shape) {
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+
+  for (;;) {
+    let x;
+    let v;
+    do {
+      // Standard normal via Box-Muller
+      x = Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+      v = 1 + c * x;
+    } while (v <= 0);
+
+    v = v * v * v;
+    const u = 1 - Math.random();
+    if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) {
+      return d * v;
+    }
+  }
+}
+
+/**
+ * Draws from a Beta(alpha, beta) distribution
+ * @param {number} alpha - Successes + 1
+ * @param {number} beta - Failures + 1
+ * @returns {number} The sample, between 0 and 1
+ */
+function sampleBeta(alpha, beta) {
+  const x = sampleGamma(alpha);
+  const y = sampleGamma(beta);
+  return x / (x + y);
+}
+
+/**
+ * Identifies an arm
+ * @param {Object} arm - urgencyLevel and delayMinutes
+ * @returns {string} e.g. 'high:60'
+ */
+function armKey(arm) {
+  return `${arm.urgencyLevel}:${arm.delayMinutes}`;
+}
+
+/**
+ * Counts each arm's conversions in a shop's segment
+ * Reminders still inside the reward window without a conversion are left out, as their outcome isn't known yet
+ * The counting is done by the bandit_arm_stats database function, so only one row per arm is loaded
+ * @param {string} segment - Segment name
+ * @param {string|null} shopId - The shop's ID; each shop learns from its own customers
+ * @returns {Promise<Map<string, { trials: number, successes: number }>>} Stats keyed by arm
+ */
+async function getArmStats(segment, shopId = null) {
+  const windowStart = new Date(Date.now() - REWARD_WINDOW_HOURS * 60 * 60 * 1000);
+
+  const { data: rows, error } = await getSupabase().rpc('bandit_arm_stats', {
+    p_shop_id: shopId,
+    p_segment: segment,
+    p_window_start: windowStart.toISOString()
+  });
+
+  if (error) {
+    throw new Error(`Failed to load bandit arm stats: ${error.message}`);
+  }
+
+  const stats = new Map(ARMS.map(arm => [armKey(arm), { trials: 0, successes: 0 }]));
+
+  for (const row of rows || []) {
+    const armStats = stats.get(armKey({ urgencyLevel: row.urgency_level, delayMinutes: row.delay_minutes }));
+    if (!armStats) {
+      // Arm no longer configured
+      continue;
+    }
+
+    armStats.trials = Number(row.trials);
+    armStats.successes = Number(row.successes);
+  }
+
+  return stats;
+}
+
+/**
+ * Picks an arm with the configured policy
+ * @param {Map} stats - Arm stats from getArmStats()
+ * @param {string} policy - 'thompson' or 'epsilon_greedy'
+ * @returns {Object} The chosen arm (urgencyLevel, delayMinutes)
+ */
+function selectArm(stats, policy = URGENCY_POLICY) {
+  if (policy === 'thompson') {
+    let best = null;
+    let bestSample = -1;
+    for (const arm of ARMS) {
+      const { trials, successes } = stats.get(armKey(arm));
+      const sample = sampleBeta(successes + 1, trials - successes + 1);
+      if (sample > bestSample) {
+        best = arm;
+        bestSample = sample;
+      }
+    }
+    return best;
+  }
+
+  // epsilon_greedy: untried arms first, then mostly the best conversion rate
+  const untried = ARMS.filter(arm => stats.get(armKey(arm)).trials === 0);
+  if (untried.length > 0) {
+    return untried[Math.floor(Math.random() * untried.length)];
+  }
+
+  if (Math.random() < BANDIT_EPSILON) {
+    return ARMS[Math.floor(Math.random() * ARMS.length)];
+  }
+
+  return ARMS.reduce((best, arm) => {
+    const armStats = stats.get(armKey(arm));
+    const bestStats = stats.get(armKey(best));
+    return armStats.successes / armStats.trials > bestStats.successes / bestStats.trials ? arm : best;
+  });
+}
+
+/**
+ * Gets the bandit's choice for a cart's step, making it on the step's first run
+ * The choice is stored, so waiting out its delay doesn't give later runs a chance to pick a shorter one
+ * @param {Object} cart - The cart row (id, shop_id, total_price)
+ * @param {Object} step - The step about to be sent
+ * @returns {Promise<Object|null>} The bandit_decisions row, or null with the fixed policy
+ */
+async function getUrgencyDecision(cart, step) {
+  if (!isBanditEnabled() || ARMS.length === 0) {
+    return null;
+  }
+
+  const { data: existing, error: queryError } = await getSupabase()
+    .from('bandit_decisions')
+    .select('*')
+    .eq('cart_id', cart.id)
+    .eq('step_number', step.step_number)
+    .single();
+
+  if (queryError && queryError.code !== 'PGRST116') {
+    throw new Error(`Failed to load bandit decision: ${queryError.message}`);
+  }
+
+  if (existing) {
+    return existing;
+  }
+
+  const segment = getSegment(cart, step);
+  const arm = selectArm(await getArmStats(segment, cart.shop_id || null));
+
+  // ignoreDuplicates keeps the first decision if another process decides the same step concurrently
+  const { error: createError } = await getSupabase()
+    .from('bandit_decisions')
+    .upsert({
+      shop_id: cart.shop_id || null,
+      cart_id: cart.id,
+      step_number: step.step_number,
+      segment,
+      policy: URGENCY_POLICY,
+      urgency_level: arm.urgencyLevel,
+      delay_minutes: arm.delayMinutes
+    }, { onConflict: 'cart_id,step_number', ignoreDuplicates: true });
+
+  if (createError) {
+    throw new Error(`Failed to record bandit decision: ${createError.message}`);
+  }
+
+  const { data: decision, error: reloadError } = await getSupabase()
+    .from('bandit_decisions')
+    .select('*')
+    .eq('cart_id', cart.id)
+    .eq('step_number', step.step_number)
+    .single();
+
+  if (reloadError) {
+    throw new Error(`Failed to load bandit decision: ${reloadError.message}`);
+  }
+
+  console.log(`🎰 ${URGENCY_POLICY} chose ${decision.urgency_level} urgency +${decision.delay_minutes}min for cart ${cart.id} (${segment})`);
+  return decision;
+}
+
+/**
+ * Records which message a decision was sent in, so its conversion can be rewarded
+ * @param {string} decisionId - The bandit_decisions ID
+ * @param {string} messageId - The messages_sent ID
+ */
+async function attachMessageToDecision(decisionId, messageId) {
+  const { error } = await getSupabase()
+    .from('bandit_decisions')
+    .update({ message_id: messageId })
+    .eq('id', decisionId);
+
+  if (error) {
+    throw new Error(`Failed to attach message to bandit decision: ${error.message}`);
+  }
+}
+
+/**
+ * Rewards the decision behind a message once its attribution changes
+ * @param {string} messageId - The messages_sent ID
+ * @param {boolean} converted - Whether any order is credited to the message
+ */
+async function recordReward(messageId, converted) {
+  const { error } = await getSupabase()
+    .from('bandit_decisions')
+    .update({ reward: converted ? 1 : 0, rewarded_at: new Date().toISOString() })
+    .eq('message_id', messageId);
+
+  if (error) {
+    throw new Error(`Failed to record bandit reward: ${error.message}`);
+  }
+}
+
+module.exports = {
+  URGENCY_POLICIES,
+  isBanditEnabled,
+  getSegment,
+  selectArm,
+  getUrgencyDecision,
+  attachMessageToDecision,
+  recordReward
+}; 
\ No newline at end of file
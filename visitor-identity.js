@@ -0,0 +1,134 @@
+// Visitor identity
+// The storefront tracker gives each browser a first-party anonymous ID, so views and carts are recorded before
+// we know who the visitor is. Once they log in, enter an email at checkout or subscribe, their anonymous
+// history is moved onto the customer (stitched) and later anonymous events go straight to them
+
+require('dotenv').config();
+const { getSupabase } = require('./supabase-client');
+const { scopeToShop } = require('./shops');
+
+// How a visitor was identified (visitor_identities.source)
+const IDENTIFY_SOURCES = ['login', 'checkout', 'subscribe'];
+
+// IDs generated by the tracker are UUIDs; anything ID-like of a sensible length is accepted
+const ANONYMOUS_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+/**
+ * Checks an anonymous ID sent by the storefront
+ * @param {*} anonymousId - The anonymous_id field of a tracking request
+ * @returns {boolean} True if it can be stored
+ */
+function isValidAnonymousId(anonymousId) {
+  return typeof anonymousId === 'string' && ANONYMOUS_ID_PATTERN.test(anonymousId);
+}
+
+/**
+ * Gets the customer an anonymous visitor has been identified as
+ * @param {string} anonymousId - The visitor's anonymous ID
+ * @param {string|null} shopId - The shop's ID
+ * @returns {Promise<string|null>} The user's ID, or null while the visitor is anonymous
+ */
+async function findVisitorUserId(anonymousId, shopId = null) {
+  const { data: identity, error } = await scopeToShop(getSupabase()
+    .from('visitor_identities')
+    .select('user_id')
+    .eq('anonymous_id', anonymousId), shopId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw new Error(`Failed to load visitor identity: ${error.message}`);
+  }
+
+  return identity ? identity.user_id : null;
+}
+
+/**
+ * Links an anonymous visitor to a customer and moves their anonymous views and carts onto the customer
+ * A browser shared by several customers ends up linked to the latest one
+ * @param {string} anonymousId - The visitor's anonymous ID
+ * @param {string} userId - The customer's user ID
+ * @param {string|null} shopId - The shop's ID
+ * @param {string} source - How the visitor was identified: 'login', 'checkout' or 'subscribe'
+ * @returns {Promise<{ views: number, carts: number }>} How many anonymous views and carts were stitched
+ */
+async function stitchVisitor(anonymousId, userId, shopId, source) {
+  if (!IDENTIFY_SOURCES.includes(source)) {
+    throw new Error(`source must be one of ${IDENTIFY_SOURCES.join(', ')}, got: ${source}`);
+  }
+
+  const { error: identityError } = await getSupabase()
+    .from('visitor_identities')
+    .upsert({
+      shop_id: shopId || null,
+      anonymous_id: anonymousId,
+      user_id: userId,
+      source,
+      identified_at: new Date().toISOString()
+    }, { onConflict: 'shop_id,anonymous_id' });
+
+  if (identityError) {
+    throw new Error(`Failed to record visitor identity: ${identityError.message}`);
+  }
+
+  // Only history nobody has claimed yet is moved, so a shared browser doesn't hand one customer's carts to another
+  const { data: views, error: viewsError } = await scopeToShop(getSupabase()
+    .from('products_viewed')
+    .update({ user_id: userId })
+    .eq('anonymous_id', anonymousId), shopId)
+    .is('user_id', null)
+    .select('id');
+
+  if (viewsError) {
+    throw new Error(`Failed to stitch product views: ${viewsError.message}`);
+  }
+
+  const { data: carts, error: cartsError } = await scopeToShop(getSupabase()
+    .from('carts')
+    .update({ user_id: userId })
+    .eq('anonymous_id', anonymousId), shopId)
+    .is('user_id', null)
+    .select('id');
+
+  if (cartsError) {
+    throw new Error(`Failed to stitch carts: ${cartsError.message}`);
+  }
+
+  const stitched = { views: views ? views.length : 0, carts: carts ? carts.length : 0 };
+  if (stitched.views > 0 || stitched.carts > 0) {
+    console.log(`🔗 Linked visitor ${anonymousId} to user ${userId} (${source}): ${stitched.views} views, ${stitched.carts} carts`);
+  }
+  return stitched;
+}
+
+/**
+ * Works out who a storefront event belongs to
+ * With a known customer the visitor's anonymous history is stitched to them; without one,
+ * a visitor identified on an earlier visit is still recognised
+ * @param {Object} visitor - userId (resolved from the event's email, if any), anonymousId, shopId and source
+ * @returns {Promise<string|null>} The user's ID, or null for an anonymous visitor
+ */
+async function resolveVisitor({ userId, anonymousId, shopId = null, source = 'login' }) {
+  if (!anonymousId) {
+    return userId || null;
+  }
+
+  try {
+    if (userId) {
+      await stitchVisitor(anonymousId, userId, shopId, source);
+      return userId;
+    }
+    return await findVisitorUserId(anonymousId, shopId);
+  } catch (error) {
+    // The event is still worth recording without its identity
+    console.error('Error resolving visitor identity:', error);
+    return userId || null;
+  }
+}
+
+module.exports = {
+  IDENTIFY_SOURCES,
+  isValidAnonymousId,
+  findVisitorUserId,
+  stitchVisitor,
+  resolveVisitor
+}; 
\ No newline at end of file